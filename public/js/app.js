@@ -7,6 +7,9 @@ const API_BASE_URL = window.location.origin;
 let companiesData = [];
 let editingCompanyId = null;
 let selectedFile = null;
+let importPreview = null;
+let renderedSheetName = null;
+let pendingDryRun = null;
 let currentPage = 1;
 let pageSize = 50;
 let totalRecords = 0;
@@ -28,11 +31,17 @@ function cacheElements() {
         tableBody: document.getElementById('tableBody'),
         emptyState: document.getElementById('emptyState'),
         searchInput: document.getElementById('searchInput'),
+        districtFilter: document.getElementById('districtFilter'),
+        contactFilter: document.getElementById('contactFilter'),
+        invalidReasonFilter: document.getElementById('invalidReasonFilter'),
         paginationContainer: document.getElementById('paginationContainer'),
         duplicateCount: document.getElementById('duplicateCount'),
         invalidCount: document.getElementById('invalidCount'),
         totalCount: document.getElementById('totalCount'),
-        finishCount: document.getElementById('finishCount')
+        finishCount: document.getElementById('finishCount'),
+        emailIssueCount: document.getElementById('emailIssueCount'),
+        websiteIssueCount: document.getElementById('websiteIssueCount'),
+        phoneTypeSummary: document.getElementById('phoneTypeSummary')
     };
 }
 
@@ -40,6 +49,7 @@ function cacheElements() {
 
 function openExcelModal() {
     const modal = document.getElementById('excelModal');
+    loadPhoneCountries();
     if (modal) {
         modal.classList.remove('hidden');
         modal.classList.add('modal-opening');
@@ -52,8 +62,6 @@ function openExcelModal() {
 
 async function closeExcelModal() {
     const modal = document.getElementById('excelModal');
-    const fileInput = document.getElementById('excelFile');
-    const fileName = document.getElementById('fileName');
 
     if (modal) {
         modal.classList.add('modal-closing');
@@ -63,13 +71,38 @@ async function closeExcelModal() {
             modal.classList.remove('modal-closing');
         }, 200);
     }
+    resetFileSelection();
+}
+
+// ============= FILE HANDLING =============
+
+function resetFileSelection() {
+    const fileInput = document.getElementById('excelFile');
+    const fileName = document.getElementById('fileName');
+
     if (fileInput) fileInput.value = '';
     if (fileName) fileName.textContent = '';
 
     selectedFile = null;
+    resetMappingPreview();
 }
 
-// ============= FILE HANDLING =============
+// Build an Error from a failed upload response, spelling out why the server refused the file
+function uploadError(result, fallback) {
+    const reasonLabels = {
+        PASSWORD_PROTECTED: 'The file is password protected. Remove the password and upload it again.',
+        QUARANTINED: 'The file was quarantined by the security checks.',
+        RATE_LIMITED: 'Too many uploads. Please wait and try again later.'
+    };
+    const reason = result && result.reason;
+    const message = reason
+        ? [reasonLabels[reason.code], ...(reason.errors || [])].filter(Boolean).join('\n')
+        : (result && result.error) || fallback;
+
+    const error = new Error(message);
+    error.reason = reason || null;
+    return error;
+}
 
 function handleFileUpload(event) {
     selectedFile = event.target.files[0];
@@ -78,6 +111,350 @@ function handleFileUpload(event) {
     if (selectedFile && fileName) {
         fileName.textContent = `Selected: ${selectedFile.name}`;
     }
+
+    resetMappingPreview();
+    if (selectedFile) previewExcelUpload();
+}
+
+// ============= COLUMN MAPPING PREVIEW =============
+
+const MAPPING_FIELD_LABELS = {
+    id: 'ID',
+    phone: 'Phone',
+    companyName: 'Company Name',
+    physicalAddress: 'Physical Address',
+    email: 'Email',
+    website: 'Website',
+    country: 'Country'
+};
+
+function resetMappingPreview() {
+    importPreview = null;
+    renderedSheetName = null;
+    const preview = document.getElementById('mappingPreview');
+    const profileSelect = document.getElementById('mappingProfile');
+    if (preview) preview.classList.add('hidden');
+    if (profileSelect) profileSelect.value = '';
+}
+
+// Ask the server for a proposed column mapping before anything is imported
+async function previewExcelUpload() {
+    if (!selectedFile) return;
+
+    const profileId = document.getElementById('mappingProfile')?.value || '';
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    if (profileId) formData.append('profileId', profileId);
+
+    try {
+        showUploadStatus('Analyzing columns...');
+
+        const response = await fetch(`${API_BASE_URL}/api/upload/preview`, {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw uploadError(result, 'Preview failed');
+        }
+
+        importPreview = result;
+        renderedSheetName = null;
+        await loadMappingProfiles(result.matchedProfile ? result.matchedProfile.id : profileId);
+
+        const sheetSelect = document.getElementById('mappingSheet');
+        if (sheetSelect) {
+            sheetSelect.innerHTML = result.sheets.map(sheet =>
+                `<option value="${escapeHtml(sheet.name)}" ${sheet.name === result.selectedSheet ? 'selected' : ''}>` +
+                `${escapeHtml(sheet.name)} (${sheet.confidence}, ${sheet.rowCount} rows)</option>`
+            ).join('');
+        }
+
+        renderWorksheetList();
+        renderMappingPreview();
+        document.getElementById('mappingPreview')?.classList.remove('hidden');
+    } catch (error) {
+        console.error('Preview error:', error);
+        if (error.reason) {
+            // The file itself was refused, so there is nothing to fall back to
+            alert(error.message);
+            resetFileSelection();
+        } else {
+            alert(`Could not preview file: ${error.message}. The upload will guess the columns instead.`);
+        }
+    } finally {
+        hideUploadStatus();
+    }
+}
+
+// One checkbox per worksheet with the detector's findings; data sheets are ticked by default
+function renderWorksheetList() {
+    const list = document.getElementById('worksheetList');
+    const recommendations = document.getElementById('worksheetRecommendations');
+    if (!importPreview || !list) return;
+
+    if (recommendations) {
+        recommendations.textContent = (importPreview.worksheetReport?.recommendations || []).join(' ');
+    }
+
+    list.innerHTML = importPreview.sheets.map((sheet, index) => {
+        const phoneColumns = (sheet.phoneColumns || []).length;
+        const notes = [
+            `${sheet.confidence} confidence`,
+            `score ${Math.round(sheet.score * 100)}%`,
+            `${sheet.rowCount} rows`,
+            `${phoneColumns} phone column(s)`
+        ];
+        if (sheet.hasData && sheet.details && sheet.details.dataPatternScore === 0) {
+            notes.push('no phone numbers in sampled rows');
+        }
+
+        return `
+            <label class="flex items-center gap-2">
+                <input type="checkbox" data-include-sheet="${index}" ${sheet.included ? 'checked' : ''}
+                    onchange="toggleWorksheet(${index}, this.checked)">
+                <span>${escapeHtml(sheet.name)}
+                    <span class="text-xs" style="color: var(--text-tertiary);">${escapeHtml(notes.join(' · '))}</span>
+                </span>
+            </label>`;
+    }).join('');
+}
+
+function toggleWorksheet(index, included) {
+    if (importPreview && importPreview.sheets[index]) {
+        importPreview.sheets[index].included = included;
+    }
+}
+
+// Keep the edits made to the sheet on screen before showing another one
+function changeMappingSheet() {
+    const previous = importPreview && importPreview.sheets.find(sheet => sheet.name === renderedSheetName);
+    if (previous) {
+        const mapping = readMappingForm(previous);
+        previous.mapping = { ...previous.mapping, columns: mapping.columns, idStrategy: mapping.idStrategy };
+    }
+    renderMappingPreview();
+}
+
+function getPreviewSheet() {
+    if (!importPreview) return null;
+    const sheetName = document.getElementById('mappingSheet')?.value || importPreview.selectedSheet;
+    return importPreview.sheets.find(sheet => sheet.name === sheetName) || importPreview.sheets[0];
+}
+
+// Render one dropdown per field plus the sample rows for the selected sheet
+function renderMappingPreview() {
+    const sheet = getPreviewSheet();
+    const fieldsContainer = document.getElementById('mappingFields');
+    const confidence = document.getElementById('mappingConfidence');
+    const sampleHead = document.getElementById('mappingSampleHead');
+    const sampleBody = document.getElementById('mappingSampleBody');
+
+    if (!sheet || !fieldsContainer) return;
+    renderedSheetName = sheet.name;
+
+    const idStrategy = document.getElementById('mappingIdStrategy');
+    if (idStrategy) idStrategy.value = sheet.mapping.idStrategy || 'column';
+
+    const columnOptions = sheet.headers.map((header, index) =>
+        ({ index, label: header || `Column ${index + 1}` })
+    );
+
+    fieldsContainer.innerHTML = importPreview.fields.map(field => {
+        const current = sheet.mapping.columns[field];
+        const fieldConfidence = Math.round((sheet.fieldConfidence[field] || 0) * 100);
+        const options = [`<option value="">— Not mapped —</option>`].concat(columnOptions.map(col =>
+            `<option value="${col.index}" ${col.index === current ? 'selected' : ''}>${escapeHtml(col.label)}</option>`
+        ));
+
+        return `
+            <label class="text-sm flex flex-col gap-1">
+                <span>${MAPPING_FIELD_LABELS[field] || field}${field === 'phone' ? ' *' : ''}
+                    <span class="text-xs" style="color: var(--text-tertiary);">${current !== null ? `${fieldConfidence}%` : ''}</span>
+                </span>
+                <select class="modal-input" data-mapping-field="${field}">${options.join('')}</select>
+            </label>`;
+    }).join('') + renderAdditionalPhoneColumns(sheet, columnOptions);
+
+    if (confidence) {
+        const notes = (sheet.recommendations || []).join(' ');
+        const profileNote = sheet.profile
+            ? `Using profile "${sheet.profile.name}"${sheet.profile.matchedBy === 'fingerprint' ? ' (matched by headers)' : ''} · `
+            : '';
+        const sourceFormat = importPreview.sourceFormat || {};
+        let format = '';
+        if (sourceFormat.type === 'delimited') {
+            format = `${sourceFormat.encoding.toUpperCase()} text, ${sourceFormat.delimiter === '\t' ? 'tab' : `"${sourceFormat.delimiter}"`}-separated · `;
+        } else if (sourceFormat.type === 'pdf') {
+            format = `PDF, ${sourceFormat.pageCount} page(s), ${sourceFormat.recordCount} phone entries found · `;
+        }
+        confidence.textContent = `${profileNote}${format}Header row ${sheet.headerRow || sheet.headerRowIndex + 1} · sheet score ${Math.round(sheet.score * 100)}% · mapping confidence ${Math.round(sheet.overallConfidence * 100)}%. ${notes}`;
+    }
+
+    if (sampleHead) {
+        sampleHead.innerHTML = `<tr>${columnOptions.map(col => `<th class="px-2 py-1 text-left">${escapeHtml(col.label)}</th>`).join('')}</tr>`;
+    }
+    if (sampleBody) {
+        sampleBody.innerHTML = sheet.sampleRows.map(row =>
+            `<tr>${columnOptions.map(col => `<td class="px-2 py-1">${escapeHtml(row[col.index])}</td>`).join('')}</tr>`
+        ).join('');
+    }
+}
+
+// Checkboxes for further phone columns; each extra number becomes a linked record
+function renderAdditionalPhoneColumns(sheet, columnOptions) {
+    const selected = sheet.mapping.columns.additionalPhones || [];
+    const primary = sheet.mapping.columns.phone;
+
+    const checkboxes = columnOptions.filter(col => col.index !== primary).map(col => `
+        <label class="text-sm flex items-center gap-1">
+            <input type="checkbox" data-additional-phone value="${col.index}" ${selected.includes(col.index) ? 'checked' : ''}>
+            ${escapeHtml(col.label)}
+        </label>`
+    ).join('');
+
+    return `
+        <div class="col-span-2 text-sm flex flex-col gap-1">
+            <span>Additional phone columns
+                <span class="text-xs" style="color: var(--text-tertiary);">numbers found here are imported as linked records</span>
+            </span>
+            <div class="flex flex-wrap gap-3">${checkboxes}</div>
+        </div>`;
+}
+
+// Collect the (possibly user-corrected) mapping from the dropdowns
+function getSelectedMapping() {
+    const sheet = getPreviewSheet();
+    return sheet ? readMappingForm(sheet) : null;
+}
+
+// Read the mapping dropdowns, which show the sheet last rendered by renderMappingPreview
+function readMappingForm(sheet) {
+    const columns = {};
+    document.querySelectorAll('#mappingFields select[data-mapping-field]').forEach(select => {
+        columns[select.dataset.mappingField] = select.value === '' ? null : parseInt(select.value, 10);
+    });
+    columns.additionalPhones = Array.from(document.querySelectorAll('#mappingFields input[data-additional-phone]:checked'))
+        .map(input => parseInt(input.value, 10))
+        .filter(index => index !== columns.phone);
+
+    return {
+        sheetName: sheet.name,
+        headerRowIndex: sheet.headerRowIndex,
+        columns,
+        idStrategy: document.getElementById('mappingIdStrategy')?.value || 'column'
+    };
+}
+
+// Mappings for every ticked worksheet; the sheet on screen uses the dropdowns, the others their saved or proposed mapping
+function getSelectedMappings() {
+    if (!importPreview) return [];
+
+    return importPreview.sheets.filter(sheet => sheet.included).map(sheet => {
+        if (sheet.name === renderedSheetName) return readMappingForm(sheet);
+
+        return {
+            sheetName: sheet.name,
+            headerRowIndex: sheet.headerRowIndex,
+            columns: sheet.mapping.columns,
+            idStrategy: sheet.mapping.idStrategy || 'column'
+        };
+    });
+}
+
+// How the import treats rows that are already stored; per-field choices left empty use the main strategy
+function getConflictPolicy() {
+    const fields = {};
+    document.querySelectorAll('select[data-conflict-field]').forEach(select => {
+        if (select.value) fields[select.dataset.conflictField] = select.value;
+    });
+
+    return {
+        matchKey: document.getElementById('conflictMatchKey')?.value || 'id_phone',
+        strategy: document.getElementById('conflictStrategy')?.value || 'merge',
+        fields
+    };
+}
+
+// Populate the import country dropdown with the accepted phone countries, the configured default first
+async function loadPhoneCountries() {
+    const select = document.getElementById('importCountry');
+    if (!select || select.options.length > 1) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/phone-countries`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        if (!result.success) return;
+
+        const { defaultCountry, countries } = result.data;
+        select.innerHTML = countries.map(country =>
+            `<option value="${country.code}" ${country.code === defaultCountry ? 'selected' : ''}>${escapeHtml(country.name)} (${country.code})</option>`
+        ).join('');
+    } catch (error) {
+        console.error('Error loading phone countries:', error);
+    }
+}
+
+// Populate the profile dropdown; "Auto-detect" lets the server match by header fingerprint
+async function loadMappingProfiles(selectedId = '') {
+    const select = document.getElementById('mappingProfile');
+    if (!select) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/mapping-profiles`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        const profiles = result.success ? result.data : [];
+
+        select.innerHTML = [`<option value="">Auto-detect</option>`].concat(profiles.map(profile =>
+            `<option value="${profile.id}" ${String(profile.id) === String(selectedId) ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`
+        )).join('');
+    } catch (error) {
+        console.error('Error loading mapping profiles:', error);
+    }
+}
+
+async function saveMappingProfile() {
+    const sheet = getPreviewSheet();
+    const mapping = getSelectedMapping();
+    if (!sheet || !mapping) return;
+
+    if (mapping.columns.phone === null) {
+        alert('Please choose which column contains the phone numbers');
+        return;
+    }
+
+    const name = prompt('Profile name (e.g. "Vendor A weekly dump")', sheet.profile ? sheet.profile.name : '');
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/mapping-profiles`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...mapping, name: name.trim(), headers: sheet.headers })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to save profile');
+        }
+
+        sheet.mapping = mapping;
+        sheet.profile = { id: result.data.id, name: result.data.name, matchedBy: 'explicit' };
+        await loadMappingProfiles(result.data.id);
+        renderMappingPreview();
+    } catch (error) {
+        console.error('Error saving mapping profile:', error);
+        alert(`Could not save profile: ${error.message}`);
+    }
 }
 
 // Show upload status spinner and message
@@ -93,14 +470,50 @@ function showUploadStatus(message) {
     if (closeBtns) closeBtns.forEach(b => b.disabled = true);
 }
 
+// Replace the spinner with a progress bar once the import job reports counts
+function showUploadProgress(progress = {}) {
+    const spinner = document.getElementById('uploadSpinner');
+    const container = document.getElementById('uploadProgress');
+    const bar = document.getElementById('uploadProgressBar');
+    const text = document.getElementById('uploadProgressText');
+
+    const total = progress.total || 0;
+    const processed = progress.processed || 0;
+    const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+
+    if (spinner) spinner.classList.add('hidden');
+    if (container) {
+        container.classList.remove('hidden');
+        container.setAttribute('aria-valuenow', String(percent));
+    }
+    if (bar) bar.style.width = `${percent}%`;
+    if (text) {
+        const counts = `${progress.inserted || 0} new · ${progress.updated || 0} updated · ${progress.errors || 0} errors`;
+        if (total > 0) {
+            text.textContent = `${processed} / ${total} rows · ${counts}`;
+        } else if (processed > 0) {
+            // Large workbooks are streamed, so the row total is only known at the end
+            text.textContent = `${processed} rows read · ${counts}`;
+        } else {
+            text.textContent = 'Waiting for the import to start...';
+        }
+    }
+}
+
 function hideUploadStatus() {
     const status = document.getElementById('uploadStatus');
     const statusText = document.getElementById('uploadStatusText');
     const cancelBtn = document.getElementById('excelCancelBtn');
     const closeBtns = document.querySelectorAll('.modal-close-btn');
+    const spinner = document.getElementById('uploadSpinner');
+    const progress = document.getElementById('uploadProgress');
+    const bar = document.getElementById('uploadProgressBar');
 
     if (statusText) statusText.textContent = '';
     if (status) status.classList.add('hidden');
+    if (spinner) spinner.classList.remove('hidden');
+    if (progress) progress.classList.add('hidden');
+    if (bar) bar.style.width = '0%';
     if (cancelBtn) cancelBtn.disabled = false;
     if (closeBtns) closeBtns.forEach(b => b.disabled = false);
 }
@@ -111,8 +524,34 @@ async function uploadExcel() {
         return;
     }
 
+    const mappings = getSelectedMappings();
+    if (importPreview && mappings.length === 0) {
+        alert('Please tick at least one worksheet to import');
+        return;
+    }
+
+    const unmapped = mappings.find(sheetMapping => sheetMapping.columns.phone === null);
+    if (unmapped) {
+        alert(`Please choose which column contains the phone numbers on worksheet "${unmapped.sheetName}"`);
+        return;
+    }
+
+    let mapping = null;
+    if (mappings.length === 1) {
+        mapping = mappings[0];
+    } else if (mappings.length > 1) {
+        mapping = { sheets: mappings };
+    }
+
+    const dryRun = document.getElementById('excelDryRun')?.checked === true;
+
     const formData = new FormData();
     formData.append('file', selectedFile);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    formData.append('conflictPolicy', JSON.stringify(getConflictPolicy()));
+    const defaultCountry = document.getElementById('importCountry')?.value;
+    if (defaultCountry) formData.append('defaultCountry', defaultCountry);
+    if (dryRun) formData.append('dryRun', 'true');
 
     try {
         // Find the upload button within the modal
@@ -126,7 +565,7 @@ async function uploadExcel() {
         }
         showUploadStatus('Uploading...');
 
-        const response = await fetch(`${API_BASE_URL}/api/upload`, {
+        const response = await fetch(`${API_BASE_URL}${mapping ? '/api/upload/commit' : '/api/upload'}`, {
             method: 'POST',
             credentials: 'include',
             body: formData
@@ -134,40 +573,22 @@ async function uploadExcel() {
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Upload failed');
+            throw uploadError(errorData, 'Upload failed');
         }
 
-        const result = await response.json();
+        const queued = await response.json();
+        showUploadProgress();
 
-        // Success
-        const lines = [
-            `Successfully uploaded!`,
-            `Rows processed: ${result.rows || 0}`,
-            `New records: ${result.stored || 0}`,
-            `Updated records: ${result.updated || 0}`,
-            `Validated (SG): ${result.validated || 0}`
-        ];
+        const result = await waitForJob(queued.jobId, showUploadProgress);
 
-        if (typeof result.insertedDelta === 'number') {
-            lines.push(`Inserted into DB (delta): ${result.insertedDelta}`);
-        }
-        if (typeof result.checkTableCountAfter === 'number') {
-            lines.push(`Check table total after: ${result.checkTableCountAfter}`);
-        }
-        if (result.errors && result.errors.length) {
-            lines.push(`(First ${result.errors.length} error(s)):`);
-            result.errors.forEach((e, idx) => lines.push(`  ${idx + 1}. ${e}`));
+        if (result.dryRun) {
+            closeExcelModal();
+            showDryRunResult(result);
+            return;
         }
 
-        alert(lines.join('\n'));
-
+        await showImportSummary(result);
         closeExcelModal();
-
-        // Reload data to show the newly uploaded companies and refresh counts
-        await loadCompaniesData();
-        // Also refresh total validation counts since new data was added
-        await updateTotalValidationCounts();
-
     } catch (error) {
         console.error('Upload error:', error);
         alert(`Upload failed: ${error.message}`);
@@ -183,14 +604,755 @@ async function uploadExcel() {
     }
 }
 
+// "Data (headers on row 4), More (headers on row 1)" for the sheets an import read
+function formatSheetHeaderRows(result) {
+    const headerRows = result.headerRows || {};
+    return result.sheets.map(name =>
+        headerRows[name] ? `${name} (headers on row ${headerRows[name]})` : name
+    ).join(', ');
+}
+
+// Tell the user how a finished import went and refresh the table
+async function showImportSummary(result) {
+    const lines = [
+        `Successfully uploaded!`,
+        `Rows processed: ${result.rows || 0}`,
+        `New records: ${result.stored || 0}`,
+        `Updated records: ${result.updated || 0}`,
+        `Validated (SG): ${result.validated || 0}`
+    ];
+
+    if (result.sheets && result.sheets.length) {
+        lines.splice(2, 0, `Worksheets imported: ${formatSheetHeaderRows(result)}`);
+    }
+
+    if (result.flagged) {
+        lines.push(`Values flagged for review: ${result.flagged} (open the Review page to resolve them)`);
+    }
+
+    if (typeof result.insertedDelta === 'number') {
+        lines.push(`Inserted into DB (delta): ${result.insertedDelta}`);
+    }
+    if (typeof result.checkTableCountAfter === 'number') {
+        lines.push(`Check table total after: ${result.checkTableCountAfter}`);
+    }
+    if (result.errors && result.errors.length) {
+        lines.push(`(First ${result.errors.length} error(s)):`);
+        result.errors.forEach((e, idx) => lines.push(`  ${idx + 1}. ${e}`));
+    }
+
+    const issues = result.issues || {};
+    const issueTotal = (issues.rejected || 0) + (issues.skipped || 0) + (issues.warning || 0);
+    if (issueTotal > 0 && result.reportUrl) {
+        lines.push(`Rows needing attention: ${issues.rejected || 0} rejected, ${issues.skipped || 0} skipped, ${issues.warning || 0} with warnings.`);
+        lines.push('', 'Download the annotated import result file now?');
+        if (confirm(lines.join('\n'))) {
+            window.location.href = `${API_BASE_URL}${result.reportUrl}`;
+        }
+    } else {
+        alert(lines.join('\n'));
+    }
+
+    // Reload data to show the newly uploaded companies and refresh counts
+    await loadCompaniesData();
+    // Also refresh total validation counts since new data was added
+    await updateTotalValidationCounts();
+}
+
+// ============= DRY RUN =============
+
+function closeDryRunModal() {
+    const modal = document.getElementById('dryRunModal');
+    if (modal) modal.classList.add('hidden');
+    pendingDryRun = null;
+}
+
+// Small table used by the dry-run sections
+function renderDryRunTable(title, headers, rows) {
+    if (rows.length === 0) return '';
+
+    return `
+        <h3 class="text-sm font-semibold mt-3 mb-1">${escapeHtml(title)}</h3>
+        <div class="table-container overflow-x-auto">
+            <table class="w-full text-xs table-auto">
+                <thead><tr>${headers.map(header => `<th class="text-left whitespace-nowrap px-2 py-1">${escapeHtml(header)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell => `<td class="px-2 py-1">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        </div>`;
+}
+
+// Show what an import would change and offer to run it for real
+function showDryRunResult(result) {
+    const modal = document.getElementById('dryRunModal');
+    const summary = document.getElementById('dryRunSummary');
+    const details = document.getElementById('dryRunDetails');
+    const status = document.getElementById('dryRunStatus');
+    const approveBtn = document.getElementById('dryRunApproveBtn');
+    if (!modal || !summary || !details) return;
+
+    pendingDryRun = result;
+    const counts = result.counts || {};
+    const issues = result.issues || {};
+    const formatValue = value => value === null || value === undefined || value === '' ? '(empty)' : String(value);
+
+    const sheets = result.sheets && result.sheets.length ? ` from ${formatSheetHeaderRows(result)}` : '';
+    summary.textContent = `${result.filename || 'File'}: ${result.totalRecords || 0} rows read${sheets}. ` +
+        `${counts.inserts || 0} new, ${counts.updates || 0} updated, ${counts.unchanged || 0} unchanged, ` +
+        `${counts.conflicts || 0} rejected (ID stored with another phone), ${counts.flagged || 0} value(s) flagged for review, ` +
+        `${counts.newDuplicatePhones || 0} phone(s) would become duplicates. ` +
+        `${issues.skipped || 0} row(s) skipped, ${issues.warning || 0} with warnings. Nothing has been written yet.`;
+
+    const updateRows = [];
+    (result.updates || []).forEach(update => {
+        Object.entries(update.changes).forEach(([column, change]) => {
+            updateRows.push([update.id, update.phone, column, formatValue(change.before), formatValue(change.after)]);
+        });
+    });
+
+    details.innerHTML = [
+        renderDryRunTable('Updated rows', ['ID', 'Phone', 'Field', 'Before', 'After'], updateRows),
+        renderDryRunTable('Flagged for review (stored value kept)', ['ID', 'Field', 'Stored', 'In file'],
+            (result.flagged || []).map(entry => [entry.id, entry.field, formatValue(entry.existing), formatValue(entry.incoming)])),
+        renderDryRunTable('New duplicate phones', ['Phone', 'Existing IDs', 'New IDs'],
+            (result.newDuplicatePhones || []).map(entry => [entry.phone, entry.existingIds.join(', '), entry.incomingIds.join(', ')])),
+        renderDryRunTable('Rejected: ID already stored with another phone', ['ID', 'Phone in file', 'Stored phone'],
+            (result.conflicts || []).map(conflict => [conflict.id, conflict.phone, conflict.existingPhone])),
+        renderDryRunTable('New rows', ['ID', 'Phone', 'Company Name', 'Email', 'Website'],
+            (result.inserts || []).map(insert => [insert.id, insert.phone, insert.companyName || '', insert.email || '', insert.website || '']))
+    ].join('') + (result.truncated ? '<p class="text-xs mt-2" style="color: var(--text-tertiary);">Lists are shortened; the counts above cover every row.</p>' : '');
+
+    if (status) status.textContent = '';
+    if (approveBtn) {
+        approveBtn.disabled = !result.storedFilename;
+        approveBtn.title = result.storedFilename ? '' : 'The uploaded file was not kept; upload it again to import';
+    }
+    modal.classList.remove('hidden');
+}
+
+// Import the stored file of the dry run with the same mapping and conflict policy
+async function approveDryRun() {
+    if (!pendingDryRun || !pendingDryRun.storedFilename) return;
+
+    const approveBtn = document.getElementById('dryRunApproveBtn');
+    const status = document.getElementById('dryRunStatus');
+    const dryRun = pendingDryRun;
+
+    try {
+        if (approveBtn) approveBtn.disabled = true;
+        if (status) status.textContent = 'Importing...';
+
+        const response = await fetch(`${API_BASE_URL}/api/files/${encodeURIComponent(dryRun.storedFilename)}/reimport`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                // Without a mapping, import the same worksheets the dry run read
+                ...(dryRun.mapping ? { mapping: dryRun.mapping } : {}),
+                ...(!dryRun.mapping && dryRun.sheets && dryRun.sheets.length ? { sheets: dryRun.sheets } : {}),
+                conflictPolicy: dryRun.conflictPolicy,
+                ...(dryRun.defaultCountry ? { defaultCountry: dryRun.defaultCountry } : {})
+            })
+        });
+        const queued = await response.json();
+
+        if (!response.ok || !queued.success) {
+            throw uploadError(queued, 'Import failed');
+        }
+
+        const result = await waitForJob(queued.jobId, progress => {
+            if (status && progress.total) {
+                status.textContent = `Importing... ${progress.processed || 0} / ${progress.total} rows`;
+            }
+        });
+
+        closeDryRunModal();
+        await showImportSummary(result);
+    } catch (error) {
+        console.error('Approved import error:', error);
+        if (status) status.textContent = '';
+        if (approveBtn) approveBtn.disabled = false;
+        alert(`Import failed: ${error.message}`);
+    }
+}
+
+// ============= IMPORT HISTORY =============
+
+function openImportHistoryModal() {
+    const modal = document.getElementById('importHistoryModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        loadImportHistory();
+    }
+}
+
+function closeImportHistoryModal() {
+    const modal = document.getElementById('importHistoryModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function loadImportHistory() {
+    const body = document.getElementById('importHistoryBody');
+    if (!body) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/import-batches`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load import history');
+        }
+
+        if (result.data.length === 0) {
+            body.innerHTML = '<tr><td colspan="10" class="px-4 py-3" style="color: var(--text-tertiary);">No imports yet.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = result.data.map(batch => {
+            const canRollback = batch.status === 'completed' || batch.status === 'failed';
+            const errors = Array.isArray(batch.errors) ? batch.errors.join('\n') : '';
+
+            return `
+                <tr>
+                    <td class="px-2 py-2">${escapeHtml(new Date(batch.created_at).toLocaleString())}</td>
+                    <td class="px-2 py-2" title="${escapeHtml(batch.checksum || '')}">
+                        ${batch.stored_filename
+                            ? `<a href="${API_BASE_URL}/api/import-batches/${batch.id}/file" class="hover:underline" style="color: var(--accent-blue);">${escapeHtml(batch.filename)}</a>`
+                            : escapeHtml(batch.filename)}
+                    </td>
+                    <td class="px-2 py-2">${escapeHtml(batch.uploaded_by_name || '')}</td>
+                    <td class="px-2 py-2">${batch.total_rows}</td>
+                    <td class="px-2 py-2">${batch.inserted_rows}</td>
+                    <td class="px-2 py-2">${batch.updated_rows}</td>
+                    <td class="px-2 py-2" title="${escapeHtml(errors)}">${batch.error_count}</td>
+                    <td class="px-2 py-2">
+                        ${batch.issue_count > 0
+                            ? `${batch.issue_count}
+                               <a href="${API_BASE_URL}/api/import-batches/${batch.id}/report" class="hover:underline ml-1" style="color: var(--accent-blue);" title="Uploaded file with an Import Result column">Report</a>
+                               <a href="${API_BASE_URL}/api/import-batches/${batch.id}/report?only=failures" class="hover:underline ml-1" style="color: var(--accent-blue);" title="Only rejected and skipped rows, ready to fix and re-upload">Failures</a>`
+                            : '0'}
+                    </td>
+                    <td class="px-2 py-2">${escapeHtml(batch.status.replace('_', ' '))}</td>
+                    <td class="px-2 py-2">
+                        ${canRollback ? `<button type="button" class="btn-secondary px-3 py-1 text-xs" onclick="rollbackImportBatch(${batch.id})">Roll back</button>` : ''}
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading import history:', error);
+        body.innerHTML = `<tr><td colspan="10" class="px-4 py-3">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+async function rollbackImportBatch(batchId) {
+    if (!confirm('Roll back this import? Rows it added will be deleted and rows it changed will be restored.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/import-batches/${batchId}/rollback`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Rollback failed');
+        }
+
+        const lines = [
+            'Import rolled back.',
+            `Rows deleted: ${result.deleted}`,
+            `Rows restored: ${result.restored}`
+        ];
+        if (result.skipped > 0) {
+            lines.push(`Rows skipped (changed by a later import): ${result.skipped}`);
+        }
+        alert(lines.join('\n'));
+
+        await loadImportHistory();
+        await loadCompaniesData(currentPage);
+    } catch (error) {
+        console.error('Rollback error:', error);
+        alert(`Rollback failed: ${error.message}`);
+    }
+}
+
+// ============= PHONE REPAIRS =============
+
+// Suggestions currently listed, keyed by record ID
+let phoneRepairRecords = new Map();
+
+function openPhoneRepairModal() {
+    const modal = document.getElementById('phoneRepairModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        loadPhoneRepairs();
+    }
+}
+
+function closePhoneRepairModal() {
+    const modal = document.getElementById('phoneRepairModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function getPhoneRepairFilters() {
+    return {
+        rule: document.getElementById('phoneRepairRule')?.value || '',
+        minConfidence: document.getElementById('phoneRepairConfidence')?.value || '0'
+    };
+}
+
+async function loadPhoneRepairs() {
+    const body = document.getElementById('phoneRepairBody');
+    const summary = document.getElementById('phoneRepairSummary');
+    const selectAll = document.getElementById('phoneRepairSelectAll');
+    if (!body) return;
+    if (selectAll) selectAll.checked = false;
+
+    try {
+        const params = new URLSearchParams({ ...getPhoneRepairFilters(), limit: '200' });
+        const response = await fetch(`${API_BASE_URL}/api/phone-repairs?${params}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load phone repairs');
+        }
+
+        phoneRepairRecords = new Map(result.data.map(record => [record.id, record]));
+        if (summary) {
+            summary.textContent = result.total > result.data.length
+                ? `Showing ${result.data.length} of ${result.total} repairable numbers`
+                : `${result.total} repairable number${result.total === 1 ? '' : 's'}`;
+        }
+
+        if (result.data.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" class="px-4 py-3" style="color: var(--text-tertiary);">No wrong numbers with a suggested repair.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = result.data.map(record => `
+            <tr>
+                <td class="px-2 py-2"><input type="checkbox" data-repair-id="${escapeHtml(record.id)}" aria-label="Select repair for ${escapeHtml(record.id)}"></td>
+                <td class="px-2 py-2">${escapeHtml(record.id)}</td>
+                <td class="px-2 py-2">${escapeHtml(record.companyName || '')}</td>
+                <td class="px-2 py-2" title="${escapeHtml(record.invalidReason || '')}">
+                    ${escapeHtml(record.phone)}
+                    ${record.phoneRaw && record.phoneRaw !== record.phone ? `<div class="text-xs" style="color: var(--text-tertiary);">File: ${escapeHtml(record.phoneRaw)}</div>` : ''}
+                </td>
+                <td class="px-2 py-2">
+                    <select class="modal-input text-xs" data-repair-choice="${escapeHtml(record.id)}" aria-label="Repair for ${escapeHtml(record.id)}">
+                        ${record.candidates.map(candidate => `
+                            <option value="${escapeHtml(candidate.phone)}" title="${escapeHtml(candidate.note || '')}">
+                                ${escapeHtml(candidate.phone)} (${escapeHtml(candidate.country)}) · ${escapeHtml(candidate.label)} · ${Math.round(candidate.confidence * 100)}%
+                            </option>`).join('')}
+                    </select>
+                    ${record.candidates[0].note ? `<div class="text-xs" style="color: var(--text-tertiary);">${escapeHtml(record.candidates[0].note)}</div>` : ''}
+                </td>
+            </tr>`).join('');
+    } catch (error) {
+        console.error('Error loading phone repairs:', error);
+        body.innerHTML = `<tr><td colspan="5" class="px-4 py-3">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+function toggleAllPhoneRepairs(checked) {
+    document.querySelectorAll('input[data-repair-id]').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+}
+
+// Report the outcome of accepted repairs, then refresh the list, the table and the counts
+async function finishPhoneRepairs(result) {
+    const lines = [`Numbers repaired: ${result.repaired}`];
+    if (result.ambiguous > 0) {
+        lines.push(`Left for review (two equally likely repairs): ${result.ambiguous}`);
+    }
+    if (result.skipped && result.skipped.length > 0) {
+        lines.push(`Skipped: ${result.skipped.length}`);
+        result.skipped.slice(0, 5).forEach(skip => lines.push(`  ${skip.id}: ${skip.reason}`));
+    }
+    alert(lines.join('\n'));
+
+    await loadPhoneRepairs();
+    await loadCompaniesData(currentPage);
+    await updateTotalValidationCounts();
+}
+
+async function applySelectedPhoneRepairs() {
+    const repairs = Array.from(document.querySelectorAll('input[data-repair-id]:checked')).map(checkbox => {
+        const id = checkbox.dataset.repairId;
+        const choice = document.querySelector(`select[data-repair-choice="${CSS.escape(id)}"]`);
+        return { id, phone: choice ? choice.value : phoneRepairRecords.get(id).candidates[0].phone };
+    });
+
+    if (repairs.length === 0) {
+        alert('Please tick at least one number to repair');
+        return;
+    }
+
+    await submitPhoneRepairs('/api/phone-repairs/apply', { repairs });
+}
+
+async function applyFilteredPhoneRepairs() {
+    const filters = getPhoneRepairFilters();
+    // Accepting everything without a confidence floor falls back to the server's high-confidence default
+    const minConfidence = parseFloat(filters.minConfidence) > 0 ? filters.minConfidence : null;
+    const floor = minConfidence ? `${Math.round(parseFloat(minConfidence) * 100)}%` : 'the default confidence (80%)';
+    if (!confirm(`Accept the best repair for every listed number at or above ${floor}?`)) {
+        return;
+    }
+
+    await submitPhoneRepairs('/api/phone-repairs/apply-filtered', { rule: filters.rule || null, minConfidence });
+}
+
+async function submitPhoneRepairs(path, body) {
+    const status = document.getElementById('phoneRepairStatus');
+
+    try {
+        if (status) status.textContent = 'Applying repairs...';
+
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Repair failed');
+        }
+
+        if (status) status.textContent = '';
+        await finishPhoneRepairs(result);
+    } catch (error) {
+        console.error('Phone repair error:', error);
+        if (status) status.textContent = '';
+        alert(`Repair failed: ${error.message}`);
+    }
+}
+
+async function loadPhoneRepairHistory() {
+    const body = document.getElementById('phoneRepairHistoryBody');
+    if (!body) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/phone-repairs/history`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load repair history');
+        }
+
+        if (result.data.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="px-4 py-3" style="color: var(--text-tertiary);">No repairs yet.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = result.data.map(repair => `
+            <tr>
+                <td class="px-2 py-2">${escapeHtml(new Date(repair.repaired_at).toLocaleString())}</td>
+                <td class="px-2 py-2">${escapeHtml(repair.record_id)}</td>
+                <td class="px-2 py-2" title="${escapeHtml(repair.original_raw || '')}">${escapeHtml(repair.original_phone)}</td>
+                <td class="px-2 py-2">${escapeHtml(repair.repaired_phone)}</td>
+                <td class="px-2 py-2">${escapeHtml(repair.rule.replace(/_/g, ' '))} · ${Math.round(repair.confidence * 100)}%</td>
+                <td class="px-2 py-2">${escapeHtml(repair.repaired_by_name || '')}</td>
+            </tr>`).join('');
+    } catch (error) {
+        console.error('Error loading phone repair history:', error);
+        body.innerHTML = `<tr><td colspan="6" class="px-4 py-3">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+// ============= PHONE REVALIDATION =============
+
+function openRevalidationModal() {
+    const modal = document.getElementById('revalidationModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        loadRevalidationCountries();
+        loadRevalidationStatus();
+    }
+}
+
+function closeRevalidationModal() {
+    const modal = document.getElementById('revalidationModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+// Show the validator version and how many records older rules checked
+async function loadRevalidationStatus() {
+    const version = document.getElementById('revalidationVersion');
+    if (!version) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/phone-validation`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load validation status');
+        }
+
+        const { validatorVersion, outdatedRecords, checkTableRecords } = result.data;
+        version.textContent = `Rules ${validatorVersion} · ${outdatedRecords} of ${checkTableRecords} records checked by older rules`;
+    } catch (error) {
+        console.error('Error loading validation status:', error);
+        version.textContent = error.message;
+    }
+}
+
+async function loadRevalidationCountries() {
+    const select = document.getElementById('revalidationCountry');
+    if (!select || select.options.length > 1) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/phone-countries`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        if (!result.success) return;
+
+        select.innerHTML = ['<option value="">All countries</option>'].concat(result.data.countries.map(country =>
+            `<option value="${country.code}">${escapeHtml(country.name)} (${country.code})</option>`
+        )).join('');
+    } catch (error) {
+        console.error('Error loading phone countries:', error);
+    }
+}
+
+function showRevalidationProgress(progress = {}) {
+    const container = document.getElementById('revalidationProgress');
+    const bar = document.getElementById('revalidationProgressBar');
+    const text = document.getElementById('revalidationProgressText');
+
+    const total = progress.total || 0;
+    const processed = progress.processed || 0;
+    const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+
+    if (container) {
+        container.classList.remove('hidden');
+        container.setAttribute('aria-valuenow', String(percent));
+    }
+    if (bar) bar.style.width = `${percent}%`;
+    if (text) {
+        text.textContent = `${processed} / ${total} records · ${progress.becameValid || 0} now valid · ${progress.becameInvalid || 0} now wrong`;
+    }
+}
+
+async function startRevalidation() {
+    const startBtn = document.getElementById('revalidationStartBtn');
+    const summary = document.getElementById('revalidationSummary');
+    const scope = document.getElementById('revalidationScope')?.value || 'outdated';
+    const country = document.getElementById('revalidationCountry')?.value || '';
+
+    try {
+        if (startBtn) startBtn.disabled = true;
+        if (summary) summary.textContent = 'Queued...';
+
+        const response = await fetch(`${API_BASE_URL}/api/admin/phone-validation/revalidate`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scope, countries: country ? [country] : [] })
+        });
+        const queued = await response.json();
+
+        if (!response.ok || !queued.success) {
+            throw new Error(queued.error || 'Failed to start revalidation');
+        }
+
+        showRevalidationProgress();
+        const result = await waitForJob(queued.jobId, progress => {
+            if (summary) summary.textContent = '';
+            showRevalidationProgress(progress);
+        });
+        showRevalidationProgress(result);
+
+        const reasons = Object.entries(result.invalidReasons || {})
+            .map(([reason, count]) => `${invalidReasonLabels[reason] || reason} ${count}`)
+            .join(', ');
+        if (summary) {
+            summary.innerHTML = `
+                <p>Revalidated ${result.processed} records: ${result.validSingaporeNumbers} valid, ${result.invalidNumbers} wrong${reasons ? ` (${escapeHtml(reasons)})` : ''}.</p>
+                <p><strong>${result.becameValid}</strong> became valid and <strong>${result.becameInvalid}</strong> became wrong numbers.</p>
+                ${result.failed > 0 ? `<p>${result.failed} records could not be updated.</p>` : ''}`;
+        }
+
+        await loadRevalidationStatus();
+        await loadCompaniesData(currentPage);
+        await updateTotalValidationCounts();
+    } catch (error) {
+        console.error('Revalidation error:', error);
+        if (summary) summary.textContent = `Revalidation failed: ${error.message}`;
+    } finally {
+        if (startBtn) startBtn.disabled = false;
+    }
+}
+
+// ============= BACKGROUND JOBS =============
+
+// Follow a background job over SSE, falling back to polling, and resolve with its result
+function waitForJob(jobId, onProgress) {
+    return new Promise((resolve, reject) => {
+        let pollTimer = null;
+
+        const handleEvent = (job) => {
+            if (job.progress && onProgress) onProgress(job.progress);
+
+            if (job.status === 'completed') {
+                resolve(job.result || {});
+                return true;
+            }
+            if (job.status === 'failed') {
+                reject(new Error(job.error || 'Import failed'));
+                return true;
+            }
+            return false;
+        };
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`, {
+                    method: 'GET',
+                    credentials: 'include'
+                });
+                const result = await response.json();
+
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || 'Failed to fetch job status');
+                }
+                if (!handleEvent(result.data)) {
+                    pollTimer = setTimeout(poll, 1000);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        };
+
+        if (!window.EventSource) {
+            poll();
+            return;
+        }
+
+        const source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`, { withCredentials: true });
+
+        source.onmessage = (event) => {
+            if (handleEvent(JSON.parse(event.data))) source.close();
+        };
+
+        source.onerror = () => {
+            // Stream dropped (proxy timeout, server restart); keep following the job by polling
+            source.close();
+            if (!pollTimer) poll();
+        };
+    });
+}
+
 // ============= DATA MANAGEMENT =============
 
+// Query string for the selected postal district and contact status, e.g. "&district=20&emailStatus=valid,free_mail";
+// empty when nothing is selected. Contact filter options hold the query parameters themselves.
+function getRecordFilterQuery(separator = '&') {
+    const districtFilter = cachedElements.districtFilter || document.getElementById('districtFilter');
+    const contactFilter = cachedElements.contactFilter || document.getElementById('contactFilter');
+    const params = [];
+
+    if (districtFilter && districtFilter.value) params.push(`district=${encodeURIComponent(districtFilter.value)}`);
+    if (contactFilter && contactFilter.value) params.push(contactFilter.value);
+
+    return params.length > 0 ? `${separator}${params.join('&')}` : '';
+}
+
+// Badge labels for email and website statuses that need attention; usable values get no badge
+const contactStatusBadges = {
+    free_mail: { label: 'Free mail', title: 'Webmail address such as Gmail; usable but not a company domain' },
+    disposable: { label: 'Disposable', title: 'Temporary inbox that stops working; not usable' },
+    invalid: { label: 'Invalid', title: 'Not a valid address' },
+    placeholder: { label: 'Placeholder', title: 'Filler value such as "---" or "N/A"' }
+};
+
+// Labels for the stored phone number types
+const phoneTypeLabels = {
+    mobile: 'Mobile',
+    fixed_line: 'Fixed line',
+    fixed_line_or_mobile: 'Fixed line or mobile',
+    toll_free: 'Toll-free',
+    premium_rate: 'Premium rate',
+    voip: 'VoIP',
+    shared_cost: 'Shared cost',
+    personal_number: 'Personal number',
+    pager: 'Pager',
+    uan: 'UAN',
+    voicemail: 'Voicemail',
+    unknown: 'Unknown'
+};
+
+// Labels for the reasons a phone number is not a valid Singapore number
+const invalidReasonLabels = {
+    too_short: 'Too short',
+    too_long: 'Too long',
+    wrong_leading_digit: 'Wrong leading digit',
+    foreign_country: 'Foreign country code',
+    non_numeric: 'Not a number',
+    placeholder: 'Placeholder value',
+    empty: 'Empty',
+    invalid_number: 'Not a valid number'
+};
+
+function renderContactStatusBadge(status) {
+    const badge = contactStatusBadges[status];
+    if (!badge) return '';
+    return `<span class="contact-badge contact-badge-${status}" title="${escapeHtml(badge.title)}">${escapeHtml(badge.label)}</span>`;
+}
+
+async function loadPostalDistricts() {
+    const districtFilter = cachedElements.districtFilter || document.getElementById('districtFilter');
+    if (!districtFilter) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/postal-districts`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success || !Array.isArray(result.data)) return;
+
+        // Group districts by region, in the order the server lists the regions
+        const optionGroups = (result.regions || []).map(region => {
+            const options = result.data
+                .filter(district => district.region === region)
+                .map(district => `<option value="${district.district}">D${String(district.district).padStart(2, '0')} · ${escapeHtml(district.location)}</option>`)
+                .join('');
+            return options ? `<optgroup label="${escapeHtml(region)}">${options}</optgroup>` : '';
+        }).join('');
+
+        districtFilter.innerHTML = `<option value="">All districts</option>${optionGroups}`;
+    } catch (error) {
+        console.error('Error loading postal districts:', error);
+    }
+}
+
 async function loadCompaniesData(page = 1) {
     try {
         currentPage = page;
         const offset = (page - 1) * pageSize;
 
-        const response = await fetch(`${API_BASE_URL}/api/companies?limit=${pageSize}&offset=${offset}`, {
+        const response = await fetch(`${API_BASE_URL}/api/companies?limit=${pageSize}&offset=${offset}${getRecordFilterQuery()}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -237,9 +1399,38 @@ async function updateTotalValidationCounts() {
                 const finishCountEl = cachedElements.finishCount || document.getElementById('finishCount');
 
                 if (duplicateCountEl) duplicateCountEl.textContent = stats.duplicateCount;
-                if (invalidCountEl) invalidCountEl.textContent = stats.invalidCount;
+                if (invalidCountEl) {
+                    invalidCountEl.textContent = stats.invalidCount;
+                    invalidCountEl.title = Object.entries(stats.invalidReasonCounts || {})
+                        .filter(([, count]) => count > 0)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([reason, count]) => `${invalidReasonLabels[reason] || reason} ${count}`)
+                        .join(' · ');
+                }
                 if (totalCountEl) totalCountEl.textContent = stats.totalRecords;
                 if (finishCountEl) finishCountEl.textContent = stats.finishCount;
+
+                // Emails and websites that cannot be used: invalid, placeholder and (emails) disposable
+                const emailIssueCountEl = cachedElements.emailIssueCount || document.getElementById('emailIssueCount');
+                const websiteIssueCountEl = cachedElements.websiteIssueCount || document.getElementById('websiteIssueCount');
+                const emailCounts = stats.emailStatusCounts || {};
+                const websiteCounts = stats.websiteStatusCounts || {};
+                if (emailIssueCountEl) {
+                    emailIssueCountEl.textContent = (emailCounts.invalid || 0) + (emailCounts.placeholder || 0) + (emailCounts.disposable || 0);
+                    emailIssueCountEl.title = `Invalid ${emailCounts.invalid || 0} · Placeholder ${emailCounts.placeholder || 0} · Disposable ${emailCounts.disposable || 0} · Free mail ${emailCounts.free_mail || 0} · Valid ${emailCounts.valid || 0}`;
+                }
+                if (websiteIssueCountEl) {
+                    websiteIssueCountEl.textContent = (websiteCounts.invalid || 0) + (websiteCounts.placeholder || 0);
+                    websiteIssueCountEl.title = `Invalid ${websiteCounts.invalid || 0} · Placeholder ${websiteCounts.placeholder || 0} · Valid ${websiteCounts.valid || 0}`;
+                }
+
+                const phoneTypeSummaryEl = cachedElements.phoneTypeSummary || document.getElementById('phoneTypeSummary');
+                if (phoneTypeSummaryEl) {
+                    phoneTypeSummaryEl.textContent = Object.entries(stats.phoneTypeCounts || {})
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([type, count]) => `${phoneTypeLabels[type] || type} ${count}`)
+                        .join(' · ');
+                }
             }
         }
     } catch (error) {
@@ -270,6 +1461,7 @@ function renderTable(data = []) {
         // Determine background color based on validation
         let rowBgStyle = '';
         let phoneStyle = '';
+        let phoneTitle = '';
 
         const status = company.Status !== undefined ? company.Status : company.status;
         const isValidSingapore = company.isValidSingaporePhone;
@@ -282,6 +1474,7 @@ function renderTable(data = []) {
             // Red background for invalid Singapore phone numbers
             rowBgStyle = 'background-color: var(--validation-invalid);';
             phoneStyle = 'font-semibold';
+            if (company.invalidReason) phoneTitle = `Invalid: ${company.invalidReason}`;
         } else {
             // Default background for valid or unknown status
             rowBgStyle = '';
@@ -304,13 +1497,31 @@ function renderTable(data = []) {
         const physicalAddress = company.PhysicalAddress || company['Physical Address'] || company.physicalAddress || company.physical_address || '';
         const email = company.Email || company.email || '';
         const website = company.Website || company.website || '';
+        const emailStatus = company.EmailStatus || company.email_status || null;
+        const websiteStatus = company.WebsiteStatus || company.website_status || null;
+        // Invalid and placeholder values are shown as text rather than links
+        const isLinkable = status => !['invalid', 'placeholder'].includes(status);
+        // Normalised websites carry a scheme; older values may not
+        const websiteHref = /^https?:\/\//i.test(website) ? website : `http://${website}`;
+        const emailHtml = !email ? '' : isLinkable(emailStatus)
+            ? `<a href="mailto:${escapeHtml(email)}" style="color: var(--accent-blue);">${escapeHtml(email)}</a>`
+            : escapeHtml(email);
+        const websiteHtml = !website ? '' : isLinkable(websiteStatus)
+            ? `<a href="${escapeHtml(websiteHref)}" target="_blank" rel="noopener noreferrer" style="color: var(--accent-blue);">${escapeHtml(website)}</a>`
+            : escapeHtml(website);
+        const phoneType = company.PhoneType || company.phone_type || '';
+        const phoneCountry = company.PhoneCountry || company.phone_country || '';
+        const phoneTypeText = [phoneType && phoneType !== 'unknown' ? (phoneTypeLabels[phoneType] || phoneType) : '', phoneCountry].filter(Boolean).join(' · ');
+        const siblingPhones = (company.sibling_phones || []).map(phone => String(phone).replace(/(\d{4})(\d{4})/, '$1 $2'));
 
         return `
         <tr onclick="openEditModal('${escapeHtml(String(id))}')" style="cursor: pointer; ${rowBgStyle}">
             <td class="whitespace-nowrap">${rowNumber}</td>
             <td class="whitespace-nowrap">${escapeHtml(id)}</td>
-            <td class="${phoneStyle} whitespace-nowrap">
+            <td class="${phoneStyle} whitespace-nowrap"${phoneTitle ? ` title="${escapeHtml(phoneTitle)}"` : ''}>
                 ${escapeHtml(formattedPhone)}
+                ${phoneTypeText ? `<div class="text-xs" style="color: var(--text-tertiary);" title="${escapeHtml(company.PhoneE164 || company.phone_e164 || '')}">${escapeHtml(phoneTypeText)}</div>` : ''}
+                ${siblingPhones.length > 0 ? `<div class="text-xs" style="color: var(--text-tertiary);" title="Imported from the same row">Also: ${escapeHtml(siblingPhones.join(', '))}</div>` : ''}
                 <div class="phone-search-buttons mt-1 flex gap-2">
                     <a href="https://www.google.com/search?q=%2B65+${encodedFormattedPhone}" target="_blank" rel="noopener noreferrer" class="phone-search-btn plus65 text-xs hover:underline" style="color: var(--accent-blue);">+65 search</a>
                     <a href="https://www.google.com/search?q=%27${encodedCleanPhone}%27" target="_blank" rel="noopener noreferrer" class="phone-search-btn quotes text-xs hover:underline" style="color: var(--accent-blue);">'quotes' search</a>
@@ -319,10 +1530,12 @@ function renderTable(data = []) {
             <td class="whitespace-nowrap">${escapeHtml(companyName)}</td>
             <td class="whitespace-nowrap" style="color: var(--text-tertiary);">${escapeHtml(physicalAddress)}</td>
             <td class="break-all whitespace-nowrap">
-                ${email ? `<a href="mailto:${escapeHtml(email)}" style="color: var(--accent-blue);">${escapeHtml(email)}</a>` : ''}
+                ${emailHtml}
+                ${renderContactStatusBadge(emailStatus)}
             </td>
             <td class="whitespace-nowrap">
-                ${website ? `<a href="http://${escapeHtml(website)}" target="_blank" rel="noopener noreferrer" style="color: var(--accent-blue);">${escapeHtml(website)}</a>` : ''}
+                ${websiteHtml}
+                ${renderContactStatusBadge(websiteStatus)}
             </td>
         </tr>
     `;
@@ -436,6 +1649,12 @@ function renderPagination(result) {
     paginationContainer.innerHTML = paginationHTML;
 }
 
+async function onRecordFilterChange() {
+    // Page numbers refer to the previous filter's results
+    currentPage = 1;
+    await filterTable();
+}
+
 async function filterTable() {
     const searchInput = cachedElements.searchInput || document.getElementById('searchInput');
     if (!searchInput) return;
@@ -443,14 +1662,14 @@ async function filterTable() {
     const searchTerm = searchInput.value.toLowerCase().trim();
 
     if (!searchTerm) {
-        // If search is cleared, reload data with pagination
+        // If search is cleared, reload data with pagination (the district and contact filters are applied there)
         await loadCompaniesData(currentPage);
         return;
     }
 
     try {
         // Search across all records in the database
-        const response = await fetch(`${API_BASE_URL}/api/companies/search?q=${encodeURIComponent(searchTerm)}&limit=100&offset=0`, {
+        const response = await fetch(`${API_BASE_URL}/api/companies/search?q=${encodeURIComponent(searchTerm)}&limit=100&offset=0${getRecordFilterQuery()}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -516,7 +1735,7 @@ async function exportToExcel() {
 
         // Fetch ALL records for export (not just current page)
 
-        const response = await fetch(`${API_BASE_URL}/api/companies?limit=${totalRecords || 10000}&offset=0`, {
+        const response = await fetch(`${API_BASE_URL}/api/companies?limit=${totalRecords || 10000}&offset=0${getRecordFilterQuery()}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -538,8 +1757,14 @@ async function exportToExcel() {
         const exportData = result.data.map(company => ({
             Id: company.Id || company.id || '',
             Phone: company.Phone || company.phone || '',
+            'Phone (E.164)': company.PhoneE164 || company.phone_e164 || '',
+            'Number Type': company.PhoneType || company.phone_type || '',
+            Country: company.PhoneCountry || company.phone_country || '',
             'Company Name': company.CompanyName || company['Company Name'] || company.companyName || company.company_name || '',
             'Physical Address': company.PhysicalAddress || company['Physical Address'] || company.physicalAddress || company.physical_address || '',
+            'Postal Code': company.PostalCode || company.postal_code || '',
+            District: company.District || company.postal_district || '',
+            Region: company.Region || company.postal_region || '',
             Email: company.Email || company.email || '',
             Website: company.Website || company.website || ''
         }));
@@ -593,7 +1818,7 @@ async function exportFinishData() {
         }
 
 
-        const response = await fetch(`${API_BASE_URL}/api/export/finish-data`, {
+        const response = await fetch(`${API_BASE_URL}/api/export/finish-data${getRecordFilterQuery('?')}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -649,7 +1874,7 @@ async function exportNoData() {
         }
 
 
-        const response = await fetch(`${API_BASE_URL}/api/export/no-data`, {
+        const response = await fetch(`${API_BASE_URL}/api/export/no-data${getRecordFilterQuery('?')}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -705,7 +1930,10 @@ async function exportWrongNumber() {
         }
 
 
-        const response = await fetch(`${API_BASE_URL}/api/export/wrong-number`, {
+        const invalidReasonFilter = cachedElements.invalidReasonFilter || document.getElementById('invalidReasonFilter');
+        const reasonQuery = invalidReasonFilter && invalidReasonFilter.value ? `reason=${encodeURIComponent(invalidReasonFilter.value)}` : '';
+        const filterQuery = [getRecordFilterQuery(''), reasonQuery].filter(Boolean).join('&');
+        const response = await fetch(`${API_BASE_URL}/api/export/wrong-number${filterQuery ? `?${filterQuery}` : ''}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -1240,6 +2468,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     cacheElements();
 
     // Load initial data and total validation counts
+    loadPostalDistricts();
     await loadCompaniesData();
     await updateTotalValidationCounts();
 });
@@ -0,0 +1,279 @@
+// Conflict review page: values an import flagged instead of merging, resolved field by field or in bulk
+
+const API_BASE_URL = window.location.origin;
+
+const FIELD_LABELS = {
+    company_name: 'Company Name',
+    physical_address: 'Physical Address',
+    email: 'Email',
+    website: 'Website',
+    phone: 'Phone'
+};
+
+const PAGE_SIZE = 50;
+
+let conflictRecords = [];
+let conflictTotal = 0;
+let conflictOffset = 0;
+let reviewIndex = -1;
+let activeFilters = {};
+
+// ============= HELPERS =============
+
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+}
+
+function formatValue(value) {
+    return value === null || value === undefined || value === '' ? '(empty)' : String(value);
+}
+
+function setConflictStatus(message) {
+    const status = document.getElementById('conflictStatus');
+    if (status) status.textContent = message || '';
+}
+
+function readFilters() {
+    return {
+        batchId: document.getElementById('conflictBatchFilter')?.value || '',
+        field: document.getElementById('conflictFieldFilter')?.value || '',
+        search: document.getElementById('conflictSearch')?.value.trim() || ''
+    };
+}
+
+// ============= LIST =============
+
+async function loadConflicts() {
+    const body = document.getElementById('conflictsBody');
+    const emptyState = document.getElementById('conflictsEmptyState');
+    if (!body) return;
+
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset: conflictOffset });
+    Object.entries(activeFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/import-conflicts?${params}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load conflicts');
+        }
+
+        conflictRecords = result.data;
+        conflictTotal = result.total;
+        renderSummary(result.summary);
+        renderPageInfo(result.conflictTotal);
+
+        if (conflictRecords.length === 0) {
+            body.innerHTML = '';
+            emptyState?.classList.remove('hidden');
+            return;
+        }
+        emptyState?.classList.add('hidden');
+
+        body.innerHTML = conflictRecords.map((record, index) => {
+            const fields = [...new Set(record.conflicts.map(conflict => FIELD_LABELS[conflict.field] || conflict.field))];
+            const imports = [...new Set(record.conflicts.map(conflict =>
+                conflict.batchId ? `#${conflict.batchId}${conflict.filename ? ` ${conflict.filename}` : ''}` : ''
+            ).filter(Boolean))];
+            const flagged = record.conflicts[0] ? new Date(record.conflicts[0].createdAt).toLocaleString() : '';
+
+            return `
+                <tr>
+                    <td class="px-2 py-2">${escapeHtml(record.recordId)}${record.current ? '' : ' <span class="text-xs" style="color: var(--text-tertiary);">(deleted)</span>'}</td>
+                    <td class="px-2 py-2">${escapeHtml(record.current ? record.current.companyName : '')}</td>
+                    <td class="px-2 py-2">${escapeHtml(fields.join(', '))}</td>
+                    <td class="px-2 py-2">${escapeHtml(imports.join(', '))}</td>
+                    <td class="px-2 py-2">${escapeHtml(flagged)}</td>
+                    <td class="px-2 py-2">
+                        <button type="button" class="btn-secondary px-3 py-1 text-xs" onclick="openReviewModal(${index})">Review</button>
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading conflicts:', error);
+        body.innerHTML = `<tr><td colspan="6" class="px-4 py-3">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+function renderSummary(summary) {
+    if (!summary) return;
+
+    document.getElementById('summaryTotal').textContent = summary.total;
+    document.querySelectorAll('[data-summary-field]').forEach(element => {
+        element.textContent = summary.byField[element.dataset.summaryField] || 0;
+    });
+}
+
+function renderPageInfo(matchingConflicts) {
+    const info = document.getElementById('conflictPageInfo');
+    const first = conflictTotal === 0 ? 0 : conflictOffset + 1;
+    const last = Math.min(conflictOffset + PAGE_SIZE, conflictTotal);
+
+    if (info) info.textContent = `Records ${first}–${last} of ${conflictTotal} · ${matchingConflicts} conflicting value(s) match the filters`;
+    document.getElementById('conflictPrevPage').disabled = conflictOffset === 0;
+    document.getElementById('conflictNextPage').disabled = conflictOffset + PAGE_SIZE >= conflictTotal;
+}
+
+function changeConflictPage(direction) {
+    conflictOffset = Math.max(0, conflictOffset + direction * PAGE_SIZE);
+    loadConflicts();
+}
+
+function applyConflictFilters() {
+    activeFilters = readFilters();
+    conflictOffset = 0;
+    setConflictStatus('');
+    loadConflicts();
+}
+
+// ============= BULK ACTIONS =============
+
+async function resolveFilteredConflicts(choice) {
+    // Bulk actions use the filters that produced the list on screen, not unapplied edits to the inputs
+    const filters = activeFilters;
+    const scope = Object.values(filters).some(Boolean) ? 'matching the current filters' : 'waiting for review';
+    const action = choice === 'incoming' ? 'Write the incoming value for every conflict' : 'Keep the stored value for every conflict';
+
+    if (!confirm(`${action} ${scope}?`)) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/import-conflicts/resolve-filtered`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filters, choice })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Bulk resolve failed');
+        }
+
+        setConflictStatus(`${result.accepted} incoming value(s) written, ${result.kept} stored value(s) kept.`);
+        conflictOffset = 0;
+        await loadConflicts();
+    } catch (error) {
+        console.error('Bulk resolve error:', error);
+        alert(`Bulk resolve failed: ${error.message}`);
+    }
+}
+
+// ============= REVIEW MODAL =============
+
+function openReviewModal(index) {
+    const record = conflictRecords[index];
+    const modal = document.getElementById('reviewModal');
+    if (!record || !modal) return;
+
+    reviewIndex = index;
+    document.getElementById('reviewId').value = record.recordId;
+    document.getElementById('reviewPosition').textContent = `${index + 1} / ${conflictRecords.length}`;
+
+    // Stored and incoming values side by side; the stored value is preselected
+    document.getElementById('reviewFields').innerHTML = record.conflicts.map(conflict => {
+        const name = `conflict-${conflict.id}`;
+        const stale = record.current && conflict.current !== conflict.existing
+            ? `<p class="text-xs mt-1" style="color: var(--text-tertiary);">Changed to ${escapeHtml(formatValue(conflict.current))} since the import</p>`
+            : '';
+
+        return `
+            <div>
+                <span class="block text-sm mb-1">${escapeHtml(FIELD_LABELS[conflict.field] || conflict.field)}
+                    <span class="text-xs" style="color: var(--text-tertiary);">· import #${escapeHtml(conflict.batchId || '')}</span></span>
+                <div class="grid grid-cols-2 gap-2">
+                    <label class="flex items-start gap-2">
+                        <input type="radio" name="${name}" value="existing" data-conflict-id="${conflict.id}" checked>
+                        <input type="text" class="modal-input-readonly flex-1" readonly aria-readonly="true"
+                            aria-label="Stored value" value="${escapeHtml(formatValue(conflict.existing))}">
+                    </label>
+                    <label class="flex items-start gap-2">
+                        <input type="radio" name="${name}" value="incoming" data-conflict-id="${conflict.id}">
+                        <input type="text" class="modal-input-readonly flex-1" readonly aria-readonly="true"
+                            aria-label="Incoming value" value="${escapeHtml(formatValue(conflict.incoming))}">
+                    </label>
+                </div>
+                ${stale}
+            </div>`;
+    }).join('');
+
+    document.getElementById('reviewPrevBtn').disabled = index === 0;
+    document.getElementById('reviewNextBtn').disabled = index === conflictRecords.length - 1;
+
+    modal.classList.remove('hidden');
+}
+
+function closeReviewModal() {
+    const modal = document.getElementById('reviewModal');
+    if (modal) modal.classList.add('hidden');
+    reviewIndex = -1;
+}
+
+function navigateReview(direction) {
+    const next = reviewIndex + direction;
+    if (next >= 0 && next < conflictRecords.length) openReviewModal(next);
+}
+
+async function saveReview() {
+    const decisions = Array.from(document.querySelectorAll('#reviewFields input[type="radio"]:checked'))
+        .map(input => ({ id: parseInt(input.dataset.conflictId, 10), choice: input.value }));
+    if (decisions.length === 0) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/import-conflicts/resolve`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ decisions })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Saving the review failed');
+        }
+
+        setConflictStatus(`Record ${conflictRecords[reviewIndex].recordId}: ${result.accepted} incoming value(s) written, ${result.kept} kept.`);
+        closeReviewModal();
+        await loadConflicts();
+    } catch (error) {
+        console.error('Review save error:', error);
+        alert(`Saving the review failed: ${error.message}`);
+    }
+}
+
+// ============= THEME TOGGLE =============
+
+function toggleTheme() {
+    const root = document.documentElement;
+    const themeIcon = document.getElementById('themeIcon');
+    const isLight = root.getAttribute('data-theme') === 'light';
+
+    root.setAttribute('data-theme', isLight ? 'dark' : 'light');
+    if (themeIcon) themeIcon.textContent = isLight ? '🌙' : '☀️';
+    localStorage.setItem('theme', isLight ? 'dark' : 'light');
+}
+
+function initTheme() {
+    const isLight = localStorage.getItem('theme') === 'light';
+    const themeIcon = document.getElementById('themeIcon');
+
+    document.documentElement.setAttribute('data-theme', isLight ? 'light' : 'dark');
+    if (themeIcon) themeIcon.textContent = isLight ? '☀️' : '🌙';
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeReviewModal();
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+    initTheme();
+    await loadConflicts();
+});
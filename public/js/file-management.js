@@ -0,0 +1,232 @@
+// File management page: stored uploads, storage usage and re-import
+
+const API_BASE_URL = window.location.origin;
+
+const FILE_TYPE_LABELS = {
+    excel: 'Excel',
+    text: 'CSV / TSV',
+    pdf: 'PDF'
+};
+
+// ============= HELPERS =============
+
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
+function setFileStatus(message) {
+    const status = document.getElementById('fileStatus');
+    if (status) status.textContent = message || '';
+}
+
+// ============= STORAGE SUMMARY =============
+
+async function loadStorageStats() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/files/stats`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load storage stats');
+        }
+
+        const stats = result.data;
+        document.getElementById('statTotalFiles').textContent = stats.totalFiles;
+        document.getElementById('statTotalSize').textContent = formatBytes(stats.totalSize);
+        document.getElementById('statQuarantined').textContent = stats.quarantinedFiles;
+        document.getElementById('statRetention').textContent = `Retention ${stats.retentionDays} days · max ${formatBytes(stats.maxFileSize)} per file`;
+
+        const byType = Object.entries(stats.sizeByType || {});
+        document.getElementById('statByType').innerHTML = byType.length === 0
+            ? '–'
+            : byType.map(([type, entry]) =>
+                `<div>${escapeHtml(FILE_TYPE_LABELS[type] || type)}: ${entry.count} · ${formatBytes(entry.size)}</div>`
+            ).join('');
+    } catch (error) {
+        console.error('Error loading storage stats:', error);
+        setFileStatus(error.message);
+    }
+}
+
+// ============= FILE LIST =============
+
+async function loadFiles() {
+    const body = document.getElementById('filesBody');
+    const emptyState = document.getElementById('filesEmptyState');
+    if (!body) return;
+
+    const type = document.getElementById('fileTypeFilter')?.value || '';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/files${type ? `?type=${encodeURIComponent(type)}` : ''}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load files');
+        }
+
+        if (result.data.length === 0) {
+            body.innerHTML = '';
+            emptyState?.classList.remove('hidden');
+            return;
+        }
+        emptyState?.classList.add('hidden');
+
+        body.innerHTML = result.data.map(file => {
+            const name = encodeURIComponent(file.filename);
+            const lastImport = file.lastBatch
+                ? `${file.importCount} (last: ${escapeHtml(file.lastBatch.status.replace('_', ' '))})`
+                : '0';
+
+            return `
+                <tr>
+                    <td class="px-2 py-2">${escapeHtml(new Date(file.created).toLocaleString())}</td>
+                    <td class="px-2 py-2" title="${escapeHtml(file.filename)}">${escapeHtml(file.originalName)}</td>
+                    <td class="px-2 py-2">${escapeHtml(FILE_TYPE_LABELS[file.fileType] || file.fileType)}</td>
+                    <td class="px-2 py-2">${formatBytes(file.size)}</td>
+                    <td class="px-2 py-2">${file.sheetCount === null ? '' : file.sheetCount}</td>
+                    <td class="px-2 py-2 font-mono text-xs" title="${escapeHtml(file.checksum || '')}">${escapeHtml((file.checksum || '').slice(0, 12))}</td>
+                    <td class="px-2 py-2">${escapeHtml(file.uploadedBy || '')}</td>
+                    <td class="px-2 py-2">${lastImport}</td>
+                    <td class="px-2 py-2">
+                        <div class="flex gap-2">
+                            <a href="${API_BASE_URL}/api/files/${name}/download" class="btn-secondary px-3 py-1 text-xs">Download</a>
+                            <button type="button" class="btn-secondary px-3 py-1 text-xs" onclick="reimportFile('${escapeHtml(name)}')">Re-import</button>
+                            <button type="button" class="btn-secondary px-3 py-1 text-xs" onclick="deleteStoredFile('${escapeHtml(name)}')">Delete</button>
+                        </div>
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading files:', error);
+        body.innerHTML = `<tr><td colspan="9" class="px-4 py-3">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+async function refreshFileManagement() {
+    await Promise.all([loadStorageStats(), loadFiles()]);
+}
+
+// ============= ACTIONS =============
+
+async function deleteStoredFile(encodedName) {
+    const filename = decodeURIComponent(encodedName);
+    if (!confirm(`Delete ${filename}? The import history is kept, but the file can no longer be downloaded or re-imported.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/files/${encodedName}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Delete failed');
+        }
+
+        await refreshFileManagement();
+    } catch (error) {
+        console.error('Delete error:', error);
+        alert(`Delete failed: ${error.message}`);
+    }
+}
+
+async function reimportFile(encodedName) {
+    const filename = decodeURIComponent(encodedName);
+    if (!confirm(`Import ${filename} again? Columns are detected automatically.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/files/${encodedName}/reimport`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Re-import failed');
+        }
+
+        setFileStatus(`Re-importing ${filename}...`);
+        const job = await waitForJob(result.jobId);
+
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'Re-import failed');
+        }
+
+        const summary = job.result || {};
+        setFileStatus(`Re-imported ${filename}: ${summary.rows || 0} rows, ${summary.stored || 0} new, ${summary.updated || 0} updated.`);
+        await loadFiles();
+    } catch (error) {
+        console.error('Re-import error:', error);
+        setFileStatus('');
+        alert(`Re-import failed: ${error.message}`);
+    }
+}
+
+// Poll a background job until it finishes
+async function waitForJob(jobId) {
+    while (true) {
+        const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to check job status');
+        }
+
+        const job = result.data;
+        if (job.status === 'completed' || job.status === 'failed') return job;
+
+        if (job.progress && job.progress.total) {
+            setFileStatus(`Re-importing... ${job.progress.processed || 0} / ${job.progress.total} rows`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// ============= THEME TOGGLE =============
+
+function toggleTheme() {
+    const root = document.documentElement;
+    const themeIcon = document.getElementById('themeIcon');
+    const isLight = root.getAttribute('data-theme') === 'light';
+
+    root.setAttribute('data-theme', isLight ? 'dark' : 'light');
+    if (themeIcon) themeIcon.textContent = isLight ? '🌙' : '☀️';
+    localStorage.setItem('theme', isLight ? 'dark' : 'light');
+}
+
+function initTheme() {
+    const isLight = localStorage.getItem('theme') === 'light';
+    const themeIcon = document.getElementById('themeIcon');
+
+    document.documentElement.setAttribute('data-theme', isLight ? 'light' : 'dark');
+    if (themeIcon) themeIcon.textContent = isLight ? '☀️' : '🌙';
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    initTheme();
+    await refreshFileManagement();
+});
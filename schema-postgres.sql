@@ -7,6 +7,13 @@
 DROP TABLE IF EXISTS user_logins;
 DROP TABLE IF EXISTS users;
 DROP TABLE IF EXISTS check_table;
+DROP TABLE IF EXISTS import_mapping_profiles;
+DROP TABLE IF EXISTS import_batch_rows;
+DROP TABLE IF EXISTS import_batch_issues;
+DROP TABLE IF EXISTS import_conflicts;
+DROP TABLE IF EXISTS import_batches;
+DROP TABLE IF EXISTS background_jobs;
+DROP TABLE IF EXISTS postal_sectors;
 
 -- ===========================
 -- Table: check_table
@@ -22,6 +29,27 @@ CREATE TABLE check_table (
     website VARCHAR(255) NULL,
     carrier VARCHAR(100) NULL,
     line_type VARCHAR(50) NULL,
+    import_batch_id INT NULL,   -- import_batches.id of the upload that last wrote this row
+    phone_group_id VARCHAR(100) NULL,   -- source row ID shared by numbers imported from the same row
+    postal_code VARCHAR(6) NULL,        -- Singapore postal code found in physical_address
+    address_block VARCHAR(20) NULL,     -- block or house number, street, unit (#05-12) and building parsed from physical_address
+    address_street VARCHAR(255) NULL,
+    address_unit VARCHAR(20) NULL,
+    address_building VARCHAR(255) NULL,
+    additional_emails TEXT NULL,        -- further valid emails from the email cell, comma-separated
+    company_name_raw TEXT NULL,         -- values as read from the file, before normalisation
+    physical_address_raw TEXT NULL,
+    email_raw TEXT NULL,
+    website_raw TEXT NULL,
+    email_status VARCHAR(20) NULL,      -- valid, free_mail, disposable, invalid or placeholder; NULL when there is no email
+    website_status VARCHAR(20) NULL,    -- valid, invalid or placeholder; NULL when there is no website
+    phone_e164 VARCHAR(20) NULL,        -- canonical +65... form of phone; NULL when the number is not valid
+    phone_type VARCHAR(30) NULL,        -- mobile, fixed_line, toll_free, premium_rate, voip, ... or unknown
+    phone_invalid_reason VARCHAR(30) NULL,  -- why status is FALSE: too_short, too_long, wrong_leading_digit, foreign_country, ...
+    phone_invalid_country CHAR(2) NULL, -- country detected for foreign_country, e.g. US
+    phone_country CHAR(2) NULL,         -- country of phone (SG, MY, ID, ...); for numbers valid nowhere, the country they were read as
+    phone_raw TEXT NULL,                -- phone cell(s) as read from the file, before cleaning (e.g. 9.1234567E+07)
+    phone_validator_version VARCHAR(100) NULL,  -- validator rules, libphonenumber-js release and accepted countries that set status
         real_existence BOOLEAN DEFAULT FALSE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -35,6 +63,16 @@ CREATE INDEX idx_created_at ON check_table (created_at);
 CREATE INDEX idx_updated_at ON check_table (updated_at);
 CREATE INDEX idx_company_name ON check_table (company_name);
 CREATE INDEX idx_numeric_id ON check_table (numeric_id);
+CREATE INDEX idx_import_batch_id ON check_table (import_batch_id);
+CREATE INDEX idx_phone_group_id ON check_table (phone_group_id);
+CREATE INDEX idx_postal_code ON check_table (postal_code);
+CREATE INDEX idx_email_status ON check_table (email_status);
+CREATE INDEX idx_website_status ON check_table (website_status);
+CREATE INDEX idx_phone_key ON check_table ((COALESCE(phone_e164, phone)));   -- phones are matched on this key
+CREATE INDEX idx_phone_type ON check_table (phone_type);
+CREATE INDEX idx_phone_invalid_reason ON check_table (phone_invalid_reason);
+CREATE INDEX idx_phone_country ON check_table (phone_country);
+CREATE INDEX idx_phone_validator_version ON check_table (phone_validator_version);
 
 -- Auto-update updated_at timestamp (similar to MySQL ON UPDATE CURRENT_TIMESTAMP)
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -51,6 +89,272 @@ FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
 
 
+-- ===========================
+-- Table: postal_sectors
+-- First two digits of a Singapore postal code -> postal district and region
+-- ===========================
+CREATE TABLE postal_sectors (
+    sector CHAR(2) PRIMARY KEY,
+    district SMALLINT NOT NULL,
+    location VARCHAR(255) NOT NULL,
+    region VARCHAR(20) NOT NULL
+);
+
+CREATE INDEX idx_postal_sectors_district ON postal_sectors (district);
+
+INSERT INTO postal_sectors (sector, district, location, region) VALUES
+    ('01', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('02', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('03', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('04', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('05', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('06', 1, 'Raffles Place, Cecil, Marina, People''s Park', 'Central'),
+    ('07', 2, 'Anson, Tanjong Pagar', 'Central'),
+    ('08', 2, 'Anson, Tanjong Pagar', 'Central'),
+    ('09', 4, 'Telok Blangah, Harbourfront', 'Central'),
+    ('10', 4, 'Telok Blangah, Harbourfront', 'Central'),
+    ('11', 5, 'Pasir Panjang, Hong Leong Garden, Clementi New Town', 'West'),
+    ('12', 5, 'Pasir Panjang, Hong Leong Garden, Clementi New Town', 'West'),
+    ('13', 5, 'Pasir Panjang, Hong Leong Garden, Clementi New Town', 'West'),
+    ('14', 3, 'Queenstown, Tiong Bahru', 'Central'),
+    ('15', 3, 'Queenstown, Tiong Bahru', 'Central'),
+    ('16', 3, 'Queenstown, Tiong Bahru', 'Central'),
+    ('17', 6, 'High Street, Beach Road', 'Central'),
+    ('18', 7, 'Middle Road, Golden Mile', 'Central'),
+    ('19', 7, 'Middle Road, Golden Mile', 'Central'),
+    ('20', 8, 'Little India', 'Central'),
+    ('21', 8, 'Little India', 'Central'),
+    ('22', 9, 'Orchard, Cairnhill, River Valley', 'Central'),
+    ('23', 9, 'Orchard, Cairnhill, River Valley', 'Central'),
+    ('24', 10, 'Ardmore, Bukit Timah, Holland Road, Tanglin', 'Central'),
+    ('25', 10, 'Ardmore, Bukit Timah, Holland Road, Tanglin', 'Central'),
+    ('26', 10, 'Ardmore, Bukit Timah, Holland Road, Tanglin', 'Central'),
+    ('27', 10, 'Ardmore, Bukit Timah, Holland Road, Tanglin', 'Central'),
+    ('28', 11, 'Watten Estate, Novena, Thomson', 'Central'),
+    ('29', 11, 'Watten Estate, Novena, Thomson', 'Central'),
+    ('30', 11, 'Watten Estate, Novena, Thomson', 'Central'),
+    ('31', 12, 'Balestier, Toa Payoh, Serangoon', 'Central'),
+    ('32', 12, 'Balestier, Toa Payoh, Serangoon', 'Central'),
+    ('33', 12, 'Balestier, Toa Payoh, Serangoon', 'Central'),
+    ('34', 13, 'Macpherson, Braddell', 'Central'),
+    ('35', 13, 'Macpherson, Braddell', 'Central'),
+    ('36', 13, 'Macpherson, Braddell', 'Central'),
+    ('37', 13, 'Macpherson, Braddell', 'Central'),
+    ('38', 14, 'Geylang, Eunos', 'Central'),
+    ('39', 14, 'Geylang, Eunos', 'Central'),
+    ('40', 14, 'Geylang, Eunos', 'Central'),
+    ('41', 14, 'Geylang, Eunos', 'Central'),
+    ('42', 15, 'Katong, Joo Chiat, Amber Road', 'Central'),
+    ('43', 15, 'Katong, Joo Chiat, Amber Road', 'Central'),
+    ('44', 15, 'Katong, Joo Chiat, Amber Road', 'Central'),
+    ('45', 15, 'Katong, Joo Chiat, Amber Road', 'Central'),
+    ('46', 16, 'Bedok, Upper East Coast, Eastwood, Kew Drive', 'East'),
+    ('47', 16, 'Bedok, Upper East Coast, Eastwood, Kew Drive', 'East'),
+    ('48', 16, 'Bedok, Upper East Coast, Eastwood, Kew Drive', 'East'),
+    ('49', 17, 'Loyang, Changi', 'East'),
+    ('50', 17, 'Loyang, Changi', 'East'),
+    ('51', 18, 'Tampines, Pasir Ris', 'East'),
+    ('52', 18, 'Tampines, Pasir Ris', 'East'),
+    ('53', 19, 'Serangoon Garden, Hougang, Punggol', 'North-East'),
+    ('54', 19, 'Serangoon Garden, Hougang, Punggol', 'North-East'),
+    ('55', 19, 'Serangoon Garden, Hougang, Punggol', 'North-East'),
+    ('56', 20, 'Bishan, Ang Mo Kio', 'North-East'),
+    ('57', 20, 'Bishan, Ang Mo Kio', 'North-East'),
+    ('58', 21, 'Upper Bukit Timah, Clementi Park, Ulu Pandan', 'West'),
+    ('59', 21, 'Upper Bukit Timah, Clementi Park, Ulu Pandan', 'West'),
+    ('60', 22, 'Jurong', 'West'),
+    ('61', 22, 'Jurong', 'West'),
+    ('62', 22, 'Jurong', 'West'),
+    ('63', 22, 'Jurong', 'West'),
+    ('64', 22, 'Jurong', 'West'),
+    ('65', 23, 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', 'West'),
+    ('66', 23, 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', 'West'),
+    ('67', 23, 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', 'West'),
+    ('68', 23, 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', 'West'),
+    ('69', 24, 'Lim Chu Kang, Tengah', 'West'),
+    ('70', 24, 'Lim Chu Kang, Tengah', 'West'),
+    ('71', 24, 'Lim Chu Kang, Tengah', 'West'),
+    ('72', 25, 'Kranji, Woodgrove', 'North'),
+    ('73', 25, 'Kranji, Woodgrove', 'North'),
+    ('75', 27, 'Yishun, Sembawang', 'North'),
+    ('76', 27, 'Yishun, Sembawang', 'North'),
+    ('77', 26, 'Upper Thomson, Springleaf', 'North'),
+    ('78', 26, 'Upper Thomson, Springleaf', 'North'),
+    ('79', 28, 'Seletar', 'North-East'),
+    ('80', 28, 'Seletar', 'North-East'),
+    ('81', 17, 'Loyang, Changi', 'East'),
+    ('82', 19, 'Serangoon Garden, Hougang, Punggol', 'North-East');
+
+
+-- ===========================
+-- Table: import_mapping_profiles
+-- Saved column mappings for recurring Excel sources
+-- ===========================
+CREATE TABLE import_mapping_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL UNIQUE,
+    header_fingerprint VARCHAR(64) NULL,   -- sha256 of the normalised header row
+    headers JSONB NOT NULL DEFAULT '[]',
+    sheet_name VARCHAR(255) NULL,
+    header_row_offset INT NOT NULL DEFAULT 0,
+    column_mapping JSONB NOT NULL,         -- { id, phone, companyName, ... } → column index
+    id_strategy VARCHAR(20) NOT NULL DEFAULT 'column',
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_mapping_profiles_fingerprint ON import_mapping_profiles (header_fingerprint);
+
+CREATE TRIGGER trg_mapping_profiles_update_timestamp
+BEFORE UPDATE ON import_mapping_profiles
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+
+-- ===========================
+-- Table: import_batches
+-- One row per upload, used for history and rollback
+-- ===========================
+CREATE TABLE import_batches (
+    id SERIAL PRIMARY KEY,
+    filename VARCHAR(255) NULL,
+    checksum VARCHAR(64) NULL,             -- sha256 of the uploaded file
+    stored_filename VARCHAR(255) NULL,     -- copy of the original kept under UPLOAD_DIR by FileManager
+    file_size BIGINT NULL,
+    uploaded_by INT NULL,
+    job_id INT NULL,                       -- background_jobs.id of the import; batches whose job is gone are failed on startup
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',  -- processing | completed | failed | rolled_back
+    total_rows INT NOT NULL DEFAULT 0,
+    inserted_rows INT NOT NULL DEFAULT 0,
+    updated_rows INT NOT NULL DEFAULT 0,
+    valid_rows INT NOT NULL DEFAULT 0,
+    invalid_rows INT NOT NULL DEFAULT 0,
+    error_count INT NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    issue_count INT NOT NULL DEFAULT 0,    -- rows in import_batch_issues
+    header_rows JSONB NOT NULL DEFAULT '{}',  -- sheet name -> 1-based header row, for the result report
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    rolled_back_at TIMESTAMP NULL,
+    rolled_back_by INT NULL
+);
+
+CREATE INDEX idx_import_batches_checksum ON import_batches (checksum);
+CREATE INDEX idx_import_batches_stored_filename ON import_batches (stored_filename);
+
+-- ===========================
+-- Table: import_batch_rows
+-- check_table rows touched by a batch, with the values they had before
+-- ===========================
+CREATE TABLE import_batch_rows (
+    id SERIAL PRIMARY KEY,
+    batch_id INT NOT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+    record_id VARCHAR(100) NOT NULL,
+    action VARCHAR(10) NOT NULL,           -- insert | update
+    previous_values JSONB NULL,            -- snapshot of the row before an update
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_import_batch_rows_batch ON import_batch_rows (batch_id);
+
+-- ===========================
+-- Table: import_batch_issues
+-- Source rows of a batch that were rejected, skipped or imported with a warning
+-- ===========================
+CREATE TABLE import_batch_issues (
+    id SERIAL PRIMARY KEY,
+    batch_id INT NOT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+    sheet_name VARCHAR(255) NULL,
+    row_number INT NULL,                   -- 1-based row in the uploaded sheet
+    severity VARCHAR(20) NOT NULL,         -- rejected | skipped | warning
+    reason TEXT NOT NULL,
+    record_id VARCHAR(100) NULL,
+    original_values JSONB NULL,            -- cells of the source row keyed by header
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_import_batch_issues_batch ON import_batch_issues (batch_id);
+
+-- ===========================
+-- Table: import_conflicts
+-- File values a 'flag' conflict policy kept out of check_table, pending manual review
+-- ===========================
+CREATE TABLE import_conflicts (
+    id SERIAL PRIMARY KEY,
+    batch_id INT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+    record_id VARCHAR(100) NOT NULL,       -- stored row the value would have changed
+    source_record_id VARCHAR(100) NULL,    -- ID of the row in the uploaded file
+    field VARCHAR(50) NOT NULL,            -- check_table column
+    existing_value TEXT NULL,
+    incoming_value TEXT NULL,
+    incoming_raw TEXT NULL,                -- file value before normalisation, normalised again when accepted
+    incoming_country CHAR(2) NULL,         -- phone conflicts: country the incoming number was read as
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending | accepted | kept | dismissed
+    resolved_by INT NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_import_conflicts_status ON import_conflicts (status);
+CREATE INDEX idx_import_conflicts_batch ON import_conflicts (batch_id);
+
+
+-- ===========================
+-- Table: phone_repairs
+-- Audit of invalid phone numbers replaced by an accepted repair suggestion
+-- ===========================
+CREATE TABLE phone_repairs (
+    id SERIAL PRIMARY KEY,
+    record_id VARCHAR(100) NOT NULL,
+    original_phone VARCHAR(50) NOT NULL,
+    original_raw TEXT NULL,                -- check_table.phone_raw at the time of the repair
+    repaired_phone VARCHAR(50) NOT NULL,
+    rule VARCHAR(30) NOT NULL,             -- scientific_notation | duplicated_country_code | leading_zero | swapped_digits | concatenated
+    confidence NUMERIC(3,2) NOT NULL,
+    repaired_by INT NULL,
+    repaired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_phone_repairs_record ON phone_repairs (record_id);
+
+-- ===========================
+-- Table: phone_repair_suggestions
+-- Repair candidates worked out for invalid phones, so suggestions can be filtered and paged in SQL.
+-- A row is worked out again when the record's phone, phone_raw, phone_country or the validator version changes.
+-- ===========================
+CREATE TABLE phone_repair_suggestions (
+    record_id VARCHAR(100) PRIMARY KEY,
+    phone VARCHAR(50) NULL,                -- check_table values the candidates were worked out from
+    phone_raw TEXT NULL,
+    phone_country CHAR(2) NULL,
+    validator_version VARCHAR(100) NULL,
+    candidates JSONB NOT NULL DEFAULT '[]', -- [{ phone, e164, country, type, rule, label, confidence, note }], most confident first
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+-- ===========================
+-- Table: background_jobs
+-- Queue for long-running work such as Excel imports, processed by the in-process worker
+-- ===========================
+CREATE TABLE background_jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,             -- e.g. excel_import
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',  -- queued | running | completed | failed
+    payload JSONB NOT NULL DEFAULT '{}',
+    progress JSONB NOT NULL DEFAULT '{}',
+    result JSONB NULL,
+    error TEXT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    finished_at TIMESTAMP NULL
+);
+
+CREATE INDEX idx_background_jobs_status ON background_jobs (status);
+
+
 -- ===========================
 -- Table: users
 -- ===========================
@@ -6,6 +6,7 @@ const pgSession = require('connect-pg-simple')(session)
 const cookieParser = require('cookie-parser')
 const cors = require('cors')
 const path = require('path')
+const fs = require('fs')
 const { Pool } = require('pg')
 require('dotenv').config()
 
@@ -14,11 +15,32 @@ const { requireAuth } = require('./middleware/auth')
 const db = require('./utils/database')
 const ExcelProcessor = require('./services/excelProcessor')
 const ExcelExporter = require('./services/excelExporter')
+const mappingProfileService = require('./services/mappingProfileService')
+const importBatchService = require('./services/importBatchService')
+const conflictReviewService = require('./services/conflictReviewService')
+const FileManager = require('./services/fileManager')
+const SingaporeAddressParser = require('./services/singaporeAddressParser')
+const ContactValidator = require('./services/contactValidator')
+const jobQueueService = require('./services/jobQueueService')
+const singaporePhoneValidator = require('./services/singaporePhoneValidator')
+const PhoneRepairService = require('./services/phoneRepairService')
+const phoneValidationProcessor = require('./services/phoneValidationProcessor')
+const config = require('./utils/config')
+const { POSTAL_REGIONS } = require('./utils/postalDistricts')
 
 const app = express()
-const upload = multer({ storage: multer.memoryStorage() })
 const excelProcessor = new ExcelProcessor()
 const excelExporter = new ExcelExporter()
+const fileManager = new FileManager()
+const addressParser = new SingaporeAddressParser()
+const contactValidator = new ContactValidator()
+// Repaired numbers are cleaned the way imported ones are
+const phoneRepairService = new PhoneRepairService({ cleanPhoneNumber: phone => excelProcessor.cleanPhoneNumber(phone) })
+// Uploads go to uploads/temp rather than memory so large workbooks can be streamed from disk
+const upload = multer({
+    storage: multer.diskStorage({ destination: fileManager.tempDir }),
+    limits: { fileSize: config.upload.maxFileSize }
+})
 const PORT = process.env.PORT || 4200
 console.log(PORT);
 
@@ -109,73 +131,121 @@ app.use(express.static(path.join(__dirname, '../public')))
 app.use('/auth', authRoutes)
 
 // --- Utility Functions ---
-function buildPhoneMap(records, idKey = 'id', phoneKey = 'phone') {
-    const phoneMap = new Map();
-    records.forEach(record => {
-        const phone = record[phoneKey] || record[phoneKey.charAt(0).toUpperCase() + phoneKey.slice(1)];
-        if (phone) {
-            if (!phoneMap.has(phone)) phoneMap.set(phone, []);
-            phoneMap.get(phone).push(record[idKey] || record[idKey.charAt(0).toUpperCase() + idKey.slice(1)]);
-        }
-    });
-    return phoneMap;
+// Why an invalid record's phone failed: the stored reason, else worked out on the spot;
+// numbers marked invalid that the validator now accepts fall back to invalid_number
+function getInvalidReason(record) {
+    if (record.phone_invalid_reason) {
+        return { code: record.phone_invalid_reason, country: record.phone_invalid_country || null };
+    }
+    return singaporePhoneValidator.getInvalidReason(record.phone || record.Phone, record.phone_country) || { code: 'invalid_number', country: null };
 }
 
-function getDuplicatePhones(phoneMap) {
-    const duplicates = new Set();
-    phoneMap.forEach(ids => { if (ids.length > 1) duplicates.add(ids[0]); });
-    return duplicates;
+function describeInvalidReason(record) {
+    const { code, country } = getInvalidReason(record);
+    return singaporePhoneValidator.describeInvalidReason(code, country);
 }
 
-function isFinishData(record) {
-    return (
-        (record.company_name && record.company_name.trim() !== '') ||
-        (record.physical_address && record.physical_address.trim() !== '') ||
-        (record.email && record.email.trim() !== '') ||
-        (record.website && record.website.trim() !== '')
-    );
+// Filter keeping rows with contact data someone can use: a valid or free-mail email, or a valid website
+function usableContactFilter() {
+    return {
+        emailStatuses: contactValidator.usableEmailStatuses,
+        websiteStatuses: contactValidator.usableWebsiteStatuses
+    };
 }
 
-function getDuplicatePhoneSet(phoneMap) {
-    const duplicatePhones = new Set();
-    phoneMap.forEach((ids, phone) => {
-        if (ids.length > 1) duplicatePhones.add(phone);
-    });
-    return duplicatePhones;
+/**
+ * Read the record list filters from a query string:
+ * ?district=1,2&region=East&emailStatus=valid,free_mail&websiteStatus=missing
+ * @param {Object} query - req.query
+ * @returns {Object} { filters: { districts, region, emailStatuses, websiteStatuses }, error } where error explains an invalid value
+ */
+function readRecordFilters(query = {}) {
+    const filters = { districts: [], region: null, emailStatuses: [], websiteStatuses: [] };
+
+    if (query.district !== undefined && String(query.district).trim() !== '') {
+        const parts = String(query.district).split(',').map(part => part.trim()).filter(Boolean);
+        const districts = parts.map(part => Number(part));
+        if (districts.some(district => !Number.isInteger(district) || district < 1 || district > 28)) {
+            return { filters, error: 'district must be a postal district number from 1 to 28' };
+        }
+        filters.districts = [...new Set(districts)];
+    }
+
+    if (query.region !== undefined && String(query.region).trim() !== '') {
+        const region = POSTAL_REGIONS.find(name => name.toLowerCase() === String(query.region).trim().toLowerCase());
+        if (!region) {
+            return { filters, error: `region must be one of ${POSTAL_REGIONS.join(', ')}` };
+        }
+        filters.region = region;
+    }
+
+    // 'missing' matches rows without an email or website
+    const statusFilters = [
+        ['emailStatus', 'emailStatuses', contactValidator.emailStatuses],
+        ['websiteStatus', 'websiteStatuses', contactValidator.websiteStatuses]
+    ];
+    for (const [param, key, statuses] of statusFilters) {
+        if (query[param] === undefined || String(query[param]).trim() === '') continue;
+
+        const values = String(query[param]).split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+        const allowed = [...statuses, 'missing'];
+        if (values.some(value => !allowed.includes(value))) {
+            return { filters, error: `${param} must be one or more of ${allowed.join(', ')}` };
+        }
+        filters[key] = [...new Set(values)];
+    }
+
+    return { filters, error: null };
+}
+
+// Every record matching the filters (see db.buildRecordFilter), selected in SQL for an export
+async function getFilteredRecords(filters) {
+    return await db.getCheckRecords(await db.getCheckRecordsCount(filters), 0, filters);
+}
+
+function hasRecordFilters(filters) {
+    return filters.districts.length > 0 || !!filters.region ||
+        filters.emailStatuses.length > 0 || filters.websiteStatuses.length > 0;
 }
 
 // --- Route Handlers ---
 // GET /api/validation-stats - get total validation counts across all records
 app.get('/api/validation-stats', requireAuth, async (req, res) => {
     try {
-        const total = await db.getCheckRecordsCount();
-        const allCompanies = await db.getCheckRecords(total, 0);
-        const phoneMap = buildPhoneMap(allCompanies);
-        const duplicatePhones = getDuplicatePhoneSet(phoneMap);
-
-        let duplicateCount = 0, invalidCount = 0, validCount = 0, finishCount = 0, notFinishCount = 0, realExistenceCount = 0;
-
-        allCompanies.forEach(company => {
-            const phone = company.phone || company.Phone;
-            const status = company.status !== undefined ? company.status : company.Status;
-            const isDuplicate = phone && duplicatePhones.has(phone);
-            if (company.real_existence === true) realExistenceCount++;
-            if (isFinishData(company)) finishCount++; else notFinishCount++;
-            if (isDuplicate) duplicateCount++;
-            else if (status === 0 || status === false) invalidCount++;
-            else if (status === 1 || status === true) validCount++;
-            else invalidCount++;
-        });
+        // Counted in SQL; duplicates are rows whose phone another row shares
+        const stats = await db.getRecordStatistics(usableContactFilter());
+        const counts = stats.counts;
+
+        // Rows per email and website status; 'missing' counts rows without the field
+        const emailStatusCounts = Object.fromEntries([...contactValidator.emailStatuses, 'missing'].map(status => [status, 0]));
+        const websiteStatusCounts = Object.fromEntries([...contactValidator.websiteStatuses, 'missing'].map(status => [status, 0]));
+        Object.assign(emailStatusCounts, counts.email_status);
+        Object.assign(websiteStatusCounts, counts.website_status);
+        // Rows per phone number type (mobile, fixed_line, ...); 'unknown' includes rows not yet classified
+        const phoneTypeCounts = { ...counts.phone_type };
+        // Rows per phone country (SG, MY, ...); 'unknown' counts rows not yet classified
+        const phoneCountryCounts = { ...counts.phone_country };
+        // Invalid rows per reason code (too_short, foreign_country, ...), adding up to invalidCount
+        const invalidReasonCounts = Object.fromEntries(Object.keys(singaporePhoneValidator.invalidReasons).map(reason => [reason, 0]));
+        Object.assign(invalidReasonCounts, counts.phone_invalid_reason);
+        // Foreign numbers per detected country
+        const invalidCountryCounts = { ...counts.phone_invalid_country };
 
         return res.json({
             success: true,
-            totalRecords: total,
-            duplicateCount,
-            invalidCount,
-            validCount,
-            finishCount,
-            notFinishCount,
-            realExistenceCount
+            totalRecords: stats.total,
+            duplicateCount: stats.duplicate,
+            invalidCount: stats.invalid,
+            invalidReasonCounts,
+            invalidCountryCounts,
+            validCount: stats.valid,
+            finishCount: stats.finish,
+            notFinishCount: stats.total - stats.finish,
+            realExistenceCount: stats.realExistence,
+            emailStatusCounts,
+            websiteStatusCounts,
+            phoneTypeCounts,
+            phoneCountryCounts
         });
     } catch (error) {
         console.error('Error fetching validation stats:', error);
@@ -191,37 +261,18 @@ app.get('/api/companies', requireAuth, async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 100
         const offset = parseInt(req.query.offset) || 0
+        const { filters, error } = readRecordFilters(req.query)
+        if (error) {
+            return res.status(400).json({ success: false, error })
+        }
 
-        const companies = await db.getCheckRecords(limit, offset)
-        const total = await db.getCheckRecordsCount()
-
-        // Get all phone numbers to detect duplicates
-        const allCompanies = await db.getCheckRecords(total, 0)
-        const phoneMap = new Map()
-
-        // Build phone frequency map
-        allCompanies.forEach(company => {
-            const phone = company.Phone || company.phone
-            if (phone) {
-                if (!phoneMap.has(phone)) {
-                    phoneMap.set(phone, [])
-                }
-                phoneMap.get(phone).push(company.Id || company.id)
-            }
-        })
-
-        // Identify duplicate phone numbers
-        const duplicatePhones = new Set()
-        phoneMap.forEach((ids, phone) => {
-            if (ids.length > 1) {
-                duplicatePhones.add(phone)
-            }
-        })
+        // Filtered and paged in SQL; is_duplicate looks at every record, including those outside the filters
+        const companies = await db.getCheckRecords(limit, offset, filters)
+        const total = await db.getCheckRecordsCount(filters)
+        const totalDuplicatePhones = await db.countDuplicatePhones()
 
         // Mark duplicates for current page (Status already indicates if valid Singapore phone)
-        const enrichedCompanies = companies.map(company => {
-            const phone = company.Phone || company.phone
-            const isDuplicate = phone && duplicatePhones.has(phone)
+        const enrichedCompanies = companies.map(({ is_duplicate: isDuplicate, ...company }) => {
             // Status: 1/true = valid Singapore phone, 0/false = invalid
             // Handle both boolean and number types
             const status = company.Status !== undefined ? company.Status : company.status
@@ -232,6 +283,8 @@ app.get('/api/companies', requireAuth, async (req, res) => {
                 // keep existing flags
                 isDuplicate,
                 isValidSingaporePhone,
+                // why the phone is not a valid Singapore number, for the row tooltip
+                invalidReason: isValidSingaporePhone ? null : describeInvalidReason(company),
                 // ensure both snake_case and camelCase are present for the frontend
                 real_existence: company.real_existence,
                 realExistence: company.real_existence !== undefined ? company.real_existence : company.realExistence
@@ -247,7 +300,7 @@ app.get('/api/companies', requireAuth, async (req, res) => {
             offset: offset,
             hasMore: (offset + companies.length) < total,
             validationStats: {
-                totalDuplicatePhones: duplicatePhones.size,
+                totalDuplicatePhones,
                 duplicateRecordsInPage: enrichedCompanies.filter(c => c.isDuplicate).length
             }
         })
@@ -260,49 +313,229 @@ app.get('/api/companies', requireAuth, async (req, res) => {
     }
 })
 
-// POST /api/upload - accepts multipart/form-data with field 'file' (protected route)
-app.post('/api/upload', requireAuth, upload.single('file'), async (req, res) => {
+// Background job: import an uploaded Excel file into check_table
+async function runExcelImportJob(job, reportProgress) {
+    const { filename, uploadedBy, storedFile, streamed = false, options = {} } = job.payload
+    // Jobs carry the stored copy's name rather than the bytes
+    const fileBuffer = streamed ? null : await fileManager.getFileBuffer(storedFile.storedFilename)
+
+    // Capture count before insert for accurate delta
+    const countBefore = await db.getCheckRecordsCount()
+
+    // Record the upload as a batch so it can be listed, rolled back and re-downloaded later
+    const batchId = await importBatchService.createBatch({
+        filename,
+        checksum: storedFile.checksum,
+        uploadedBy,
+        storedFilename: storedFile.storedFilename,
+        fileSize: storedFile.fileSize,
+        jobId: job.id
+    })
+
+    // Process Excel file - direct to check_table only
+    // Note: backup_table and uploaded_files tables are not used in PostgreSQL schema
+    // Large workbooks are read from the stored copy in batches instead of in one buffer
+    let result
     try {
-        if (!req.file) return res.status(400).json({ error: 'No file uploaded' })
+        result = streamed
+            ? await excelProcessor.processLargeExcelFile(
+                await fileManager.getStoredFilePath(storedFile.storedFilename),
+                { ...options, batchId, onProgress: reportProgress }
+            )
+            : await excelProcessor.processExcelDirectToCheckTable(
+                fileBuffer,
+                filename,
+                { ...options, batchId, onProgress: reportProgress }
+            )
+        await importBatchService.completeBatch(batchId, result)
+    } catch (error) {
+        // Streamed imports commit as they go, so a batch that stopped halfway must be failed to be rolled back
+        await importBatchService.failBatch(batchId, error.message)
+        throw error
+    }
+
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to process Excel file')
+    }
 
-        const filename = req.file.originalname
+    // Capture count after processing
+    const countAfter = await db.getCheckRecordsCount()
+    const insertedDelta = Math.max(0, countAfter - countBefore)
+
+    // Rows that need attention; the full list is in the batch's import result report
+    const issues = excelProcessor.countRowIssues(result.report)
+
+    // Summary in the shape /api/upload used to return, including DB snapshot counts for debugging
+    return {
+        success: true,
+        message: 'Excel file processed successfully',
+        batchId,
+        rows: result.totalRecords,
+        stored: result.storedRecords,
+        updated: result.updatedRecords,
+        flagged: result.flaggedConflicts,
+        sheets: result.report ? result.report.sheets : [],
+        headerRows: result.report ? result.report.headerRows : {},
+        insertedDelta,
+        duplicates: 0,
+        validated: result.validRecords,
+        checkTableCountBefore: countBefore,
+        checkTableCountAfter: countAfter,
+        errors: (result.errors || []).slice(0, 5), // surface a few errors if any
+        issues,
+        reportUrl: `/api/import-batches/${batchId}/report`,
+        progress: {
+            total: result.totalRecords,
+            processed: result.totalRecords,
+            inserted: result.storedRecords,
+            updated: result.updatedRecords,
+            valid: result.validRecords,
+            invalid: result.invalidRecords,
+            errors: (result.errors || []).length
+        }
+    }
+}
 
-        // Capture count before insert for accurate delta
-        const countBefore = await db.getCheckRecordsCount()
+jobQueueService.registerHandler('excel_import', runExcelImportJob)
+
+// Background handler for dry-run uploads: compute what the import would change without writing to check_table
+async function runExcelDryRunJob(job) {
+    const { filename, storedFile, streamed = false, options = {} } = job.payload
+
+    const diff = streamed
+        ? await excelProcessor.dryRunLargeExcelFile(await fileManager.getStoredFilePath(storedFile.storedFilename), options)
+        : await excelProcessor.dryRunExcelImport(await fileManager.getFileBuffer(storedFile.storedFilename), filename, options)
+
+    return {
+        ...diff,
+        filename,
+        // Approving the dry run imports the stored copy with the same mapping and policy, so the file is not uploaded twice
+        storedFilename: storedFile ? storedFile.storedFilename : null,
+        mapping: options.mapping || null,
+        conflictPolicy: options.conflictPolicy || null,
+        defaultCountry: options.defaultCountry || null,
+        errors: diff.errors.slice(0, 5)
+    }
+}
 
-        // Process Excel file - direct to check_table only
-        // Note: backup_table and uploaded_files tables are not used in PostgreSQL schema
-        const result = await excelProcessor.processExcelDirectToCheckTable(
-            req.file.buffer,
-            filename
-        )
+jobQueueService.registerHandler('excel_dry_run', runExcelDryRunJob)
 
-        // Capture count after processing
-        const countAfter = await db.getCheckRecordsCount()
-        const insertedDelta = Math.max(0, countAfter - countBefore)
+// Background handler for phone revalidation: validate the filtered records again and count status flips
+async function runPhoneRevalidationJob(job, reportProgress) {
+    const { filters = {} } = job.payload
+    const result = await phoneValidationProcessor.reprocessRecords(filters, reportProgress)
 
+    return {
+        ...result,
+        filters,
+        progress: { total: result.total, processed: result.processed, becameValid: result.becameValid, becameInvalid: result.becameInvalid }
+    }
+}
 
+jobQueueService.registerHandler('phone_revalidation', runPhoneRevalidationJob)
 
-        if (!result.success) {
-            console.error('Processing failed:', result.error)
-            return res.status(400).json({
-                error: result.error || 'Failed to process Excel file'
-            })
+// Reply to an upload that failed FileManager validation with a structured reason
+function sendUploadRejection(res, validation) {
+    const status = validation.rejection.code === 'RATE_LIMITED' ? 429 : 422
+    return res.status(status).json({
+        success: false,
+        error: validation.rejection.message,
+        reason: validation.rejection
+    })
+}
+
+// Queue an import (or a dry run of one) of a file already stored by FileManager
+// The job reads the stored copy, so the job row never carries the file's bytes
+function enqueueImportJob({ filename, storedFile, userId, options = {}, dryRun = false }) {
+    const streamed = excelProcessor.shouldStream(filename, storedFile.fileSize)
+
+    return jobQueueService.enqueue({
+        type: dryRun ? 'excel_dry_run' : 'excel_import',
+        payload: {
+            filename,
+            uploadedBy: userId,
+            storedFile: {
+                storedFilename: storedFile.storedFilename,
+                fileSize: storedFile.fileSize,
+                checksum: storedFile.checksum
+            },
+            streamed,
+            options
+        },
+        createdBy: userId
+    })
+}
+
+// Accept a single upload in field 'file'; the temp copy is removed once the response is sent
+function acceptUpload(req, res, next) {
+    res.on('close', () => {
+        if (req.file) fs.promises.unlink(req.file.path).catch(() => {})
+    })
+
+    upload.single('file')(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            const limitMb = Math.round(config.upload.maxFileSize / (1024 * 1024))
+            return res.status(413).json({ success: false, error: `File is larger than the ${limitMb}MB upload limit` })
         }
+        // Validation, storage and parsing of large workbooks all read from req.file.path
+        next(err)
+    })
+}
 
-        // Return success with summary, including DB snapshot counts for debugging
-        return res.json({
+// Shared handler for /api/upload and /api/upload/commit: queue the import and return the job ID
+// A form field dryRun=true queues a dry run that reports the changes instead of writing them;
+// an optional JSON field conflictPolicy says how rows that already exist are matched and updated,
+// an optional JSON array sheets names the worksheets to import instead of the detected data sheets,
+// and an optional field defaultCountry gives the country local numbers are read in when a row has no Country cell
+async function handleExcelUpload(req, res, options = {}) {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' })
+
+        let conflictPolicy
+        try {
+            conflictPolicy = excelProcessor.normalizeConflictPolicy(JSON.parse(req.body.conflictPolicy || 'null'))
+        } catch (err) {
+            return res.status(400).json({ error: err instanceof SyntaxError ? 'Conflict policy must be valid JSON' : err.message })
+        }
+
+        let sheets
+        try {
+            sheets = excelProcessor.normalizeSheetSelection(JSON.parse(req.body.sheets || 'null'))
+        } catch (err) {
+            return res.status(400).json({ error: err instanceof SyntaxError ? 'Sheets must be valid JSON' : err.message })
+        }
+
+        let defaultCountry
+        try {
+            defaultCountry = excelProcessor.normalizeDefaultCountry(req.body.defaultCountry || null)
+        } catch (err) {
+            return res.status(400).json({ error: err.message })
+        }
+
+        // Integrity, password and security checks; dangerous files are quarantined
+        const validation = await fileManager.validateUploadFile(req.file.path, req.file.originalname, {
+            clientId: req.ip
+        })
+        if (!validation.isValid) return sendUploadRejection(res, validation)
+
+        // Keep the original so the exact file behind an import can be downloaded again
+        const storedFile = await fileManager.storeUploadFile(req.file.path, req.file.originalname, validation.fileInfo.checksum)
+
+        const dryRun = req.body.dryRun === 'true'
+        const jobId = await enqueueImportJob({
+            filename: req.file.originalname,
+            storedFile,
+            userId: req.session.userId,
+            options: { ...options, conflictPolicy, ...(sheets && { sheets }), ...(defaultCountry && { defaultCountry }) },
+            dryRun
+        })
+
+        return res.status(202).json({
             success: true,
-            message: 'Excel file processed successfully',
-            rows: result.totalRecords,
-            stored: result.storedRecords,
-            updated: result.updatedRecords,
-            insertedDelta,
-            duplicates: 0,
-            validated: result.validRecords,
-            checkTableCountBefore: countBefore,
-            checkTableCountAfter: countAfter,
-            errors: (result.errors || []).slice(0, 5) // surface a few errors if any
+            message: dryRun ? 'Excel file queued for a dry run' : 'Excel file queued for import',
+            jobId,
+            dryRun,
+            warnings: validation.warnings
         })
     } catch (err) {
         console.error('Upload error:', err)
@@ -312,6 +545,555 @@ app.post('/api/upload', requireAuth, upload.single('file'), async (req, res) =>
             details: process.env.NODE_ENV === 'development' ? err.stack : undefined
         })
     }
+}
+
+// POST /api/upload - accepts multipart/form-data with field 'file' (protected route)
+app.post('/api/upload', requireAuth, acceptUpload, (req, res) => handleExcelUpload(req, res))
+
+// POST /api/upload/preview - propose a column mapping without writing to check_table (protected route)
+app.post('/api/upload/preview', requireAuth, acceptUpload, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' })
+
+        // Reject unusable files before parsing; rate limiting and storage happen on commit
+        const validation = await fileManager.validateUploadFile(req.file.path, req.file.originalname)
+        if (!validation.isValid) return sendUploadRejection(res, validation)
+
+        const previewOptions = { profileId: req.body.profileId || null }
+        const preview = excelProcessor.shouldStream(req.file.originalname, req.file.size)
+            ? await excelProcessor.previewLargeExcelFile(req.file.path, req.file.originalname, previewOptions)
+            : await excelProcessor.previewExcelImport(await fs.promises.readFile(req.file.path), req.file.originalname, previewOptions)
+        return res.json(preview)
+    } catch (err) {
+        console.error('Upload preview error:', err)
+        return res.status(400).json({
+            success: false,
+            error: err.message || 'Failed to preview Excel file'
+        })
+    }
+})
+
+// POST /api/upload/commit - import the file using a user-confirmed mapping sent as JSON in field 'mapping' (protected route)
+app.post('/api/upload/commit', requireAuth, acceptUpload, (req, res) => {
+    let mapping
+    try {
+        mapping = JSON.parse(req.body.mapping || 'null')
+    } catch (err) {
+        return res.status(400).json({ error: 'Column mapping must be valid JSON' })
+    }
+
+    if (!mapping) return res.status(400).json({ error: 'Column mapping is required' })
+
+    return handleExcelUpload(req, res, { mapping })
+})
+
+// Load a background job for its owner; other users' jobs are reported as not found
+async function getOwnJob(jobId, userId) {
+    const job = await jobQueueService.getJob(jobId)
+    return job && job.created_by === userId ? job : null
+}
+
+// GET /api/jobs/:id - current status and progress of a background job (protected route)
+app.get('/api/jobs/:id', requireAuth, async (req, res) => {
+    const jobId = parseInt(req.params.id, 10)
+    if (isNaN(jobId)) return res.status(400).json({ success: false, error: 'Invalid job ID' })
+
+    try {
+        const job = await getOwnJob(jobId, req.session.userId)
+        if (!job) return res.status(404).json({ success: false, error: 'Job not found' })
+
+        return res.json({ success: true, data: job })
+    } catch (error) {
+        console.error('Error fetching job:', error)
+        return res.status(500).json({ success: false, error: 'Failed to fetch job' })
+    }
+})
+
+// GET /api/jobs/:id/events - stream job progress as server-sent events until it finishes (protected route)
+app.get('/api/jobs/:id/events', requireAuth, async (req, res) => {
+    const jobId = parseInt(req.params.id, 10)
+    if (isNaN(jobId)) return res.status(400).json({ success: false, error: 'Invalid job ID' })
+
+    const eventName = `job:${jobId}`
+    let heartbeat = null
+    let closed = false
+
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`)
+    const cleanup = () => {
+        if (closed) return
+        closed = true
+        jobQueueService.removeListener(eventName, onEvent)
+        if (heartbeat) clearInterval(heartbeat)
+        res.end()
+    }
+    const onEvent = (event) => {
+        send(event)
+        if (event.status === 'completed' || event.status === 'failed') cleanup()
+    }
+
+    try {
+        // Subscribe before reading the snapshot so a job finishing in between is not missed
+        jobQueueService.on(eventName, onEvent)
+
+        const job = await getOwnJob(jobId, req.session.userId)
+        if (!job) {
+            jobQueueService.removeListener(eventName, onEvent)
+            return res.status(404).json({ success: false, error: 'Job not found' })
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        })
+        res.flushHeaders()
+
+        send({ id: job.id, status: job.status, progress: job.progress, result: job.result, error: job.error })
+        if (job.status === 'completed' || job.status === 'failed') return cleanup()
+
+        // Keep proxies from closing an idle stream
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+        req.on('close', cleanup)
+    } catch (error) {
+        console.error('Error streaming job events:', error)
+        jobQueueService.removeListener(eventName, onEvent)
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, error: 'Failed to stream job events' })
+        }
+        cleanup()
+    }
+})
+
+// GET /api/import-batches - list past uploads, newest first (protected route)
+app.get('/api/import-batches', requireAuth, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50
+        const offset = parseInt(req.query.offset) || 0
+        const { batches, total } = await importBatchService.listBatches(limit, offset)
+
+        return res.json({ success: true, data: batches, total, limit, offset })
+    } catch (error) {
+        console.error('Error listing import batches:', error)
+        return res.status(500).json({ success: false, error: 'Failed to list import batches' })
+    }
+})
+
+// GET /api/import-batches/:id - get a single upload (protected route)
+app.get('/api/import-batches/:id', requireAuth, async (req, res) => {
+    try {
+        const batch = await importBatchService.getBatch(req.params.id)
+        if (!batch) return res.status(404).json({ success: false, error: 'Import batch not found' })
+
+        return res.json({ success: true, data: batch })
+    } catch (error) {
+        console.error('Error fetching import batch:', error)
+        return res.status(500).json({ success: false, error: 'Failed to fetch import batch' })
+    }
+})
+
+// GET /api/import-batches/:id/file - download the original file that produced this import (protected route)
+app.get('/api/import-batches/:id/file', requireAuth, async (req, res) => {
+    try {
+        const batch = await importBatchService.getBatch(req.params.id)
+        if (!batch) return res.status(404).json({ success: false, error: 'Import batch not found' })
+        if (!batch.stored_filename) {
+            return res.status(404).json({ success: false, error: 'No stored file for this import batch' })
+        }
+
+        const fileBuffer = await fileManager.getFileBuffer(batch.stored_filename)
+
+        // res.attachment encodes non-ASCII filenames and sets the type from the extension
+        res.attachment(batch.filename || batch.stored_filename)
+        return res.send(fileBuffer)
+    } catch (error) {
+        console.error('Error downloading import batch file:', error)
+        return res.status(404).json({ success: false, error: 'Stored file not found' })
+    }
+})
+
+// GET /api/import-batches/:id/report - the upload with an "Import Result" column and colour-coded rows (protected route)
+// ?only=failures keeps just the rejected and skipped rows so they can be fixed and re-uploaded
+app.get('/api/import-batches/:id/report', requireAuth, async (req, res) => {
+    try {
+        const batch = await importBatchService.getBatch(req.params.id)
+        if (!batch) return res.status(404).json({ success: false, error: 'Import batch not found' })
+
+        const issues = await importBatchService.getRowIssues(batch.id)
+
+        // Mirror the stored upload when it is still on disk; otherwise the report only lists the issues
+        let sourceWorkbook = null
+        if (batch.stored_filename) {
+            try {
+                const fileBuffer = await fileManager.getFileBuffer(batch.stored_filename)
+                sourceWorkbook = await excelProcessor.readWorkbook(fileBuffer, batch.filename || batch.stored_filename)
+            } catch (error) {
+                console.warn(`Stored file of import batch ${batch.id} could not be read:`, error.message)
+            }
+        }
+
+        const failuresOnly = req.query.only === 'failures'
+        const reportBuffer = excelExporter.generateImportResultReport(sourceWorkbook, issues, {
+            headerRows: batch.header_rows || {},
+            failuresOnly
+        })
+
+        const baseName = path.parse(batch.filename || `import-${batch.id}`).name
+        res.attachment(`${baseName}-${failuresOnly ? 'failures' : 'import-result'}.xlsx`)
+        return res.send(reportBuffer)
+    } catch (error) {
+        console.error('Error building import result report:', error)
+        return res.status(500).json({ success: false, error: 'Failed to build import result report' })
+    }
+})
+
+// POST /api/import-batches/:id/rollback - delete rows the upload inserted and restore rows it updated (protected route)
+app.post('/api/import-batches/:id/rollback', requireAuth, async (req, res) => {
+    try {
+        const summary = await importBatchService.rollbackBatch(req.params.id, req.session.userId)
+        return res.json({ success: true, ...summary })
+    } catch (error) {
+        console.error('Error rolling back import batch:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to roll back import batch' })
+    }
+})
+
+// GET /api/import-conflicts - records with values an import flagged for review; filters batchId, field, search (protected route)
+app.get('/api/import-conflicts', requireAuth, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50
+        const offset = parseInt(req.query.offset) || 0
+        const filters = { batchId: req.query.batchId, field: req.query.field, search: req.query.search }
+        const { records, total, conflictTotal } = await conflictReviewService.listRecords(filters, limit, offset)
+        const summary = await conflictReviewService.getSummary()
+
+        return res.json({ success: true, data: records, total, conflictTotal, summary, limit, offset })
+    } catch (error) {
+        console.error('Error listing import conflicts:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to list import conflicts' })
+    }
+})
+
+// POST /api/import-conflicts/resolve - apply per-field decisions; JSON body { decisions: [{ id, choice: 'incoming' | 'existing' }] } (protected route)
+app.post('/api/import-conflicts/resolve', requireAuth, async (req, res) => {
+    try {
+        const decisions = req.body && Array.isArray(req.body.decisions) ? req.body.decisions : null
+        if (!decisions) return res.status(400).json({ success: false, error: 'decisions must be an array' })
+
+        const outcome = await conflictReviewService.resolveConflicts(decisions, req.session.userId)
+        return res.json({ success: true, ...outcome })
+    } catch (error) {
+        console.error('Error resolving import conflicts:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to resolve import conflicts' })
+    }
+})
+
+// POST /api/import-conflicts/resolve-filtered - accept or keep every pending conflict matching { filters, choice } (protected route)
+app.post('/api/import-conflicts/resolve-filtered', requireAuth, async (req, res) => {
+    try {
+        const { filters = {}, choice } = req.body || {}
+        const outcome = await conflictReviewService.resolveFiltered(filters, choice, req.session.userId)
+        return res.json({ success: true, ...outcome })
+    } catch (error) {
+        console.error('Error resolving filtered import conflicts:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to resolve import conflicts' })
+    }
+})
+
+// GET /api/phone-repairs - invalid records with suggested corrections; filters rule, minConfidence (protected route)
+app.get('/api/phone-repairs', requireAuth, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50
+        const offset = parseInt(req.query.offset) || 0
+        const filters = { rule: req.query.rule, minConfidence: req.query.minConfidence }
+        const { records, total, byRule } = await phoneRepairService.listSuggestions(filters, limit, offset)
+
+        return res.json({ success: true, data: records, total, byRule, rules: phoneRepairService.rules, limit, offset })
+    } catch (error) {
+        console.error('Error listing phone repairs:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to list phone repairs' })
+    }
+})
+
+// POST /api/phone-repairs/apply - replace phones with accepted suggestions; JSON body { repairs: [{ id, phone }] } (protected route)
+app.post('/api/phone-repairs/apply', requireAuth, async (req, res) => {
+    try {
+        const repairs = req.body && Array.isArray(req.body.repairs) ? req.body.repairs : null
+        if (!repairs) return res.status(400).json({ success: false, error: 'repairs must be an array' })
+
+        const outcome = await phoneRepairService.applyRepairs(repairs, req.session.userId)
+        return res.json({ success: true, ...outcome })
+    } catch (error) {
+        console.error('Error applying phone repairs:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to apply phone repairs' })
+    }
+})
+
+// POST /api/phone-repairs/apply-filtered - apply the best suggestion of every record matching { rule, minConfidence } (protected route)
+app.post('/api/phone-repairs/apply-filtered', requireAuth, async (req, res) => {
+    try {
+        const { rule, minConfidence } = req.body || {}
+        const outcome = await phoneRepairService.applyFiltered({ rule, minConfidence }, req.session.userId)
+        return res.json({ success: true, ...outcome })
+    } catch (error) {
+        console.error('Error applying filtered phone repairs:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to apply phone repairs' })
+    }
+})
+
+// GET /api/phone-repairs/history - applied repairs with original and repaired values, newest first (protected route)
+app.get('/api/phone-repairs/history', requireAuth, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50
+        const offset = parseInt(req.query.offset) || 0
+        const { repairs, total } = await phoneRepairService.listHistory(limit, offset)
+
+        return res.json({ success: true, data: repairs, total, limit, offset })
+    } catch (error) {
+        console.error('Error listing phone repair history:', error)
+        return res.status(500).json({ success: false, error: 'Failed to list phone repair history' })
+    }
+})
+
+// GET /api/admin/phone-validation - current validator version and how many records an older version checked (protected route)
+app.get('/api/admin/phone-validation', requireAuth, async (req, res) => {
+    try {
+        const status = await phoneValidationProcessor.getProcessingStatus()
+        return res.json({ success: true, data: { ...status, scopes: phoneValidationProcessor.revalidationScopes } })
+    } catch (error) {
+        console.error('Error fetching phone validation status:', error)
+        return res.status(500).json({ success: false, error: 'Failed to fetch phone validation status' })
+    }
+})
+
+// POST /api/admin/phone-validation/revalidate - queue revalidation of all records or a subset;
+// JSON body { scope: 'all'|'outdated'|'valid'|'invalid', countries, importBatchId } (protected route)
+app.post('/api/admin/phone-validation/revalidate', requireAuth, async (req, res) => {
+    try {
+        const { scope = 'all', countries = [], importBatchId = null } = req.body || {}
+        const filters = { scope, countries: Array.isArray(countries) ? countries : [countries], importBatchId }
+
+        // Reject unknown scopes and countries now rather than in the job
+        phoneValidationProcessor.normalizeFilters(filters)
+
+        const jobId = await jobQueueService.enqueue({
+            type: 'phone_revalidation',
+            payload: { filters },
+            createdBy: req.session.userId
+        })
+
+        return res.status(202).json({ success: true, message: 'Phone revalidation queued', jobId })
+    } catch (error) {
+        console.error('Error queueing phone revalidation:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to queue phone revalidation' })
+    }
+})
+
+// GET /api/files - list stored uploads with the import that brought each one in (protected route)
+app.get('/api/files', requireAuth, async (req, res) => {
+    try {
+        const files = await fileManager.listUploadedFiles({
+            fileType: req.query.type || null,
+            sortBy: req.query.sortBy || 'created',
+            sortOrder: req.query.sortOrder === 'asc' ? 'asc' : 'desc'
+        })
+        const batches = await importBatchService.findByStoredFilenames(files.map(file => file.filename))
+
+        const data = files.map(file => {
+            const fileBatches = batches.filter(batch => batch.stored_filename === file.filename)
+            const original = fileBatches[0] || null
+            const latest = fileBatches[fileBatches.length - 1] || null
+
+            return {
+                filename: file.filename,
+                originalName: original ? original.filename : file.filename,
+                fileType: file.fileType,
+                size: file.size,
+                created: file.created,
+                modified: file.modified,
+                checksum: original ? original.checksum : null,
+                sheetCount: file.excelInfo ? file.excelInfo.worksheetCount : null,
+                uploadedBy: original ? original.uploaded_by_name : null,
+                importCount: fileBatches.length,
+                lastBatch: latest ? { id: latest.id, status: latest.status, createdAt: latest.created_at } : null
+            }
+        })
+
+        return res.json({ success: true, data, total: data.length })
+    } catch (error) {
+        console.error('Error listing uploaded files:', error)
+        return res.status(500).json({ success: false, error: 'Failed to list uploaded files' })
+    }
+})
+
+// GET /api/files/stats - storage usage summary (protected route)
+app.get('/api/files/stats', requireAuth, async (req, res) => {
+    try {
+        const stats = await fileManager.getStorageStats()
+
+        return res.json({
+            success: true,
+            data: {
+                totalFiles: stats.totalFiles,
+                totalSize: stats.totalSize,
+                averageSize: stats.averageSize,
+                oldestFile: stats.oldestFile ? { filename: stats.oldestFile.filename, created: stats.oldestFile.created } : null,
+                newestFile: stats.newestFile ? { filename: stats.newestFile.filename, created: stats.newestFile.created } : null,
+                sizeByMonth: stats.sizeByMonth,
+                sizeByType: stats.sizeByType,
+                quarantinedFiles: stats.security.quarantinedFiles,
+                retentionDays: fileManager.retentionDays,
+                maxFileSize: fileManager.maxFileSize
+            }
+        })
+    } catch (error) {
+        console.error('Error fetching storage stats:', error)
+        return res.status(500).json({ success: false, error: 'Failed to fetch storage stats' })
+    }
+})
+
+// GET /api/files/:filename - metadata for one stored upload (protected route)
+app.get('/api/files/:filename', requireAuth, async (req, res) => {
+    try {
+        if (!fileManager.isSecureFilename(req.params.filename)) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' })
+        }
+
+        const metadata = await fileManager.getFileMetadata(req.params.filename)
+        const batches = await importBatchService.findByStoredFilenames([req.params.filename])
+        delete metadata.filePath
+
+        return res.json({ success: true, data: { ...metadata, batches } })
+    } catch (error) {
+        console.error('Error fetching file metadata:', error)
+        return res.status(404).json({ success: false, error: error.message || 'File not found' })
+    }
+})
+
+// GET /api/files/:filename/download - download a stored upload under its original name (protected route)
+app.get('/api/files/:filename/download', requireAuth, async (req, res) => {
+    try {
+        if (!fileManager.isSecureFilename(req.params.filename)) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' })
+        }
+
+        const fileBuffer = await fileManager.getFileBuffer(req.params.filename)
+        const [original] = await importBatchService.findByStoredFilenames([req.params.filename])
+
+        res.attachment(original ? original.filename : req.params.filename)
+        return res.send(fileBuffer)
+    } catch (error) {
+        console.error('Error downloading stored file:', error)
+        return res.status(404).json({ success: false, error: 'File not found' })
+    }
+})
+
+// DELETE /api/files/:filename - delete a stored upload; its import history is kept (protected route)
+app.delete('/api/files/:filename', requireAuth, async (req, res) => {
+    try {
+        if (!fileManager.isSecureFilename(req.params.filename)) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' })
+        }
+
+        await fileManager.deleteFile(req.params.filename)
+        await importBatchService.clearStoredFile(req.params.filename)
+
+        return res.json({ success: true })
+    } catch (error) {
+        console.error('Error deleting stored file:', error)
+        return res.status(404).json({ success: false, error: error.message || 'Failed to delete file' })
+    }
+})
+
+// POST /api/files/:filename/reimport - queue a new import of a stored upload; optional JSON body { mapping, conflictPolicy, sheets, defaultCountry, dryRun } (protected route)
+app.post('/api/files/:filename/reimport', requireAuth, async (req, res) => {
+    try {
+        if (!fileManager.isSecureFilename(req.params.filename)) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' })
+        }
+
+        const filePath = await fileManager.getStoredFilePath(req.params.filename)
+        const [original] = await importBatchService.findByStoredFilenames([req.params.filename])
+        const filename = original ? original.filename : req.params.filename
+
+        // Rules may have changed since the file was stored (e.g. it has since been quarantined)
+        const validation = await fileManager.validateUploadFile(filePath, filename)
+        if (!validation.isValid) return sendUploadRejection(res, validation)
+
+        let conflictPolicy
+        let sheets
+        let defaultCountry
+        try {
+            conflictPolicy = excelProcessor.normalizeConflictPolicy(req.body ? req.body.conflictPolicy : null)
+            sheets = excelProcessor.normalizeSheetSelection(req.body ? req.body.sheets : null)
+            defaultCountry = excelProcessor.normalizeDefaultCountry(req.body ? req.body.defaultCountry : null)
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message })
+        }
+
+        const options = req.body && req.body.mapping ? { mapping: req.body.mapping, conflictPolicy } : { conflictPolicy }
+        if (sheets) options.sheets = sheets
+        if (defaultCountry) options.defaultCountry = defaultCountry
+        const dryRun = !!(req.body && req.body.dryRun === true)
+        const jobId = await enqueueImportJob({
+            filename,
+            storedFile: {
+                storedFilename: req.params.filename,
+                fileSize: validation.fileInfo.size,
+                checksum: validation.fileInfo.checksum
+            },
+            userId: req.session.userId,
+            options,
+            dryRun
+        })
+
+        return res.status(202).json({
+            success: true,
+            message: dryRun ? 'File queued for a dry run' : 'File queued for re-import',
+            jobId,
+            dryRun
+        })
+    } catch (error) {
+        console.error('Error re-importing stored file:', error)
+        return res.status(500).json({ success: false, error: error.message || 'Failed to re-import file' })
+    }
+})
+
+// GET /api/mapping-profiles - list saved import mapping profiles (protected route)
+app.get('/api/mapping-profiles', requireAuth, async (req, res) => {
+    try {
+        const profiles = await mappingProfileService.listProfiles()
+        return res.json({ success: true, data: profiles })
+    } catch (error) {
+        console.error('Error listing mapping profiles:', error)
+        return res.status(500).json({ success: false, error: 'Failed to list mapping profiles' })
+    }
+})
+
+// POST /api/mapping-profiles - save a mapping profile; an existing profile with the same name is replaced (protected route)
+app.post('/api/mapping-profiles', requireAuth, async (req, res) => {
+    try {
+        const profile = await mappingProfileService.saveProfile(req.body || {}, req.session.userId)
+        excelProcessor.cacheMappingProfile(profile)
+        return res.json({ success: true, data: profile })
+    } catch (error) {
+        console.error('Error saving mapping profile:', error)
+        return res.status(400).json({ success: false, error: error.message || 'Failed to save mapping profile' })
+    }
+})
+
+// DELETE /api/mapping-profiles/:id - delete a saved mapping profile (protected route)
+app.delete('/api/mapping-profiles/:id', requireAuth, async (req, res) => {
+    try {
+        const deleted = await mappingProfileService.deleteProfile(req.params.id)
+        if (!deleted) return res.status(404).json({ success: false, error: 'Mapping profile not found' })
+
+        excelProcessor.forgetMappingProfile(parseInt(req.params.id, 10))
+        return res.json({ success: true })
+    } catch (error) {
+        console.error('Error deleting mapping profile:', error)
+        return res.status(500).json({ success: false, error: 'Failed to delete mapping profile' })
+    }
 })
 
 // POST /api/export - accepts JSON array in body and returns styled xlsx (protected route)
@@ -357,35 +1139,21 @@ app.post('/api/export', requireAuth, async (req, res) => {
     }
 })
 
-// GET /api/export/finish-data - export records where at least one field is filled (protected route)
+// GET /api/export/finish-data - export records with a usable email or website (protected route)
 app.get('/api/export/finish-data', requireAuth, async (req, res) => {
     try {
+        const { filters, error } = readRecordFilters(req.query)
+        if (error) {
+            return res.status(400).json({ success: false, error })
+        }
 
-
-        // Get all records from database
-        const total = await db.getCheckRecordsCount()
-        const allRecords = await db.getCheckRecords(total, 0)
-
-        // Filter records where AT LEAST ONE field (company_name, physical_address, email, website) is NOT null
-        const finishRecords = allRecords.filter(record => {
-            const companyName = record.company_name
-            const physicalAddress = record.physical_address
-            const email = record.email
-            const website = record.website
-
-            // Check if at least one field is present and not empty
-            return (companyName && companyName.trim() !== '') ||
-                (physicalAddress && physicalAddress.trim() !== '') ||
-                (email && email.trim() !== '') ||
-                (website && website.trim() !== '')
-        })
-
-
+        // Records whose email or website is usable (see usableContactFilter)
+        const finishRecords = await getFilteredRecords({ ...filters, usableContact: usableContactFilter() })
 
         if (finishRecords.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'No records found with at least one field filled'
+                error: 'No records found with a usable email or website'
             })
         }
 
@@ -393,8 +1161,14 @@ app.get('/api/export/finish-data', requireAuth, async (req, res) => {
         const exportData = finishRecords.map(record => ({
             Id: record.id || '',
             Phone: record.phone || '',
+            'Phone (E.164)': record.phone_e164 || '',
+            'Number Type': record.phone_type || '',
+            Country: record.phone_country || '',
             'Company Name': record.company_name || '',
             'Physical Address': record.physical_address || '',
+            'Postal Code': record.postal_code || '',
+            District: record.postal_district || '',
+            Region: record.postal_region || '',
             Email: record.email || '',
             Website: record.website || '',
             Carrier: record.carrier || '',
@@ -436,27 +1210,14 @@ app.get('/api/export/finish-data', requireAuth, async (req, res) => {
 // GET /api/export/no-data - export records where all fields are null (protected route)
 app.get('/api/export/no-data', requireAuth, async (req, res) => {
     try {
+        const { filters, error } = readRecordFilters(req.query)
+        if (error) {
+            return res.status(400).json({ success: false, error })
+        }
 
-
-        // Get all records from database
-        const total = await db.getCheckRecordsCount()
-        const allRecords = await db.getCheckRecords(total, 0)
-
-        // Filter records where ALL fields (company_name, physical_address, email, website) are null or empty
-        const noDataRecords = allRecords.filter(record => {
-            const companyName = record.company_name
-            const physicalAddress = record.physical_address
-            const email = record.email
-            const website = record.website
-
-            // Check if all fields are null or empty
-            return (!companyName || companyName.trim() === '') &&
-                (!physicalAddress || physicalAddress.trim() === '') &&
-                (!email || email.trim() === '') &&
-                (!website || website.trim() === '')
-        })
-
-
+        // Records where ALL fields (company_name, physical_address, email, website) are empty or placeholders such as "---"
+        const placeholderPatterns = contactValidator.placeholderPatterns.map(pattern => pattern.source)
+        const noDataRecords = await getFilteredRecords({ ...filters, noData: { placeholderPatterns } })
 
         if (noDataRecords.length === 0) {
             return res.status(404).json({
@@ -469,8 +1230,14 @@ app.get('/api/export/no-data', requireAuth, async (req, res) => {
         const exportData = noDataRecords.map(record => ({
             Id: record.id || '',
             Phone: record.phone || '',
+            'Phone (E.164)': record.phone_e164 || '',
+            'Number Type': record.phone_type || '',
+            Country: record.phone_country || '',
             'Company Name': record.company_name || '',
             'Physical Address': record.physical_address || '',
+            'Postal Code': record.postal_code || '',
+            District: record.postal_district || '',
+            Region: record.postal_region || '',
             Email: record.email || '',
             Website: record.website || '',
             Carrier: record.carrier || '',
@@ -512,56 +1279,27 @@ app.get('/api/export/no-data', requireAuth, async (req, res) => {
 // GET /api/export/wrong-number - export records with invalid Singapore phone numbers (protected route)
 app.get('/api/export/wrong-number', requireAuth, async (req, res) => {
     try {
+        const { filters, error } = readRecordFilters(req.query)
+        if (error) {
+            return res.status(400).json({ success: false, error })
+        }
 
+        // ?reason=too_short,foreign_country keeps numbers that failed for those reasons
+        const reasons = String(req.query.reason || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean)
+        const reasonCodes = Object.keys(singaporePhoneValidator.invalidReasons)
+        if (reasons.some(reason => !reasonCodes.includes(reason))) {
+            return res.status(400).json({ success: false, error: `reason must be one or more of ${reasonCodes.join(', ')}` })
+        }
 
-        // Get all records from database
-        const total = await db.getCheckRecordsCount()
-        const allRecords = await db.getCheckRecords(total, 0)
-
-        // Build phone frequency map to identify duplicates (to exclude them)
-        const phoneMap = new Map()
-        allRecords.forEach(record => {
-            const phone = record.phone
-            if (phone) {
-                if (!phoneMap.has(phone)) {
-                    phoneMap.set(phone, [])
-                }
-                phoneMap.get(phone).push(record.id)
-            }
-        })
-
-        // Identify duplicate phone numbers
-        const duplicatePhones = new Set()
-        phoneMap.forEach((ids, phone) => {
-            if (ids.length > 1) {
-                duplicatePhones.add(phone)
-            }
-        })
-
-        // Filter records where NOT duplicate AND status is false (invalid Singapore phone number)
-        // This matches the logic in /api/validation-stats for invalidCount
-        const wrongNumberRecords = allRecords.filter(record => {
-            const phone = record.phone
-            const status = record.status
-            const isDuplicate = phone && duplicatePhones.has(phone)
-
-            // Include only if NOT duplicate AND invalid status
-            if (isDuplicate) {
-                return false
-            } else if (status === false || status === 0) {
-                return true
-            } else {
-                // Treat unclear status as invalid (matching validation-stats logic)
-                return status !== true && status !== 1
-            }
-        })
-
-
+        // Records with an invalid phone that no other record shares, matching the logic in /api/validation-stats for invalidCount
+        const wrongNumberRecords = await getFilteredRecords({ ...filters, invalidPhone: { reasons } })
 
         if (wrongNumberRecords.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'No records found with invalid Singapore phone numbers'
+                error: reasons.length > 0
+                    ? 'No records found with invalid Singapore phone numbers for the selected reasons'
+                    : 'No records found with invalid Singapore phone numbers'
             })
         }
 
@@ -569,17 +1307,25 @@ app.get('/api/export/wrong-number', requireAuth, async (req, res) => {
         const exportData = wrongNumberRecords.map(record => ({
             Id: record.id || '',
             Phone: record.phone || '',
+            'Phone (E.164)': record.phone_e164 || '',
+            'Number Type': record.phone_type || '',
+            Country: record.phone_country || '',
             'Company Name': record.company_name || '',
             'Physical Address': record.physical_address || '',
+            'Postal Code': record.postal_code || '',
+            District: record.postal_district || '',
+            Region: record.postal_region || '',
             Email: record.email || '',
             Website: record.website || '',
             Carrier: record.carrier || '',
-            LineType: record.line_type || ''
+            LineType: record.line_type || '',
+            'Invalid Reason': describeInvalidReason(record)
         }))
 
         // Use ExcelExporter service
         const exportResult = await excelExporter.exportCheckTableRecords(exportData, {
             sheetName: 'Wrong Numbers',
+            customHeaders: [...excelExporter.defaultHeaders, 'Invalid Reason'],
             enableStyling: true,
             stylingOptions: {}
         })
@@ -612,8 +1358,13 @@ app.get('/api/export/wrong-number', requireAuth, async (req, res) => {
 // GET /api/companies/search - search companies across all records
 app.get('/api/companies/search', requireAuth, async (req, res) => {
     try {
-        const searchTerm = req.query.q;
-        if (!searchTerm || searchTerm.trim() === '') {
+        const searchTerm = (req.query.q || '').trim();
+        const { filters, error } = readRecordFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        // A filter on its own lists every record it matches
+        if (searchTerm === '' && !hasRecordFilters(filters)) {
             return res.status(400).json({
                 success: false,
                 error: 'Search term is required'
@@ -622,85 +1373,85 @@ app.get('/api/companies/search', requireAuth, async (req, res) => {
 
         const limit = parseInt(req.query.limit) || 100;
         const offset = parseInt(req.query.offset) || 0;
-        const term = `%${searchTerm.trim().toLowerCase()}%`;
+        const term = `%${searchTerm.toLowerCase()}%`;
+
+        // Search across ID, phone, company_name, email, website, physical_address and postal_code
+        const params = [term];
+        const recordFilter = db.buildRecordFilter(filters, params);
+        const whereClause = `
+            WHERE (LOWER(c.id::text) LIKE $1
+               OR LOWER(c.phone) LIKE $1
+               OR LOWER(COALESCE(c.company_name, '')) LIKE $1
+               OR LOWER(COALESCE(c.email, '')) LIKE $1
+               OR LOWER(COALESCE(c.website, '')) LIKE $1
+               OR LOWER(COALESCE(c.physical_address, '')) LIKE $1
+               OR COALESCE(c.postal_code, '') LIKE $1)
+            ${recordFilter ? `AND ${recordFilter}` : ''}
+        `;
 
-        // Search across ID, phone, company_name, email, website, and physical_address
         const searchQuery = `
-            SELECT id, numeric_id, phone, status,
-                   company_name, physical_address,
-                   email, website, carrier, line_type, real_existence, created_at, updated_at
-            FROM check_table
-            WHERE LOWER(id::text) LIKE $1
-               OR LOWER(phone) LIKE $1
-               OR LOWER(COALESCE(company_name, '')) LIKE $1
-               OR LOWER(COALESCE(email, '')) LIKE $1
-               OR LOWER(COALESCE(website, '')) LIKE $1
-               OR LOWER(COALESCE(physical_address, '')) LIKE $1
-            ORDER BY numeric_id ASC, id ASC
-            LIMIT $2 OFFSET $3
+            SELECT c.id, c.numeric_id, c.phone, c.status,
+                   c.company_name, c.physical_address,
+                   c.email, c.website, c.carrier, c.line_type, c.real_existence, c.created_at, c.updated_at,
+                   c.postal_code, c.address_block, c.address_street, c.address_unit, c.address_building,
+                   ps.district AS postal_district, ps.region AS postal_region,
+                   c.email_status, c.website_status, c.phone_e164, c.phone_type,
+                   c.phone_invalid_reason, c.phone_invalid_country, c.phone_country,
+                   ${db.buildDuplicatePhoneCondition('c')} AS is_duplicate
+            FROM check_table c
+            LEFT JOIN postal_sectors ps ON ps.sector = LEFT(c.postal_code, 2)
+            ${whereClause}
+            ORDER BY c.numeric_id ASC, c.id ASC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
         `;
 
         const countQuery = `
             SELECT COUNT(*) as count
-            FROM check_table
-            WHERE LOWER(id::text) LIKE $1
-               OR LOWER(phone) LIKE $1
-               OR LOWER(COALESCE(company_name, '')) LIKE $1
-               OR LOWER(COALESCE(email, '')) LIKE $1
-               OR LOWER(COALESCE(website, '')) LIKE $1
-               OR LOWER(COALESCE(physical_address, '')) LIKE $1
+            FROM check_table c
+            ${whereClause}
         `;
 
         const [searchResults, countResults] = await Promise.all([
-            db.query(searchQuery, [term, limit, offset]),
-            db.query(countQuery, [term])
+            db.query(searchQuery, [...params, limit, offset]),
+            db.query(countQuery, params)
         ]);
 
         const total = parseInt(countResults[0]?.count || 0);
 
-        // Get all companies to detect duplicates
-        const allCompanies = await db.getCheckRecords(await db.getCheckRecordsCount(), 0);
-        const phoneMap = new Map();
-
-        // Build phone frequency map
-        allCompanies.forEach(company => {
-            const phone = company.phone;
-            if (phone) {
-                if (!phoneMap.has(phone)) {
-                    phoneMap.set(phone, []);
-                }
-                phoneMap.get(phone).push(company.id);
-            }
-        });
-
-        // Identify duplicate phone numbers
-        const duplicatePhones = new Set();
-        phoneMap.forEach((ids, phone) => {
-            if (ids.length > 1) {
-                duplicatePhones.add(phone);
-            }
-        });
-
         // Mark duplicates for search results
         const enrichedResults = searchResults.map(company => {
-            const phone = company.phone;
-            const isDuplicate = phone && duplicatePhones.has(phone);
+            const isDuplicate = company.is_duplicate;
             const isValidSingaporePhone = company.status === true;
 
             return {
                 Id: company.id,
                 Phone: company.phone,
+                PhoneE164: company.phone_e164,
+                PhoneType: company.phone_type,
+                PhoneCountry: company.phone_country,
                 CompanyName: company.company_name,
                 PhysicalAddress: company.physical_address,
+                PostalCode: company.postal_code,
+                District: company.postal_district,
+                Region: company.postal_region,
+                AddressBlock: company.address_block,
+                AddressStreet: company.address_street,
+                AddressUnit: company.address_unit,
+                AddressBuilding: company.address_building,
                 Email: company.email,
                 Website: company.website,
+                EmailStatus: company.email_status,
+                WebsiteStatus: company.website_status,
+                PhoneInvalidReason: isValidSingaporePhone ? null : getInvalidReason(company).code,
+                PhoneInvalidCountry: isValidSingaporePhone ? null : getInvalidReason(company).country,
                 Carrier: company.carrier,
                 LineType: company.line_type,
                 Status: company.status,
                 real_existence: company.real_existence,
                 realExistence: company.real_existence !== undefined ? company.real_existence : company.realExistence,
                 isDuplicate,
-                isValidSingaporePhone
+                isValidSingaporePhone,
+                invalidReason: isValidSingaporePhone ? null : describeInvalidReason(company)
             };
         });
 
@@ -712,6 +1463,7 @@ app.get('/api/companies/search', requireAuth, async (req, res) => {
             limit: limit,
             offset: offset,
             searchTerm: searchTerm,
+            filters: filters,
             hasMore: (offset + searchResults.length) < total
         });
 
@@ -724,6 +1476,26 @@ app.get('/api/companies/search', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/phone-countries - countries whose phone numbers are accepted, for the import country choice
+app.get('/api/phone-countries', requireAuth, (req, res) => {
+    const countries = singaporePhoneValidator.acceptedCountries.map(code => ({
+        code,
+        name: singaporePhoneValidator.getCountryName(code)
+    }))
+    return res.json({ success: true, data: { defaultCountry: singaporePhoneValidator.defaultCountry, countries } })
+})
+
+// GET /api/postal-districts - postal districts for the district filter
+app.get('/api/postal-districts', requireAuth, async (req, res) => {
+    try {
+        const districts = await db.getPostalDistricts();
+        return res.json({ success: true, data: districts, regions: POSTAL_REGIONS });
+    } catch (error) {
+        console.error('Error fetching postal districts:', error);
+        return res.status(500).json({ success: false, error: 'Failed to fetch postal districts' });
+    }
+});
+
 // PUT /api/companies/:id - update company info (company fields only)
 app.put('/api/companies/:id', requireAuth, async (req, res) => {
     try {
@@ -742,6 +1514,13 @@ app.put('/api/companies/:id', requireAuth, async (req, res) => {
             website: toStrOrNull(website)
         };
 
+        // Re-parse the edited address so its block, street, unit, building and postal code stay in step
+        payload.address = addressParser.parse(payload.physicalAddress);
+        payload.statuses = {
+            email: contactValidator.validateEmail(payload.email),
+            website: contactValidator.validateWebsite(payload.website)
+        };
+
         // Update in check_table only (Id/Phone/Status are immutable here)
         const result = await db.updateCheckRecord(id, payload);
 
@@ -762,7 +1541,7 @@ app.post('/api/real-existence', requireAuth, async (req, res) => {
         }
 
         // Query all records with status = 1 and numeric_id in range
-        const sql = `SELECT id, phone, numeric_id FROM check_table WHERE status = true AND numeric_id >= $1 AND numeric_id <= $2`;
+        const sql = `SELECT id, phone, phone_e164, phone_country, numeric_id FROM check_table WHERE status = true AND numeric_id >= $1 AND numeric_id <= $2`;
         const records = await db.query(sql, [from, to]);
         if (!records || records.length === 0) {
             return res.json({ success: false, error: 'No records found in range.' });
@@ -776,8 +1555,8 @@ app.post('/api/real-existence', requireAuth, async (req, res) => {
         }
 
         // Helper to call Numverify
-        async function checkNumverify(phone) {
-            const url = `${NUMVERIFY_URL}?access_key=${NUMVERIFY_API_KEY}&number=${encodeURIComponent(phone)}&country_code=SG&format=1`;
+        async function checkNumverify(phone, country) {
+            const url = `${NUMVERIFY_URL}?access_key=${NUMVERIFY_API_KEY}&number=${encodeURIComponent(phone)}&country_code=${country}&format=1`;
             try {
                 const resp = await fetch(url);
                 const data = await resp.json();
@@ -790,12 +1569,10 @@ app.post('/api/real-existence', requireAuth, async (req, res) => {
         // For each record, check real existence and update DB if valid
         const results = [];
         for (const rec of records) {
-            // Format phone for Numverify (add +65 if missing)
-            let phone = rec.phone;
-            if (!phone.startsWith('+65')) {
-                phone = '+65' + phone.replace(/^65/, '');
-            }
-            const nv = await checkNumverify(phone);
+            // Format phone for Numverify: the stored E.164 form, else worked out for the record's country
+            const country = rec.phone_country || singaporePhoneValidator.defaultCountry;
+            const phone = rec.phone_e164 || singaporePhoneValidator.classifyPhone(rec.phone, country).e164 || rec.phone;
+            const nv = await checkNumverify(phone, country);
             // Handle Numverify errors (including rate limit)
             if (nv && nv.success === false && nv.error) {
                 const { code, type, info } = nv.error;
@@ -983,6 +1760,49 @@ app.post('/api/check-duplicates', requireAuth, async (req, res) => {
 
 
 
+// Background handler for the contact status backfill: work out missing email and website statuses, a page of rows at a time
+async function runContactStatusBackfillJob(job, reportProgress) {
+    let afterId = ''
+    let updated = 0
+
+    for (;;) {
+        const rows = await db.getRecordsWithoutContactStatus(afterId, 1000)
+        if (rows.length === 0) break
+
+        updated += await db.updateContactStatuses(rows.map(row => ({
+            id: row.id,
+            emailStatus: row.email_status || contactValidator.validateEmail(row.email),
+            websiteStatus: row.website_status || contactValidator.validateWebsite(row.website)
+        })))
+        afterId = rows[rows.length - 1].id
+        await reportProgress({ processed: updated })
+    }
+
+    return { updated, progress: { processed: updated } }
+}
+
+jobQueueService.registerHandler('contact_status_backfill', runContactStatusBackfillJob)
+
+// Queue the work left over from older rows once the server is listening, unless a job for it is already pending:
+// rows without an email or website status, and phones checked by an older validator version or never checked
+async function queueStartupJobs() {
+    try {
+        if (!(await jobQueueService.hasPendingJob('contact_status_backfill'))
+            && (await db.getRecordsWithoutContactStatus('', 1)).length > 0) {
+            const jobId = await jobQueueService.enqueue({ type: 'contact_status_backfill' })
+            console.log(`Queued contact status backfill as job ${jobId}`)
+        }
+
+        const outdated = await db.countPhoneRecordsForRevalidation(phoneValidationProcessor.normalizeFilters({ scope: 'outdated' }))
+        if (outdated > 0 && !(await jobQueueService.hasPendingJob('phone_revalidation'))) {
+            const jobId = await jobQueueService.enqueue({ type: 'phone_revalidation', payload: { filters: { scope: 'outdated' } } })
+            console.log(`Queued revalidation of ${outdated} outdated phone numbers as job ${jobId}`)
+        }
+    } catch (error) {
+        console.error('Failed to queue startup jobs:', error)
+    }
+}
+
 // Initialize database connection
 async function startServer() {
     try {
@@ -992,11 +1812,33 @@ async function startServer() {
         if (typeof db.ensureOptionalColumns === 'function') {
             await db.ensureOptionalColumns();
         }
+        // Ensure tables backing the import workflow exist
+        if (typeof db.ensureImportTables === 'function') {
+            await db.ensureImportTables();
+        }
+        // Ensure the audit table for accepted phone repairs exists
+        if (typeof db.ensurePhoneRepairTable === 'function') {
+            await db.ensurePhoneRepairTable();
+        }
+        // Ensure the postal district lookup is seeded
+        if (typeof db.ensurePostalSectors === 'function') {
+            await db.ensurePostalSectors();
+        }
+        // Start the in-process worker for queued imports
+        if (config.jobs.enableWorker) {
+            await jobQueueService.start();
+        }
+        // Batches left processing by an import job that is no longer queued or running can then be rolled back
+        await importBatchService.failOrphanedBatches();
 
 
         // Start server
         app.listen(PORT, () => {
             console.log(`Server is running on port ${PORT}`);
+            // Older rows are brought up to date in the background rather than holding up startup
+            if (config.jobs.enableWorker) {
+                queueStartupJobs();
+            }
         });
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -1045,5 +1887,9 @@ app.get('/file-management', requireAuth, (req, res) => {
     return res.render('html/file-management')
 })
 
+app.get('/conflict-review', requireAuth, (req, res) => {
+    return res.render('html/conflict-review')
+})
+
 // Start the server
 startServer()
@@ -1,11 +1,13 @@
+const singaporePhoneValidator = require('./singaporePhoneValidator');
+
 /**
  * Column Mapper Component
  * Intelligently maps Excel columns to expected data fields regardless of header names or positions
  */
 class ColumnMapper {
     constructor() {
-        // Phone number validation pattern
-        this.phonePattern = /^[689]\d{7}$/;
+        // Phone numbers are checked with the shared validator, against every accepted country
+        this.phoneValidator = singaporePhoneValidator;
         
         // Header patterns for different field types
         this.fieldPatterns = {
@@ -13,6 +15,10 @@ class ColumnMapper {
                 /phone/i, /mobile/i, /contact/i, /number/i, /tel/i, /cell/i,
                 /手机/i, /电话/i, /联系/i, /号码/i, /移动/i, /座机/i
             ],
+            // Before id, so "Country Code" is read as a country rather than an identifier
+            country: [
+                /country/i, /国家/i, /国籍/i
+            ],
             id: [
                 /^id$/i, /identifier/i, /序号/i, /编号/i, /^no$/i, /^num$/i,
                 /index/i, /key/i, /code/i, /ref/i, /reference/i
@@ -26,7 +32,7 @@ class ColumnMapper {
             ],
             address: [
                 /address/i, /location/i, /地址/i, /位置/i, /addr/i, /street/i,
-                /city/i, /province/i, /state/i, /country/i, /postal/i, /zip/i
+                /city/i, /province/i, /state/i, /postal/i, /zip/i
             ],
             website: [
                 /website/i, /url/i, /site/i, /网站/i, /链接/i, /web/i,
@@ -696,35 +702,25 @@ class ColumnMapper {
     }
 
     /**
-     * Clean phone number for validation
+     * Clean phone number for validation with the shared validator, keeping a + and its country code
      * @param {string} phoneNumber - Raw phone number
      * @returns {string|null} Cleaned phone number or null
      */
     cleanPhoneNumber(phoneNumber) {
-        if (!phoneNumber) return null;
-        
-        const cleaned = String(phoneNumber).replace(/\D/g, '');
-        
-        // Remove Singapore country code if present
-        if (cleaned.startsWith('65') && cleaned.length === 10) {
-            return cleaned.substring(2);
-        }
-        
-        return cleaned || null;
+        return this.phoneValidator.cleanPhone(phoneNumber);
     }
 
     /**
-     * Validate Singapore phone number format
+     * Check whether a value is a phone number of one of the accepted countries
      * @param {string} phoneNumber - Phone number to validate
-     * @returns {boolean} True if valid Singapore phone number
+     * @returns {boolean} True if valid in an accepted country
      */
     validatePhoneNumber(phoneNumber) {
         if (!phoneNumber || typeof phoneNumber !== 'string') {
             return false;
         }
 
-        const cleanNumber = phoneNumber.replace(/\D/g, '');
-        return this.phonePattern.test(cleanNumber);
+        return this.phoneValidator.isAcceptedPhone(phoneNumber);
     }
 }
 
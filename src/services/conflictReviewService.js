@@ -0,0 +1,338 @@
+const databaseManager = require('../utils/database');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
+const RecordNormalizer = require('./recordNormalizer');
+
+/**
+ * Conflict Review Service
+ * Lists the file values an import flagged instead of merging (import_conflicts) and applies the
+ * reviewer's decisions to check_table.
+ */
+class ConflictReviewService {
+    constructor() {
+        // import_conflicts.field values and the record detail property holding the stored value
+        this.reviewFields = {
+            company_name: 'companyName',
+            physical_address: 'physicalAddress',
+            email: 'email',
+            website: 'website',
+            phone: 'phone'
+        };
+
+        // Reviewer decisions and the conflict status each one leaves behind
+        this.choiceStatuses = {
+            incoming: 'accepted',
+            existing: 'kept'
+        };
+
+        // Current values of the records under review
+        this.duplicateDetectionService = new DuplicateDetectionService();
+
+        // Accepted company fields are normalised the way imports normalise them, which also parses addresses
+        // and validates emails and websites
+        this.recordNormalizer = new RecordNormalizer();
+    }
+
+    /**
+     * Build the WHERE clause shared by listing and bulk resolution; only pending conflicts are matched
+     * @param {Object} filters - { batchId, field, search }
+     * @param {Array} params - Query parameters, appended to
+     * @returns {string} SQL condition on import_conflicts aliased as ic
+     */
+    buildFilterClause(filters = {}, params = []) {
+        const conditions = [`ic.status = 'pending'`];
+
+        const batchId = parseInt(filters.batchId, 10);
+        if (!isNaN(batchId)) {
+            params.push(batchId);
+            conditions.push(`ic.batch_id = $${params.length}`);
+        }
+
+        if (filters.field) {
+            if (!this.reviewFields[filters.field]) {
+                throw new Error(`Unknown field: ${filters.field}`);
+            }
+            params.push(filters.field);
+            conditions.push(`ic.field = $${params.length}`);
+        }
+
+        if (filters.search) {
+            params.push(`%${String(filters.search).trim()}%`);
+            conditions.push(`(ic.record_id ILIKE $${params.length} OR ic.existing_value ILIKE $${params.length} OR ic.incoming_value ILIKE $${params.length})`);
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * List records with pending conflicts, oldest first, with their current values beside each conflict
+     * @param {Object} filters - { batchId, field, search }
+     * @param {number} limit - Records per page
+     * @param {number} offset - Page offset in records
+     * @returns {Promise<Object>} { records, total, conflictTotal }
+     */
+    async listRecords(filters = {}, limit = 50, offset = 0) {
+        const params = [];
+        const where = this.buildFilterClause(filters, params);
+
+        const totals = await databaseManager.query(`
+            SELECT COUNT(DISTINCT ic.record_id) AS records, COUNT(*) AS conflicts
+            FROM import_conflicts ic
+            WHERE ${where}
+        `, params);
+
+        const page = await databaseManager.query(`
+            SELECT ic.record_id
+            FROM import_conflicts ic
+            WHERE ${where}
+            GROUP BY ic.record_id
+            ORDER BY MIN(ic.created_at), ic.record_id
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, parseInt(limit), parseInt(offset)]);
+        const recordIds = page.map(row => row.record_id);
+
+        const conflicts = recordIds.length === 0 ? [] : await databaseManager.query(`
+            SELECT ic.id, ic.batch_id, ic.record_id, ic.source_record_id, ic.field, ic.existing_value, ic.incoming_value,
+                   ic.created_at, b.filename
+            FROM import_conflicts ic
+            LEFT JOIN import_batches b ON b.id = ic.batch_id
+            WHERE ${where} AND ic.record_id = ANY($${params.length + 1})
+            ORDER BY ic.id
+        `, [...params, recordIds]);
+
+        const details = await this.duplicateDetectionService.getExistingRecordDetails(recordIds);
+        const detailsById = new Map(details.map(detail => [detail.id, detail]));
+
+        const records = recordIds.map(recordId => {
+            const current = detailsById.get(recordId) || null;
+
+            return {
+                recordId,
+                current,
+                conflicts: conflicts
+                    .filter(conflict => conflict.record_id === recordId)
+                    .map(conflict => ({
+                        id: conflict.id,
+                        batchId: conflict.batch_id,
+                        filename: conflict.filename,
+                        sourceRecordId: conflict.source_record_id,
+                        field: conflict.field,
+                        existing: conflict.existing_value,
+                        incoming: conflict.incoming_value,
+                        // The stored value may have been edited since the import flagged it
+                        current: current ? current[this.reviewFields[conflict.field]] : null,
+                        createdAt: conflict.created_at
+                    }))
+            };
+        });
+
+        return {
+            records,
+            total: parseInt(totals[0]?.records || 0),
+            conflictTotal: parseInt(totals[0]?.conflicts || 0)
+        };
+    }
+
+    /**
+     * Count pending conflicts per field
+     * @returns {Promise<Object>} { total, byField }
+     */
+    async getSummary() {
+        const rows = await databaseManager.query(`
+            SELECT field, COUNT(*) AS count
+            FROM import_conflicts
+            WHERE status = 'pending'
+            GROUP BY field
+        `);
+
+        const byField = {};
+        let total = 0;
+        for (const row of rows) {
+            byField[row.field] = parseInt(row.count);
+            total += byField[row.field];
+        }
+
+        return { total, byField };
+    }
+
+    /**
+     * Apply per-field decisions. Accepting an incoming value writes it to check_table; keeping the
+     * existing value only closes the conflict. Conflicts that are no longer pending are ignored.
+     * @param {Array} decisions - [{ id, choice }] where choice is 'incoming' or 'existing'
+     * @param {number} userId - Reviewer
+     * @returns {Promise<Object>} { accepted, kept }
+     */
+    async resolveConflicts(decisions, userId = null) {
+        const incomingIds = [];
+        const existingIds = [];
+
+        for (const decision of decisions || []) {
+            const id = parseInt(decision && decision.id, 10);
+            if (isNaN(id)) {
+                throw new Error(`Invalid conflict ID: ${decision && decision.id}`);
+            }
+            if (!this.choiceStatuses[decision.choice]) {
+                throw new Error(`Unknown choice for conflict ${id}: ${decision.choice}`);
+            }
+            (decision.choice === 'incoming' ? incomingIds : existingIds).push(id);
+        }
+
+        const outcome = { accepted: 0, kept: 0 };
+        if (incomingIds.length === 0 && existingIds.length === 0) return outcome;
+
+        const client = await databaseManager.getConnection();
+
+        try {
+            await client.query('BEGIN');
+
+            if (incomingIds.length > 0) {
+                await this.applyIncomingValues(client, incomingIds);
+            }
+
+            const resolved = await client.query(`
+                UPDATE import_conflicts
+                SET status = CASE WHEN id = ANY($1::int[]) THEN 'accepted' ELSE 'kept' END,
+                    resolved_by = $3,
+                    resolved_at = CURRENT_TIMESTAMP
+                WHERE (id = ANY($1::int[]) OR id = ANY($2::int[])) AND status = 'pending'
+                RETURNING status
+            `, [incomingIds, existingIds, userId]);
+
+            for (const row of resolved.rows) {
+                if (row.status === 'accepted') outcome.accepted++;
+                else outcome.kept++;
+            }
+
+            await client.query('COMMIT');
+            return outcome;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Resolving import conflicts failed:', error.message);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Resolve every pending conflict matching a filter the same way
+     * @param {Object} filters - { batchId, field, search } as for listRecords
+     * @param {string} choice - 'incoming' or 'existing'
+     * @param {number} userId - Reviewer
+     * @returns {Promise<Object>} { accepted, kept }
+     */
+    async resolveFiltered(filters, choice, userId = null) {
+        if (!this.choiceStatuses[choice]) {
+            throw new Error(`Unknown choice: ${choice}`);
+        }
+
+        const params = [];
+        const where = this.buildFilterClause(filters, params);
+        const rows = await databaseManager.query(`SELECT ic.id FROM import_conflicts ic WHERE ${where}`, params);
+
+        return this.resolveConflicts(rows.map(row => ({ id: row.id, choice })), userId);
+    }
+
+    /**
+     * Write accepted incoming values into check_table, one set-based UPDATE per field.
+     * When several accepted conflicts target the same record and field, the newest one wins.
+     * The rows no longer belong to an import, so rolling the batch back does not undo the reviewer's choice.
+     * @param {Object} client - Connection inside an open transaction
+     * @param {Array} conflictIds - IDs of the accepted conflicts
+     * @returns {Promise<void>}
+     */
+    async applyIncomingValues(client, conflictIds) {
+        for (const field of Object.keys(this.reviewFields)) {
+            const { rows } = await client.query(`
+                SELECT DISTINCT ON (ic.record_id) ic.record_id, ic.incoming_value, ic.incoming_raw,
+                       COALESCE(ic.incoming_country, c.phone_country) AS incoming_country
+                FROM import_conflicts ic
+                JOIN check_table c ON c.id = ic.record_id
+                WHERE ic.id = ANY($1) AND ic.field = $2 AND ic.status = 'pending'
+                ORDER BY ic.record_id, ic.id DESC
+            `, [conflictIds, field]);
+            if (rows.length === 0) continue;
+
+            const columns = field === 'phone' ? this.phoneColumns(rows) : this.normalizedColumns(field, rows);
+            const names = Object.keys(columns);
+
+            await client.query(`
+                UPDATE check_table c
+                SET ${names.map(name => `${name} = u.${name}`).join(', ')},
+                    import_batch_id = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                FROM unnest($1::varchar[], ${names.map((name, index) => `$${index + 2}::${columns[name].type}[]`).join(', ')})
+                    AS u (id, ${names.join(', ')})
+                WHERE c.id = u.id
+            `, [rows.map(row => row.record_id), ...names.map(name => columns[name].values)]);
+        }
+    }
+
+    /**
+     * Columns written when incoming company names, addresses, emails or websites are accepted. The file value
+     * goes through the import's normaliser again, so the *_raw original, the parsed address parts, further emails
+     * and the email or website status agree with the accepted value.
+     * @param {string} field - check_table column
+     * @param {Array} rows - Accepted conflicts { record_id, incoming_value, incoming_raw }
+     * @returns {Object} Column name -> { type, values } in row order
+     */
+    normalizedColumns(field, rows) {
+        const recordField = this.reviewFields[field];
+        const normalized = rows.map(row => {
+            // Conflicts flagged before incoming_raw was recorded only have the normalised value
+            const result = this.recordNormalizer.normalizeRecord({ [recordField]: row.incoming_raw || row.incoming_value });
+            return { ...result, value: result.values[recordField] || row.incoming_value };
+        });
+        const column = (values, type = 'text') => ({ type, values });
+
+        const columns = {
+            [field]: column(normalized.map(result => result.value)),
+            [`${field}_raw`]: column(normalized.map(result => result.raw[recordField]))
+        };
+
+        if (field === 'physical_address') {
+            columns.postal_code = column(normalized.map(result => result.address.postalCode));
+            columns.address_block = column(normalized.map(result => result.address.block));
+            columns.address_street = column(normalized.map(result => result.address.street));
+            columns.address_unit = column(normalized.map(result => result.address.unit));
+            columns.address_building = column(normalized.map(result => result.address.building));
+        }
+        if (field === 'email') {
+            columns.additional_emails = column(normalized.map(result => result.additionalEmails.join(', ') || null));
+            columns.email_status = column(normalized.map(result => result.statuses.email));
+        }
+        if (field === 'website') {
+            columns.website_status = column(normalized.map(result => result.statuses.website));
+        }
+
+        return columns;
+    }
+
+    /**
+     * Columns written when incoming phones are accepted: the number is classified again as a number of the
+     * country the import read it as (conflicts flagged before that was recorded use the country of the phone
+     * it replaces), and the file cell it came from becomes phone_raw.
+     * @param {Array} rows - Accepted conflicts { record_id, incoming_value, incoming_raw, incoming_country }
+     * @returns {Object} Column name -> { type, values } in row order
+     */
+    phoneColumns(rows) {
+        const classified = rows.map(row => singaporePhoneValidator.classifyPhone(row.incoming_value, row.incoming_country));
+        const column = (values, type = 'text') => ({ type, values });
+
+        return {
+            phone: column(classified.map((result, index) => singaporePhoneValidator.getStoredPhone(rows[index].incoming_value, result))),
+            phone_raw: column(rows.map(row => row.incoming_raw)),
+            status: column(classified.map(result => result.isValid), 'boolean'),
+            phone_country: column(classified.map(result => result.country)),
+            phone_e164: column(classified.map(result => result.e164)),
+            phone_type: column(classified.map(result => result.type)),
+            phone_invalid_reason: column(classified.map(result => result.invalidReason)),
+            phone_invalid_country: column(classified.map(result => result.invalidCountry)),
+            phone_validator_version: column(classified.map(result => result.validatorVersion))
+        };
+    }
+}
+
+// Export singleton instance
+const conflictReviewService = new ConflictReviewService();
+module.exports = conflictReviewService;
@@ -0,0 +1,120 @@
+const { FREE_MAIL_DOMAINS, DISPOSABLE_EMAIL_DOMAINS } = require('../utils/emailProviders');
+
+/**
+ * Contact Validator Component
+ * Gives email and website values a validation status, the way check_table.status does for phones.
+ * Email: valid, free_mail (webmail such as gmail.com), disposable, invalid or placeholder.
+ * Website: valid, invalid or placeholder. Empty values have no status (null).
+ */
+class ContactValidator {
+    constructor() {
+        this.emailStatuses = ['valid', 'free_mail', 'disposable', 'invalid', 'placeholder'];
+        this.websiteStatuses = ['valid', 'invalid', 'placeholder'];
+
+        // Statuses that count as contact data someone can use
+        this.usableEmailStatuses = ['valid', 'free_mail'];
+        this.usableWebsiteStatuses = ['valid'];
+
+        // Practical subset of RFC 5322: one @, a dotted domain and no spaces
+        this.emailPattern = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/;
+
+        // Dotted host names ending in an alphabetic top-level domain
+        this.hostPattern = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+        // Values typed to fill a cell rather than to give data, including the "---" written by Check Empty
+        this.placeholderPatterns = [
+            /^[^a-z0-9]*$/i,
+            /^(?:n\/?a|nil|none|null|no|nope|unknown|tbc|tba|test|x+|0+)$/i,
+            /^no\s*(?:email|e-mail|mail|website|web|site)$/i
+        ];
+
+        // Addresses and domains that only stand in for real ones
+        this.placeholderEmailLocalParts = ['noemail', 'no-email', 'no_email', 'none', 'nil', 'na', 'test', 'xxx', 'noreply', 'no-reply', 'donotreply'];
+        this.placeholderDomains = new Set(['example.com', 'example.org', 'example.net', 'test.com', 'domain.com', 'website.com', 'xxx.com']);
+
+        this.freeMailDomains = new Set(FREE_MAIL_DOMAINS);
+        this.disposableDomains = new Set(DISPOSABLE_EMAIL_DOMAINS);
+    }
+
+    /**
+     * Work out an email status
+     * @param {string} value - Email address
+     * @returns {string|null} One of emailStatuses, or null for an empty value
+     */
+    validateEmail(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+        if (!text) return null;
+        if (this.isPlaceholder(text)) return 'placeholder';
+        if (!this.emailPattern.test(text)) return 'invalid';
+
+        const [localPart, domain] = text.split('@');
+        if (this.placeholderEmailLocalParts.includes(localPart) || this.matchesDomain(domain, this.placeholderDomains)) {
+            return 'placeholder';
+        }
+        if (this.matchesDomain(domain, this.disposableDomains)) return 'disposable';
+        if (this.matchesDomain(domain, this.freeMailDomains)) return 'free_mail';
+        return 'valid';
+    }
+
+    /**
+     * Work out a website status
+     * @param {string} value - Website address, with or without a scheme
+     * @returns {string|null} One of websiteStatuses, or null for an empty value
+     */
+    validateWebsite(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (!text) return null;
+        if (this.isPlaceholder(text)) return 'placeholder';
+        if (text.includes('@') && !/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) return 'invalid';
+
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+        } catch (error) {
+            return 'invalid';
+        }
+
+        const host = url.hostname.toLowerCase();
+        if (!['http:', 'https:'].includes(url.protocol) || !this.hostPattern.test(host)) return 'invalid';
+        if (this.matchesDomain(host.replace(/^www\./, ''), this.placeholderDomains)) return 'placeholder';
+        return 'valid';
+    }
+
+    /**
+     * Check a value against the placeholder patterns
+     * @param {string} value - Cell value
+     * @returns {boolean} True for values such as "---", "N/A" or "nil"
+     */
+    isPlaceholder(value) {
+        const text = String(value || '').trim();
+        return text !== '' && this.placeholderPatterns.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Check whether a record has contact data someone can use: a usable email or website.
+     * Stored statuses are used when present; values without one are validated on the spot.
+     * @param {Object} record - check_table row
+     * @returns {boolean} True when the email or website is usable
+     */
+    hasUsableContact(record) {
+        const emailStatus = record.email_status || this.validateEmail(record.email);
+        const websiteStatus = record.website_status || this.validateWebsite(record.website);
+        return this.usableEmailStatuses.includes(emailStatus) || this.usableWebsiteStatuses.includes(websiteStatus);
+    }
+
+    /**
+     * Check a domain, or any parent domain of it, against a list
+     * @param {string} domain - Domain name
+     * @param {Set} domains - Domains to match
+     * @returns {boolean} True on a match
+     */
+    matchesDomain(domain, domains) {
+        const labels = String(domain || '').split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (domains.has(labels.slice(i).join('.'))) return true;
+        }
+        return false;
+    }
+}
+
+module.exports = ContactValidator;
@@ -487,13 +487,13 @@ class DataValidator {
     }
 
     /**
-     * Validate phone number using Singapore phone validator
+     * Validate phone number using the shared phone validator
      * @param {string} phoneNumber - Phone number to validate
-     * @returns {boolean} True if valid Singapore phone number
+     * @returns {boolean} True if valid in one of the accepted countries
      */
     validateWithSingaporeValidator(phoneNumber) {
         try {
-            return singaporePhoneValidator.validateSingaporePhone(phoneNumber);
+            return singaporePhoneValidator.validatePhone(phoneNumber);
         } catch (error) {
             console.warn('Singapore phone validation error:', error.message);
             return false;
@@ -0,0 +1,234 @@
+/**
+ * Delimited Text Parser Component
+ * Reads CSV/TSV exports into a 2D array of strings, detecting encoding, BOM and delimiter
+ */
+class DelimitedTextParser {
+    constructor() {
+        // Delimiters tried when sniffing, in order of preference on a tie
+        this.candidateDelimiters = [',', '\t', ';', '|'];
+
+        // Number of records sampled when sniffing the delimiter
+        this.sniffSampleRows = 20;
+
+        // File extensions treated as delimited text
+        this.supportedExtensions = ['.csv', '.tsv', '.txt'];
+    }
+
+    /**
+     * Check whether a file should be parsed as delimited text rather than a workbook
+     * xlsx files are zip archives and xls files are OLE compound documents; anything else is treated as text
+     * @param {Buffer} buffer - File buffer
+     * @param {string} filename - Original filename, used as a hint when available
+     * @returns {boolean} True if the buffer looks like delimited text
+     */
+    isDelimitedText(buffer, filename = null) {
+        if (!buffer || buffer.length === 0) return false;
+
+        if (filename) {
+            const match = String(filename).toLowerCase().match(/\.[a-z0-9]+$/);
+            if (match && this.supportedExtensions.includes(match[0])) return true;
+            if (match && ['.xlsx', '.xls', '.pdf'].includes(match[0])) return false;
+        }
+
+        const isZip = buffer[0] === 0x50 && buffer[1] === 0x4B;
+        const isOle = buffer[0] === 0xD0 && buffer[1] === 0xCF && buffer[2] === 0x11 && buffer[3] === 0xE0;
+        const isPdf = buffer.slice(0, 4).toString('latin1') === '%PDF';
+
+        return !isZip && !isOle && !isPdf;
+    }
+
+    /**
+     * Detect text encoding from BOM or content
+     * @param {Buffer} buffer - File buffer
+     * @returns {Object} { encoding, bomLength }
+     */
+    detectEncoding(buffer) {
+        if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            return { encoding: 'utf-8', bomLength: 3 };
+        }
+        if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            return { encoding: 'utf-16le', bomLength: 2 };
+        }
+        if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            return { encoding: 'utf-16be', bomLength: 2 };
+        }
+
+        // UTF-16 without a BOM: ASCII-heavy text leaves every other byte zero
+        const sample = buffer.slice(0, Math.min(buffer.length, 4096));
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++; else oddZeros++;
+            }
+        }
+        const half = sample.length / 2;
+        if (half > 0 && oddZeros / half > 0.3 && evenZeros / half < 0.05) {
+            return { encoding: 'utf-16le', bomLength: 0 };
+        }
+        if (half > 0 && evenZeros / half > 0.3 && oddZeros / half < 0.05) {
+            return { encoding: 'utf-16be', bomLength: 0 };
+        }
+
+        // Valid UTF-8 decodes strictly; Chinese CRM exports that fail are almost always GBK
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            return { encoding: 'utf-8', bomLength: 0 };
+        } catch (error) {
+            return { encoding: 'gbk', bomLength: 0 };
+        }
+    }
+
+    /**
+     * Decode a buffer to a string using the detected encoding
+     * @param {Buffer} buffer - File buffer
+     * @returns {Object} { text, encoding }
+     */
+    decode(buffer) {
+        const { encoding, bomLength } = this.detectEncoding(buffer);
+        const body = buffer.slice(bomLength);
+
+        if (encoding === 'utf-16be') {
+            // TextDecoder has no utf-16be in every runtime; swap byte order and decode as little-endian
+            const swapped = Buffer.alloc(body.length - (body.length % 2));
+            for (let i = 0; i + 1 < body.length; i += 2) {
+                swapped[i] = body[i + 1];
+                swapped[i + 1] = body[i];
+            }
+            return { text: new TextDecoder('utf-16le').decode(swapped), encoding };
+        }
+
+        return { text: new TextDecoder(encoding).decode(body), encoding };
+    }
+
+    /**
+     * Pick the delimiter that splits the sample into the most consistent number of columns
+     * @param {string} text - Decoded text
+     * @returns {string} Delimiter character
+     */
+    sniffDelimiter(text) {
+        let best = { delimiter: ',', consistency: -1, columns: 0 };
+
+        for (const delimiter of this.candidateDelimiters) {
+            const rows = this.parse(text, delimiter, this.sniffSampleRows)
+                .filter(row => row.some(cell => cell.trim()));
+
+            if (rows.length === 0) continue;
+
+            const counts = rows.map(row => row.length);
+            const columns = Math.max(...counts);
+            if (columns < 2) continue;
+
+            // Share of rows having the most common column count
+            const frequency = new Map();
+            counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+            const consistency = Math.max(...frequency.values()) / rows.length;
+
+            if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+                best = { delimiter, consistency, columns };
+            }
+        }
+
+        return best.delimiter;
+    }
+
+    /**
+     * Parse delimited text with RFC 4180 quoting: quoted fields may contain delimiters,
+     * line breaks and doubled quotes
+     * @param {string} text - Decoded text
+     * @param {string} delimiter - Field delimiter
+     * @param {number} maxRows - Stop after this many rows (for sniffing)
+     * @param {Array} lineNumbers - Optional array that receives the 1-based line each row starts on
+     * @returns {Array} 2D array of strings
+     */
+    parse(text, delimiter = ',', maxRows = Infinity, lineNumbers = null) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        // Lines are counted across line breaks inside quoted fields too, so they match what an editor shows
+        let line = 1;
+        let rowLine = 1;
+        const endRow = () => {
+            rows.push(row);
+            if (lineNumbers) lineNumbers.push(rowLine);
+            row = [];
+            field = '';
+            rowLine = line;
+        };
+
+        while (i < text.length && rows.length < maxRows) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if ((char === '\r' && text[i + 1] !== '\n') || char === '\n') line++;
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                row.push(field);
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                line++;
+                endRow();
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        // Last row when the file does not end with a line break
+        if (rows.length < maxRows && (field !== '' || row.length > 0)) {
+            row.push(field);
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Decode and parse a delimited text file. Blank lines are dropped; lineNumbers keeps the file line
+     * each remaining row starts on, for reporting rows the way the user sees them in a text editor.
+     * @param {Buffer} buffer - File buffer
+     * @param {Object} options - { delimiter } to skip sniffing
+     * @returns {Object} { rows, lineNumbers, encoding, delimiter }
+     */
+    parseBuffer(buffer, options = {}) {
+        if (!buffer || !Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('Empty or invalid text file');
+        }
+
+        const { text, encoding } = this.decode(buffer);
+        const delimiter = options.delimiter || this.sniffDelimiter(text);
+        const allLineNumbers = [];
+        const rows = [];
+        const lineNumbers = [];
+        this.parse(text, delimiter, Infinity, allLineNumbers).forEach((row, index) => {
+            if (!row.some(cell => cell.trim())) return;
+            rows.push(row.map(cell => cell.trim()));
+            lineNumbers.push(allLineNumbers[index]);
+        });
+
+        return { rows, lineNumbers, encoding, delimiter };
+    }
+}
+
+module.exports = DelimitedTextParser;
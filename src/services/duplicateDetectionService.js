@@ -1,4 +1,5 @@
 const databaseManager = require('../utils/database');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
 
 /**
  * Service for detecting duplicate entries in check_table before insertion
@@ -1252,7 +1253,7 @@ class DuplicateDetectionService {
 
             const placeholders = idBatch.map((_, i) => `$${i + 1}`).join(',');
             const sql = `
-                SELECT id, phone, created_at
+                SELECT id, phone, status, company_name, physical_address, email, website, created_at, updated_at
                 FROM check_table
                 WHERE id IN (${placeholders})
             `;
@@ -1262,7 +1263,13 @@ class DuplicateDetectionService {
             return result.map(row => ({
                 id: row.id,
                 phone: row.phone,
-                createdAt: row.created_at
+                status: row.status,
+                companyName: row.company_name,
+                physicalAddress: row.physical_address,
+                email: row.email,
+                website: row.website,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
             }));
 
         } catch (error) {
@@ -1271,6 +1278,52 @@ class DuplicateDetectionService {
         }
     }
 
+    /**
+     * Find the check_table IDs that already use each phone number
+     * Numbers are matched on their E.164 form, so 91234567 finds a row stored as 6591234567.
+     * @param {Array} phones - Cleaned phone numbers
+     * @param {Map} keyByPhone - Optional phone -> E.164 key, for phones read in a country other than the default
+     * @returns {Promise<Map>} phone -> array of existing IDs, for phones that are stored
+     */
+    async findPhoneOwners(phones, keyByPhone = null) {
+        const owners = new Map();
+        const validPhones = [...new Set((phones || []).filter(phone => phone != null))];
+
+        // Several of the given phones can share one key
+        const phonesByKey = new Map();
+        for (const phone of validPhones) {
+            const key = (keyByPhone && keyByPhone.get(phone)) || singaporePhoneValidator.getPhoneKey(phone);
+            if (!phonesByKey.has(key)) phonesByKey.set(key, []);
+            phonesByKey.get(key).push(phone);
+        }
+        const keys = Array.from(phonesByKey.keys());
+
+        for (let i = 0; i < keys.length; i += this.batchSize) {
+            const batch = keys.slice(i, i + this.batchSize);
+            const placeholders = batch.map((_, index) => `$${index + 1}`).join(',');
+
+            try {
+                const result = await databaseManager.query(
+                    `SELECT COALESCE(phone_e164, phone) AS phone_key, id FROM check_table
+                     WHERE COALESCE(phone_e164, phone) IN (${placeholders}) ORDER BY id`,
+                    batch
+                );
+
+                for (const row of result) {
+                    for (const phone of phonesByKey.get(row.phone_key) || []) {
+                        if (!owners.has(phone)) owners.set(phone, []);
+                        owners.get(phone).push(row.id);
+                    }
+                }
+            } catch (error) {
+                console.error('Error finding phone owners:', error.message);
+                throw new Error(`Phone owner query failed: ${error.message}`);
+            }
+        }
+
+        return owners;
+    }
+
     /**
      * Safely parse JSON metadata
      * @param {string} jsonString - JSON string to parse
@@ -3,12 +3,13 @@ const singaporePhoneValidator = require('./singaporePhoneValidator');
 const {
     createBaseStyle,
     createHeaderStyle,
-    createStatusStyle
+    createStatusStyle,
+    createImportResultStyle
 } = require('../utils/excelStylingConfig');
 
 class ExcelExporter {
     constructor() {
-        this.defaultHeaders = ['ID', 'Phone Number', 'Company Name', 'Physical Address', 'Email', 'Website', 'Carrier', 'Line Type'];
+        this.defaultHeaders = ['ID', 'Phone Number', 'Phone (E.164)', 'Number Type', 'Country', 'Company Name', 'Physical Address', 'Postal Code', 'District', 'Region', 'Email', 'Website', 'Carrier', 'Line Type'];
         this.maxRecordsPerExport = 50000; // Limit for performance
         this.maxFileSizeBytes = 50 * 1024 * 1024; // 50MB limit
     }
@@ -211,12 +212,14 @@ class ExcelExporter {
 
     /**
      * Prepare data for worksheet creation
+     * Headers after the default ones are extra columns, read from the record field of the same name
      * @param {Array} records - Check table records array
      * @param {Array} headers - Column headers
      * @returns {Array} 2D array for worksheet
      */
     prepareWorksheetData(records, headers) {
         const worksheetData = [];
+        const extraHeaders = headers.slice(this.defaultHeaders.length);
 
         // Add headers as first row
         worksheetData.push(headers);
@@ -226,12 +229,19 @@ class ExcelExporter {
             const row = [
                 record.Id || record.id || '',
                 record.Phone || record.phone || '',
+                record.PhoneE164 || record['Phone (E.164)'] || record.phone_e164 || '',
+                record.PhoneType || record['Number Type'] || record.phone_type || '',
+                record.PhoneCountry || record.Country || record.phone_country || '',
                 record.CompanyName || record['Company Name'] || record.companyName || record.company_name || '',
                 record.PhysicalAddress || record['Physical Address'] || record.physicalAddress || record.physical_address || '',
+                record.PostalCode || record['Postal Code'] || record.postalCode || record.postal_code || '',
+                record.District || record.postal_district || '',
+                record.Region || record.postal_region || '',
                 record.Email || record.email || '',
                 record.Website || record.website || '',
                 record.Carrier || record.carrier || '',
-                record.LineType || record.line_type || record.lineType || ''
+                record.LineType || record.line_type || record.lineType || '',
+                ...extraHeaders.map(header => record[header] || '')
             ];
             worksheetData.push(row);
         });
@@ -295,12 +305,11 @@ class ExcelExporter {
             }
         }
 
-        // If no status field found, validate using Singapore phone number validator
+        // If no status field found, validate using the shared phone validator
         const phoneNumber = record.Phone || record.phone || null;
         if (phoneNumber) {
             try {
-                const isValidSingaporePhone = singaporePhoneValidator.validateSingaporePhone(phoneNumber);
-                return isValidSingaporePhone;
+                return singaporePhoneValidator.validatePhone(phoneNumber, record.phone_country || record.PhoneCountry || null);
             } catch (error) {
                 console.warn(`Phone validation failed for ${phoneNumber}:`, error.message);
                 return null;
@@ -966,6 +975,155 @@ class ExcelExporter {
         }
     }
 
+    /**
+     * Group stored import issues by sheet and row, keeping the most severe outcome of each row
+     * @param {Array} issues - Rows from importBatchService.getRowIssues
+     * @returns {Map} sheet name -> Map(row number -> { severity, reasons })
+     */
+    groupImportIssues(issues) {
+        const severityOrder = ['rejected', 'skipped', 'warning'];
+        const grouped = new Map();
+
+        for (const issue of issues) {
+            if (!issue.sheet_name || !issue.row_number) continue;
+
+            if (!grouped.has(issue.sheet_name)) grouped.set(issue.sheet_name, new Map());
+            const rows = grouped.get(issue.sheet_name);
+            const entry = rows.get(issue.row_number) || { severity: issue.severity, reasons: [] };
+
+            if (severityOrder.indexOf(issue.severity) < severityOrder.indexOf(entry.severity)) {
+                entry.severity = issue.severity;
+            }
+            if (!entry.reasons.includes(issue.reason)) entry.reasons.push(issue.reason);
+            rows.set(issue.row_number, entry);
+        }
+
+        return grouped;
+    }
+
+    /**
+     * Build the import result report: every imported sheet of the uploaded file, with an
+     * "Import Result" column and rows coloured by outcome (red rejected, grey skipped, yellow warning).
+     * Issues that cannot be placed in the file (no stored file, or no row number) are listed on an extra sheet.
+     * @param {Object|null} sourceWorkbook - Workbook read from the stored upload, or null when it is gone
+     * @param {Array} issues - Rows from importBatchService.getRowIssues
+     * @param {Object} options - { headerRows: sheet name -> 1-based header row, failuresOnly: keep only rejected and skipped rows }
+     * @returns {Buffer} xlsx buffer
+     */
+    generateImportResultReport(sourceWorkbook, issues, options = {}) {
+        const headerRows = options.headerRows || {};
+        const failuresOnly = options.failuresOnly === true;
+        const grouped = this.groupImportIssues(issues);
+        const workbook = XLSX.utils.book_new();
+        const resultLabels = { rejected: 'Rejected', skipped: 'Skipped', warning: 'Warning' };
+        const placedSheets = new Set();
+
+        for (const sheetName of sourceWorkbook ? sourceWorkbook.SheetNames : []) {
+            const sourceSheet = sourceWorkbook.Sheets[sheetName];
+            const sheetIssues = grouped.get(sheetName) || new Map();
+            const headerRow = headerRows[sheetName];
+
+            // Sheets that were not imported are left out
+            if (!sourceSheet || !sourceSheet['!ref'] || (!headerRow && sheetIssues.size === 0)) continue;
+            placedSheets.add(sheetName);
+
+            // Read from A1 so array positions match sheet rows and columns
+            const range = XLSX.utils.decode_range(sourceSheet['!ref']);
+            const rows = XLSX.utils.sheet_to_json(sourceSheet, {
+                header: 1,
+                defval: '',
+                blankrows: true,
+                range: { s: { r: 0, c: 0 }, e: range.e }
+            });
+            const resultColumn = range.e.c + 1;
+
+            const data = [];
+            const outcomes = [];
+            rows.forEach((row, index) => {
+                const rowNumber = index + 1;
+                const issue = sheetIssues.get(rowNumber);
+                let outcome = null;
+                let label = '';
+
+                if (rowNumber === headerRow) {
+                    outcome = 'header';
+                    label = 'Import Result';
+                } else if (issue) {
+                    outcome = issue.severity;
+                    label = `${resultLabels[issue.severity] || issue.severity}: ${issue.reasons.join('; ')}`;
+                } else if (headerRow && rowNumber > headerRow && row.some(value => String(value).trim() !== '')) {
+                    outcome = 'imported';
+                    label = 'Imported';
+                }
+
+                if (failuresOnly && !['header', 'rejected', 'skipped'].includes(outcome)) return;
+
+                const values = Array.from({ length: resultColumn }, (_, col) => row[col] === undefined ? '' : row[col]);
+                values.push(label);
+                data.push(values);
+                outcomes.push(outcome);
+            });
+
+            const worksheet = XLSX.utils.aoa_to_sheet(data);
+            outcomes.forEach((outcome, rowIndex) => {
+                if (!outcome) return;
+
+                for (let col = 0; col <= resultColumn; col++) {
+                    // Imported rows only get a styled result cell; the rest of the row keeps its look
+                    if (outcome === 'imported' && col !== resultColumn) continue;
+
+                    const address = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+                    if (!worksheet[address]) worksheet[address] = { t: 's', v: '' };
+                    worksheet[address].s = outcome === 'header' ? createHeaderStyle() : createImportResultStyle(outcome);
+                }
+            });
+            worksheet['!cols'] = this.calculateColumnWidths(worksheet, data);
+
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+        }
+
+        // Issues that could not be placed on a copy of the uploaded sheet
+        const unplaced = issues.filter(issue =>
+            !issue.row_number || !placedSheets.has(issue.sheet_name)
+        ).filter(issue => !failuresOnly || issue.severity !== 'warning');
+
+        if (unplaced.length > 0 || workbook.SheetNames.length === 0) {
+            const data = [['Sheet', 'Row', 'Record ID', 'Import Result', 'Reason', 'Original Values']];
+            for (const issue of unplaced) {
+                data.push([
+                    issue.sheet_name || '',
+                    issue.row_number || '',
+                    issue.record_id || '',
+                    resultLabels[issue.severity] || issue.severity,
+                    issue.reason,
+                    issue.original_values
+                        ? Object.entries(issue.original_values).map(([header, value]) => `${header}: ${value}`).join(' | ')
+                        : ''
+                ]);
+            }
+
+            const worksheet = XLSX.utils.aoa_to_sheet(data);
+            data.forEach((row, rowIndex) => {
+                row.forEach((_, col) => {
+                    const address = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+                    worksheet[address].s = rowIndex === 0
+                        ? createHeaderStyle()
+                        : createImportResultStyle(unplaced[rowIndex - 1].severity);
+                });
+            });
+            worksheet['!cols'] = this.calculateColumnWidths(worksheet, data);
+
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Import Issues');
+        }
+
+        return XLSX.write(workbook, {
+            type: 'buffer',
+            bookType: 'xlsx',
+            compression: true,
+            cellStyles: true
+        });
+    }
+
     /**
      * Export records by range to Excel buffer with comprehensive validation
      * @param {number} startRecord - Start record number (1-based)
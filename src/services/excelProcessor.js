@@ -3,11 +3,24 @@ const databaseManager = require('../utils/database');
 const DataValidator = require('./dataValidator');
 const phoneValidationProcessor = require('./phoneValidationProcessor');
 const DuplicateDetectionService = require('./duplicateDetectionService');
+const ColumnMapper = require('./columnMapper');
+const WorksheetDetector = require('./worksheetDetector');
+const mappingProfileService = require('./mappingProfileService');
+const importBatchService = require('./importBatchService');
+const DelimitedTextParser = require('./delimitedTextParser');
+const PdfDirectoryParser = require('./pdfDirectoryParser');
+const StreamingWorkbookReader = require('./streamingWorkbookReader');
+const RecordNormalizer = require('./recordNormalizer');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
+const config = require('../utils/config');
 
 class ExcelProcessor {
     constructor() {
-        // Singapore phone number pattern: 8 digits starting with 6, 8, or 9
-        this.phonePattern = /^[689]\d{7}$/;
+        // Numbers are validated by the shared phone validator against the accepted countries
+        this.phoneValidator = singaporePhoneValidator;
+
+        // Separators between numbers in one cell, e.g. "6123 4567 / +60 12-345 6789"
+        this.phoneSeparatorPattern = /\s*(?:[\/,;|&\n]|\bor\b|\band\b)\s*/i;
 
         // Initialize data validator
         this.dataValidator = new DataValidator();
@@ -15,6 +28,80 @@ class ExcelProcessor {
         // Initialize duplicate detection service
         this.duplicateDetectionService = new DuplicateDetectionService();
 
+        // Column mapping and worksheet detection used by the import preview
+        this.columnMapper = new ColumnMapper();
+        this.worksheetDetector = new WorksheetDetector();
+
+        // CSV/TSV files are parsed into a single-sheet workbook so the rest of the pipeline is unchanged
+        this.delimitedTextParser = new DelimitedTextParser();
+
+        // Large .xlsx files are read row by row from disk instead of with XLSX.read
+        this.streamingWorkbookReader = new StreamingWorkbookReader();
+
+        // Company fields are cleaned before they are stored; the file's values are kept in *_raw columns
+        this.recordNormalizer = new RecordNormalizer();
+
+        // Trade-directory PDFs are turned into the same single-sheet shape, cleaning phones the way Excel rows are
+        this.pdfDirectoryParser = new PdfDirectoryParser({
+            cleanPhoneNumber: phone => this.cleanPhoneNumber(phone)
+        });
+
+        // check_table fields a user can map spreadsheet columns to
+        this.importFields = ['id', 'phone', 'companyName', 'physicalAddress', 'email', 'website', 'country'];
+
+        // Outcomes recorded for source rows that were not imported cleanly, most severe first
+        this.rowIssueSeverities = ['rejected', 'skipped', 'warning'];
+
+        // ColumnMapper field types mapped to check_table record fields
+        this.mapperFieldMap = {
+            id: 'id',
+            phone: 'phone',
+            name: 'companyName',
+            address: 'physicalAddress',
+            email: 'email',
+            website: 'website',
+            country: 'country'
+        };
+
+        // Number of data rows returned with an import preview
+        this.previewSampleSize = 5;
+
+        // Rows searched for the header, so logo, title and blank rows above it are skipped
+        this.headerScanRows = 20;
+
+        // check_table columns a re-import can change, keyed by record field, for dry-run diffs
+        this.diffFields = {
+            status: 'status',
+            companyName: 'company_name',
+            physicalAddress: 'physical_address',
+            email: 'email',
+            website: 'website',
+            phoneGroupId: 'phone_group_id'
+        };
+
+        // Entries per list returned by a dry run; counts always cover every row
+        this.dryRunListLimit = 1000;
+
+        // What an import does with a field of a row that already exists in check_table:
+        // merge (default) = file value unless the cell is blank,
+        // flag = fill empty stored fields and queue differing file values for manual review, keep = stored value,
+        // overwrite = file value even when blank, fill_blanks = file value only where the stored one is empty
+        this.conflictStrategies = ['merge', 'flag', 'keep', 'overwrite', 'fill_blanks'];
+
+        // check_table columns a conflict policy can override; phone can only differ when matching on ID alone
+        this.conflictFields = ['company_name', 'physical_address', 'email', 'website', 'phone'];
+
+        // Columns derived from a normalised field; they take the file's value only when their field does
+        this.normalizedCompanionColumns = {
+            company_name: ['company_name_raw'],
+            physical_address: ['physical_address_raw', 'postal_code', 'address_block', 'address_street', 'address_unit', 'address_building'],
+            email: ['email_raw', 'additional_emails', 'email_status'],
+            website: ['website_raw', 'website_status']
+        };
+
+        // How imported rows are matched to stored rows: ID and phone, phone only, or ID only
+        this.matchKeys = ['id_phone', 'phone', 'id'];
+
         // Batch processing configuration
         this.batchSize = 1000; // Process records in batches for large datasets
 
@@ -37,10 +124,11 @@ class ExcelProcessor {
 
         // Performance optimization settings
         this.optimizationSettings = {
-            maxFileSize: 50 * 1024 * 1024, // 50MB limit
+            maxFileSize: config.upload.maxFileSize, // Shared upload limit (MAX_FILE_SIZE)
             maxRecordsPerWorksheet: 100000, // 100k records per worksheet
             maxWorksheetsPerFile: 20, // Maximum worksheets to process
             streamingThreshold: 10000, // Use streaming for files with more records
+            streamingBatchSize: 5000, // Records written per transaction when a file is streamed from disk
             memoryThreshold: 100 * 1024 * 1024, // 100MB memory threshold
             enableCaching: true,
             cacheSize: 1000 // Cache up to 1000 column mappings
@@ -67,9 +155,10 @@ class ExcelProcessor {
     /**
      * Extract data from Excel buffer with performance monitoring
      * @param {Buffer} excelBuffer - The Excel file buffer
+     * @param {string} sourceFile - Original filename, used to recognise CSV/TSV files
      * @returns {Promise<Array>} Array of phone records
      */
-    async extractData(excelBuffer) {
+    async extractData(excelBuffer, sourceFile = null) {
         const startTime = Date.now();
         const startMemory = process.memoryUsage();
 
@@ -91,8 +180,8 @@ class ExcelProcessor {
             // Update performance metrics
             this.performanceMetrics.largestFileSize = Math.max(this.performanceMetrics.largestFileSize, excelBuffer.length);
 
-            // Parse Excel workbook
-            const workbook = XLSX.read(excelBuffer, { type: 'buffer' });
+            // Parse Excel workbook (or CSV/TSV/PDF as a single sheet)
+            const workbook = await this.readWorkbook(excelBuffer, sourceFile);
 
             if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
                 throw new Error(this.errorMessages.NO_WORKSHEETS);
@@ -609,28 +698,17 @@ class ExcelProcessor {
     }
 
     /**
-     * Clean and normalize phone number
+     * Clean and normalize phone number with the shared validator; a + and the country code after it are kept,
+     * since the number's country is only known once it is classified
      * @param {string} phoneNumber - Raw phone number string
      * @returns {string|null} Cleaned phone number or null if invalid
      */
     cleanPhoneNumber(phoneNumber) {
-        if (!phoneNumber) {
-            return null;
-        }
-
-        // Convert to string and remove all non-digit characters
-        const cleaned = String(phoneNumber).replace(/\D/g, '');
-
-        // Remove leading country codes (65 for Singapore)
-        if (cleaned.startsWith('65') && cleaned.length === 10) {
-            return cleaned.substring(2);
-        }
-
-        return cleaned || null;
+        return this.phoneValidator.cleanPhone(phoneNumber);
     }
 
     /**
-     * Validate Singapore phone number format
+     * Check that a value is a phone number of one of the accepted countries
      * @param {string} phoneNumber - The phone number to validate
      * @returns {boolean} True if valid
      */
@@ -639,11 +717,8 @@ class ExcelProcessor {
             return false;
         }
 
-        // Remove any non-digit characters for validation
-        const cleanNumber = phoneNumber.replace(/\D/g, '');
-
-        // Singapore phone numbers are 8 digits starting with 6, 8, or 9
-        return this.phonePattern.test(cleanNumber);
+        // The country of a file is not known while its columns are detected, so any accepted country will do
+        return this.phoneValidator.isAcceptedPhone(phoneNumber);
     }
 
     /**
@@ -1004,8 +1079,8 @@ class ExcelProcessor {
                 validationResults = await phoneValidationProcessor.processSpecificRecords(recordIds);
 
             } else {
-                // Process all records in check_table (backup_table not used in PostgreSQL)
-                validationResults = await phoneValidationProcessor.processBackupRecords();
+                // Process all records in check_table, a page at a time
+                validationResults = await phoneValidationProcessor.processAllRecords();
 
             }
 
@@ -1461,16 +1536,24 @@ class ExcelProcessor {
      * Simplified: Store ALL data without validation, update duplicates by ID+Phone
      * @param {Buffer} excelBuffer - Excel file buffer
      * @param {string} sourceFile - Original filename
-     * @returns {Promise<Object>} Processing results
+     * @param {Object} options - Processing options
+     * @param {Object} options.mapping - User-confirmed column mapping from previewExcelImport
+     * @param {Array} options.sheets - Worksheets to read when no mapping is given; defaults to WorksheetDetector's choice
+     * @param {number} options.batchId - import_batches ID used to tag rows and snapshot previous values
+     * @param {Object} options.conflictPolicy - How rows that already exist are matched and updated (see normalizeConflictPolicy)
+     * @param {string} options.defaultCountry - Country local numbers are read in when a row has no Country cell (see normalizeDefaultCountry)
+     * @param {Function} options.onProgress - Called with running counts as records are processed
+     * @returns {Promise<Object>} Processing results, including a per-row report of rejected, skipped and warning rows
      */
-    async processExcelDirectToCheckTable(excelBuffer, sourceFile = null) {
+    async processExcelDirectToCheckTable(excelBuffer, sourceFile = null, options = {}) {
         const startTime = Date.now();
+        const report = this.createImportReport();
 
         try {
 
 
-            // Step 1: Read Excel directly without column detection
-            const records = await this.extractDataSimplified(excelBuffer);
+            // Step 1: Read Excel using the confirmed mapping, or guess headers when none was given
+            const records = await this.extractImportRecords(excelBuffer, sourceFile, options, report);
 
 
             if (records.length === 0) {
@@ -1481,73 +1564,42 @@ class ExcelProcessor {
                     storedRecords: 0,
                     updatedRecords: 0,
                     validRecords: 0,
-                    invalidRecords: 0
+                    invalidRecords: 0,
+                    report
                 };
             }
 
-            // Step 2: Process each record - insert or update
+            // Step 2: Validate and de-duplicate in memory, then merge into check_table in one transaction
             const result = {
                 success: false,
                 totalRecords: records.length,
                 storedRecords: 0,
                 updatedRecords: 0,
+                flaggedConflicts: 0,
                 validRecords: 0,
                 invalidRecords: 0,
-                errors: []
+                errors: [],
+                report
             };
 
-            const singaporePhoneValidator = require('./singaporePhoneValidator');
-
-            for (const record of records) {
-                try {
-                    const { id, phone, companyName, physicalAddress, email, website } = record;
-
-                    if (!phone) {
-                        console.warn(`Skipping record with no phone: ${id}`);
-                        continue;
-                    }
-
-                    // Check if record exists by ID and Phone
-                    const existing = await this.checkExistingRecordByIdAndPhone(id, phone);
-
-                    // Validate Singapore phone (but store regardless)
-                    const isValidSingapore = singaporePhoneValidator.validateSingaporePhone(phone);
-
-                    if (existing) {
-                        // Update existing record
-                        await this.updateRecordInCheckTable(id, phone, {
-                            companyName,
-                            physicalAddress,
-                            email,
-                            website,
-                            status: isValidSingapore ? 1 : 0
-                        });
-                        result.updatedRecords++;
-                    } else {
-                        // Insert new record
-                        await databaseManager.insertCheckRecord(
-                            id,
-                            phone,
-                            isValidSingapore,
-                            companyName,
-                            physicalAddress,
-                            email,
-                            website
-                        );
-                        result.storedRecords++;
-                    }
+            const reportProgress = async (processed) => {
+                if (typeof options.onProgress !== 'function') return;
+                await options.onProgress({
+                    total: result.totalRecords,
+                    processed,
+                    inserted: result.storedRecords,
+                    updated: result.updatedRecords,
+                    valid: result.validRecords,
+                    invalid: result.invalidRecords,
+                    errors: result.errors.length
+                });
+            };
 
-                    if (isValidSingapore) {
-                        result.validRecords++;
-                    } else {
-                        result.invalidRecords++;
-                    }
+            await this.writeRecordBatch(records, options, result, (staged, rowCount) =>
+                reportProgress(Math.round((staged / rowCount) * records.length * 0.9))
+            );
 
-                } catch (error) {
-                    console.error(`Error processing record ${record.id}:`, error.message);
-                    result.errors.push(`Record ${record.id}: ${error.message}`);
-                }
-            }
+            await reportProgress(records.length);
 
             result.success = result.storedRecords > 0 || result.updatedRecords > 0;
 
@@ -1565,196 +1617,2097 @@ class ExcelProcessor {
                 storedRecords: 0,
                 updatedRecords: 0,
                 validRecords: 0,
-                invalidRecords: 0
+                invalidRecords: 0,
+                report
             };
         }
     }
 
     /**
-     * Simplified Excel data extraction - NO column detection
-     * Expects Excel with columns: Id, Phone, Company Name, Physical Address, Email, Website
+     * Validate, de-duplicate and merge a set of extracted records into check_table, adding the outcome
+     * to a running result so large files can be written in several batches
+     * @param {Array} records - Extracted records
+     * @param {Object} options - { batchId, conflictPolicy } as for processExcelDirectToCheckTable
+     * @param {Object} result - Running result with counts, errors and report; updated in place
+     * @param {Function} onStaged - Optional; called with (rows staged so far, rows to stage)
+     * @returns {Promise<void>}
+     */
+    async writeRecordBatch(records, options, result, onStaged = null) {
+        const { rows, errors } = this.prepareRecordsForUpsert(records, result.report, options);
+        result.errors.push(...errors);
+
+        const upsert = await this.bulkUpsertCheckRecords(rows, {
+            batchId: options.batchId || null,
+            conflictPolicy: options.conflictPolicy,
+            onStaged: onStaged ? (staged) => onStaged(staged, rows.length) : null
+        });
+
+        result.storedRecords += upsert.inserted;
+        result.updatedRecords += upsert.updated;
+        result.flaggedConflicts += upsert.flagged.length;
+
+        const flaggedById = new Map();
+        for (const { id, field } of upsert.flagged) {
+            if (!flaggedById.has(id)) flaggedById.set(id, []);
+            flaggedById.get(id).push(field);
+        }
+
+        const conflictIds = new Set(upsert.conflictIds);
+        for (const row of rows) {
+            if (conflictIds.has(row.id)) {
+                result.errors.push(`Record ${row.id}: ID already exists with a different phone number`);
+                this.addRowIssue(result.report, row.source, 'rejected', 'ID already exists with a different phone number', row.id);
+                continue;
+            }
+
+            if (flaggedById.has(row.id)) {
+                this.addRowIssue(result.report, row.source, 'warning', `Kept stored ${flaggedById.get(row.id).join(', ')}; differing values flagged for review`, row.id);
+            }
+
+            if (row.status) {
+                result.validRecords++;
+            } else {
+                result.invalidRecords++;
+            }
+        }
+    }
+
+    /**
+     * Dry run of processExcelDirectToCheckTable: parse, map and validate the file, then report what
+     * the import would change in check_table without writing anything
      * @param {Buffer} excelBuffer - Excel file buffer
-     * @returns {Promise<Array>} Array of records
+     * @param {string} sourceFile - Original filename
+     * @param {Object} options - { mapping, sheets, conflictPolicy } as for processExcelDirectToCheckTable
+     * @returns {Promise<Object>} Counts, inserts, field-level updates, conflicts, flagged fields and phones that would become duplicates
+     */
+    async dryRunExcelImport(excelBuffer, sourceFile = null, options = {}) {
+        const report = this.createImportReport();
+
+        const records = await this.extractImportRecords(excelBuffer, sourceFile, options, report);
+
+        if (records.length === 0) {
+            throw new Error('No records found in Excel file');
+        }
+
+        const { rows, errors } = this.prepareRecordsForUpsert(records, report, options);
+        const diff = await this.buildImportDiff(rows, options.conflictPolicy);
+
+        const summary = this.createDryRunSummary();
+        this.addImportDiff(summary, diff, report, errors);
+
+        return this.finishDryRunSummary(summary, records.length, report, errors);
+    }
+
+    /**
+     * Import a large .xlsx file streamed from disk, writing each batch of
+     * optimizationSettings.streamingBatchSize records before the next is read.
+     * Batches are committed one by one, so a failure part-way leaves earlier batches stored.
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {Object} options - Options as for processExcelDirectToCheckTable
+     * @returns {Promise<Object>} Processing results as for processExcelDirectToCheckTable
      */
-    async extractDataSimplified(excelBuffer) {
+    async processLargeExcelFile(filePath, options = {}) {
+        const result = {
+            success: false,
+            totalRecords: 0,
+            storedRecords: 0,
+            updatedRecords: 0,
+            flaggedConflicts: 0,
+            validRecords: 0,
+            invalidRecords: 0,
+            errors: [],
+            report: this.createImportReport()
+        };
+
+        // The total is unknown until the last row has been read
+        const reportProgress = async () => {
+            if (typeof options.onProgress !== 'function') return;
+            await options.onProgress({
+                total: null,
+                processed: result.totalRecords,
+                inserted: result.storedRecords,
+                updated: result.updatedRecords,
+                valid: result.validRecords,
+                invalid: result.invalidRecords,
+                errors: result.errors.length
+            });
+        };
+
         try {
-            if (!excelBuffer || !Buffer.isBuffer(excelBuffer)) {
-                throw new Error('Invalid Excel buffer');
-            }
+            await this.streamImportRecords(filePath, options, result.report, async (records) => {
+                result.totalRecords += records.length;
+                await this.writeRecordBatch(records, options, result);
+                await reportProgress();
+            });
 
-            if (excelBuffer.length === 0) {
-                throw new Error('Empty Excel file');
+            if (result.totalRecords === 0) {
+                return { ...result, error: 'No records found in Excel file' };
             }
 
-            // Parse Excel workbook
-            const workbook = XLSX.read(excelBuffer, { type: 'buffer' });
+            result.success = result.storedRecords > 0 || result.updatedRecords > 0;
+            return result;
+
+        } catch (error) {
+            console.error('Error in streamed Excel processing:', error.message);
+            return { ...result, success: false, error: error.message };
+        }
+    }
 
-            if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
-                throw new Error('No worksheets found in Excel file');
+    /**
+     * Dry run of processLargeExcelFile; see dryRunExcelImport.
+     * Each batch is compared with check_table as it is, so a phone repeated in two batches
+     * is not reported as a new duplicate.
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {Object} options - { mapping, sheets, conflictPolicy } as for processExcelDirectToCheckTable
+     * @returns {Promise<Object>} Dry-run result as for dryRunExcelImport
+     */
+    async dryRunLargeExcelFile(filePath, options = {}) {
+        const report = this.createImportReport();
+        const summary = this.createDryRunSummary();
+        const errors = [];
+
+        const totalRecords = await this.streamImportRecords(filePath, options, report, async (records) => {
+            const prepared = this.prepareRecordsForUpsert(records, report, options);
+            errors.push(...prepared.errors);
+
+            const diff = await this.buildImportDiff(prepared.rows, options.conflictPolicy);
+            this.addImportDiff(summary, diff, report, errors);
+        });
+
+        if (totalRecords === 0) {
+            throw new Error('No records found in Excel file');
+        }
+
+        return this.finishDryRunSummary(summary, totalRecords, report, errors);
+    }
+
+    /**
+     * Empty running totals for a dry run; see addImportDiff
+     * @returns {Object} { counts, lists }
+     */
+    createDryRunSummary() {
+        const keys = ['inserts', 'updates', 'conflicts', 'flagged', 'newDuplicatePhones'];
+        const counts = { unchanged: 0 };
+        const lists = {};
+
+        for (const key of keys) {
+            counts[key] = 0;
+            lists[key] = [];
+        }
+
+        return { counts, lists };
+    }
+
+    /**
+     * Add one buildImportDiff result to the dry-run totals, recording its rejected and flagged rows in the report.
+     * Lists keep their first dryRunListLimit entries; counts cover everything.
+     * @param {Object} summary - Totals from createDryRunSummary, updated in place
+     * @param {Object} diff - Result of buildImportDiff
+     * @param {Object} report - Report from createImportReport
+     * @param {Array} errors - Error messages, appended to
+     */
+    addImportDiff(summary, diff, report, errors) {
+        for (const conflict of diff.conflicts) {
+            errors.push(`Record ${conflict.id}: ID already exists with a different phone number`);
+            this.addRowIssue(report, conflict.source, 'rejected', 'ID already exists with a different phone number', conflict.id);
+        }
+
+        const flaggedBySource = new Map();
+        for (const entry of diff.flagged) {
+            if (!flaggedBySource.has(entry.sourceId)) flaggedBySource.set(entry.sourceId, { source: entry.source, fields: new Set() });
+            flaggedBySource.get(entry.sourceId).fields.add(entry.field);
+        }
+        for (const [id, { source, fields }] of flaggedBySource) {
+            this.addRowIssue(report, source, 'warning', `Kept stored ${[...fields].join(', ')}; differing values flagged for review`, id);
+        }
+
+        summary.counts.unchanged += diff.unchanged;
+        for (const [key, list] of Object.entries(summary.lists)) {
+            summary.counts[key] += diff[key].length;
+
+            const room = this.dryRunListLimit - list.length;
+            if (room > 0) {
+                list.push(...diff[key].slice(0, room).map(({ source, ...entry }) => entry));
             }
+        }
+    }
 
-            const allRecords = [];
+    /**
+     * Shape dry-run totals into the result returned to the client
+     * @param {Object} summary - Totals from addImportDiff
+     * @param {number} totalRecords - Records read from the file
+     * @param {Object} report - Report from createImportReport
+     * @param {Array} errors - Error messages
+     * @returns {Object} Dry-run result
+     */
+    finishDryRunSummary(summary, totalRecords, report, errors) {
+        const { counts, lists } = summary;
 
-            // Process first worksheet only (or all if needed)
-            for (const sheetName of workbook.SheetNames) {
-                const worksheet = workbook.Sheets[sheetName];
+        return {
+            success: true,
+            dryRun: true,
+            totalRecords,
+            sheets: report.sheets,
+            headerRows: report.headerRows,
+            counts,
+            ...lists,
+            truncated: Object.keys(lists).some(key => counts[key] > this.dryRunListLimit),
+            issues: this.countRowIssues(report),
+            errors
+        };
+    }
 
-                // Convert to JSON with first row as headers
-                const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                    raw: false,
-                    defval: ''
-                });
+    /**
+     * Work out what writing prepared rows would do to check_table, the way bulkUpsertCheckRecords writes them:
+     * rows matching a stored row on the policy's match key are updated field by field as the policy says,
+     * unmatched rows are inserted and IDs stored with another phone are rejected
+     * @param {Array} rows - Rows from prepareRecordsForUpsert
+     * @param {Object} conflictPolicy - Policy as for normalizeConflictPolicy
+     * @returns {Promise<Object>} { inserts, updates, unchanged, conflicts, flagged, newDuplicatePhones }
+     */
+    async buildImportDiff(rows, conflictPolicy = null) {
+        const policy = this.normalizeConflictPolicy(conflictPolicy);
+
+        // Cached ID lookups can predate the latest import, and a dry run must see check_table as it is now
+        this.duplicateDetectionService.clearQueryCache();
+        const duplicateCheck = await this.duplicateDetectionService.checkForDuplicates(rows);
+
+        const existingRecords = await databaseManager.getExistingRecords(duplicateCheck.duplicateIds);
+        const existingById = new Map(existingRecords.map(record => [record.id, record]));
+
+        // Rows are matched on the E.164 form worked out for their own country
+        const keyByPhone = new Map(rows.map(row => [row.phone, row.phoneE164 || row.phone]));
+
+        // Matching on phone needs the stored rows that own each incoming phone, whatever their ID
+        let storedOwners = new Map();
+        if (policy.matchKey === 'phone') {
+            storedOwners = await this.duplicateDetectionService.findPhoneOwners(rows.map(row => row.phone).filter(phone => this.isMatchablePhone(phone)), keyByPhone);
+            const missingIds = [...new Set([].concat(...storedOwners.values()))].filter(id => !existingById.has(id));
+            for (const record of await databaseManager.getExistingRecords(missingIds)) {
+                existingById.set(record.id, record);
+            }
+        }
 
+        const diff = { inserts: [], updates: [], unchanged: 0, conflicts: [], flagged: [], newDuplicatePhones: [] };
+        const columnFields = Object.fromEntries(Object.entries(this.diffFields).map(([field, column]) => [column, field]));
+        columnFields.phone = 'phone';
 
+        // Lowest ID first, so a phone shared by several file rows is applied from the same row as the SQL path
+        const matchedPhones = new Set();
+        const orderedRows = policy.matchKey === 'phone'
+            ? [...rows].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+            : rows;
 
-                // Map each row to our format
-                for (let i = 0; i < jsonData.length; i++) {
-                    const row = jsonData[i];
-
-                    // Extract data from various possible column names
-                    const record = {
-                        id: this.getFieldValue(row, ['Id', 'ID', 'id', 'No', 'Number', 'Record ID', 'RecordID']) || `Row_${i + 1}`,
-                        phone: this.cleanPhoneNumber(
-                            this.getFieldValue(row, [
-                                // Common variants
-                                'Phone', 'phone', 'Phone Number', 'PhoneNumber', 'Phone No', 'PhoneNo',
-                                // Contact variants
-                                'Contact', 'Contact Number', 'ContactNumber', 'Contact No', 'ContactNo',
-                                // Tel variants
-                                'Tel', 'Telephone', 'Tel No', 'Telephone Number',
-                                // Mobile variants
-                                'Mobile', 'Mobile Number', 'MobileNumber', 'Mobile No', 'MobileNo',
-                                // Other common labels
-                                'HP', 'Handphone', 'Hand Phone', 'WhatsApp', 'WhatsApp Number', 'Whatsapp', 'Whatsapp Number'
-                            ])
-                        ),
-                        companyName: this.getFieldValue(row, ['Company Name', 'CompanyName', 'Company', 'Name', 'Business Name', 'Organisation', 'Organization']),
-                        physicalAddress: this.getFieldValue(row, ['Physical Address', 'PhysicalAddress', 'Address', 'Addr', 'Location']),
-                        email: this.getFieldValue(row, ['Email', 'email', 'E-mail', 'Mail', 'Email Address', 'EmailAddress']),
-                        website: this.getFieldValue(row, ['Website', 'website', 'Web', 'URL', 'Site', 'Homepage'])
-                    };
+        for (const row of orderedRows) {
+            const sameId = existingById.get(row.id);
+            let matches;
 
-                    // Only include if we have at least a phone number
-                    if (record.phone) {
-                        allRecords.push(record);
-                    }
+            if (policy.matchKey === 'phone') {
+                matches = (storedOwners.get(row.phone) || []).map(id => existingById.get(id)).filter(Boolean);
+                if (matches.length > 0 && matchedPhones.has(row.phone)) {
+                    diff.unchanged++;
+                    continue;
                 }
+                matchedPhones.add(row.phone);
+            } else if (policy.matchKey === 'id') {
+                matches = sameId ? [sameId] : [];
+            } else {
+                matches = sameId && (sameId.phone_e164 || sameId.phone) === (row.phoneE164 || row.phone) ? [sameId] : [];
             }
 
+            if (matches.length === 0 && sameId) {
+                diff.conflicts.push({ id: row.id, phone: row.phone, existingPhone: sameId.phone, source: row.source });
+                continue;
+            }
 
-            // Fallback: if no records found using simplified headers, try advanced extraction + mapping
-            if (allRecords.length === 0) {
-                try {
+            if (matches.length === 0) {
+                diff.inserts.push({
+                    id: row.id,
+                    phone: row.phone,
+                    status: row.status,
+                    companyName: row.companyName,
+                    physicalAddress: row.physicalAddress,
+                    email: row.email,
+                    website: row.website
+                });
+                continue;
+            }
 
-                    const advancedRecords = await this.extractData(excelBuffer);
-                    const mapped = (advancedRecords || []).map((r, idx) => ({
-                        id: r.id || `Row_${idx + 1}`,
-                        phone: this.cleanPhoneNumber(r.phoneNumber),
-                        companyName: r.companyName || null,
-                        physicalAddress: r.physicalAddress || null,
-                        email: r.email || null,
-                        website: r.website || null
-                    })).filter(r => r.phone);
+            for (const existing of matches) {
+                const changes = {};
+
+                for (const column of this.conflictFields) {
+                    const strategy = this.getConflictStrategy(policy, column);
+                    const incoming = row[columnFields[column]];
+                    const after = this.resolveConflictValue(strategy, existing[column], incoming);
+
+                    // Values that differ only in formatting are not flagged, as in bulkUpsertCheckRecords
+                    const disagrees = incoming !== null && incoming !== undefined && existing[column] !== null && existing[column] !== ''
+                        && this.valuesDisagree(column,
+                            { value: existing[column], e164: existing.phone_e164, country: existing.phone_country },
+                            { value: incoming, e164: row.phoneE164, country: row.phoneCountry });
+                    if (strategy === 'flag' && disagrees) {
+                        diff.flagged.push({ id: existing.id, sourceId: row.id, field: column, existing: existing[column], incoming, source: row.source });
+                    }
+                    if (after !== existing[column]) {
+                        changes[column] = { before: existing[column], after };
+                    }
+                }
 
+                // status follows the phone that is kept; phone_group_id is only ever filled in
+                const phone = changes.phone ? changes.phone.after : existing.phone;
+                const status = phone === row.phone ? row.status : existing.status;
+                if (status !== existing.status) {
+                    changes.status = { before: existing.status, after: status };
+                }
+                if (row.phoneGroupId && row.phoneGroupId !== existing.phone_group_id) {
+                    changes.phone_group_id = { before: existing.phone_group_id, after: row.phoneGroupId };
+                }
 
-                    return mapped;
-                } catch (fallbackErr) {
-                    console.warn('Advanced extraction fallback failed:', fallbackErr.message);
-                    return allRecords; // remain empty
+                if (Object.keys(changes).length > 0) {
+                    diff.updates.push({ id: existing.id, phone, changes });
+                } else {
+                    diff.unchanged++;
                 }
             }
+        }
 
-            return allRecords;
-
-        } catch (error) {
-            console.error('Excel extraction error:', error);
-            throw new Error(`Failed to extract Excel data: ${error.message}`);
+        // Inserted rows, and updated rows that take the file's phone, can create new duplicates
+        const incomingByPhone = new Map();
+        const addIncoming = (phone, id) => {
+            if (!this.isMatchablePhone(phone)) return;
+            if (!incomingByPhone.has(phone)) incomingByPhone.set(phone, []);
+            incomingByPhone.get(phone).push(id);
+        };
+        diff.inserts.forEach(insert => addIncoming(insert.phone, insert.id));
+        diff.updates.filter(update => update.changes.phone).forEach(update => addIncoming(update.phone, update.id));
+
+        const owners = await this.duplicateDetectionService.findPhoneOwners(Array.from(incomingByPhone.keys()), keyByPhone);
+        for (const [phone, incomingIds] of incomingByPhone) {
+            const existingIds = (owners.get(phone) || []).filter(id => !incomingIds.includes(id));
+            if (existingIds.length <= 1 && existingIds.length + incomingIds.length > 1) {
+                diff.newDuplicatePhones.push({ phone, existingIds, incomingIds });
+            }
         }
+
+        return diff;
     }
 
     /**
-     * Get field value from row object trying multiple possible column names
-     * @param {Object} row - Excel row object
-     * @param {Array} possibleNames - Array of possible column names
-     * @returns {string|null} Field value or null
+     * Count report issues by severity
+     * @param {Object} report - Report from createImportReport
+     * @returns {Object} { rejected, skipped, warning }
      */
-    getFieldValue(row, possibleNames) {
-        // 1) Exact header match first
-        for (const name of possibleNames) {
-            if (row[name] !== undefined && row[name] !== null && String(row[name]).trim()) {
-                return String(row[name]).trim();
-            }
+    countRowIssues(report) {
+        const counts = {};
+        for (const severity of this.rowIssueSeverities) counts[severity] = 0;
+
+        for (const issue of (report ? report.issues : [])) {
+            counts[issue.severity]++;
         }
 
-        // 2) Flexible header match: normalize keys and synonyms
-        const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-        const normalizedRow = {};
-        for (const key of Object.keys(row)) {
-            normalizedRow[normalize(key)] = row[key];
+        return counts;
+    }
+
+    /**
+     * Create the per-row report filled in while a file is imported
+     * @returns {Object} { issues, headerRows, sheets } where headerRows maps sheet names to their 1-based header row
+     * and sheets lists the worksheets that were read
+     */
+    createImportReport() {
+        return { issues: [], headerRows: {}, sheets: [] };
+    }
+
+    /**
+     * Read records from an upload with the confirmed mapping, or by header guessing when there is none
+     * @param {Buffer} excelBuffer - Excel file buffer
+     * @param {string} sourceFile - Original filename
+     * @param {Object} options - { mapping, sheets } as for processExcelDirectToCheckTable
+     * @param {Object} report - Report from createImportReport
+     * @returns {Promise<Array>} Array of records
+     */
+    async extractImportRecords(excelBuffer, sourceFile, options, report) {
+        return options.mapping
+            ? this.extractDataWithMapping(excelBuffer, options.mapping, sourceFile, report)
+            : this.extractDataSimplified(excelBuffer, sourceFile, report, options.sheets || null);
+    }
+
+    /**
+     * Decide which worksheets an import reads
+     * @param {Object} workbook - XLSX workbook
+     * @param {Array|null} includeSheets - Sheet names chosen by the user; null lets WorksheetDetector pick the data sheets
+     * @returns {Array} Sheet names in workbook order
+     */
+    selectImportSheets(workbook, includeSheets = null) {
+        if (!Array.isArray(includeSheets)) {
+            return this.worksheetDetector.selectDataWorksheets(this.worksheetDetector.scanWorksheets(workbook));
         }
 
-        for (const name of possibleNames) {
-            const key = normalize(name);
-            if (normalizedRow[key] !== undefined && normalizedRow[key] !== null && String(normalizedRow[key]).trim()) {
-                return String(normalizedRow[key]).trim();
-            }
+        const unknown = includeSheets.find(name => !workbook.Sheets[name]);
+        if (unknown !== undefined) {
+            throw new Error(`Worksheet '${unknown}' not found in Excel file`);
         }
 
-        return null;
+        return workbook.SheetNames.filter(name => includeSheets.includes(name));
     }
 
     /**
-     * Check if record exists by both ID and Phone
-     * @param {string} id - Record ID
-     * @param {string} phone - Phone number
-     * @returns {Promise<boolean>} True if exists
+     * Check whether an upload is large enough to be streamed from disk rather than parsed in memory
+     * @param {string} sourceFile - Original filename
+     * @param {number} fileSize - File size in bytes
+     * @returns {boolean} True when processLargeExcelFile and friends should be used
      */
-    async checkExistingRecordByIdAndPhone(id, phone) {
-        try {
-            const sql = `SELECT COUNT(*) as count FROM check_table WHERE id = $1 AND phone = $2`;
-            const results = await databaseManager.query(sql, [id, phone]);
-            return results[0].count > 0;
-        } catch (error) {
-            console.error('Error checking existing record:', error.message);
-            return false;
-        }
+    shouldStream(sourceFile, fileSize) {
+        return this.streamingWorkbookReader.canStream(sourceFile, fileSize);
     }
 
     /**
-     * Update record in check_table by ID and Phone
-     * @param {string} id - Record ID
-     * @param {string} phone - Phone number
-     * @param {Object} data - Data to update
-     * @returns {Promise<void>}
+     * Stream a large .xlsx file from disk and hand its records over in batches of
+     * optimizationSettings.streamingBatchSize, so neither the workbook nor all of its records are in memory.
+     * Only a worksheet's first headerScanRows rows are held, to find its header row before records flow.
+     * Without a mapping or sheet list, a worksheet is read when WorksheetDetector finds phone numbers in
+     * those rows. Merged cells are not available when streaming.
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {Object} options - { mapping, sheets } as for processExcelDirectToCheckTable
+     * @param {Object} report - Report from createImportReport
+     * @param {Function} onBatch - async (records) called for each batch
+     * @returns {Promise<number>} Number of records read
      */
-    async updateRecordInCheckTable(id, phone, data) {
-        try {
-            const sql = `
-                UPDATE check_table
-                SET company_name = COALESCE($1, company_name),
-                    physical_address = COALESCE($2, physical_address),
-                    email = COALESCE($3, email),
-                    website = COALESCE($4, website),
-                    status = $5,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $6 AND phone = $7
-            `;
+    async streamImportRecords(filePath, options, report, onBatch) {
+        const mappings = options.mapping ? this.normalizeSheetMappings(options.mapping) : null;
+        const includeSheets = mappings ? null : this.normalizeSheetSelection(options.sheets || null);
+        const batchSize = this.optimizationSettings.streamingBatchSize;
+        let batch = [];
+        let total = 0;
+        let sheet = null;
+        let sheetCount = 0;
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+            const records = batch;
+            batch = [];
+            total += records.length;
+            await onBatch(records);
+        };
 
-            await databaseManager.query(sql, [
-                data.companyName || null,
-                data.physicalAddress || null,
-                data.email || null,
-                data.website || null,
-                data.status !== undefined ? data.status : 0,
-                id,
-                phone
-            ]);
+        const addRow = async (rowNumber, values) => {
+            if (rowNumber <= sheet.headerRow || !values.some(cell => String(cell).trim())) return;
+
+            let records;
+            if (sheet.mapping) {
+                const source = { sheet: sheet.name, row: rowNumber, headers: sheet.headers, values };
+                records = this.mappedRowRecords(values, rowNumber - sheet.headerRow, source, sheet.mapping, report);
+            } else {
+                const row = this.keyRowValues(sheet.keys, values);
+                records = this.namedRowRecords(row, sheet.dataRows, { sheet: sheet.name, row: rowNumber, values: row }, report);
+            }
+            sheet.dataRows++;
 
+            batch.push(...records);
+            if (batch.length >= batchSize) await flush();
+        };
 
+        // Settle how a worksheet is read once its first rows are in, then replay the rows below its header
+        const startSheet = async () => {
+            const rows = Array.from(sheet.sample, row => row || []);
+            sheet.sample = null;
+            Object.assign(sheet, this.planStreamedSheet(sheet.name, rows, sheetCount === 1, mappings, includeSheets));
+            if (sheet.skip) return;
 
-        } catch (error) {
-            console.error(`Error updating record ${id}:`, error.message);
-            throw error;
+            if (report) {
+                report.sheets.push(sheet.name);
+                report.headerRows[sheet.name] = sheet.headerRow;
+            }
+
+            for (let i = sheet.headerRow; i < rows.length; i++) {
+                await addRow(i + 1, rows[i]);
+            }
+        };
+
+        // Sheet names are known before the first row, so a bad selection fails before anything is written
+        const checkSheetNames = (sheetNames) => {
+            const requested = mappings ? mappings.map(mapping => mapping.sheetName).filter(Boolean) : (includeSheets || []);
+            const unknown = requested.find(name => !sheetNames.includes(name));
+            if (unknown !== undefined) {
+                throw new Error(`Worksheet '${unknown}' not found in Excel file`);
+            }
+        };
+
+        for await (const { sheetName, rowNumber, values } of this.streamingWorkbookReader.readRows(filePath, checkSheetNames)) {
+            if (!sheet || sheet.name !== sheetName) {
+                if (sheet && sheet.sample) await startSheet();
+                sheet = { name: sheetName, sample: [], dataRows: 0 };
+                sheetCount++;
+            }
+
+            if (sheet.sample) {
+                if (rowNumber <= this.headerScanRows) {
+                    sheet.sample[rowNumber - 1] = values;
+                    continue;
+                }
+                await startSheet();
+            }
+
+            if (!sheet.skip) await addRow(rowNumber, values);
+        }
+
+        if (sheet && sheet.sample) await startSheet();
+        await flush();
+
+        return total;
+    }
+
+    /**
+     * Decide how a streamed worksheet is read from its first rows
+     * @param {string} sheetName - Worksheet name
+     * @param {Array} rows - First rows of the worksheet, starting at row 1
+     * @param {boolean} isFirstSheet - True for the first worksheet in the file
+     * @param {Array|null} mappings - Normalized per-sheet mappings, or null
+     * @param {Array|null} includeSheets - Sheets chosen by the user, or null for WorksheetDetector's choice
+     * @returns {Object} { skip } or { skip, headerRow, mapping, headers } or { skip, headerRow, keys }
+     */
+    planStreamedSheet(sheetName, rows, isFirstSheet, mappings, includeSheets) {
+        // Streamed rows start at row 1 and carry no merges, which an empty worksheet object describes
+        const worksheet = {};
+
+        if (mappings) {
+            const mapping = mappings.find(sheetMapping => sheetMapping.sheetName === sheetName) ||
+                (isFirstSheet ? mappings.find(sheetMapping => !sheetMapping.sheetName) : null);
+            if (!mapping) return { skip: true };
+
+            return {
+                skip: false,
+                headerRow: mapping.headerRowIndex + 1,
+                mapping,
+                headers: this.readHeaderCells(worksheet, rows, mapping.headerRowIndex)
+            };
+        }
+
+        if (includeSheets) {
+            if (!includeSheets.includes(sheetName)) return { skip: true };
+        } else {
+            const scoring = this.worksheetDetector.scoreWorksheet(XLSX.utils.aoa_to_sheet(rows), sheetName);
+            const analysis = { score: scoring.totalScore, hasData: scoring.hasData, details: scoring.details };
+            if (!this.worksheetDetector.isDataWorksheet(analysis)) return { skip: true };
+        }
+
+        const headerIndex = this.detectHeaderRow(worksheet, rows);
+        return {
+            skip: false,
+            headerRow: headerIndex + 1,
+            mapping: null,
+            keys: this.headerKeys(this.readHeaderCells(worksheet, rows, headerIndex))
+        };
+    }
+
+    /**
+     * Record why a source row was rejected, skipped or imported with a warning
+     * @param {Object|null} report - Report from createImportReport; nothing is recorded without one
+     * @param {Object} source - Record source { sheet, row, headers, values }
+     * @param {string} severity - One of rowIssueSeverities
+     * @param {string} reason - Human-readable reason
+     * @param {string} recordId - Record ID, when the row produced one
+     */
+    addRowIssue(report, source, severity, reason, recordId = null) {
+        if (!report) return;
+
+        // Keep the original cells keyed by header so the report can be rebuilt without the stored file
+        let values = null;
+        if (source && Array.isArray(source.values)) {
+            values = {};
+            source.values.forEach((value, index) => {
+                const header = source.headers && source.headers[index] ? String(source.headers[index]) : `Column ${index + 1}`;
+                values[header] = value;
+            });
+        } else if (source && source.values) {
+            values = { ...source.values };
+        }
+
+        report.issues.push({
+            sheet: source ? source.sheet : null,
+            row: source ? source.row : null,
+            severity,
+            reason,
+            recordId,
+            values
+        });
+    }
+
+    /**
+     * Check whether any cell of a row has a value
+     * @param {Array|Object} row - Row array or header-keyed row object
+     * @returns {boolean} True when the row is not blank
+     */
+    rowHasValues(row) {
+        return Object.values(row || {}).some(value => value !== null && value !== undefined && String(value).trim() !== '');
+    }
+
+    /**
+     * Validate, number and de-duplicate extracted records before they are written
+     * Repeated IDs with the same phone are merged the way sequential COALESCE updates would merge them;
+     * repeated IDs with a different phone are reported and dropped.
+     * @param {Array} records - Records from extraction
+     * @param {Object} report - Optional report from createImportReport that collects per-row outcomes
+     * @param {Object} options - { defaultCountry } used for rows without a country of their own
+     * @returns {Object} { rows, errors } where rows carry numericId and status
+     */
+    prepareRecordsForUpsert(records, report = null, options = {}) {
+        const mergeFields = this.recordNormalizer.fields;
+        const rowsById = new Map();
+        const errors = [];
+
+        for (const record of records) {
+            const { id } = record;
+
+            if (!record.phone) {
+                this.addRowIssue(report, record.source, 'skipped', 'No phone number found', id);
+                continue;
+            }
+
+            // A Country cell names the country local numbers are read in; otherwise the import default applies
+            const country = this.phoneValidator.normalizeCountry(record.country);
+
+            // Validate the phone (but store regardless) and work out its country, E.164 form, number type and invalid reason.
+            // The cleaned number keeps its + and country code until then; once its country is known it is stored as national digits.
+            const classification = this.phoneValidator.classifyPhone(record.phone, country || options.defaultCountry);
+            const phone = this.phoneValidator.getStoredPhone(record.phone, classification);
+
+            const existing = rowsById.get(id);
+
+            if (existing && (existing.phoneE164 || existing.phone) !== (classification.e164 || phone)) {
+                errors.push(`Record ${id}: duplicate ID in file with a different phone number (${phone})`);
+                this.addRowIssue(report, record.source, 'rejected', `Duplicate ID in file with a different phone number (${phone})`, id);
+                continue;
+            }
+
+            const normalized = this.recordNormalizer.normalizeRecord(record);
+            for (const warning of normalized.warnings) {
+                this.addRowIssue(report, record.source, 'warning', warning, id);
+            }
+
+            if (existing) {
+                for (const field of mergeFields) {
+                    if (!normalized.values[field]) continue;
+                    // An email or website kept only for its invalid status does not replace one from an earlier row
+                    if (existing[field] && !this.isUsableContact(field, normalized.statuses)) continue;
+                    existing[field] = normalized.values[field];
+                    existing.raw[field] = normalized.raw[field];
+                    if (field === 'physicalAddress') existing.address = normalized.address;
+                    if (field === 'email') existing.additionalEmails = normalized.additionalEmails.join(', ') || null;
+                    if (field === 'email') existing.emailStatus = normalized.statuses.email;
+                    if (field === 'website') existing.websiteStatus = normalized.statuses.website;
+                }
+                continue;
+            }
+
+            if (record.country && !country) {
+                this.addRowIssue(report, record.source, 'warning', `Country ${record.country} is not recognised; the import default is used`, id);
+            }
+
+            const { isValid: status, e164: phoneE164, type: phoneType } = classification;
+            if (!status) {
+                const reason = this.phoneValidator.describeInvalidReason(classification.invalidReason, classification.invalidCountry);
+                this.addRowIssue(report, record.source, 'warning', `Phone ${phone} is not a valid ${classification.country} number (${reason}); stored as invalid`, id);
+            }
+
+            rowsById.set(id, {
+                id,
+                numericId: databaseManager.extractNumericId(id),
+                phone,
+                status,
+                phoneE164,
+                phoneType,
+                phoneCountry: classification.country,
+                phoneRaw: record.phoneRaw || null,
+                phoneValidatorVersion: classification.validatorVersion,
+                phoneInvalidReason: classification.invalidReason,
+                phoneInvalidCountry: classification.invalidCountry,
+                ...normalized.values,
+                raw: normalized.raw,
+                address: normalized.address,
+                additionalEmails: normalized.additionalEmails.join(', ') || null,
+                emailStatus: normalized.statuses.email,
+                websiteStatus: normalized.statuses.website,
+                phoneGroupId: record.phoneGroupId || null,
+                source: record.source || null
+            });
+        }
+
+        return { rows: Array.from(rowsById.values()), errors };
+    }
+
+    /**
+     * Merge prepared rows into check_table with set-based statements in a single transaction.
+     * Rows are staged into a temp table with multi-row INSERTs, then stored rows matching the policy's
+     * match key are updated field by field as the conflict policy says and unmatched rows are inserted.
+     * When a batch ID is given, touched rows are tagged and pre-update values are kept for rollback.
+     * @param {Array} rows - Rows from prepareRecordsForUpsert
+     * @param {Object} options - { batchId, onStaged, conflictPolicy } where conflictPolicy is as for normalizeConflictPolicy
+     * @returns {Promise<Object>} { inserted, updated, conflictIds, flagged } where flagged lists { id, field } sent for review
+     */
+    async bulkUpsertCheckRecords(rows, options = {}) {
+        const batchId = options.batchId || null;
+        const outcome = { inserted: 0, updated: 0, conflictIds: [], flagged: [] };
+
+        if (rows.length === 0) return outcome;
+
+        const policy = this.normalizeConflictPolicy(options.conflictPolicy);
+        const match = this.conflictMatchCondition(policy.matchKey);
+
+        const client = await databaseManager.getConnection();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+                CREATE TEMP TABLE import_staging (
+                    id VARCHAR(100) PRIMARY KEY,
+                    numeric_id INT NULL,
+                    phone VARCHAR(50) NOT NULL,
+                    status BOOLEAN NULL,
+                    company_name VARCHAR(255) NULL,
+                    physical_address TEXT NULL,
+                    email VARCHAR(255) NULL,
+                    website VARCHAR(255) NULL,
+                    phone_group_id VARCHAR(100) NULL,
+                    postal_code VARCHAR(6) NULL,
+                    address_block VARCHAR(20) NULL,
+                    address_street VARCHAR(255) NULL,
+                    address_unit VARCHAR(20) NULL,
+                    address_building VARCHAR(255) NULL,
+                    additional_emails TEXT NULL,
+                    company_name_raw TEXT NULL,
+                    physical_address_raw TEXT NULL,
+                    email_raw TEXT NULL,
+                    website_raw TEXT NULL,
+                    email_status VARCHAR(20) NULL,
+                    website_status VARCHAR(20) NULL,
+                    phone_e164 VARCHAR(20) NULL,
+                    phone_type VARCHAR(30) NULL,
+                    phone_invalid_reason VARCHAR(30) NULL,
+                    phone_invalid_country CHAR(2) NULL,
+                    phone_country CHAR(2) NULL,
+                    phone_raw TEXT NULL,
+                    phone_validator_version VARCHAR(100) NULL
+                ) ON COMMIT DROP
+            `);
+
+            const columnsPerRow = 28;
+            for (let i = 0; i < rows.length; i += this.batchSize) {
+                const chunk = rows.slice(i, i + this.batchSize);
+                const params = [];
+                const placeholders = chunk.map((row, rowIndex) => {
+                    const base = rowIndex * columnsPerRow;
+                    params.push(
+                        row.id, row.numericId, row.phone, row.status, row.companyName, row.physicalAddress, row.email, row.website, row.phoneGroupId,
+                        row.address.postalCode, row.address.block, row.address.street, row.address.unit, row.address.building,
+                        row.additionalEmails, row.raw.companyName, row.raw.physicalAddress, row.raw.email, row.raw.website,
+                        row.emailStatus, row.websiteStatus, row.phoneE164, row.phoneType, row.phoneInvalidReason, row.phoneInvalidCountry, row.phoneCountry, row.phoneRaw,
+                        row.phoneValidatorVersion
+                    );
+                    return `(${Array.from({ length: columnsPerRow }, (_, col) => `$${base + col + 1}`).join(', ')})`;
+                });
+
+                await client.query(`
+                    INSERT INTO import_staging (
+                        id, numeric_id, phone, status, company_name, physical_address, email, website, phone_group_id,
+                        postal_code, address_block, address_street, address_unit, address_building,
+                        additional_emails, company_name_raw, physical_address_raw, email_raw, website_raw,
+                        email_status, website_status, phone_e164, phone_type, phone_invalid_reason, phone_invalid_country, phone_country, phone_raw,
+                        phone_validator_version
+                    )
+                    VALUES ${placeholders.join(', ')}
+                `, params);
+
+                if (typeof options.onStaged === 'function') {
+                    await options.onStaged(i + chunk.length);
+                }
+            }
+
+            // Matching on phone alone, several file rows can share a phone; the lowest ID updates the stored rows
+            // Phones without digits are never matched, so each of those rows stays
+            const stagedKey = `CASE WHEN ${this.matchablePhoneCondition('import_staging')} THEN ${this.phoneKeyExpression('import_staging')} ELSE id END`;
+            const source = policy.matchKey === 'phone'
+                ? `(SELECT DISTINCT ON (${stagedKey}) * FROM import_staging ORDER BY ${stagedKey}, id)`
+                : 'import_staging';
+
+            // IDs already used by a row with another phone can be neither updated nor inserted
+            if (policy.matchKey !== 'id') {
+                const conflicts = await client.query(policy.matchKey === 'phone' ? `
+                    SELECT s.id FROM import_staging s
+                    WHERE EXISTS (SELECT 1 FROM check_table c WHERE c.id = s.id)
+                      AND NOT EXISTS (SELECT 1 FROM check_table c WHERE ${match})
+                ` : `
+                    SELECT s.id FROM import_staging s
+                    JOIN check_table c ON c.id = s.id AND ${this.phoneKeyExpression('c')} <> ${this.phoneKeyExpression('s')}
+                `);
+                outcome.conflictIds = conflicts.rows.map(row => row.id);
+            }
+
+            if (batchId) {
+                const snapshot = importBatchService.snapshotColumns.map(column => `'${column}', c.${column}`).join(', ');
+                await client.query(`
+                    INSERT INTO import_batch_rows (batch_id, record_id, action, previous_values)
+                    SELECT $1, c.id, 'update', jsonb_build_object(${snapshot})
+                    FROM check_table c
+                    JOIN ${source} s ON ${match}
+                    WHERE c.import_batch_id IS DISTINCT FROM $1
+                `, [batchId]);
+            }
+
+            // File values that disagree with a stored value of a flagged field are kept aside for review;
+            // values that differ only in formatting (see valuesDisagree) are not
+            const flaggedColumns = this.conflictFields.filter(column => this.getConflictStrategy(policy, column) === 'flag');
+            const differs = column => column === 'phone'
+                ? `${this.phoneKeyExpression('s')} <> ${this.phoneKeyExpression('c')}`
+                : `s.${column} <> c.${column}`;
+            if (flaggedColumns.length > 0) {
+                const candidates = await client.query(`
+                    ${flaggedColumns.map(column => `
+                    SELECT c.id AS record_id, s.id AS source_record_id, '${column}' AS field,
+                           c.${column}::text AS existing_value, s.${column}::text AS incoming_value,
+                           s.${column}_raw AS incoming_raw,
+                           c.phone_e164 AS existing_e164, c.phone_country AS existing_country,
+                           s.phone_e164 AS incoming_e164, s.phone_country AS incoming_country
+                    FROM check_table c
+                    JOIN ${source} s ON ${match}
+                    WHERE s.${column} IS NOT NULL AND c.${column} IS NOT NULL AND c.${column} <> ''
+                      AND ${differs(column)}`).join('\n                    UNION ALL')}
+                `);
+
+                const conflicts = candidates.rows.filter(row => this.valuesDisagree(row.field,
+                    { value: row.existing_value, e164: row.existing_e164, country: row.existing_country },
+                    { value: row.incoming_value, e164: row.incoming_e164, country: row.incoming_country }));
+
+                if (conflicts.length > 0) {
+                    await client.query(`
+                        INSERT INTO import_conflicts (batch_id, record_id, source_record_id, field, existing_value, incoming_value, incoming_raw, incoming_country)
+                        SELECT $1::int, u.record_id, u.source_record_id, u.field, u.existing_value, u.incoming_value, u.incoming_raw, u.incoming_country
+                        FROM unnest($2::varchar[], $3::varchar[], $4::varchar[], $5::text[], $6::text[], $7::text[], $8::varchar[])
+                            AS u (record_id, source_record_id, field, existing_value, incoming_value, incoming_raw, incoming_country)
+                    `, [
+                        batchId,
+                        conflicts.map(row => row.record_id),
+                        conflicts.map(row => row.source_record_id),
+                        conflicts.map(row => row.field),
+                        conflicts.map(row => row.existing_value),
+                        conflicts.map(row => row.incoming_value),
+                        conflicts.map(row => row.incoming_raw),
+                        conflicts.map(row => row.field === 'phone' ? row.incoming_country : null)
+                    ]);
+                }
+                outcome.flagged = conflicts.map(row => ({ id: row.source_record_id, field: row.field }));
+            }
+
+            const assignments = [];
+            for (const column of this.conflictFields) {
+                const expression = this.conflictUpdateExpression(this.getConflictStrategy(policy, column), column);
+                assignments.push(`${column} = ${expression}`);
+
+                for (const companion of this.normalizedCompanionColumns[column] || []) {
+                    assignments.push(`${companion} = CASE WHEN (${expression}) IS NOT DISTINCT FROM s.${column}
+                        THEN s.${companion} ELSE c.${companion} END`);
+                }
+            }
+            const phoneExpression = this.conflictUpdateExpression(this.getConflictStrategy(policy, 'phone'), 'phone');
+
+            const updated = await client.query(`
+                UPDATE check_table c
+                SET ${assignments.join(',\n                    ')},
+                    phone_group_id = COALESCE(s.phone_group_id, c.phone_group_id),
+                    status = CASE WHEN ${phoneExpression} = s.phone THEN s.status ELSE c.status END,
+                    phone_e164 = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_e164 ELSE c.phone_e164 END,
+                    phone_type = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_type ELSE c.phone_type END,
+                    phone_invalid_reason = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_invalid_reason ELSE c.phone_invalid_reason END,
+                    phone_invalid_country = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_invalid_country ELSE c.phone_invalid_country END,
+                    phone_country = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_country ELSE c.phone_country END,
+                    phone_raw = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_raw ELSE c.phone_raw END,
+                    phone_validator_version = CASE WHEN ${phoneExpression} = s.phone THEN s.phone_validator_version ELSE c.phone_validator_version END,
+                    import_batch_id = COALESCE($1, c.import_batch_id),
+                    updated_at = CURRENT_TIMESTAMP
+                FROM ${source} s
+                WHERE ${match}
+            `, [batchId]);
+            outcome.updated = updated.rowCount;
+
+            const inserted = await client.query(`
+                WITH inserted AS (
+                    INSERT INTO check_table (
+                        id, numeric_id, phone, status, company_name, physical_address, email, website, phone_group_id, import_batch_id,
+                        postal_code, address_block, address_street, address_unit, address_building,
+                        additional_emails, company_name_raw, physical_address_raw, email_raw, website_raw,
+                        email_status, website_status, phone_e164, phone_type, phone_invalid_reason, phone_invalid_country, phone_country, phone_raw,
+                        phone_validator_version
+                    )
+                    SELECT s.id, s.numeric_id, s.phone, s.status, s.company_name, s.physical_address, s.email, s.website, s.phone_group_id, $1,
+                           s.postal_code, s.address_block, s.address_street, s.address_unit, s.address_building, s.additional_emails, s.company_name_raw, s.physical_address_raw, s.email_raw, s.website_raw,
+                           s.email_status, s.website_status, s.phone_e164, s.phone_type, s.phone_invalid_reason, s.phone_invalid_country, s.phone_country, s.phone_raw,
+                           s.phone_validator_version
+                    FROM import_staging s
+                    WHERE NOT EXISTS (SELECT 1 FROM check_table c WHERE c.id = s.id)${policy.matchKey === 'phone' ? `
+                      AND NOT EXISTS (SELECT 1 FROM check_table c WHERE ${match})` : ''}
+                    ON CONFLICT (id) DO NOTHING
+                    RETURNING id
+                ), logged AS (
+                    INSERT INTO import_batch_rows (batch_id, record_id, action)
+                    SELECT $1, id, 'insert' FROM inserted WHERE $1::int IS NOT NULL
+                )
+                SELECT COUNT(*) AS count FROM inserted
+            `, [batchId]);
+            outcome.inserted = parseInt(inserted.rows[0]?.count || 0);
+
+            await client.query('COMMIT');
+            return outcome;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Bulk upsert into check_table failed:', error.message);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Turn a row keyed by header names into records, one per phone number found
+     * @param {Object} row - Row values keyed by header
+     * @param {number} index - 0-based position among the sheet's data rows, used for generated IDs
+     * @param {Object} source - Record source { sheet, row, values }
+     * @param {Object} report - Optional report from createImportReport
+     * @returns {Array} Records; empty when the row has no phone number
+     */
+    namedRowRecords(row, index, source, report = null) {
+        // Every phone-like column counts: "Phone", "Mobile", duplicated headers ("Phone_1"), ...
+        const phoneValues = this.getFieldValues(row, [
+            // Common variants
+            'Phone', 'phone', 'Phone Number', 'PhoneNumber', 'Phone No', 'PhoneNo',
+            // Contact variants
+            'Contact', 'Contact Number', 'ContactNumber', 'Contact No', 'ContactNo',
+            // Tel variants
+            'Tel', 'Telephone', 'Tel No', 'Telephone Number',
+            // Mobile variants
+            'Mobile', 'Mobile Number', 'MobileNumber', 'Mobile No', 'MobileNo',
+            // Other common labels
+            'HP', 'Handphone', 'Hand Phone', 'WhatsApp', 'WhatsApp Number', 'Whatsapp', 'Whatsapp Number'
+        ]);
+        const phones = this.collectRowPhones(phoneValues);
+
+        // Only include if we have at least a phone number
+        if (phones.length === 0) {
+            if (this.rowHasValues(row)) {
+                this.addRowIssue(report, source, 'skipped', 'No phone number found');
+            }
+            return [];
+        }
+
+        // Extract data from various possible column names
+        const record = {
+            id: this.getFieldValue(row, ['Id', 'ID', 'id', 'No', 'Number', 'Record ID', 'RecordID']) || `Row_${index + 1}`,
+            companyName: this.getFieldValue(row, ['Company Name', 'CompanyName', 'Company', 'Name', 'Business Name', 'Organisation', 'Organization']),
+            physicalAddress: this.getFieldValue(row, ['Physical Address', 'PhysicalAddress', 'Address', 'Addr', 'Location']),
+            email: this.getFieldValue(row, ['Email', 'email', 'E-mail', 'Mail', 'Email Address', 'EmailAddress']),
+            website: this.getFieldValue(row, ['Website', 'website', 'Web', 'URL', 'Site', 'Homepage']),
+            country: this.getFieldValue(row, ['Country', 'Country Code', 'CountryCode']),
+            phoneRaw: phoneValues.join(' / '),
+            source
+        };
+
+        return this.expandPhoneRecords(record, phones);
+    }
+
+    /**
+     * Key a row's cells by header name the way sheet_to_json does
+     * @param {Array} keys - Keys from headerKeys
+     * @param {Array} row - Cell values from column A
+     * @returns {Object} Row values keyed by header
+     */
+    keyRowValues(keys, row) {
+        const values = {};
+        keys.forEach((key, column) => {
+            values[key] = row[column] === undefined ? '' : row[column];
+        });
+        return values;
+    }
+
+    /**
+     * Give empty and repeated headers SheetJS's keys ("__EMPTY", "Phone_1")
+     * @param {Array} headers - Header names
+     * @returns {Array} Unique keys
+     */
+    headerKeys(headers) {
+        const seen = {};
+        return headers.map(header => {
+            const name = header || '__EMPTY';
+            const count = seen[name] || 0;
+            seen[name] = count + 1;
+            return count === 0 ? name : `${name}_${count}`;
+        });
+    }
+
+    /**
+     * Find the header row among the first headerScanRows rows: the row whose cells ColumnMapper recognises
+     * best, preferring rows with a phone column. Falls back to WorksheetDetector's structure analysis.
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {Array} rows - Sheet rows from sheet_to_json with { header: 1 }, blank rows included
+     * @returns {number} Index of the header row in rows
+     */
+    detectHeaderRow(worksheet, rows) {
+        let best = { index: -1, score: 0 };
+
+        for (let i = 0; i < Math.min(rows.length, this.headerScanRows); i++) {
+            const headers = this.readHeaderCells(worksheet, rows, i);
+
+            // Title banners are a single cell, even when merged across the sheet
+            if (new Set(headers.filter(Boolean)).size < 2) continue;
+
+            // Distinct fields, so a group header repeated across merged columns does not count twice
+            const analysis = this.columnMapper.analyzeHeaders(headers);
+            const fields = new Set(Object.values(analysis.mappingDetails).map(detail => detail.fieldType));
+            const score = fields.size + (fields.has('phone') ? 1 : 0);
+
+            // Ties go to the earlier row, so a data row that happens to look like headers never wins
+            if (score > best.score) {
+                best = { index: i, score };
+            }
+        }
+
+        if (best.index >= 0) return best.index;
+
+        const structure = this.worksheetDetector.analyzeWorksheetStructure(rows);
+        return structure.headerRowIndex >= 0 ? structure.headerRowIndex : 0;
+    }
+
+    /**
+     * Read one row as header names. Merged cells spanning the row give every column they cover the
+     * merged value, so "Contact" merged over two columns or "ID" merged down two header rows is not lost;
+     * placeholder values are cleared through DataValidator.handleMergedCells.
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {Array} rows - Sheet rows from sheet_to_json with { header: 1 }, blank rows included
+     * @param {number} index - Index of the row in rows
+     * @returns {Array} Header names, '' for empty columns
+     */
+    readHeaderCells(worksheet, rows, index) {
+        const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : { s: { r: 0, c: 0 }, e: { r: 0, c: 0 } };
+        const width = range.e.c - range.s.c + 1;
+        const row = rows[index] || [];
+        const cells = Array.from({ length: Math.max(width, row.length) }, (_, column) => row[column]);
+
+        // Only the top-left cell of a merge holds the value
+        const sheetRow = range.s.r + index;
+        for (const merge of worksheet['!merges'] || []) {
+            if (merge.s.r > sheetRow || merge.e.r < sheetRow) continue;
+
+            const value = (rows[merge.s.r - range.s.r] || [])[merge.s.c - range.s.c];
+            for (let column = merge.s.c; column <= merge.e.c; column++) {
+                cells[column - range.s.c] = value;
+            }
+        }
+
+        const metadata = {};
+        cells.forEach((value, column) => {
+            metadata[column] = value;
+        });
+        const { cleanedMetadata } = this.dataValidator.handleMergedCells(metadata);
+
+        return cells.map((_, column) => cleanedMetadata[column] || '');
+    }
+
+    /**
+     * Read a worksheet as records keyed by its header names, like sheet_to_json but with the header row
+     * detected. Empty and repeated headers are keyed by headerKeys.
+     * @param {Object} worksheet - XLSX worksheet object
+     * @returns {Object} { headerRow: 1-based row of the headers, headers, rows: [{ rowNumber, values }] } where
+     * row numbers are file lines for CSV/TSV files (see sourceRowNumber)
+     */
+    readSheetRecords(worksheet) {
+        const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '', blankrows: true });
+        const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+
+        if (rows.length === 0) {
+            return { headerRow: firstRow, headers: [], rows: [] };
+        }
+
+        const headerIndex = this.detectHeaderRow(worksheet, rows);
+        const headers = this.readHeaderCells(worksheet, rows, headerIndex);
+        const keys = this.headerKeys(headers);
+
+        const records = [];
+        for (let i = headerIndex + 1; i < rows.length; i++) {
+            const row = rows[i] || [];
+            if (!row.some(cell => String(cell).trim())) continue;
+
+            records.push({ rowNumber: this.sourceRowNumber(worksheet, firstRow + i), values: this.keyRowValues(keys, row) });
+        }
+
+        return { headerRow: this.sourceRowNumber(worksheet, firstRow + headerIndex), headers, rows: records };
+    }
+
+    /**
+     * Row number to report for a sheet row: the file line for CSV/TSV files, the sheet row otherwise
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {number} sheetRow - 1-based sheet row
+     * @returns {number} 1-based row or line number
+     */
+    sourceRowNumber(worksheet, sheetRow) {
+        const lines = worksheet['!sourceLines'];
+        return (lines && lines[sheetRow - 1]) || sheetRow;
+    }
+
+    /**
+     * Simplified Excel data extraction - NO column detection
+     * Expects Excel with columns: Id, Phone, Company Name, Physical Address, Email, Website.
+     * The header row is found by detectHeaderRow, so title rows above it are skipped.
+     * @param {Buffer} excelBuffer - Excel file buffer
+     * @param {string} sourceFile - Original filename, used to recognise CSV/TSV files
+     * @param {Object} report - Optional report from createImportReport that collects skipped rows
+     * @param {Array} sheetNames - Worksheets to read; null lets WorksheetDetector pick the data sheets
+     * @returns {Promise<Array>} Array of records
+     */
+    async extractDataSimplified(excelBuffer, sourceFile = null, report = null, sheetNames = null) {
+        try {
+            if (!excelBuffer || !Buffer.isBuffer(excelBuffer)) {
+                throw new Error('Invalid Excel buffer');
+            }
+
+            if (excelBuffer.length === 0) {
+                throw new Error('Empty Excel file');
+            }
+
+            // Parse Excel workbook (or CSV/TSV/PDF as a single sheet)
+            const workbook = await this.readWorkbook(excelBuffer, sourceFile);
+
+            if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
+                throw new Error('No worksheets found in Excel file');
+            }
+
+            const allRecords = [];
+
+            // Summary and notes tabs are skipped unless the user picked them
+            for (const sheetName of this.selectImportSheets(workbook, sheetNames)) {
+                const worksheet = workbook.Sheets[sheetName];
+                if (report) report.sheets.push(sheetName);
+
+                // Rows keyed by the detected header row's names, which need not be the first row
+                const { headerRow, rows: jsonData } = this.readSheetRecords(worksheet);
+
+                if (report) {
+                    report.headerRows[sheetName] = headerRow;
+                }
+
+                // Map each row to our format
+                for (let i = 0; i < jsonData.length; i++) {
+                    const { rowNumber, values: row } = jsonData[i];
+                    allRecords.push(...this.namedRowRecords(row, i, { sheet: sheetName, row: rowNumber, values: row }, report));
+                }
+            }
+
+
+            // Fallback: if no records found using simplified headers, try advanced extraction + mapping
+            if (allRecords.length === 0) {
+                // Rows are located differently by the advanced extraction, so start the report over
+                if (report) {
+                    report.issues = [];
+                    report.headerRows = {};
+                    report.sheets = [];
+                }
+
+                try {
+
+                    const advancedRecords = await this.extractData(excelBuffer, sourceFile);
+                    const mapped = (advancedRecords || []).map((r, idx) => ({
+                        id: r.id || `Row_${idx + 1}`,
+                        phone: this.cleanPhoneNumber(r.phoneNumber),
+                        phoneRaw: r.phoneNumber ? String(r.phoneNumber).trim() : null,
+                        companyName: r.companyName || null,
+                        physicalAddress: r.physicalAddress || null,
+                        email: r.email || null,
+                        website: r.website || null,
+                        phoneGroupId: r.metadata?.multiPhoneRow ? String(r.metadata.baseRowId) : null,
+                        source: { sheet: r.sourceWorksheet || null, row: null, values: null }
+                    })).filter(r => r.phone && (!Array.isArray(sheetNames) || sheetNames.includes(r.source.sheet)));
+
+                    if (report) {
+                        report.sheets = [...new Set(mapped.map(r => r.source.sheet).filter(Boolean))];
+                    }
+
+                    return mapped;
+                } catch (fallbackErr) {
+                    console.warn('Advanced extraction fallback failed:', fallbackErr.message);
+                    return allRecords; // remain empty
+                }
+            }
+
+            return allRecords;
+
+        } catch (error) {
+            console.error('Excel extraction error:', error);
+            throw new Error(`Failed to extract Excel data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read an uploaded file as a workbook
+     * CSV/TSV text is decoded (UTF-8, UTF-16 or GBK), delimiter-sniffed and wrapped in a single sheet
+     * so preview, mapping and extraction treat it like any Excel file.
+     * PDF directories are grouped into one row per phone number the same way.
+     * @param {Buffer} fileBuffer - Uploaded file buffer
+     * @param {string} sourceFile - Original filename
+     * @returns {Promise<Object>} XLSX workbook object
+     */
+    async readWorkbook(fileBuffer, sourceFile = null) {
+        if (this.pdfDirectoryParser.isPdf(fileBuffer, sourceFile)) {
+            const { rows, pageCount, recordCount } = await this.pdfDirectoryParser.parseBuffer(fileBuffer);
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+            workbook.sourceFormat = { type: 'pdf', pageCount, recordCount };
+            return workbook;
+        }
+
+        if (!this.delimitedTextParser.isDelimitedText(fileBuffer, sourceFile)) {
+            return XLSX.read(fileBuffer, { type: 'buffer' });
+        }
+
+        const { rows, lineNumbers, encoding, delimiter } = this.delimitedTextParser.parseBuffer(fileBuffer);
+        const workbook = XLSX.utils.book_new();
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        // Blank lines are not sheet rows, so issues are reported against the file line instead (see sourceRowNumber)
+        worksheet['!sourceLines'] = lineNumbers;
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
+        workbook.sourceFormat = { type: 'delimited', encoding, delimiter };
+
+        return workbook;
+    }
+
+    /**
+     * Build an import preview without writing anything to the database
+     * Scores every worksheet and proposes a column mapping for each one.
+     * A saved mapping profile is applied when picked explicitly or when a sheet's header fingerprint matches one.
+     * @param {Buffer} excelBuffer - Excel file buffer
+     * @param {string} sourceFile - Original filename
+     * @param {Object} options - Preview options
+     * @param {number} options.profileId - Saved mapping profile to apply instead of auto-matching
+     * @returns {Promise<Object>} Preview with per-sheet scores, proposed mapping, confidence, sample rows
+     * and the sheets imported by default
+     */
+    async previewExcelImport(excelBuffer, sourceFile = null, options = {}) {
+        if (!excelBuffer || !Buffer.isBuffer(excelBuffer) || excelBuffer.length === 0) {
+            throw new Error(this.errorMessages.INVALID_EXCEL);
+        }
+
+        const workbook = await this.readWorkbook(excelBuffer, sourceFile);
+
+        return this.buildImportPreview(workbook, sourceFile, options);
+    }
+
+    /**
+     * Preview a large .xlsx file streamed from disk. Sheets are scored and mapped from their first
+     * headerScanRows + previewSampleSize rows; row counts cover the whole sheet.
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {string} sourceFile - Original filename
+     * @param {Object} options - { profileId } as for previewExcelImport
+     * @returns {Promise<Object>} Preview as for previewExcelImport
+     */
+    async previewLargeExcelFile(filePath, sourceFile = null, options = {}) {
+        const sample = await this.streamingWorkbookReader.readSample(filePath, this.headerScanRows + this.previewSampleSize);
+
+        const workbook = XLSX.utils.book_new();
+        for (const sheet of sample.sheets) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+        }
+        workbook.sourceFormat = { type: 'workbook', streamed: true };
+
+        const preview = await this.buildImportPreview(workbook, sourceFile, options);
+        const rowCounts = new Map(sample.sheets.map(sheet => [sheet.name, sheet.rowCount]));
+        for (const sheet of preview.sheets) {
+            sheet.rowCount = rowCounts.get(sheet.name);
+        }
+
+        return preview;
+    }
+
+    /**
+     * Score the worksheets of a workbook and propose a mapping for each; see previewExcelImport
+     * @param {Object} workbook - XLSX workbook object
+     * @param {string} sourceFile - Original filename
+     * @param {Object} options - { profileId } as for previewExcelImport
+     * @returns {Promise<Object>} Preview
+     */
+    async buildImportPreview(workbook, sourceFile, options = {}) {
+        if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
+            throw new Error(this.errorMessages.NO_WORKSHEETS);
+        }
+
+        const worksheetAnalysis = this.worksheetDetector.scanWorksheets(workbook);
+        const worksheetReport = this.worksheetDetector.generateAnalysisReport(worksheetAnalysis);
+        const includedSheets = this.worksheetDetector.selectDataWorksheets(worksheetAnalysis);
+
+        const sheets = worksheetAnalysis.map(analysis => ({
+            name: analysis.name,
+            score: analysis.score,
+            confidence: analysis.confidence,
+            rowCount: analysis.rowCount,
+            columnCount: analysis.columnCount,
+            hasData: analysis.hasData,
+            included: includedSheets.includes(analysis.name),
+            phoneColumns: analysis.phoneColumns,
+            details: analysis.details,
+            ...this.buildSheetMappingProposal(workbook.Sheets[analysis.name], analysis.name)
+        }));
+
+        const recommended = worksheetReport.summary.recommendedWorksheets[0];
+        let selectedSheet = recommended || (sheets.find(sheet => sheet.hasData) || sheets[0]).name;
+        let matchedProfile = null;
+
+        if (options.profileId) {
+            const profile = await mappingProfileService.getProfile(options.profileId);
+            if (!profile) {
+                throw new Error(`Mapping profile ${options.profileId} not found`);
+            }
+
+            const targetName = workbook.Sheets[profile.sheetName] ? profile.sheetName : selectedSheet;
+            const index = sheets.findIndex(sheet => sheet.name === targetName);
+            const proposal = this.buildSheetMappingProposal(workbook.Sheets[targetName], targetName, profile.headerRowIndex);
+
+            sheets[index] = this.applyMappingProfile({ ...sheets[index], ...proposal }, profile, 'explicit');
+            selectedSheet = targetName;
+            matchedProfile = sheets[index].profile;
+            sheets[index].included = true;
+        } else {
+            for (let i = 0; i < sheets.length; i++) {
+                const profile = await this.findMappingProfile(sheets[i].headerFingerprint);
+                if (!profile) continue;
+
+                sheets[i] = this.applyMappingProfile(sheets[i], profile, 'fingerprint');
+                // A sheet laid out like a saved profile is data even when the detector scored it low
+                sheets[i].included = true;
+
+                // Prefer the first sheet a saved profile recognises over the detector's guess
+                if (!matchedProfile) {
+                    matchedProfile = sheets[i].profile;
+                    selectedSheet = sheets[i].name;
+                }
+            }
+        }
+
+        return {
+            success: true,
+            fileName: sourceFile,
+            fields: this.importFields,
+            idStrategies: mappingProfileService.idStrategies,
+            sourceFormat: workbook.sourceFormat || { type: 'workbook' },
+            selectedSheet,
+            matchedProfile,
+            sheets,
+            includedSheets: sheets.filter(sheet => sheet.included).map(sheet => sheet.name),
+            worksheetReport
+        };
+    }
+
+    /**
+     * Look up a saved mapping profile by header fingerprint, using columnMappingCache first
+     * @param {string} fingerprint - Header fingerprint
+     * @returns {Promise<Object|null>} Matching profile or null
+     */
+    async findMappingProfile(fingerprint) {
+        if (!fingerprint) return null;
+
+        if (this.optimizationSettings.enableCaching && this.columnMappingCache.has(fingerprint)) {
+            return this.columnMappingCache.get(fingerprint);
+        }
+
+        try {
+            const profile = await mappingProfileService.findByFingerprint(fingerprint);
+            if (profile) {
+                this.cacheMappingProfile(profile);
+            }
+            return profile;
+        } catch (error) {
+            // Profiles are optional; a lookup failure should not block the preview
+            console.warn('Mapping profile lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a profile in columnMappingCache keyed by its header fingerprint
+     * @param {Object} profile - Saved mapping profile
+     */
+    cacheMappingProfile(profile) {
+        if (!this.optimizationSettings.enableCaching || !profile || !profile.headerFingerprint) return;
+
+        // Drop profiles previously cached under a different fingerprint
+        this.forgetMappingProfile(profile.id);
+
+        if (this.columnMappingCache.size >= this.optimizationSettings.cacheSize) {
+            const oldestKey = this.columnMappingCache.keys().next().value;
+            this.columnMappingCache.delete(oldestKey);
+        }
+
+        this.columnMappingCache.set(profile.headerFingerprint, profile);
+    }
+
+    /**
+     * Remove a profile from columnMappingCache
+     * @param {number} profileId - Profile ID
+     */
+    forgetMappingProfile(profileId) {
+        for (const [fingerprint, cached] of this.columnMappingCache.entries()) {
+            if (cached && cached.id === profileId) {
+                this.columnMappingCache.delete(fingerprint);
+            }
+        }
+    }
+
+    /**
+     * Replace a sheet proposal's mapping with the one stored in a profile
+     * @param {Object} sheet - Sheet proposal from buildSheetMappingProposal
+     * @param {Object} profile - Saved mapping profile
+     * @param {string} matchedBy - 'explicit' or 'fingerprint'
+     * @returns {Object} Sheet proposal using the profile mapping
+     */
+    applyMappingProfile(sheet, profile, matchedBy) {
+        const columns = {};
+        const fieldConfidence = {};
+
+        for (const field of this.importFields) {
+            const index = profile.columns[field];
+            columns[field] = index === undefined ? null : index;
+            fieldConfidence[field] = columns[field] === null ? 0 : 1;
+        }
+
+        // Profiles saved before additional phone columns existed keep the detected ones
+        columns.additionalPhones = Array.isArray(profile.columns.additionalPhones)
+            ? profile.columns.additionalPhones
+            : (sheet.mapping.columns.additionalPhones || []);
+
+        return {
+            ...sheet,
+            mapping: {
+                sheetName: sheet.name,
+                headerRowIndex: sheet.headerRowIndex,
+                columns,
+                idStrategy: profile.idStrategy
+            },
+            fieldConfidence,
+            profile: { id: profile.id, name: profile.name, matchedBy }
+        };
+    }
+
+    /**
+     * Propose a column mapping for one worksheet using ColumnMapper
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {string} sheetName - Name of the worksheet
+     * @param {number} headerRowOverride - Header row to use instead of auto-detection
+     * @returns {Object} Header row (index and 1-based sheet row), proposed mapping, per-field confidence and sample rows
+     */
+    buildSheetMappingProposal(worksheet, sheetName, headerRowOverride = null) {
+        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false, blankrows: true });
+        const headerRowIndex = headerRowOverride !== null ? headerRowOverride : this.detectHeaderRow(worksheet, jsonData);
+        const headers = this.readHeaderCells(worksheet, jsonData, headerRowIndex).map(header => String(header).trim());
+
+        const headerAnalysis = this.columnMapper.analyzeHeaders(headers);
+        const columns = {};
+        const fieldConfidence = {};
+
+        for (const field of this.importFields) {
+            columns[field] = null;
+            fieldConfidence[field] = 0;
+        }
+
+        // Keep the highest-confidence column for each field
+        for (const [index, detail] of Object.entries(headerAnalysis.mappingDetails)) {
+            const field = this.mapperFieldMap[detail.fieldType];
+            if (field && detail.confidence > fieldConfidence[field]) {
+                columns[field] = Number(index);
+                fieldConfidence[field] = detail.confidence;
+            }
+        }
+
+        // Fall back to data patterns when no header looks like a phone column
+        const detection = this.columnMapper.detectPhoneColumns(jsonData, headerRowIndex + 1);
+        if (columns.phone === null && detection.phoneColumns.length > 0) {
+            columns.phone = detection.phoneColumns[0];
+            fieldConfidence.phone = detection.confidence[columns.phone] || 0.5;
+        }
+
+        // Every other phone-like column is proposed as an additional phone column
+        const phoneHeaderColumns = Object.entries(headerAnalysis.mappingDetails)
+            .filter(([, detail]) => detail.fieldType === 'phone')
+            .map(([index]) => Number(index));
+        columns.additionalPhones = Array.from(new Set([...phoneHeaderColumns, ...detection.phoneColumns]))
+            .filter(index => index !== columns.phone)
+            .sort((a, b) => a - b);
+
+        const mappingReport = this.columnMapper.generateMappingReport(headerAnalysis, headers);
+        const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+
+        return {
+            headerRowIndex,
+            headerRow: firstRow + headerRowIndex,
+            headers,
+            headerFingerprint: mappingProfileService.fingerprintHeaders(headers),
+            profile: null,
+            mapping: { sheetName, headerRowIndex, columns, idStrategy: 'column' },
+            fieldConfidence,
+            overallConfidence: headerAnalysis.confidence,
+            recommendations: mappingReport.recommendations,
+            sampleRows: jsonData
+                .slice(headerRowIndex + 1)
+                .filter(row => row.some(cell => String(cell).trim()))
+                .slice(0, this.previewSampleSize)
+        };
+    }
+
+    /**
+     * Validate a user-supplied column mapping and coerce it to the internal shape
+     * @param {Object} mapping - Mapping as returned by previewExcelImport, possibly edited
+     * @returns {Object} Normalized mapping { sheetName, headerRowIndex, columns, idStrategy }
+     */
+    normalizeColumnMapping(mapping) {
+        if (!mapping || typeof mapping !== 'object' || !mapping.columns) {
+            throw new Error('Column mapping is missing or malformed');
+        }
+
+        const headerRowIndex = parseInt(mapping.headerRowIndex, 10);
+        const columns = {};
+
+        for (const field of this.importFields) {
+            const value = mapping.columns[field];
+            const index = value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+
+            if (index !== null && (isNaN(index) || index < 0)) {
+                throw new Error(`Invalid column index for ${field}: ${value}`);
+            }
+
+            columns[field] = index;
+        }
+
+        if (columns.phone === null) {
+            throw new Error('A phone column must be mapped before importing');
+        }
+
+        // Further phone columns (office line, mobile, ...) whose numbers become sibling records
+        const additionalPhones = Array.isArray(mapping.columns.additionalPhones) ? mapping.columns.additionalPhones : [];
+        columns.additionalPhones = [];
+        for (const value of additionalPhones) {
+            const index = parseInt(value, 10);
+            if (isNaN(index) || index < 0) {
+                throw new Error(`Invalid additional phone column index: ${value}`);
+            }
+            if (index !== columns.phone && !columns.additionalPhones.includes(index)) {
+                columns.additionalPhones.push(index);
+            }
+        }
+
+        const idStrategy = mapping.idStrategy || 'column';
+        if (!mappingProfileService.idStrategies.includes(idStrategy)) {
+            throw new Error(`Unknown ID strategy: ${idStrategy}`);
+        }
+
+        return {
+            sheetName: mapping.sheetName || null,
+            headerRowIndex: isNaN(headerRowIndex) || headerRowIndex < 0 ? 0 : headerRowIndex,
+            columns,
+            idStrategy
+        };
+    }
+
+    /**
+     * Validate a user-supplied list of worksheets to import
+     * @param {Array|null} sheets - Sheet names; null to let WorksheetDetector pick the data sheets
+     * @returns {Array|null} Sheet names, or null for the detector's choice
+     */
+    normalizeSheetSelection(sheets = null) {
+        if (sheets === null || sheets === undefined) return null;
+
+        if (!Array.isArray(sheets) || sheets.some(name => typeof name !== 'string' || name === '')) {
+            throw new Error('Sheets must be a list of worksheet names');
+        }
+        if (sheets.length === 0) {
+            throw new Error('Select at least one worksheet to import');
+        }
+
+        return [...new Set(sheets)];
+    }
+
+    /**
+     * Validate a user-supplied default country for an import
+     * @param {string} country - ISO country code or English country name; empty for the configured default
+     * @returns {string|null} Accepted ISO country code, or null for the configured default
+     */
+    normalizeDefaultCountry(country = null) {
+        if (country === null || country === undefined || country === '') return null;
+
+        const code = this.phoneValidator.normalizeCountry(country);
+        if (!code) {
+            throw new Error(`Unknown country: ${country}`);
+        }
+        if (!this.phoneValidator.isAcceptedCountry(code)) {
+            throw new Error(`Country ${code} is not one of the accepted phone countries`);
+        }
+
+        return code;
+    }
+
+    /**
+     * Whether a normalised field holds a usable value; fields other than email and website always do
+     * @param {string} field - Record field
+     * @param {Object} statuses - Email and website statuses from the record normalizer
+     * @returns {boolean} False for emails and websites with a status such as invalid or placeholder
+     */
+    isUsableContact(field, statuses) {
+        const validator = this.recordNormalizer.contactValidator;
+        if (field === 'email') return validator.usableEmailStatuses.includes(statuses.email);
+        if (field === 'website') return validator.usableWebsiteStatuses.includes(statuses.website);
+        return true;
+    }
+
+    /**
+     * Validate a user-supplied conflict policy and fill in the defaults
+     * @param {Object} policy - { strategy, fields: { column: strategy }, matchKey }; null for the defaults
+     * @returns {Object} Normalized policy { strategy, fields, matchKey }
+     */
+    normalizeConflictPolicy(policy = null) {
+        if (policy === null || policy === undefined) policy = {};
+        if (typeof policy !== 'object' || Array.isArray(policy)) {
+            throw new Error('Conflict policy is malformed');
+        }
+
+        const strategy = policy.strategy || 'merge';
+        if (!this.conflictStrategies.includes(strategy)) {
+            throw new Error(`Unknown conflict strategy: ${strategy}`);
+        }
+
+        const matchKey = policy.matchKey || 'id_phone';
+        if (!this.matchKeys.includes(matchKey)) {
+            throw new Error(`Unknown match key: ${matchKey}`);
+        }
+
+        // Per-field overrides; an empty value falls back to the import-wide strategy
+        const fields = {};
+        for (const [column, fieldStrategy] of Object.entries(policy.fields || {})) {
+            if (!this.conflictFields.includes(column)) {
+                throw new Error(`Conflict strategy cannot be set for ${column}`);
+            }
+            if (!fieldStrategy) continue;
+            if (!this.conflictStrategies.includes(fieldStrategy)) {
+                throw new Error(`Unknown conflict strategy for ${column}: ${fieldStrategy}`);
+            }
+            fields[column] = fieldStrategy;
+        }
+
+        return { strategy, fields, matchKey };
+    }
+
+    /**
+     * Strategy a normalized conflict policy applies to a column
+     * @param {Object} policy - Policy from normalizeConflictPolicy
+     * @param {string} column - check_table column
+     * @returns {string} One of conflictStrategies
+     */
+    getConflictStrategy(policy, column) {
+        return policy.fields[column] || policy.strategy;
+    }
+
+    /**
+     * Value a column of a matched row ends up with; mirrors conflictUpdateExpression for dry runs
+     * @param {string} strategy - One of conflictStrategies
+     * @param {*} before - Stored value
+     * @param {*} after - Value from the file (null for a blank cell)
+     * @returns {*} Resulting value
+     */
+    resolveConflictValue(strategy, before, after) {
+        const isBlank = value => value === null || value === undefined || value === '';
+
+        switch (strategy) {
+            case 'overwrite':
+                return after === undefined ? null : after;
+            case 'keep':
+                return before;
+            case 'fill_blanks':
+            case 'flag':
+                return isBlank(before) ? after : before;
+            default:
+                return after === null || after === undefined ? before : after;
+        }
+    }
+
+    /**
+     * Whether a file value disagrees with a stored value of a conflict field by more than formatting:
+     * text fields are compared after normalisation, ignoring spacing and case, and phones on their E.164 forms
+     * @param {string} column - One of conflictFields
+     * @param {Object} existing - Stored { value, e164, country }; e164 and country are the row's phone_e164 and phone_country
+     * @param {Object} incoming - File { value, e164, country }, as for existing
+     * @returns {boolean} True if the values disagree
+     */
+    valuesDisagree(column, existing, incoming) {
+        return this.comparisonKey(column, existing) !== this.comparisonKey(column, incoming);
+    }
+
+    /**
+     * Form a conflict field's value is compared in; see valuesDisagree
+     * @param {string} column - One of conflictFields
+     * @param {Object} entry - { value, e164, country }
+     * @returns {string} Comparison key
+     */
+    comparisonKey(column, { value, e164 = null, country = null }) {
+        if (value === null || value === undefined) return '';
+
+        if (column === 'phone') {
+            const key = e164 || this.phoneValidator.getPhoneKey(String(value), country) || '';
+            return key.replace(/[^\d+]/g, '');
+        }
+
+        const field = Object.keys(this.diffFields).find(key => this.diffFields[key] === column);
+        const normalized = this.recordNormalizer.normalizeRecord({ [field]: value }).values[field];
+        return this.recordNormalizer.collapseWhitespace(String(normalized || value)).toLowerCase();
+    }
+
+    /**
+     * SQL for the new value of a column when a staged row (s) updates a stored row (c)
+     * @param {string} strategy - One of conflictStrategies
+     * @param {string} column - check_table column
+     * @returns {string} SQL expression
+     */
+    conflictUpdateExpression(strategy, column) {
+        switch (strategy) {
+            case 'overwrite':
+                return `s.${column}`;
+            case 'keep':
+                return `c.${column}`;
+            case 'fill_blanks':
+            case 'flag':
+                return `CASE WHEN c.${column} IS NULL OR c.${column} = '' THEN s.${column} ELSE c.${column} END`;
+            default:
+                return `COALESCE(s.${column}, c.${column})`;
+        }
+    }
+
+    /**
+     * SQL join condition between a staged row (s) and the stored rows (c) it updates
+     * @param {string} matchKey - One of matchKeys
+     * @returns {string} SQL condition
+     */
+    conflictMatchCondition(matchKey) {
+        const phoneMatch = `${this.phoneKeyExpression('c')} = ${this.phoneKeyExpression('s')}`;
+        if (matchKey === 'phone') return `${phoneMatch} AND ${this.matchablePhoneCondition('s')}`;
+        if (matchKey === 'id') return 'c.id = s.id';
+        return `c.id = s.id AND ${phoneMatch}`;
+    }
+
+    /**
+     * SQL expression for the key phone numbers are matched on: E.164 when known, else the stored phone.
+     * check_table has an index on this expression (idx_phone_key).
+     * @param {string} alias - Table alias
+     * @returns {string} SQL expression
+     */
+    phoneKeyExpression(alias) {
+        return `COALESCE(${alias}.phone_e164, ${alias}.phone)`;
+    }
+
+    /**
+     * Check whether rows can be matched on a phone. Cells that are not written as a number ("N/A", "---")
+     * are stored as typed to record why they are invalid; they have no digits and never match each other.
+     * @param {string} phone - Stored phone
+     * @returns {boolean} True if the phone has digits
+     */
+    isMatchablePhone(phone) {
+        return /\d/.test(String(phone || ''));
+    }
+
+    /**
+     * SQL condition for isMatchablePhone
+     * @param {string} alias - Table alias
+     * @returns {string} SQL condition
+     */
+    matchablePhoneCondition(alias) {
+        return `${alias}.phone ~ '[0-9]'`;
+    }
+
+    /**
+     * Extract records using an explicit column mapping instead of header guessing
+     * @param {Buffer} excelBuffer - Excel file buffer
+     * @param {Object} mapping - Column mapping { sheetName, headerRowIndex, columns, idStrategy },
+     * or { sheets: [mapping, ...] } with one mapping per worksheet to import
+     * @param {string} sourceFile - Original filename, used to recognise CSV/TSV files
+     * @param {Object} report - Optional report from createImportReport that collects skipped rows
+     * @returns {Promise<Array>} Array of records in the extractDataSimplified shape
+     */
+    async extractDataWithMapping(excelBuffer, mapping, sourceFile = null, report = null) {
+        if (!excelBuffer || !Buffer.isBuffer(excelBuffer) || excelBuffer.length === 0) {
+            throw new Error('Invalid Excel buffer');
+        }
+
+        const sheetMappings = this.normalizeSheetMappings(mapping);
+        const workbook = await this.readWorkbook(excelBuffer, sourceFile);
+        const records = [];
+
+        for (const sheetMapping of sheetMappings) {
+            records.push(...this.extractSheetWithMapping(workbook, sheetMapping, report));
+        }
+
+        return records;
+    }
+
+    /**
+     * Normalize a single-sheet mapping or a { sheets } list of per-sheet mappings
+     * @param {Object} mapping - Mapping as accepted by extractDataWithMapping
+     * @returns {Array} Normalized mappings, one per worksheet
+     */
+    normalizeSheetMappings(mapping) {
+        if (!mapping || !Array.isArray(mapping.sheets)) {
+            return [this.normalizeColumnMapping(mapping)];
+        }
+
+        if (mapping.sheets.length === 0) {
+            throw new Error('Select at least one worksheet to import');
+        }
+
+        const sheetMappings = mapping.sheets.map(sheetMapping => this.normalizeColumnMapping(sheetMapping));
+        const names = sheetMappings.map(sheetMapping => sheetMapping.sheetName);
+        if (names.some(name => !name) || new Set(names).size !== names.length) {
+            throw new Error('Each worksheet mapping needs its own sheet name');
+        }
+
+        return sheetMappings;
+    }
+
+    /**
+     * Extract the records of one worksheet with a normalized column mapping
+     * @param {Object} workbook - XLSX workbook
+     * @param {Object} sheetMapping - Mapping from normalizeColumnMapping
+     * @param {Object} report - Optional report from createImportReport that collects skipped rows
+     * @returns {Array} Array of records
+     */
+    extractSheetWithMapping(workbook, { sheetName, headerRowIndex, columns, idStrategy }, report = null) {
+        const targetSheet = sheetName || workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[targetSheet];
+
+        if (!worksheet) {
+            throw new Error(`Worksheet '${targetSheet}' not found in Excel file`);
+        }
+
+        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false, blankrows: true });
+        const records = [];
+
+        const headers = this.readHeaderCells(worksheet, jsonData, headerRowIndex);
+        // With { header: 1 } blank rows are kept, so array positions are offsets from the sheet's first row
+        const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+
+        if (report) {
+            report.headerRows[targetSheet] = this.sourceRowNumber(worksheet, firstRow + headerRowIndex);
+            report.sheets.push(targetSheet);
+        }
+
+        for (let i = headerRowIndex + 1; i < jsonData.length; i++) {
+            const row = jsonData[i] || [];
+            const source = { sheet: targetSheet, row: this.sourceRowNumber(worksheet, firstRow + i), headers, values: row };
+            records.push(...this.mappedRowRecords(row, i - headerRowIndex, source, { columns, idStrategy }, report));
+        }
+
+        return records;
+    }
+
+    /**
+     * Turn a row into records using a column mapping, one record per phone number found
+     * @param {Array} row - Cell values
+     * @param {number} rowNumber - 1-based position below the header row, used for generated IDs
+     * @param {Object} source - Record source { sheet, row, headers, values }
+     * @param {Object} mapping - { columns, idStrategy } from normalizeColumnMapping
+     * @param {Object} report - Optional report from createImportReport
+     * @returns {Array} Records; empty when the row has no phone number
+     */
+    mappedRowRecords(row, rowNumber, source, { columns, idStrategy }, report = null) {
+        const cell = (index) => {
+            if (index === null || row[index] === undefined || row[index] === null) return null;
+            const value = String(row[index]).trim();
+            return value || null;
+        };
+
+        const phoneValues = [columns.phone, ...columns.additionalPhones].map(cell);
+        const phones = this.collectRowPhones(phoneValues);
+
+        if (phones.length === 0) {
+            if (this.rowHasValues(row)) {
+                this.addRowIssue(report, source, 'skipped', 'No phone number found');
+            }
+            return [];
+        }
+
+        let id = `Row_${rowNumber}`;
+        if (idStrategy === 'sheet_row') {
+            id = `${source.sheet}_${rowNumber}`;
+        } else if (idStrategy === 'column') {
+            id = cell(columns.id) || id;
+        }
+
+        return this.expandPhoneRecords({
+            id,
+            companyName: cell(columns.companyName),
+            physicalAddress: cell(columns.physicalAddress),
+            email: cell(columns.email),
+            website: cell(columns.website),
+            country: cell(columns.country),
+            phoneRaw: phoneValues.filter(Boolean).join(' / '),
+            source
+        }, phones);
+    }
+
+    /**
+     * Get field value from row object trying multiple possible column names
+     * @param {Object} row - Excel row object
+     * @param {Array} possibleNames - Array of possible column names
+     * @returns {string|null} Field value or null
+     */
+    getFieldValue(row, possibleNames) {
+        // 1) Exact header match first
+        for (const name of possibleNames) {
+            if (row[name] !== undefined && row[name] !== null && String(row[name]).trim()) {
+                return String(row[name]).trim();
+            }
+        }
+
+        // 2) Flexible header match: normalize keys and synonyms
+        const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const normalizedRow = {};
+        for (const key of Object.keys(row)) {
+            normalizedRow[normalize(key)] = row[key];
+        }
+
+        for (const name of possibleNames) {
+            const key = normalize(name);
+            if (normalizedRow[key] !== undefined && normalizedRow[key] !== null && String(normalizedRow[key]).trim()) {
+                return String(normalizedRow[key]).trim();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get every non-empty value whose header matches one of the possible names.
+     * Also picks up duplicated headers, which sheet_to_json renames to "Phone_1", "Phone_2", ...
+     * @param {Object} row - Row object keyed by header
+     * @param {Array} possibleNames - Accepted header names
+     * @returns {Array} Trimmed values in column order
+     */
+    getFieldValues(row, possibleNames) {
+        const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const accepted = new Set(possibleNames.map(normalize));
+        const values = [];
+
+        for (const key of Object.keys(row)) {
+            const baseKey = String(key).replace(/_\d+$/, '');
+            if (!accepted.has(normalize(key)) && !accepted.has(normalize(baseKey))) continue;
+
+            const value = row[key];
+            if (value !== undefined && value !== null && String(value).trim()) {
+                values.push(String(value).trim());
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Split a cell that may hold several phone numbers, e.g. "6123 4567 / 9876 5432" or "6123 4567 9876 5432".
+     * The cell is split on separators, then the shared validator finds the numbers of the accepted countries
+     * in each part; a part without one is kept when it looks like a phone number, so invalid numbers are stored too.
+     * @param {string} value - Raw cell value
+     * @returns {Array} Cleaned phone numbers, without duplicates
+     */
+    splitPhoneNumbers(value) {
+        if (value === null || value === undefined) return [];
+        const text = String(value).trim();
+        if (!text) return [];
+
+        const unique = (phones) => Array.from(new Set(phones.filter(Boolean)));
+
+        const candidates = [];
+        for (const part of text.split(this.phoneSeparatorPattern)) {
+            if (!part) continue;
+
+            const found = this.phoneValidator.findPhoneNumbers(part);
+            const run = found.length > 0 ? [] : this.splitPhoneRun(part);
+            if (found.length > 0) {
+                candidates.push(...found.map(match => match.text));
+            } else if (run.length > 0) {
+                candidates.push(...run);
+            } else if (part.replace(/\D/g, '').length >= 7) {
+                candidates.push(part);
+            }
+        }
+        if (candidates.length > 0) {
+            return unique(candidates.map(candidate => this.cleanPhoneNumber(candidate)));
+        }
+
+        return unique([this.cleanPhoneNumber(text)]);
+    }
+
+    /**
+     * Split numbers written one after another with only spaces between them, e.g. "9123 4567 9876 5432",
+     * which are otherwise read as one number: the first break between digit groups where both sides hold a number
+     * @param {string} text - Part of a phone cell without separators
+     * @returns {Array} The two numbers' text, or empty when there is no such break
+     */
+    splitPhoneRun(text) {
+        const groups = text.trim().split(/\s+/);
+        for (let i = 1; i < groups.length; i++) {
+            const halves = [groups.slice(0, i).join(' '), groups.slice(i).join(' ')];
+            if (halves.every(half => this.phoneValidator.findPhoneNumbers(half).length > 0)) return halves;
+        }
+        return [];
+    }
+
+    /**
+     * Collect the phone numbers of a row from all of its phone cells
+     * @param {Array} values - Raw values of the row's phone columns
+     * @returns {Array} Cleaned phone numbers, without duplicates
+     */
+    collectRowPhones(values) {
+        const phones = [];
+        for (const value of values) {
+            for (const phone of this.splitPhoneNumbers(value)) {
+                if (!phones.includes(phone)) phones.push(phone);
+            }
+        }
+        return phones;
+    }
+
+    /**
+     * Turn one row into one record per phone number.
+     * Records from the same row share the company data and a phoneGroupId (the row's ID),
+     * which is stored so sibling numbers can be shown together.
+     * @param {Object} baseRecord - Record without phone
+     * @param {Array} phones - Cleaned phone numbers of the row
+     * @returns {Array} Records
+     */
+    expandPhoneRecords(baseRecord, phones) {
+        if (phones.length === 1) {
+            return [{ ...baseRecord, phone: phones[0], phoneGroupId: null }];
+        }
+
+        return phones.map((phone, index) => ({
+            ...baseRecord,
+            id: `${baseRecord.id}_${index + 1}`,
+            phone,
+            phoneGroupId: String(baseRecord.id)
+        }));
+    }
+
+    /**
+     * Check if record exists by both ID and Phone
+     * @param {string} id - Record ID
+     * @param {string} phone - Phone number
+     * @returns {Promise<boolean>} True if exists
+     */
+    async checkExistingRecordByIdAndPhone(id, phone) {
+        try {
+            const sql = `SELECT COUNT(*) as count FROM check_table WHERE id = $1 AND phone = $2`;
+            const results = await databaseManager.query(sql, [id, phone]);
+            return results[0].count > 0;
+        } catch (error) {
+            console.error('Error checking existing record:', error.message);
+            return false;
         }
     }
 
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const config = require('../utils/config');
 
 class FileManager {
     constructor() {
@@ -10,12 +11,13 @@ class FileManager {
         this.originalDir = path.join(this.uploadDir, 'original');
         this.excelDir = path.join(this.uploadDir, 'excel');
         this.pdfDir = path.join(this.uploadDir, 'pdf');
+        this.textDir = path.join(this.uploadDir, 'text');
 
-        // File size limits (default 10MB)
-        this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+        // File size limit, shared with the upload middleware and the import pipeline
+        this.maxFileSize = config.upload.maxFileSize;
 
         // Supported file types
-        this.supportedTypes = ['.pdf', '.xlsx', '.xls'];
+        this.supportedTypes = ['.pdf', '.xlsx', '.xls', '.csv', '.tsv', '.txt'];
 
         // File retention settings (default 30 days)
         this.retentionDays = parseInt(process.env.FILE_RETENTION_DAYS) || 30;
@@ -32,6 +34,8 @@ class FileManager {
                 'application/vnd.ms-excel' // .xls
             ],
             blockedExtensions: ['.exe', '.bat', '.cmd', '.scr', '.pif', '.com', '.jar'],
+            // Rejected uploads carrying these flags are kept in the quarantine directory for review
+            quarantineFlags: ['MALICIOUS_CONTENT', 'BLOCKED_EXTENSION', 'EXECUTABLE_CONTENT'],
             maxPathLength: parseInt(process.env.MAX_PATH_LENGTH) || 255
         };
 
@@ -40,6 +44,8 @@ class FileManager {
             enableStreaming: process.env.ENABLE_FILE_STREAMING !== 'false',
             streamingThreshold: parseInt(process.env.STREAMING_THRESHOLD) || 5 * 1024 * 1024, // 5MB
             chunkSize: parseInt(process.env.CHUNK_SIZE) || 64 * 1024, // 64KB
+            // Bytes read from each end of an upload on disk for validation (see inspectFile)
+            validationSampleSize: 1024 * 1024, // 1MB
             enableCompression: process.env.ENABLE_COMPRESSION === 'true',
             compressionLevel: parseInt(process.env.COMPRESSION_LEVEL) || 6,
             enableCaching: process.env.ENABLE_FILE_CACHING === 'true',
@@ -63,6 +69,7 @@ class FileManager {
                 this.originalDir,
                 this.excelDir,
                 this.pdfDir,
+                this.textDir,
                 this.securitySettings.quarantineDir
             ];
 
@@ -114,7 +121,7 @@ class FileManager {
 
     /**
      * Get appropriate storage directory based on file type
-     * @param {string} fileType - File type ('pdf', 'excel')
+     * @param {string} fileType - File type ('pdf', 'excel', 'text')
      * @returns {string} Storage directory path
      */
     getStorageDirectory(fileType) {
@@ -123,6 +130,8 @@ class FileManager {
                 return this.pdfDir;
             case 'excel':
                 return this.excelDir;
+            case 'text':
+                return this.textDir;
             default:
                 // Fallback to original directory for backward compatibility
                 return this.originalDir;
@@ -131,17 +140,19 @@ class FileManager {
 
     /**
      * Validate PDF file integrity and format
-     * @param {Buffer} fileBuffer - File buffer to validate
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see inspectFile)
      * @param {string} originalName - Original filename
+     * @param {Object} fileStats - Optional { size, checksum } of the whole file when fileBuffer is a sample
      * @returns {Object} Validation result
      */
-    async validatePDFIntegrity(fileBuffer, originalName) {
+    async validatePDFIntegrity(fileBuffer, originalName, fileStats = null) {
+        const fileSize = fileStats ? fileStats.size : fileBuffer.length;
         const validation = {
             isValid: false,
             errors: [],
             warnings: [],
             fileInfo: {
-                size: fileBuffer.length,
+                size: fileSize,
                 originalName: originalName,
                 extension: path.extname(originalName).toLowerCase()
             }
@@ -149,13 +160,13 @@ class FileManager {
 
         try {
             // Check file size
-            if (fileBuffer.length === 0) {
+            if (fileSize === 0) {
                 validation.errors.push('File is empty');
                 return validation;
             }
 
-            if (fileBuffer.length > this.maxFileSize) {
-                validation.errors.push(`File size (${Math.round(fileBuffer.length / 1024 / 1024)}MB) exceeds maximum allowed size (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
+            if (fileSize > this.maxFileSize) {
+                validation.errors.push(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds maximum allowed size (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
                 return validation;
             }
 
@@ -277,17 +288,19 @@ class FileManager {
 
     /**
      * Validate Excel file integrity and format
-     * @param {Buffer} fileBuffer - File buffer to validate
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see inspectFile)
      * @param {string} originalName - Original filename
+     * @param {Object} fileStats - Optional { size, checksum } of the whole file when fileBuffer is a sample
      * @returns {Object} Validation result
      */
-    async validateExcelIntegrity(fileBuffer, originalName) {
+    async validateExcelIntegrity(fileBuffer, originalName, fileStats = null) {
+        const fileSize = fileStats ? fileStats.size : fileBuffer.length;
         const validation = {
             isValid: false,
             errors: [],
             warnings: [],
             fileInfo: {
-                size: fileBuffer.length,
+                size: fileSize,
                 originalName: originalName,
                 extension: path.extname(originalName).toLowerCase()
             }
@@ -295,13 +308,13 @@ class FileManager {
 
         try {
             // Check file size
-            if (fileBuffer.length === 0) {
+            if (fileSize === 0) {
                 validation.errors.push('File is empty');
                 return validation;
             }
 
-            if (fileBuffer.length > this.maxFileSize) {
-                validation.errors.push(`File size (${Math.round(fileBuffer.length / 1024 / 1024)}MB) exceeds maximum allowed size (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
+            if (fileSize > this.maxFileSize) {
+                validation.errors.push(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds maximum allowed size (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
                 return validation;
             }
 
@@ -384,16 +397,15 @@ class FileManager {
                     result.warnings.push('XLS file may not be created by Microsoft Excel');
                 }
 
-                // Check for workbook stream
-                if (!bufferString.includes('Workbook')) {
+                // Check for workbook stream (OLE2 directory names are stored as UTF-16LE)
+                if (!this.bufferContainsText(buffer, 'Workbook')) {
                     result.errors.push('XLS file missing workbook stream');
                     result.isValid = false;
                 }
             }
 
-            // Check for password protection (common indicator)
-            const bufferString = buffer.toString('binary');
-            if (bufferString.includes('EncryptionInfo') || bufferString.includes('EncryptedPackage')) {
+            // Check for password protection: encrypted workbooks are OLE2 containers with these streams
+            if (this.bufferContainsText(buffer, 'EncryptionInfo') || this.bufferContainsText(buffer, 'EncryptedPackage')) {
                 result.errors.push('Excel file is encrypted or password protected');
                 result.isValid = false;
             }
@@ -406,6 +418,17 @@ class FileManager {
         return result;
     }
 
+    /**
+     * Check whether a buffer contains a marker as single-byte or UTF-16LE text
+     * OLE2 containers (.xls, encrypted .xlsx) store stream names in UTF-16LE
+     * @param {Buffer} buffer - Buffer to search
+     * @param {string} text - Marker text
+     * @returns {boolean} True if found in either encoding
+     */
+    bufferContainsText(buffer, text) {
+        return buffer.includes(Buffer.from(text, 'latin1')) || buffer.includes(Buffer.from(text, 'utf16le'));
+    }
+
     /**
      * Validate Excel file MIME type
      * @param {Buffer} fileBuffer - File buffer
@@ -467,11 +490,12 @@ class FileManager {
 
     /**
      * Perform Excel-specific security validation
-     * @param {Buffer} fileBuffer - File buffer
+     * @param {Buffer} fileBuffer - File buffer, or a sample of the file (see inspectFile)
      * @param {string} originalName - Original filename
+     * @param {number} fileSize - Size of the whole file; defaults to the buffer length
      * @returns {Object} Security validation result
      */
-    performExcelSecurityValidation(fileBuffer, originalName) {
+    performExcelSecurityValidation(fileBuffer, originalName, fileSize = fileBuffer.length) {
         const result = {
             isSecure: true,
             errors: [],
@@ -534,7 +558,7 @@ class FileManager {
             }
 
             // Check for suspicious file size patterns
-            if (fileBuffer.length > 50 * 1024 * 1024) { // 50MB
+            if (fileSize > 50 * 1024 * 1024) { // 50MB
                 result.warnings.push('Excel file is unusually large');
                 result.securityFlags.push('LARGE_FILE');
             }
@@ -549,7 +573,7 @@ class FileManager {
             ];
 
             for (const indicator of passwordIndicators) {
-                if (bufferString.includes(indicator)) {
+                if (this.bufferContainsText(fileBuffer, indicator)) {
                     result.errors.push('Excel file is password protected or encrypted');
                     result.securityFlags.push('PASSWORD_PROTECTED');
                     result.isSecure = false;
@@ -586,22 +610,24 @@ class FileManager {
 
     /**
      * Enhanced Excel file validation with comprehensive security checks
-     * @param {Buffer} fileBuffer - File buffer to validate
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see inspectFile)
      * @param {string} originalName - Original filename
      * @param {string} clientId - Client identifier for rate limiting
+     * @param {Object} fileStats - Optional { size, checksum } of the whole file when fileBuffer is a sample
      * @returns {Object} Enhanced validation result
      */
-    async validateExcelIntegrityEnhanced(fileBuffer, originalName, clientId = null) {
+    async validateExcelIntegrityEnhanced(fileBuffer, originalName, clientId = null, fileStats = null) {
+        const fileSize = fileStats ? fileStats.size : fileBuffer.length;
         const validation = {
             isValid: false,
             errors: [],
             warnings: [],
             securityFlags: [],
             fileInfo: {
-                size: fileBuffer.length,
+                size: fileSize,
                 originalName: originalName,
                 extension: path.extname(originalName).toLowerCase(),
-                checksum: this.calculateChecksum(fileBuffer)
+                checksum: fileStats ? fileStats.checksum : this.calculateChecksum(fileBuffer)
             },
             performance: {
                 validationTime: 0,
@@ -615,11 +641,12 @@ class FileManager {
             // Rate limiting check
             if (clientId && !this.checkRateLimit(clientId)) {
                 validation.errors.push(`Rate limit exceeded. Maximum ${this.securitySettings.maxFilesPerHour} files per hour allowed.`);
+                validation.securityFlags.push('RATE_LIMITED');
                 return validation;
             }
 
             // Basic Excel validation
-            const basicValidation = await this.validateExcelIntegrity(fileBuffer, originalName);
+            const basicValidation = await this.validateExcelIntegrity(fileBuffer, originalName, fileStats);
             validation.errors.push(...basicValidation.errors);
             validation.warnings.push(...basicValidation.warnings);
 
@@ -635,7 +662,7 @@ class FileManager {
             }
 
             // Security validation
-            const securityValidation = this.performExcelSecurityValidation(fileBuffer, originalName);
+            const securityValidation = this.performExcelSecurityValidation(fileBuffer, originalName, fileSize);
             if (!securityValidation.isSecure) {
                 validation.errors.push(...securityValidation.errors);
             }
@@ -643,7 +670,7 @@ class FileManager {
             validation.securityFlags.push(...securityValidation.securityFlags);
 
             // File size validation (consistent with PDF processing)
-            if (fileBuffer.length > this.maxFileSize) {
+            if (fileSize > this.maxFileSize) {
                 validation.errors.push(`File size exceeds maximum allowed (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
             }
 
@@ -672,6 +699,314 @@ class FileManager {
         }
     }
 
+    /**
+     * Validate CSV/TSV/TXT uploads
+     * Text files have no container format to inspect, so this checks size, extension and that the
+     * content is not a binary file renamed to look like text
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see inspectFile)
+     * @param {string} originalName - Original filename
+     * @param {string} clientId - Client identifier for rate limiting
+     * @param {Object} fileStats - Optional { size, checksum } of the whole file when fileBuffer is a sample
+     * @returns {Object} Validation result
+     */
+    async validateTextIntegrity(fileBuffer, originalName, clientId = null, fileStats = null) {
+        const fileSize = fileStats ? fileStats.size : fileBuffer.length;
+        const validation = {
+            isValid: false,
+            errors: [],
+            warnings: [],
+            securityFlags: [],
+            fileInfo: {
+                size: fileSize,
+                originalName: originalName,
+                extension: path.extname(originalName).toLowerCase(),
+                checksum: fileStats ? fileStats.checksum : this.calculateChecksum(fileBuffer)
+            }
+        };
+
+        try {
+            // Rate limiting check
+            if (clientId && !this.checkRateLimit(clientId)) {
+                validation.errors.push(`Rate limit exceeded. Maximum ${this.securitySettings.maxFilesPerHour} files per hour allowed.`);
+                validation.securityFlags.push('RATE_LIMITED');
+                return validation;
+            }
+
+            if (fileSize === 0) {
+                validation.errors.push('File is empty');
+                return validation;
+            }
+
+            if (fileSize > this.maxFileSize) {
+                validation.errors.push(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds maximum allowed size (${Math.round(this.maxFileSize / 1024 / 1024)}MB)`);
+                return validation;
+            }
+
+            if (this.getFileType(validation.fileInfo.extension) !== 'text') {
+                validation.errors.push(`File type ${validation.fileInfo.extension} is not supported. Only text files (.csv, .tsv, .txt) are allowed.`);
+                return validation;
+            }
+
+            // Executables renamed to .csv
+            const header = fileBuffer.slice(0, 4).toString('hex');
+            if (header.startsWith('4d5a') || header === '7f454c46') {
+                validation.errors.push('File contains executable content');
+                validation.securityFlags.push('EXECUTABLE_CONTENT');
+            } else if (this.isExcelBuffer(fileBuffer) || this.isPDFBuffer(fileBuffer)) {
+                validation.errors.push('File content does not match its extension');
+            }
+
+            if (!this.isSecureFilename(originalName)) {
+                validation.errors.push('Filename contains potentially dangerous characters');
+                validation.securityFlags.push('UNSAFE_FILENAME');
+            }
+
+            if (originalName.length > this.securitySettings.maxPathLength) {
+                validation.errors.push('Filename is too long');
+                validation.securityFlags.push('FILENAME_TOO_LONG');
+            }
+
+            validation.isValid = validation.errors.length === 0;
+            return validation;
+
+        } catch (error) {
+            validation.errors.push(`Text file validation failed: ${error.message}`);
+            return validation;
+        }
+    }
+
+    /**
+     * Validate any supported upload and explain a rejection
+     * Routes to the Excel, PDF or text validator by extension. Files previously quarantined are refused
+     * by checksum, and files failing with a quarantine flag are moved to quarantine.
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see validateUploadFile)
+     * @param {string} originalName - Original filename
+     * @param {Object} options - { clientId } for rate limiting, { quarantine } to quarantine dangerous files (default true),
+     * and for samples { fileStats: { size, checksum }, sourcePath } describing the whole file
+     * @returns {Promise<Object>} Validation result; rejected files carry rejection { code, message, errors, securityFlags }
+     */
+    async validateUpload(fileBuffer, originalName, options = {}) {
+        const { clientId = null, quarantine = true, fileStats = null, sourcePath = null } = options;
+        const fileType = this.getFileType(path.extname(originalName || ''));
+        let validation;
+
+        if (fileType === 'excel') {
+            validation = await this.validateExcelIntegrityEnhanced(fileBuffer, originalName, clientId, fileStats);
+        } else if (fileType === 'pdf') {
+            validation = await this.validatePDFIntegrityEnhanced(fileBuffer, originalName, clientId, fileStats);
+        } else if (fileType === 'text') {
+            validation = await this.validateTextIntegrity(fileBuffer, originalName, clientId, fileStats);
+        } else {
+            validation = {
+                isValid: false,
+                errors: [`File type ${path.extname(originalName || '') || '(none)'} is not supported`],
+                warnings: [],
+                securityFlags: [],
+                fileInfo: fileStats
+                    ? { size: fileStats.size, originalName, checksum: fileStats.checksum }
+                    : { size: fileBuffer.length, originalName, checksum: this.calculateChecksum(fileBuffer) }
+            };
+        }
+        validation.fileInfo.fileType = fileType;
+
+        if (validation.isValid && await this.isQuarantined(validation.fileInfo.checksum)) {
+            validation.isValid = false;
+            validation.errors.push('This file was previously quarantined');
+            validation.securityFlags.push('QUARANTINED');
+        }
+
+        if (!validation.isValid) {
+            const flags = validation.securityFlags;
+            const passwordError = validation.errors.find(error => /encrypted|password protected/i.test(error));
+            let code = 'INVALID_FILE';
+
+            if (flags.includes('QUARANTINED')) {
+                code = 'QUARANTINED';
+            } else if (flags.includes('RATE_LIMITED')) {
+                code = 'RATE_LIMITED';
+            } else if (flags.includes('PASSWORD_PROTECTED') || passwordError) {
+                code = 'PASSWORD_PROTECTED';
+            } else if (flags.some(flag => this.securitySettings.quarantineFlags.includes(flag))) {
+                code = 'QUARANTINED';
+                if (quarantine) await this.quarantineFile(fileBuffer, originalName, validation, sourcePath);
+            }
+
+            validation.rejection = {
+                code,
+                message: (code === 'PASSWORD_PROTECTED' && passwordError) || validation.errors[0] || 'File validation failed',
+                errors: validation.errors,
+                securityFlags: flags
+            };
+        }
+
+        return validation;
+    }
+
+    /**
+     * Validate an upload that is on disk without loading it into memory. The validators see the first and
+     * last bytes of the file (see inspectFile); size and checksum are those of the whole file.
+     * @param {string} filePath - Path of the uploaded file
+     * @param {string} originalName - Original filename
+     * @param {Object} options - As for validateUpload
+     * @returns {Promise<Object>} Validation result, as for validateUpload
+     */
+    async validateUploadFile(filePath, originalName, options = {}) {
+        const { size, checksum, sample } = await this.inspectFile(filePath);
+        return await this.validateUpload(sample, originalName, { ...options, fileStats: { size, checksum }, sourcePath: filePath });
+    }
+
+    /**
+     * Read what validation needs from a file on disk: its size, its SHA-256 checksum (hashed while streaming)
+     * and a sample of its first and last validationSampleSize bytes. The end of the file matters because an
+     * .xlsx zip lists every part name (xl/workbook.xml, vbaProject.bin, ...) there, and a PDF ends with %%EOF.
+     * Files no larger than the two parts are sampled whole.
+     * @param {string} filePath - File path
+     * @returns {Promise<Object>} { size, checksum, sample }
+     */
+    async inspectFile(filePath) {
+        const sampleSize = this.performanceSettings.validationSampleSize;
+        const { size } = await fs.stat(filePath);
+        const checksum = await this.calculateFileChecksum(filePath);
+
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const readAt = async (position, length) => {
+                const buffer = Buffer.alloc(length);
+                const { bytesRead } = await handle.read(buffer, 0, length, position);
+                return buffer.slice(0, bytesRead);
+            };
+
+            const sample = size <= sampleSize * 2
+                ? await readAt(0, size)
+                : Buffer.concat([await readAt(0, sampleSize), await readAt(size - sampleSize, sampleSize)]);
+
+            return { size, checksum, sample };
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Check whether a file with this checksum has been quarantined
+     * @param {string} checksum - SHA-256 checksum
+     * @returns {Promise<boolean>} True if quarantined
+     */
+    async isQuarantined(checksum) {
+        try {
+            await fs.access(path.join(this.securitySettings.quarantineDir, `${checksum}.json`));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Move a rejected upload into quarantine, named by checksum, with a .json sidecar describing why
+     * @param {Buffer} fileBuffer - File buffer
+     * @param {string} originalName - Original filename
+     * @param {Object} validation - Validation result that rejected the file
+     * @param {string} sourcePath - Optional path of the file on disk; copied instead of writing fileBuffer,
+     * which may only be a sample of it
+     * @returns {Promise<string|null>} Quarantined filename, or null if it could not be written
+     */
+    async quarantineFile(fileBuffer, originalName, validation, sourcePath = null) {
+        const checksum = validation.fileInfo.checksum || this.calculateChecksum(fileBuffer);
+        const quarantinedName = `${checksum}.quarantine`;
+        const quarantinedPath = path.join(this.securitySettings.quarantineDir, quarantinedName);
+
+        try {
+            if (sourcePath) {
+                await fs.copyFile(sourcePath, quarantinedPath);
+                await fs.chmod(quarantinedPath, 0o600);
+            } else {
+                await fs.writeFile(quarantinedPath, fileBuffer, { mode: 0o600 });
+            }
+            await fs.writeFile(path.join(this.securitySettings.quarantineDir, `${checksum}.json`), JSON.stringify({
+                originalName,
+                checksum,
+                size: validation.fileInfo.size,
+                quarantinedAt: new Date().toISOString(),
+                errors: validation.errors,
+                securityFlags: validation.securityFlags
+            }, null, 2));
+
+            console.warn(`Quarantined upload ${originalName} (${checksum}): ${validation.securityFlags.join(', ')}`);
+            return quarantinedName;
+        } catch (error) {
+            console.error('Failed to quarantine file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a validated upload under the directory for its type
+     * Callers validate first with validateUpload; this only writes and verifies the copy.
+     * @param {Buffer} fileBuffer - File buffer
+     * @param {string} originalName - Original filename
+     * @returns {Promise<Object>} File information { originalName, storedFilename, filePath, fileSize, fileType, checksum, uploadTimestamp }
+     */
+    async storeUpload(fileBuffer, originalName) {
+        const fileType = this.getFileType(path.extname(originalName));
+        const uniqueFilename = this.generateUniqueFilename(originalName);
+        const filePath = path.join(this.getStorageDirectory(fileType), uniqueFilename);
+
+        if (fileBuffer.length > this.performanceSettings.streamingThreshold && this.performanceSettings.enableStreaming) {
+            await this.saveFileWithStreaming(fileBuffer, filePath);
+        } else {
+            await fs.writeFile(filePath, fileBuffer);
+        }
+        await fs.chmod(filePath, 0o644);
+
+        // Verify file was saved correctly
+        const savedStats = await fs.stat(filePath);
+        if (savedStats.size !== fileBuffer.length) {
+            throw new Error('File save verification failed - size mismatch');
+        }
+
+        return {
+            originalName: originalName,
+            storedFilename: uniqueFilename,
+            filePath: filePath,
+            fileSize: savedStats.size,
+            fileType: fileType,
+            checksum: this.calculateChecksum(fileBuffer),
+            uploadTimestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Store a validated upload that is on disk, copying it without loading it into memory
+     * Callers validate first with validateUploadFile; this only copies and verifies the file.
+     * @param {string} sourcePath - Path of the uploaded file
+     * @param {string} originalName - Original filename
+     * @param {string} checksum - SHA-256 checksum from validation; worked out from the file when not given
+     * @returns {Promise<Object>} File information, as for storeUpload
+     */
+    async storeUploadFile(sourcePath, originalName, checksum = null) {
+        const fileType = this.getFileType(path.extname(originalName));
+        const uniqueFilename = this.generateUniqueFilename(originalName);
+        const filePath = path.join(this.getStorageDirectory(fileType), uniqueFilename);
+
+        await fs.copyFile(sourcePath, filePath);
+        await fs.chmod(filePath, 0o644);
+
+        // Verify file was saved correctly
+        const [sourceStats, savedStats] = await Promise.all([fs.stat(sourcePath), fs.stat(filePath)]);
+        if (savedStats.size !== sourceStats.size) {
+            throw new Error('File save verification failed - size mismatch');
+        }
+
+        return {
+            originalName: originalName,
+            storedFilename: uniqueFilename,
+            filePath: filePath,
+            fileSize: savedStats.size,
+            fileType: fileType,
+            checksum: checksum || await this.calculateFileChecksum(filePath),
+            uploadTimestamp: new Date().toISOString()
+        };
+    }
+
     /**
      * Save original PDF file to permanent storage
      * @param {Buffer} fileBuffer - PDF file buffer
@@ -812,6 +1147,21 @@ class FileManager {
         return crypto.createHash('sha256').update(buffer).digest('hex');
     }
 
+    /**
+     * Calculate the checksum of a file on disk, reading it in chunks
+     * @param {string} filePath - File path
+     * @returns {Promise<string>} SHA-256 checksum
+     */
+    calculateFileChecksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            require('fs').createReadStream(filePath, { highWaterMark: this.performanceSettings.chunkSize })
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
     /**
      * Get file metadata for a stored file
      * @param {string} filename - Stored filename
@@ -912,9 +1262,9 @@ class FileManager {
                 const bufferString = fileBuffer.toString('binary');
 
                 if (extension === '.xlsx') {
-                    // Count worksheet references in XLSX
+                    // Count worksheet parts in XLSX; each name appears in both the local and central zip headers
                     const worksheetMatches = bufferString.match(/xl\/worksheets\/sheet\d+\.xml/g);
-                    metadata.worksheetCount = worksheetMatches ? worksheetMatches.length : 0;
+                    metadata.worksheetCount = worksheetMatches ? new Set(worksheetMatches).size : 0;
 
                     // Check for shared strings (indicates text data)
                     metadata.hasData = bufferString.includes('sharedStrings.xml') ||
@@ -965,6 +1315,10 @@ class FileManager {
             case '.xlsx':
             case '.xls':
                 return 'excel';
+            case '.csv':
+            case '.tsv':
+            case '.txt':
+                return 'text';
             default:
                 return 'unknown';
         }
@@ -991,6 +1345,7 @@ class FileManager {
             const directories = [
                 { dir: this.pdfDir, type: 'pdf' },
                 { dir: this.excelDir, type: 'excel' },
+                { dir: this.textDir, type: 'text' },
                 { dir: this.originalDir, type: 'mixed' } // For backward compatibility
             ];
 
@@ -1022,15 +1377,6 @@ class FileManager {
                 filteredFiles = allFiles.filter(file => file.detectedType === fileType);
             }
 
-            // Apply file type filter if specified
-            if (fileType) {
-                filteredFiles = filteredFiles.filter(file => {
-                    const extension = path.extname(file).toLowerCase();
-                    const type = this.getFileType(extension);
-                    return type === fileType;
-                });
-            }
-
             const fileInfos = [];
 
             for (const fileInfo of filteredFiles) {
@@ -1105,6 +1451,32 @@ class FileManager {
         }
     }
 
+    /**
+     * Get the path of a stored file, for readers that stream it instead of loading a buffer
+     * @param {string} filename - Stored filename
+     * @returns {Promise<string>} Absolute file path
+     */
+    async getStoredFilePath(filename) {
+        const fileType = this.getFileType(path.extname(filename).toLowerCase());
+        const candidates = [
+            path.join(this.getStorageDirectory(fileType), filename),
+            path.join(this.originalDir, filename)
+        ];
+
+        for (const filePath of candidates) {
+            try {
+                await fs.access(filePath);
+                return filePath;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw new Error(`Failed to read file: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error(`File not found: ${filename}`);
+    }
+
     /**
      * Clean up temporary files
      * @param {number} maxAgeMinutes - Maximum age in minutes for temp files
@@ -1384,22 +1756,23 @@ class FileManager {
 
     /**
      * Enhanced security validation with comprehensive checks
-     * @param {Buffer} fileBuffer - File buffer to validate
+     * @param {Buffer} fileBuffer - File buffer to validate, or a sample of the file (see inspectFile)
      * @param {string} originalName - Original filename
      * @param {string} clientId - Client identifier for rate limiting
+     * @param {Object} fileStats - Optional { size, checksum } of the whole file when fileBuffer is a sample
      * @returns {Object} Enhanced validation result
      */
-    async validatePDFIntegrityEnhanced(fileBuffer, originalName, clientId = null) {
+    async validatePDFIntegrityEnhanced(fileBuffer, originalName, clientId = null, fileStats = null) {
         const validation = {
             isValid: false,
             errors: [],
             warnings: [],
             securityFlags: [],
             fileInfo: {
-                size: fileBuffer.length,
+                size: fileStats ? fileStats.size : fileBuffer.length,
                 originalName: originalName,
                 extension: path.extname(originalName).toLowerCase(),
-                checksum: this.calculateChecksum(fileBuffer)
+                checksum: fileStats ? fileStats.checksum : this.calculateChecksum(fileBuffer)
             },
             performance: {
                 validationTime: 0,
@@ -1413,11 +1786,12 @@ class FileManager {
             // Rate limiting check
             if (clientId && !this.checkRateLimit(clientId)) {
                 validation.errors.push(`Rate limit exceeded. Maximum ${this.securitySettings.maxFilesPerHour} files per hour allowed.`);
+                validation.securityFlags.push('RATE_LIMITED');
                 return validation;
             }
 
             // Basic validation
-            const basicValidation = await this.validatePDFIntegrity(fileBuffer, originalName);
+            const basicValidation = await this.validatePDFIntegrity(fileBuffer, originalName, fileStats);
             validation.errors.push(...basicValidation.errors);
             validation.warnings.push(...basicValidation.warnings);
 
@@ -1714,6 +2088,7 @@ class FileManager {
                 oldestFile: null,
                 newestFile: null,
                 sizeByMonth: {},
+                sizeByType: {},
                 security: {
                     quarantinedFiles: 0,
                     flaggedFiles: 0,
@@ -1746,13 +2121,20 @@ class FileManager {
                     }
                     stats.sizeByMonth[month].count++;
                     stats.sizeByMonth[month].size += file.size;
+
+                    if (!stats.sizeByType[file.fileType]) {
+                        stats.sizeByType[file.fileType] = { count: 0, size: 0 };
+                    }
+                    stats.sizeByType[file.fileType].count++;
+                    stats.sizeByType[file.fileType].size += file.size;
                 });
             }
 
             // Check quarantine directory
             try {
                 const quarantineFiles = await fs.readdir(this.securitySettings.quarantineDir);
-                stats.security.quarantinedFiles = quarantineFiles.length;
+                // Each quarantined upload has a .json sidecar with its rejection reason
+                stats.security.quarantinedFiles = quarantineFiles.filter(file => !file.endsWith('.json')).length;
             } catch (error) {
                 // Quarantine directory might not exist
                 stats.security.quarantinedFiles = 0;
@@ -0,0 +1,315 @@
+const databaseManager = require('../utils/database');
+
+/**
+ * Import Batch Service
+ * Records every Excel upload as a batch so the rows it touched can be listed and rolled back.
+ */
+class ImportBatchService {
+    constructor() {
+        // Normalisation and contact validation columns; snapshots taken before they existed leave them as they are on rollback
+        this.optionalSnapshotColumns = [
+            'postal_code', 'address_block', 'address_street', 'address_unit', 'address_building',
+            'additional_emails', 'company_name_raw', 'physical_address_raw', 'email_raw', 'website_raw',
+            'email_status', 'website_status', 'phone_e164', 'phone_type', 'phone_invalid_reason', 'phone_invalid_country',
+            'phone_country', 'phone_raw', 'phone_validator_version'
+        ];
+
+        // check_table columns captured before a row is updated by an import
+        this.snapshotColumns = [
+            'phone', 'status', 'company_name', 'physical_address', 'email', 'website', 'phone_group_id', 'import_batch_id',
+            ...this.optionalSnapshotColumns
+        ];
+
+        // Maximum number of error messages stored per batch
+        this.maxStoredErrors = 100;
+
+        // Row issues written per INSERT statement
+        this.issueChunkSize = 1000;
+    }
+
+    /**
+     * Create a batch in 'processing' state
+     * @param {Object} batch - { filename, checksum, uploadedBy, storedFilename, fileSize, jobId } where jobId is the background job running the import
+     * @returns {Promise<number>} New batch ID
+     */
+    async createBatch({ filename = null, checksum = null, uploadedBy = null, storedFilename = null, fileSize = null, jobId = null } = {}) {
+        const rows = await databaseManager.query(
+            `INSERT INTO import_batches (filename, checksum, uploaded_by, stored_filename, file_size, job_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            [filename, checksum, uploadedBy, storedFilename, fileSize, jobId]
+        );
+        return rows[0].id;
+    }
+
+    /**
+     * Mark a batch that is still processing as failed, e.g. when its import threw.
+     * Rows an import wrote before it stopped stay in check_table until the batch is rolled back.
+     * @param {number} batchId - Batch ID
+     * @param {string} message - Error stored with the batch
+     * @returns {Promise<void>}
+     */
+    async failBatch(batchId, message) {
+        await databaseManager.query(`
+            UPDATE import_batches
+            SET status = 'failed', errors = errors || $1::jsonb, error_count = error_count + 1, completed_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND status = 'processing'
+        `, [JSON.stringify([message]), batchId]);
+    }
+
+    /**
+     * Mark batches as failed whose import job is no longer queued or running, such as imports cut off
+     * by a server restart, so they can be rolled back
+     * @returns {Promise<number>} Number of batches marked failed
+     */
+    async failOrphanedBatches() {
+        const rows = await databaseManager.query(`
+            UPDATE import_batches b
+            SET status = 'failed', errors = b.errors || $1::jsonb, error_count = b.error_count + 1, completed_at = CURRENT_TIMESTAMP
+            WHERE b.status = 'processing'
+              AND NOT EXISTS (
+                  SELECT 1 FROM background_jobs j
+                  WHERE j.id = b.job_id AND j.status IN ('queued', 'running')
+              )
+            RETURNING b.id
+        `, [JSON.stringify(['Import stopped before it finished'])]);
+        return rows.length;
+    }
+
+    /**
+     * Store the final counts of a finished import
+     * @param {number} batchId - Batch ID
+     * @param {Object} result - Result from processExcelDirectToCheckTable
+     * @returns {Promise<void>}
+     */
+    async completeBatch(batchId, result) {
+        const errors = result.errors || [];
+        if (result.error) errors.unshift(result.error);
+
+        const report = result.report || { issues: [], headerRows: {} };
+        await this.saveRowIssues(batchId, report.issues);
+
+        await databaseManager.query(`
+            UPDATE import_batches
+            SET status = $1,
+                total_rows = $2,
+                inserted_rows = $3,
+                updated_rows = $4,
+                valid_rows = $5,
+                invalid_rows = $6,
+                error_count = $7,
+                errors = $8,
+                issue_count = $9,
+                header_rows = $10,
+                completed_at = CURRENT_TIMESTAMP
+            WHERE id = $11
+        `, [
+            result.success ? 'completed' : 'failed',
+            result.totalRecords || 0,
+            result.storedRecords || 0,
+            result.updatedRecords || 0,
+            result.validRecords || 0,
+            result.invalidRecords || 0,
+            errors.length,
+            JSON.stringify(errors.slice(0, this.maxStoredErrors)),
+            report.issues.length,
+            JSON.stringify(report.headerRows || {}),
+            batchId
+        ]);
+    }
+
+    /**
+     * Store the per-row issues of a batch
+     * @param {number} batchId - Batch ID
+     * @param {Array} issues - Issues from the import report { sheet, row, severity, reason, recordId, values }
+     * @returns {Promise<void>}
+     */
+    async saveRowIssues(batchId, issues) {
+        for (let i = 0; i < (issues || []).length; i += this.issueChunkSize) {
+            const chunk = issues.slice(i, i + this.issueChunkSize);
+            await databaseManager.query(`
+                INSERT INTO import_batch_issues (batch_id, sheet_name, row_number, severity, reason, record_id, original_values)
+                SELECT $1, *
+                FROM unnest($2::varchar[], $3::int[], $4::varchar[], $5::text[], $6::varchar[], $7::jsonb[])
+            `, [
+                batchId,
+                chunk.map(issue => issue.sheet),
+                chunk.map(issue => issue.row),
+                chunk.map(issue => issue.severity),
+                chunk.map(issue => issue.reason),
+                chunk.map(issue => issue.recordId),
+                chunk.map(issue => issue.values ? JSON.stringify(issue.values) : null)
+            ]);
+        }
+    }
+
+    /**
+     * Get the per-row issues of a batch in sheet order
+     * @param {number} batchId - Batch ID
+     * @returns {Promise<Array>} Issues { sheet_name, row_number, severity, reason, record_id, original_values }
+     */
+    async getRowIssues(batchId) {
+        return databaseManager.query(`
+            SELECT sheet_name, row_number, severity, reason, record_id, original_values
+            FROM import_batch_issues
+            WHERE batch_id = $1
+            ORDER BY sheet_name NULLS LAST, row_number NULLS LAST, id
+        `, [parseInt(batchId, 10)]);
+    }
+
+    /**
+     * List batches, newest first
+     * @param {number} limit - Page size
+     * @param {number} offset - Page offset
+     * @returns {Promise<Object>} { batches, total }
+     */
+    async listBatches(limit = 50, offset = 0) {
+        const batches = await databaseManager.query(`
+            SELECT b.*, u.name AS uploaded_by_name
+            FROM import_batches b
+            LEFT JOIN users u ON u.id = b.uploaded_by
+            ORDER BY b.created_at DESC, b.id DESC
+            LIMIT $1 OFFSET $2
+        `, [parseInt(limit), parseInt(offset)]);
+        const count = await databaseManager.query(`SELECT COUNT(*) AS count FROM import_batches`);
+
+        return {
+            batches,
+            total: parseInt(count[0]?.count || 0)
+        };
+    }
+
+    /**
+     * Get a single batch
+     * @param {number} batchId - Batch ID
+     * @returns {Promise<Object|null>} Batch or null
+     */
+    async getBatch(batchId) {
+        const rows = await databaseManager.query(`SELECT * FROM import_batches WHERE id = $1`, [parseInt(batchId, 10)]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Find the batches that imported stored files
+     * @param {Array} storedFilenames - FileManager stored filenames
+     * A file re-imported later has several batches; the first one is the original upload
+     * @returns {Promise<Array>} Batches with uploaded_by_name, oldest first
+     */
+    async findByStoredFilenames(storedFilenames) {
+        if (!storedFilenames || storedFilenames.length === 0) return [];
+
+        return databaseManager.query(`
+            SELECT b.*, u.name AS uploaded_by_name
+            FROM import_batches b
+            LEFT JOIN users u ON u.id = b.uploaded_by
+            WHERE b.stored_filename = ANY($1)
+            ORDER BY b.created_at ASC, b.id ASC
+        `, [storedFilenames]);
+    }
+
+    /**
+     * Forget a stored file that has been deleted from disk; the batch history itself is kept
+     * @param {string} storedFilename - FileManager stored filename
+     * @returns {Promise<void>}
+     */
+    async clearStoredFile(storedFilename) {
+        await databaseManager.query(
+            `UPDATE import_batches SET stored_filename = NULL WHERE stored_filename = $1`,
+            [storedFilename]
+        );
+    }
+
+    /**
+     * Undo a batch: delete the rows it inserted, restore the rows it updated and dismiss its pending conflicts.
+     * Rows written since this batch by a later import or by a reviewer (accepted conflicts, phone repairs and
+     * manual edits clear import_batch_id) are left alone and reported as skipped.
+     * @param {number} batchId - Batch ID
+     * @param {number} userId - User performing the rollback
+     * @returns {Promise<Object>} { deleted, restored, skipped }
+     */
+    async rollbackBatch(batchId, userId = null) {
+        const id = parseInt(batchId, 10);
+        const client = await databaseManager.getConnection();
+
+        try {
+            await client.query('BEGIN');
+
+            const batchResult = await client.query(`SELECT * FROM import_batches WHERE id = $1 FOR UPDATE`, [id]);
+            const batch = batchResult.rows[0];
+
+            if (!batch) {
+                throw new Error(`Import batch ${id} not found`);
+            }
+            if (batch.status === 'rolled_back') {
+                throw new Error(`Import batch ${id} has already been rolled back`);
+            }
+            if (batch.status === 'processing') {
+                throw new Error(`Import batch ${id} is still processing`);
+            }
+
+            const touched = await client.query(
+                `SELECT COUNT(DISTINCT record_id) AS count FROM import_batch_rows WHERE batch_id = $1`,
+                [id]
+            );
+
+            // Restore updated rows first so rows inserted then updated within the same batch are still deleted below
+            const restored = await client.query(`
+                UPDATE check_table c
+                SET phone = r.previous_values->>'phone',
+                    status = (r.previous_values->>'status')::boolean,
+                    company_name = r.previous_values->>'company_name',
+                    physical_address = r.previous_values->>'physical_address',
+                    email = r.previous_values->>'email',
+                    website = r.previous_values->>'website',
+                    phone_group_id = r.previous_values->>'phone_group_id',
+                    import_batch_id = (r.previous_values->>'import_batch_id')::int,
+                    ${this.optionalSnapshotColumns.map(column => `${column} = CASE WHEN r.previous_values ? '${column}'
+                        THEN r.previous_values->>'${column}' ELSE c.${column} END`).join(',\n                    ')}
+                FROM import_batch_rows r
+                WHERE r.batch_id = $1
+                  AND r.action = 'update'
+                  AND c.id = r.record_id
+                  AND c.import_batch_id = $1
+            `, [id]);
+
+            const deleted = await client.query(`
+                DELETE FROM check_table c
+                USING import_batch_rows r
+                WHERE r.batch_id = $1
+                  AND r.action = 'insert'
+                  AND c.id = r.record_id
+                  AND c.import_batch_id = $1
+            `, [id]);
+
+            // Values the batch flagged for review no longer apply once it is undone
+            await client.query(`
+                UPDATE import_conflicts
+                SET status = 'dismissed', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+                WHERE batch_id = $1 AND status = 'pending'
+            `, [id, userId]);
+
+            await client.query(`
+                UPDATE import_batches
+                SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $2
+                WHERE id = $1
+            `, [id, userId]);
+
+            await client.query('COMMIT');
+
+            const touchedCount = parseInt(touched.rows[0]?.count || 0);
+            return {
+                deleted: deleted.rowCount,
+                restored: restored.rowCount,
+                skipped: Math.max(0, touchedCount - deleted.rowCount - restored.rowCount)
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Import batch rollback failed:', error.message);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+// Export singleton instance
+const importBatchService = new ImportBatchService();
+module.exports = importBatchService;
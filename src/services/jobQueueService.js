@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+const databaseManager = require('../utils/database');
+const config = require('../utils/config');
+
+/**
+ * Job Queue Service
+ * Postgres-backed queue with a single in-process worker for long-running work such as Excel imports.
+ * Progress is written to background_jobs and also emitted as 'job:<id>' events for SSE subscribers.
+ */
+class JobQueueService extends EventEmitter {
+    constructor() {
+        super();
+        this.pollInterval = config.jobs.pollInterval;
+        this.progressInterval = config.jobs.progressInterval;
+        this.handlers = new Map();
+        this.running = false;
+        this.activeJobId = null;
+        this.pollTimer = null;
+
+        // Every open SSE connection adds a listener
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Register the function that runs jobs of a given type
+     * @param {string} type - Job type
+     * @param {Function} handler - async (job, reportProgress) => result
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Queue a job
+     * @param {Object} job - { type, payload, createdBy }; files travel as stored file names in the payload
+     * @returns {Promise<number>} Job ID
+     */
+    async enqueue({ type, payload = {}, createdBy = null }) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No handler registered for job type: ${type}`);
+        }
+
+        const rows = await databaseManager.query(
+            `INSERT INTO background_jobs (type, payload, created_by) VALUES ($1, $2, $3) RETURNING id`,
+            [type, JSON.stringify(payload), createdBy]
+        );
+
+        // Pick the job up without waiting for the next poll
+        this.schedulePoll(0);
+
+        return rows[0].id;
+    }
+
+    /**
+     * Get a job without its file data
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object|null>} Job or null
+     */
+    async getJob(jobId) {
+        const rows = await databaseManager.query(`
+            SELECT id, type, status, payload, progress, result, error, created_by, created_at, started_at, finished_at
+            FROM background_jobs
+            WHERE id = $1
+        `, [parseInt(jobId, 10)]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Check whether a job of a given type is queued or running
+     * @param {string} type - Job type
+     * @returns {Promise<boolean>} True when one is pending
+     */
+    async hasPendingJob(type) {
+        const rows = await databaseManager.query(
+            `SELECT 1 FROM background_jobs WHERE type = $1 AND status IN ('queued', 'running') LIMIT 1`,
+            [type]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Start the worker loop
+     * Jobs left 'running' by a previous process are marked failed, since their progress was lost with it.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) return;
+
+        await databaseManager.query(`
+            UPDATE background_jobs
+            SET status = 'failed', error = 'Interrupted by server restart', finished_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+        `);
+
+        this.running = true;
+        this.schedulePoll(0);
+    }
+
+    /**
+     * Stop the worker loop after the current job
+     */
+    stop() {
+        this.running = false;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Schedule the next poll, replacing any pending one
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedulePoll(delay = this.pollInterval) {
+        if (!this.running || this.activeJobId !== null) return;
+
+        if (this.pollTimer) clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Claim and run the oldest queued job, if any
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        this.pollTimer = null;
+        let job = null;
+
+        try {
+            const rows = await databaseManager.query(`
+                UPDATE background_jobs
+                SET status = 'running', started_at = CURRENT_TIMESTAMP
+                WHERE id = (
+                    SELECT id FROM background_jobs
+                    WHERE status = 'queued'
+                    ORDER BY id
+                    FOR UPDATE SKIP LOCKED
+                    LIMIT 1
+                )
+                RETURNING *
+            `);
+            job = rows[0] || null;
+        } catch (error) {
+            console.error('Job queue poll failed:', error.message);
+        }
+
+        if (job) {
+            this.activeJobId = job.id;
+            await this.runJob(job);
+            this.activeJobId = null;
+        }
+
+        this.schedulePoll(job ? 0 : this.pollInterval);
+    }
+
+    /**
+     * Run a claimed job and store its outcome
+     * @param {Object} job - background_jobs row
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        let lastWrite = 0;
+
+        const reportProgress = async (progress) => {
+            this.emit(`job:${job.id}`, { id: job.id, status: 'running', progress });
+
+            // Throttle database writes; SSE subscribers still get every update
+            const now = Date.now();
+            if (now - lastWrite < this.progressInterval) return;
+            lastWrite = now;
+
+            try {
+                await databaseManager.query(
+                    `UPDATE background_jobs SET progress = $1 WHERE id = $2`,
+                    [JSON.stringify(progress), job.id]
+                );
+            } catch (error) {
+                console.warn(`Failed to store progress for job ${job.id}:`, error.message);
+            }
+        };
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type: ${job.type}`);
+            }
+
+            const result = await handler(job, reportProgress);
+            const progress = result && result.progress ? result.progress : {};
+
+            await databaseManager.query(`
+                UPDATE background_jobs
+                SET status = 'completed', result = $1, progress = $2, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [JSON.stringify(result || {}), JSON.stringify(progress), job.id]);
+
+            this.emit(`job:${job.id}`, { id: job.id, status: 'completed', progress, result });
+        } catch (error) {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+
+            try {
+                await databaseManager.query(`
+                    UPDATE background_jobs
+                    SET status = 'failed', error = $1, finished_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                `, [error.message, job.id]);
+            } catch (updateError) {
+                console.error(`Failed to mark job ${job.id} as failed:`, updateError.message);
+            }
+
+            this.emit(`job:${job.id}`, { id: job.id, status: 'failed', error: error.message });
+        }
+    }
+}
+
+// Export singleton instance
+const jobQueueService = new JobQueueService();
+module.exports = jobQueueService;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const databaseManager = require('../utils/database');
+
+/**
+ * Mapping Profile Service
+ * Persists named Excel column mappings so recurring sources do not need to be re-mapped on every upload.
+ */
+class MappingProfileService {
+    constructor() {
+        // Supported ways of deriving a record ID during import
+        this.idStrategies = ['column', 'row_number', 'sheet_row'];
+    }
+
+    /**
+     * Fingerprint a header row so the same layout can be recognised on later uploads
+     * Headers are trimmed, lower-cased and stripped of punctuation before hashing
+     * @param {Array} headers - Header row values
+     * @returns {string|null} sha256 hex digest, or null for an empty header row
+     */
+    fingerprintHeaders(headers) {
+        if (!Array.isArray(headers)) return null;
+
+        const normalized = headers.map(header => String(header || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''));
+
+        // Trailing empty columns do not change the layout
+        while (normalized.length > 0 && !normalized[normalized.length - 1]) {
+            normalized.pop();
+        }
+
+        if (normalized.length === 0) return null;
+
+        return crypto.createHash('sha256').update(normalized.join('|')).digest('hex');
+    }
+
+    /**
+     * Convert a database row to the profile shape used by the API
+     * @param {Object} row - import_mapping_profiles row
+     * @returns {Object} Profile
+     */
+    toProfile(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            headerFingerprint: row.header_fingerprint,
+            headers: row.headers || [],
+            sheetName: row.sheet_name,
+            headerRowIndex: row.header_row_offset,
+            columns: row.column_mapping || {},
+            idStrategy: row.id_strategy,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * List all saved profiles
+     * @returns {Promise<Array>} Profiles ordered by name
+     */
+    async listProfiles() {
+        const rows = await databaseManager.query(`SELECT * FROM import_mapping_profiles ORDER BY name ASC`);
+        return rows.map(row => this.toProfile(row));
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {number} id - Profile ID
+     * @returns {Promise<Object|null>} Profile or null
+     */
+    async getProfile(id) {
+        const rows = await databaseManager.query(`SELECT * FROM import_mapping_profiles WHERE id = $1`, [parseInt(id, 10)]);
+        return rows.length > 0 ? this.toProfile(rows[0]) : null;
+    }
+
+    /**
+     * Find the most recently updated profile whose header fingerprint matches
+     * @param {string} fingerprint - Header fingerprint
+     * @returns {Promise<Object|null>} Profile or null
+     */
+    async findByFingerprint(fingerprint) {
+        if (!fingerprint) return null;
+
+        const rows = await databaseManager.query(
+            `SELECT * FROM import_mapping_profiles WHERE header_fingerprint = $1 ORDER BY updated_at DESC LIMIT 1`,
+            [fingerprint]
+        );
+        return rows.length > 0 ? this.toProfile(rows[0]) : null;
+    }
+
+    /**
+     * Create a profile, or replace the one with the same name
+     * @param {Object} profile - { name, headers, sheetName, headerRowIndex, columns, idStrategy }
+     * @param {number} userId - ID of the user saving the profile
+     * @returns {Promise<Object>} Saved profile
+     */
+    async saveProfile(profile, userId = null) {
+        const name = String(profile.name || '').trim();
+        if (!name) {
+            throw new Error('Profile name is required');
+        }
+
+        if (!profile.columns || profile.columns.phone === null || profile.columns.phone === undefined) {
+            throw new Error('A phone column must be mapped before saving a profile');
+        }
+
+        const idStrategy = profile.idStrategy || 'column';
+        if (!this.idStrategies.includes(idStrategy)) {
+            throw new Error(`Unknown ID strategy: ${idStrategy}`);
+        }
+
+        const headers = Array.isArray(profile.headers) ? profile.headers : [];
+        const headerRowIndex = Math.max(0, parseInt(profile.headerRowIndex, 10) || 0);
+
+        const rows = await databaseManager.query(`
+            INSERT INTO import_mapping_profiles
+                (name, header_fingerprint, headers, sheet_name, header_row_offset, column_mapping, id_strategy, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (name) DO UPDATE SET
+                header_fingerprint = EXCLUDED.header_fingerprint,
+                headers = EXCLUDED.headers,
+                sheet_name = EXCLUDED.sheet_name,
+                header_row_offset = EXCLUDED.header_row_offset,
+                column_mapping = EXCLUDED.column_mapping,
+                id_strategy = EXCLUDED.id_strategy,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [
+            name,
+            this.fingerprintHeaders(headers),
+            JSON.stringify(headers),
+            profile.sheetName || null,
+            headerRowIndex,
+            JSON.stringify(profile.columns),
+            idStrategy,
+            userId
+        ]);
+
+        return this.toProfile(rows[0]);
+    }
+
+    /**
+     * Delete a profile
+     * @param {number} id - Profile ID
+     * @returns {Promise<boolean>} True if a profile was deleted
+     */
+    async deleteProfile(id) {
+        const rows = await databaseManager.query(
+            `DELETE FROM import_mapping_profiles WHERE id = $1 RETURNING id`,
+            [parseInt(id, 10)]
+        );
+        return rows.length > 0;
+    }
+}
+
+// Export singleton instance
+const mappingProfileService = new MappingProfileService();
+module.exports = mappingProfileService;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const pdfParse = require('pdf-parse');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
+
+/**
+ * PDF Directory Parser Component
+ * Turns trade-directory style PDFs into company records by anchoring on phone numbers of the accepted
+ * countries and grouping the nearby name, address, email and website lines
+ */
+class PdfDirectoryParser {
+    /**
+     * @param {Object} options - { cleanPhoneNumber } shared with ExcelProcessor so both paths clean numbers identically
+     */
+    constructor(options = {}) {
+        // Numbers are found in free text by the shared validator, as numbers of the accepted countries
+        this.phoneValidator = singaporePhoneValidator;
+        this.cleanPhoneNumber = options.cleanPhoneNumber || (phone => this.phoneValidator.cleanPhone(phone));
+
+        this.emailPattern = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+        this.websitePattern = /\b((?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|sg|biz|info|asia|co)(?:\.[a-z]{2})?(?:\/\S*)?)\b/i;
+
+        // Lines that look like part of a Singapore address
+        this.addressPatterns = [
+            /singapore\s*\d{6}/i, /\bS\(?\d{6}\)?/, /#\d{1,3}-\d{1,5}/, /\b(?:blk|block)\s*\d+/i,
+            /\b(?:road|rd|street|st|avenue|ave|drive|dr|lane|ln|crescent|cres|way|walk|place|pl|link|close|terrace|industrial park|central|boulevard)\b/i
+        ];
+
+        // Labels whose numbers are not the record's contact phone
+        this.ignoredPhoneLabels = /(fax|f:)\s*[:.]?\s*$/i;
+
+        // Column headers of the sheet handed to the Excel pipeline
+        this.headers = ['ID', 'Phone', 'Company Name', 'Physical Address', 'Email', 'Website'];
+    }
+
+    /**
+     * Check whether a buffer is a PDF
+     * @param {Buffer} buffer - File buffer
+     * @param {string} filename - Original filename
+     * @returns {boolean} True for PDF files
+     */
+    isPdf(buffer, filename = null) {
+        if (filename && /\.pdf$/i.test(String(filename))) return true;
+        return !!buffer && buffer.length >= 4 && buffer.slice(0, 4).toString('latin1') === '%PDF';
+    }
+
+    /**
+     * Extract plain text from a PDF buffer
+     * @param {Buffer} buffer - PDF buffer
+     * @returns {Promise<Object>} { text, pageCount }
+     */
+    async extractText(buffer) {
+        // pdf.js reads the whole underlying ArrayBuffer and ignores byteOffset, which breaks on
+        // small Buffers that Node carves out of its shared pool; hand it a standalone copy
+        const data = await pdfParse(new Uint8Array(buffer));
+        return { text: data.text || '', pageCount: data.numpages || 0 };
+    }
+
+    /**
+     * Find phone numbers of the accepted countries in a line, skipping fax numbers
+     * @param {string} line - Text line
+     * @returns {Array} Cleaned phone numbers
+     */
+    findPhones(line) {
+        const phones = [];
+
+        for (const match of this.phoneValidator.findPhoneNumbers(line)) {
+            const prefix = line.slice(Math.max(0, match.startsAt - 12), match.startsAt);
+            if (this.ignoredPhoneLabels.test(prefix)) continue;
+
+            const cleaned = this.cleanPhoneNumber(match.text);
+            if (cleaned && !phones.includes(cleaned)) {
+                phones.push(cleaned);
+            }
+        }
+
+        return phones;
+    }
+
+    /**
+     * Remove the phone numbers from a line, leaving its other fields
+     * @param {string} line - Text line
+     * @returns {string} Line without its phone numbers
+     */
+    removePhones(line) {
+        return this.phoneValidator.findPhoneNumbers(line)
+            .reduceRight((text, match) => `${text.slice(0, match.startsAt)} ${text.slice(match.endsAt)}`, line)
+            .trim();
+    }
+
+    /**
+     * Classify a non-phone line
+     * @param {string} line - Text line
+     * @returns {string} 'email', 'website', 'address' or 'text'
+     */
+    classifyLine(line) {
+        if (this.emailPattern.test(line)) return 'email';
+        if (this.websitePattern.test(line) && line.split(/\s+/).length <= 3) return 'website';
+        if (this.addressPatterns.some(pattern => pattern.test(line))) return 'address';
+        return 'text';
+    }
+
+    /**
+     * Build a record from the lines collected before its phone number
+     * @param {string} phone - Cleaned phone number
+     * @param {Array} lines - Preceding lines that belong to this entry
+     * @returns {Object} Record
+     */
+    createRecord(phone, lines) {
+        const record = { phone, companyName: null, physicalAddress: null, email: null, website: null };
+        const addressLines = [];
+
+        for (const line of lines) {
+            this.assignLine(record, line, addressLines);
+        }
+
+        record.physicalAddress = addressLines.length > 0 ? addressLines.join(', ') : null;
+        return record;
+    }
+
+    /**
+     * Put a line into the matching record field
+     * @param {Object} record - Record being built
+     * @param {string} line - Text line
+     * @param {Array} addressLines - Address lines collected so far
+     */
+    assignLine(record, line, addressLines) {
+        const type = this.classifyLine(line);
+
+        if (type === 'email' && !record.email) {
+            record.email = line.match(this.emailPattern)[0].toLowerCase();
+        } else if (type === 'website' && !record.website) {
+            record.website = line.match(this.websitePattern)[1];
+        } else if (type === 'address') {
+            addressLines.push(line);
+        } else if (type === 'text' && !record.companyName) {
+            record.companyName = line;
+        } else if (type === 'text' && addressLines.length > 0) {
+            // Continuation of a wrapped address
+            addressLines.push(line);
+        }
+    }
+
+    /**
+     * Group text lines into records.
+     * Each phone number anchors an entry: lines since the previous entry supply its name and address,
+     * and email/website lines right after the phone are attached to it. A blank line ends an entry.
+     * @param {string} text - Extracted PDF text
+     * @returns {Array} Records { phone, companyName, physicalAddress, email, website }
+     */
+    parseText(text) {
+        const records = [];
+        let pending = [];
+        let current = null;
+        let currentAddress = [];
+
+        const closeCurrent = () => {
+            if (current && currentAddress.length > 0) {
+                current.physicalAddress = [current.physicalAddress, ...currentAddress].filter(Boolean).join(', ');
+            }
+            current = null;
+            currentAddress = [];
+        };
+
+        for (const rawLine of String(text).split(/\r?\n/)) {
+            const line = rawLine.replace(/\s+/g, ' ').trim();
+
+            if (!line) {
+                closeCurrent();
+                pending = [];
+                continue;
+            }
+
+            const phones = this.findPhones(line);
+
+            if (phones.length > 0) {
+                // Further numbers of the same entry (e.g. "Mobile: ...") do not start a new record
+                if (current && pending.length === 0) continue;
+
+                closeCurrent();
+                current = this.createRecord(phones[0], pending);
+                records.push(current);
+                pending = [];
+
+                // Labelled lines such as "Tel: 6123 4567  Email: a@b.com" carry more fields
+                const rest = this.removePhones(line);
+                if (['email', 'website'].includes(this.classifyLine(rest))) {
+                    this.assignLine(current, rest, currentAddress);
+                }
+                continue;
+            }
+
+            const type = this.classifyLine(line);
+            if (current && pending.length === 0 && (type === 'email' || type === 'website')) {
+                this.assignLine(current, line, currentAddress);
+                continue;
+            }
+
+            pending.push(line);
+        }
+
+        closeCurrent();
+        return records;
+    }
+
+    /**
+     * Parse a PDF into rows for a single-sheet workbook
+     * IDs combine a short file checksum with the entry number so re-importing the same PDF updates its rows
+     * @param {Buffer} buffer - PDF buffer
+     * @returns {Promise<Object>} { rows, pageCount, recordCount }
+     */
+    async parseBuffer(buffer) {
+        if (!buffer || !Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('Empty or invalid PDF file');
+        }
+
+        const { text, pageCount } = await this.extractText(buffer);
+        const records = this.parseText(text);
+        const fileKey = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 8);
+
+        const rows = [this.headers].concat(records.map((record, index) => [
+            `PDF-${fileKey}-${index + 1}`,
+            record.phone,
+            record.companyName || '',
+            record.physicalAddress || '',
+            record.email || '',
+            record.website || ''
+        ]));
+
+        return { rows, pageCount, recordCount: records.length };
+    }
+}
+
+module.exports = PdfDirectoryParser;
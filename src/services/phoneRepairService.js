@@ -0,0 +1,519 @@
+const databaseManager = require('../utils/database');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
+const { getCountryCallingCode } = require('libphonenumber-js/max');
+
+/**
+ * Phone Repair Service
+ * Proposes corrected numbers for invalid phones that look like typos or spreadsheet damage, and applies
+ * the ones a reviewer accepts. Every applied repair is recorded in phone_repairs with the original value.
+ */
+class PhoneRepairService {
+    /**
+     * @param {Object} options - { cleanPhoneNumber } shared with ExcelProcessor so repaired numbers are stored the way imported ones are
+     */
+    constructor(options = {}) {
+        this.phoneValidator = singaporePhoneValidator;
+        this.cleanPhoneNumber = options.cleanPhoneNumber || (phone => this.phoneValidator.cleanPhone(phone));
+
+        // Repair rules and the confidence of the candidates they propose; a candidate is only kept
+        // when the shared validator accepts it
+        this.rules = {
+            scientific_notation: { label: 'Excel scientific notation', confidence: 0.95 },
+            duplicated_country_code: { label: 'Duplicated country code', confidence: 0.9 },
+            leading_zero: { label: 'Leading 0 or 00', confidence: 0.8 },
+            concatenated: { label: 'Two numbers run together', confidence: 0.6 },
+            swapped_digits: { label: 'Swapped digits', confidence: 0.5 }
+        };
+
+        // Excel shows long numbers as 9.12E+07 and drops the digits it does not show; such numbers
+        // can only be guessed with zeros in place of the lost digits
+        this.scientificNotationPattern = /^\+?(\d+)(?:[.,](\d+))?e\+?(\d+)$/i;
+        this.truncatedConfidence = 0.2;
+
+        // Shortest number on either side when splitting two numbers run together
+        this.minSplitLength = 7;
+
+        // Longest number whose adjacent digit pairs are swapped one at a time
+        this.maxSwapLength = 15;
+
+        // Accepting in bulk applies the best candidate of each record when it is at least this confident
+        this.defaultBulkConfidence = 0.8;
+
+        // Invalid records whose stored suggestions are worked out per query by refreshSuggestions
+        this.refreshBatchSize = 1000;
+    }
+
+    /**
+     * Propose valid numbers for an invalid phone
+     * @param {string} phone - Stored (cleaned) phone number
+     * @param {string} raw - Phone cell as read from the file (phone_raw), used to recover scientific notation
+     * @param {string} country - Country the number was read as (phone_country)
+     * @returns {Array} Candidates { phone, e164, country, type, rule, label, confidence, note }, most confident
+     * first; empty when the phone is already valid or nothing can be proposed
+     */
+    suggestRepairs(phone, raw = null, country = null) {
+        const current = this.phoneValidator.classifyPhone(phone, country);
+        if (current.isValid) return [];
+
+        // Candidates are read in the country the number was read in; a foreign number's own country
+        // says nothing about what the typo was, so those fall back to the configured default
+        const readAs = current.invalidReason === 'foreign_country' ? null : current.country;
+        const digits = String(phone || '').replace(/\D/g, '');
+        const candidates = new Map();
+
+        const add = (value, rule, confidence, note = null) => {
+            const cleaned = this.cleanPhoneNumber(value);
+            if (!cleaned) return;
+
+            const classification = this.phoneValidator.classifyPhone(cleaned, readAs);
+            if (!classification.isValid) return;
+
+            // Stored the way imports store a number once its country is known
+            const repaired = this.phoneValidator.getStoredPhone(cleaned, classification);
+            if (repaired === phone) return;
+
+            // The same number can be reached by several rules; the most confident one is kept
+            const existing = candidates.get(classification.e164);
+            if (existing && existing.confidence >= confidence) return;
+
+            candidates.set(classification.e164, {
+                phone: repaired,
+                e164: classification.e164,
+                country: classification.country,
+                type: classification.type,
+                rule,
+                label: this.rules[rule].label,
+                confidence: Math.round(confidence * 100) / 100,
+                note
+            });
+        };
+
+        this.suggestFromScientificNotation(raw, add);
+        if (digits) {
+            this.suggestWithoutDuplicatedCountryCode(digits, add);
+            this.suggestWithoutLeadingZero(digits, add);
+
+            // Splitting and swapping try many numbers, so they only run where they can help:
+            // two numbers make one too long, and a swap keeps the length
+            if (current.invalidReason === 'too_long') {
+                this.suggestFromConcatenated(digits, add);
+            }
+            if (['wrong_leading_digit', 'invalid_number', 'foreign_country'].includes(current.invalidReason)) {
+                this.suggestFromSwappedDigits(digits, add);
+            }
+        }
+
+        return Array.from(candidates.values()).sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * 9.1234567E+07 -> 91234567; 9.12E+07 -> 91200000 at low confidence, as Excel dropped five digits
+     * @param {string} raw - Phone cell as read from the file
+     * @param {Function} add - Candidate collector from suggestRepairs
+     */
+    suggestFromScientificNotation(raw, add) {
+        const match = String(raw || '').replace(/\s/g, '').match(this.scientificNotationPattern);
+        if (!match) return;
+
+        const [, integer, fraction = '', exponentText] = match;
+        const exponent = parseInt(exponentText, 10);
+        if (fraction.length > exponent) return;
+
+        const lostDigits = exponent - fraction.length;
+        const value = `${integer}${fraction}`.padEnd(integer.length + exponent, '0');
+        add(value, 'scientific_notation',
+            lostDigits === 0 ? this.rules.scientific_notation.confidence : this.truncatedConfidence,
+            lostDigits === 0 ? null : `Excel dropped the last ${lostDigits} digits; check the number`);
+    }
+
+    /**
+     * 656591234567 -> 91234567, for the calling code of each accepted country
+     * @param {string} digits - Digits of the stored phone
+     * @param {Function} add - Candidate collector from suggestRepairs
+     */
+    suggestWithoutDuplicatedCountryCode(digits, add) {
+        for (const country of this.phoneValidator.acceptedCountries) {
+            const code = getCountryCallingCode(country);
+            const prefix = digits.match(new RegExp(`^(?:00)?${code}(?:0*${code})+`));
+            if (prefix) {
+                add(`+${code}${digits.slice(prefix[0].length)}`, 'duplicated_country_code', this.rules.duplicated_country_code.confidence);
+            }
+        }
+    }
+
+    /**
+     * 091234567 or 0091234567 -> 91234567
+     * @param {string} digits - Digits of the stored phone
+     * @param {Function} add - Candidate collector from suggestRepairs
+     */
+    suggestWithoutLeadingZero(digits, add) {
+        if (/^0/.test(digits)) {
+            add(digits.replace(/^0+/, ''), 'leading_zero', this.rules.leading_zero.confidence);
+        }
+    }
+
+    /**
+     * 9123456761234567 -> 91234567 (first number, kept) or 61234567 (second number)
+     * @param {string} digits - Digits of the stored phone
+     * @param {Function} add - Candidate collector from suggestRepairs
+     */
+    suggestFromConcatenated(digits, add) {
+        const { confidence } = this.rules.concatenated;
+
+        for (let split = this.minSplitLength; split <= digits.length - this.minSplitLength; split++) {
+            const first = digits.slice(0, split);
+            const second = digits.slice(split);
+            if (!this.phoneValidator.isAcceptedPhone(first) || !this.phoneValidator.isAcceptedPhone(second)) continue;
+
+            add(first, 'concatenated', confidence, `First of two numbers; the other is ${second}`);
+            add(second, 'concatenated', confidence - 0.1, `Second of two numbers; the other is ${first}`);
+        }
+    }
+
+    /**
+     * 19234567 -> 91234567. Every adjacent pair is tried; when several swaps give a valid number
+     * the confidence is shared between them.
+     * @param {string} digits - Digits of the stored phone
+     * @param {Function} add - Candidate collector from suggestRepairs
+     */
+    suggestFromSwappedDigits(digits, add) {
+        if (digits.length > this.maxSwapLength) return;
+
+        const swapped = [];
+        for (let i = 0; i < digits.length - 1; i++) {
+            if (digits[i] === digits[i + 1]) continue;
+            const candidate = `${digits.slice(0, i)}${digits[i + 1]}${digits[i]}${digits.slice(i + 2)}`;
+            if (this.phoneValidator.isAcceptedPhone(candidate)) swapped.push(candidate);
+        }
+
+        for (const candidate of swapped) {
+            add(candidate, 'swapped_digits', this.rules.swapped_digits.confidence / swapped.length);
+        }
+    }
+
+    /**
+     * Check and coerce repair list filters
+     * @param {Object} filters - { rule, minConfidence }
+     * @returns {Object} { rule, minConfidence } with minConfidence between 0 and 1
+     */
+    normalizeFilters(filters = {}) {
+        const rule = filters.rule || null;
+        if (rule && !this.rules[rule]) {
+            throw new Error(`Unknown repair rule: ${rule}`);
+        }
+
+        const minConfidence = filters.minConfidence === undefined || filters.minConfidence === null || filters.minConfidence === ''
+            ? 0
+            : parseFloat(filters.minConfidence);
+        if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+            throw new Error('minConfidence must be a number between 0 and 1');
+        }
+
+        return { rule, minConfidence };
+    }
+
+    /**
+     * Work out repair candidates for invalid records that have none stored, or whose phone, phone_raw or
+     * phone_country changed since, or that were worked out by another validator version.
+     * Rows are read refreshBatchSize at a time; records with nothing to suggest are stored with no candidates
+     * so they are not worked out again. Suggestions of records that were deleted or became valid are dropped.
+     * @returns {Promise<number>} Records worked out
+     */
+    async refreshSuggestions() {
+        await databaseManager.query(`
+            DELETE FROM phone_repair_suggestions s
+            WHERE NOT EXISTS (SELECT 1 FROM check_table c WHERE c.id = s.record_id AND c.status IS NOT TRUE)
+        `);
+
+        let refreshed = 0;
+
+        for (;;) {
+            const rows = await databaseManager.query(`
+                SELECT c.id, c.phone, c.phone_raw, c.phone_country
+                FROM check_table c
+                LEFT JOIN phone_repair_suggestions s ON s.record_id = c.id
+                WHERE c.status IS NOT TRUE
+                  AND (s.record_id IS NULL OR s.validator_version IS DISTINCT FROM $1
+                       OR s.phone IS DISTINCT FROM c.phone OR s.phone_raw IS DISTINCT FROM c.phone_raw
+                       OR s.phone_country IS DISTINCT FROM c.phone_country)
+                LIMIT $2
+            `, [this.phoneValidator.version, this.refreshBatchSize]);
+            if (rows.length === 0) return refreshed;
+
+            await databaseManager.query(`
+                INSERT INTO phone_repair_suggestions (record_id, phone, phone_raw, phone_country, validator_version, candidates)
+                SELECT u.record_id, u.phone, u.phone_raw, u.phone_country, $5, u.candidates::jsonb
+                FROM unnest($1::varchar[], $2::varchar[], $3::text[], $4::varchar[], $6::text[])
+                    AS u (record_id, phone, phone_raw, phone_country, candidates)
+                ON CONFLICT (record_id) DO UPDATE SET
+                    phone = EXCLUDED.phone, phone_raw = EXCLUDED.phone_raw, phone_country = EXCLUDED.phone_country,
+                    validator_version = EXCLUDED.validator_version, candidates = EXCLUDED.candidates,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [
+                rows.map(row => row.id),
+                rows.map(row => row.phone),
+                rows.map(row => row.phone_raw),
+                rows.map(row => row.phone_country),
+                this.phoneValidator.version,
+                rows.map(row => JSON.stringify(this.suggestRepairs(row.phone, row.phone_raw, row.phone_country)))
+            ]);
+            refreshed += rows.length;
+        }
+    }
+
+    /**
+     * SQL condition on a candidate (a phone_repair_suggestions.candidates element) for the list filters
+     * @param {string} candidate - SQL expression of the candidate
+     * @param {Object} filters - { rule, minConfidence } from normalizeFilters
+     * @param {Array} params - Query parameters; the filter values are appended
+     * @returns {string} SQL condition
+     */
+    candidateCondition(candidate, { rule, minConfidence }, params) {
+        const conditions = [];
+        if (rule) {
+            params.push(rule);
+            conditions.push(`${candidate}->>'rule' = $${params.length}`);
+        }
+        params.push(minConfidence);
+        conditions.push(`(${candidate}->>'confidence')::numeric >= $${params.length}`);
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * FROM and WHERE clauses selecting the invalid records with a stored candidate matching the filters,
+     * and each record's best such candidate as best_candidate
+     * @param {Object} filters - { rule, minConfidence } from normalizeFilters
+     * @param {Array} params - Query parameters; the filter values are appended
+     * @returns {string} SQL fragment
+     */
+    suggestionSource(filters, params) {
+        return `
+            FROM phone_repair_suggestions s
+            JOIN check_table c ON c.id = s.record_id
+            CROSS JOIN LATERAL (
+                SELECT candidate FROM jsonb_array_elements(s.candidates) WITH ORDINALITY AS e (candidate, position)
+                WHERE ${this.candidateCondition('candidate', filters, params)}
+                ORDER BY position
+                LIMIT 1
+            ) best (candidate)
+            WHERE c.status IS NOT TRUE AND s.validator_version = $1
+              AND s.phone IS NOT DISTINCT FROM c.phone AND s.phone_raw IS NOT DISTINCT FROM c.phone_raw
+              AND s.phone_country IS NOT DISTINCT FROM c.phone_country
+        `;
+    }
+
+    /**
+     * Read invalid records with repair candidates from phone_repair_suggestions, after refreshing it
+     * @param {Object} filters - { rule, minConfidence }; candidates outside them are left out
+     * @param {number} limit - Records to return; null for every record
+     * @param {number} offset - Records to skip
+     * @returns {Promise<Array>} Records { id, phone, phoneRaw, country, companyName, invalidReason, candidates }
+     * that have at least one candidate, in ID order
+     */
+    async findRepairableRecords(filters = {}, limit = null, offset = 0) {
+        const { rule, minConfidence } = this.normalizeFilters(filters);
+        await this.refreshSuggestions();
+
+        const params = [this.phoneValidator.version];
+        const source = this.suggestionSource({ rule, minConfidence }, params);
+        let page = '';
+        if (limit !== null) {
+            params.push(parseInt(limit), parseInt(offset));
+            page = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+        }
+
+        const rows = await databaseManager.query(`
+            SELECT c.id, c.phone, c.phone_raw, c.phone_country, c.company_name, c.phone_invalid_reason, c.phone_invalid_country,
+                   s.candidates
+            ${source}
+            ORDER BY c.numeric_id ASC, c.id ASC
+            ${page}
+        `, params);
+
+        return rows.map(row => ({
+            id: row.id,
+            phone: row.phone,
+            phoneRaw: row.phone_raw,
+            country: row.phone_country,
+            companyName: row.company_name,
+            invalidReason: this.phoneValidator.describeInvalidReason(row.phone_invalid_reason, row.phone_invalid_country),
+            candidates: row.candidates.filter(candidate => (!rule || candidate.rule === rule) && candidate.confidence >= minConfidence)
+        }));
+    }
+
+    /**
+     * List invalid records with repair candidates, one page at a time
+     * @param {Object} filters - { rule, minConfidence }
+     * @param {number} limit - Records per page
+     * @param {number} offset - Page offset
+     * @returns {Promise<Object>} { records, total, byRule } where byRule counts records whose best candidate uses each rule
+     */
+    async listSuggestions(filters = {}, limit = 50, offset = 0) {
+        const normalized = this.normalizeFilters(filters);
+        const records = await this.findRepairableRecords(normalized, limit, offset);
+
+        const params = [this.phoneValidator.version];
+        const counts = await databaseManager.query(`
+            SELECT best.candidate->>'rule' AS rule, COUNT(*) AS count
+            ${this.suggestionSource(normalized, params)}
+            GROUP BY best.candidate->>'rule'
+        `, params);
+
+        const byRule = Object.fromEntries(Object.keys(this.rules).map(rule => [rule, 0]));
+        let total = 0;
+        for (const { rule, count } of counts) {
+            byRule[rule] = parseInt(count);
+            total += parseInt(count);
+        }
+
+        return { records, total, byRule };
+    }
+
+    /**
+     * Replace invalid phones with accepted candidates and record each change in phone_repairs.
+     * Candidates are worked out again, so only a number that is still suggested for the record is written.
+     * Repaired rows leave their import (import_batch_id is cleared), so rolling the import back keeps the repair.
+     * @param {Array} repairs - [{ id, phone }] where phone is one of the record's candidates
+     * @param {number} userId - Reviewer
+     * @returns {Promise<Object>} { repaired, skipped } where skipped lists { id, reason }
+     */
+    async applyRepairs(repairs, userId = null) {
+        const requested = new Map();
+        for (const repair of repairs || []) {
+            if (!repair || !repair.id || !repair.phone) {
+                throw new Error('Each repair needs an id and a phone');
+            }
+            requested.set(String(repair.id), String(repair.phone));
+        }
+
+        const outcome = { repaired: 0, skipped: [] };
+        if (requested.size === 0) return outcome;
+
+        const client = await databaseManager.getConnection();
+
+        try {
+            await client.query('BEGIN');
+
+            const { rows } = await client.query(`
+                SELECT id, phone, phone_raw, phone_country
+                FROM check_table
+                WHERE id = ANY($1::varchar[]) AND status IS NOT TRUE
+                FOR UPDATE
+            `, [Array.from(requested.keys())]);
+            const rowsById = new Map(rows.map(row => [row.id, row]));
+
+            const applied = [];
+            for (const [id, phone] of requested) {
+                const row = rowsById.get(id);
+                if (!row) {
+                    outcome.skipped.push({ id, reason: 'Record not found or its phone is already valid' });
+                    continue;
+                }
+
+                const candidate = this.suggestRepairs(row.phone, row.phone_raw, row.phone_country)
+                    .find(suggestion => suggestion.phone === phone);
+                if (!candidate) {
+                    outcome.skipped.push({ id, reason: `${phone} is not a suggested repair for ${row.phone}` });
+                    continue;
+                }
+
+                applied.push({ row, candidate, classification: this.phoneValidator.classifyPhone(candidate.phone, candidate.country) });
+            }
+
+            if (applied.length > 0) {
+                await client.query(`
+                    UPDATE check_table c
+                    SET phone = u.phone, status = TRUE, phone_country = u.phone_country, phone_e164 = u.phone_e164,
+                        phone_type = u.phone_type, phone_invalid_reason = NULL, phone_invalid_country = NULL,
+                        phone_validator_version = $6, import_batch_id = NULL, updated_at = CURRENT_TIMESTAMP
+                    FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[])
+                        AS u (id, phone, phone_country, phone_e164, phone_type)
+                    WHERE c.id = u.id
+                `, [
+                    applied.map(({ row }) => row.id),
+                    applied.map(({ candidate }) => candidate.phone),
+                    applied.map(({ classification }) => classification.country),
+                    applied.map(({ classification }) => classification.e164),
+                    applied.map(({ classification }) => classification.type),
+                    this.phoneValidator.version
+                ]);
+
+                await client.query(`
+                    INSERT INTO phone_repairs (record_id, original_phone, original_raw, repaired_phone, rule, confidence, repaired_by)
+                    SELECT u.record_id, u.original_phone, u.original_raw, u.repaired_phone, u.rule, u.confidence, $7
+                    FROM unnest($1::varchar[], $2::varchar[], $3::text[], $4::varchar[], $5::varchar[], $6::numeric[])
+                        AS u (record_id, original_phone, original_raw, repaired_phone, rule, confidence)
+                `, [
+                    applied.map(({ row }) => row.id),
+                    applied.map(({ row }) => row.phone),
+                    applied.map(({ row }) => row.phone_raw),
+                    applied.map(({ candidate }) => candidate.phone),
+                    applied.map(({ candidate }) => candidate.rule),
+                    applied.map(({ candidate }) => candidate.confidence),
+                    userId
+                ]);
+            }
+
+            await client.query('COMMIT');
+            outcome.repaired = applied.length;
+            return outcome;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Applying phone repairs failed:', error.message);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Apply the best candidate of every record matching a filter. Records whose two best candidates are
+     * equally confident are left for a reviewer to choose.
+     * @param {Object} filters - { rule, minConfidence }; minConfidence defaults to defaultBulkConfidence
+     * @param {number} userId - Reviewer
+     * @returns {Promise<Object>} As for applyRepairs, plus ambiguous (records left out)
+     */
+    async applyFiltered(filters = {}, userId = null) {
+        const minConfidence = filters.minConfidence === undefined || filters.minConfidence === null || filters.minConfidence === ''
+            ? this.defaultBulkConfidence
+            : filters.minConfidence;
+        const records = await this.findRepairableRecords({ ...filters, minConfidence });
+
+        const repairs = [];
+        let ambiguous = 0;
+        for (const { id, candidates } of records) {
+            if (candidates.length > 1 && candidates[1].confidence === candidates[0].confidence) {
+                ambiguous++;
+                continue;
+            }
+            repairs.push({ id, phone: candidates[0].phone });
+        }
+
+        return { ...(await this.applyRepairs(repairs, userId)), ambiguous };
+    }
+
+    /**
+     * List applied repairs, newest first
+     * @param {number} limit - Rows per page
+     * @param {number} offset - Page offset
+     * @returns {Promise<Object>} { repairs, total } where repairs carry repaired_by_name
+     */
+    async listHistory(limit = 50, offset = 0) {
+        const repairs = await databaseManager.query(`
+            SELECT r.*, u.name AS repaired_by_name
+            FROM phone_repairs r
+            LEFT JOIN users u ON u.id = r.repaired_by
+            ORDER BY r.repaired_at DESC, r.id DESC
+            LIMIT $1 OFFSET $2
+        `, [parseInt(limit), parseInt(offset)]);
+
+        const [{ count }] = await databaseManager.query(`SELECT COUNT(*) AS count FROM phone_repairs`);
+
+        return {
+            repairs: repairs.map(repair => ({ ...repair, confidence: parseFloat(repair.confidence) })),
+            total: parseInt(count)
+        };
+    }
+}
+
+module.exports = PhoneRepairService;
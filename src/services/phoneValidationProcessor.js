@@ -11,6 +11,9 @@ class PhoneValidationProcessor {
         this.batchSize = config.phoneValidation.batchValidationSize;
         this.enableLogging = config.phoneValidation.enableValidationLogging;
 
+        // Which records a revalidation covers: all, those checked by another validator version, or valid or invalid ones
+        this.revalidationScopes = ['all', 'outdated', 'valid', 'invalid'];
+
         // Performance monitoring
         this.performanceMetrics = {
             totalValidationTime: 0,
@@ -28,28 +31,12 @@ class PhoneValidationProcessor {
     }
 
     /**
-     * Process all records from check_table and update their validation status.
-     * @returns {Promise<Object>} - Processing results with statistics
+     * Revalidate every record in check_table and update its validation status
+     * @returns {Promise<Object>} - Processing results with statistics (see revalidate)
      */
     async processAllRecords() {
         try {
-            // Get all records from check_table
-            const records = await databaseManager.getCheckRecords();
-
-            if (records.length === 0) {
-                return {
-                    processed: 0,
-                    successful: 0,
-                    failed: 0,
-                    validSingaporeNumbers: 0,
-                    invalidNumbers: 0
-                };
-            }
-
-            // Process records in batches
-            const results = await this.processBatchRecords(records);
-
-            return results;
+            return await this.revalidate();
         } catch (error) {
             console.error('Error processing check_table records:', error.message);
             throw error;
@@ -57,95 +44,145 @@ class PhoneValidationProcessor {
     }
 
     /**
-     * Process records in batches for better performance
-     * @param {Array} records - Records from check_table
-     * @returns {Promise<Object>} - Processing statistics
+     * Empty processing statistics
+     * @returns {Object} - Statistics with every count at zero
      */
-    async processBatchRecords(records) {
-        let processed = 0;
-        let successful = 0;
-        let failed = 0;
-        let validSingaporeNumbers = 0;
-        let invalidNumbers = 0;
-
-        // Process records in chunks
-        for (let i = 0; i < records.length; i += this.batchSize) {
-            const batch = records.slice(i, i + this.batchSize);
+    createResults() {
+        return {
+            processed: 0,
+            successful: 0,
+            failed: 0,
+            validSingaporeNumbers: 0,
+            invalidNumbers: 0,
+            becameValid: 0,
+            becameInvalid: 0,
+            invalidReasons: {}
+        };
+    }
 
+    /**
+     * Add one batch's statistics to running totals
+     * @param {Object} totals - Statistics from createResults; updated in place
+     * @param {Object} batchResults - Statistics of a batch
+     * @returns {Object} - totals
+     */
+    addResults(totals, batchResults) {
+        for (const key of ['processed', 'successful', 'failed', 'validSingaporeNumbers', 'invalidNumbers', 'becameValid', 'becameInvalid']) {
+            totals[key] += batchResults[key];
+        }
+        for (const [reason, count] of Object.entries(batchResults.invalidReasons)) {
+            totals.invalidReasons[reason] = (totals.invalidReasons[reason] || 0) + count;
+        }
+        return totals;
+    }
 
+    /**
+     * Process a single batch of records with one set-based update
+     * @param {Array} batch - Records { id, phone, phone_country, status } from check_table
+     * @returns {Promise<Object>} - Batch processing statistics, with invalidReasons counting invalid numbers by reason code
+     * and becameValid/becameInvalid counting records whose status flipped
+     */
+    async processBatch(batch) {
+        const results = this.createResults();
+        results.processed = batch.length;
 
-            const batchResults = await this.processBatch(batch);
+        // Validate each phone number, read as a number of its stored country, and work out why it fails, if it does
+        const rows = batch.map(record => {
+            const classification = singaporePhoneValidator.classifyPhone(record.phone, record.phone_country);
+            return { record, classification };
+        });
 
-            processed += batchResults.processed;
-            successful += batchResults.successful;
-            failed += batchResults.failed;
-            validSingaporeNumbers += batchResults.validSingaporeNumbers;
-            invalidNumbers += batchResults.invalidNumbers;
+        try {
+            await databaseManager.updatePhoneClassifications(rows.map(({ record, classification }) => ({
+                id: record.id,
+                status: classification.isValid,
+                country: classification.country,
+                phoneE164: classification.e164,
+                phoneType: classification.type,
+                invalidReason: classification.invalidReason,
+                invalidCountry: classification.invalidCountry,
+                validatorVersion: classification.validatorVersion
+            })));
+        } catch (error) {
+            results.failed = batch.length;
+            console.error(`Failed to update a batch of ${batch.length} records:`, error.message);
+            return results;
+        }
 
-            // Small delay between batches to prevent overwhelming the database
-            if (i + this.batchSize < records.length) {
-                await new Promise(resolve => setTimeout(resolve, 50));
+        results.successful = batch.length;
+        for (const { record, classification } of rows) {
+            if (classification.isValid) {
+                results.validSingaporeNumbers++;
+                if (record.status !== true) results.becameValid++;
+            } else {
+                results.invalidNumbers++;
+                results.invalidReasons[classification.invalidReason] = (results.invalidReasons[classification.invalidReason] || 0) + 1;
+                if (record.status === true) results.becameInvalid++;
             }
         }
 
+        return results;
+    }
+
+    /**
+     * Turn revalidation filters from a request into database filters
+     * @param {Object} filters - { scope: 'all'|'outdated'|'valid'|'invalid', countries, importBatchId }
+     * @returns {Object} - Filters for DatabaseManager.buildPhoneValidationFilter
+     */
+    normalizeFilters(filters = {}) {
+        const scope = filters.scope || 'all';
+        if (!this.revalidationScopes.includes(scope)) {
+            throw new Error(`Unknown revalidation scope: ${scope}`);
+        }
+
+        const countries = (Array.isArray(filters.countries) ? filters.countries : []).map(country => {
+            const code = singaporePhoneValidator.normalizeCountry(country);
+            if (!code) throw new Error(`Unknown country: ${country}`);
+            return code;
+        });
+
+        const importBatchId = filters.importBatchId ? parseInt(filters.importBatchId, 10) : null;
+        if (filters.importBatchId && !(importBatchId > 0)) {
+            throw new Error('Import batch must be a positive number');
+        }
+
         return {
-            processed,
-            successful,
-            failed,
-            validSingaporeNumbers,
-            invalidNumbers
+            status: scope === 'valid' || scope === 'invalid' ? scope : null,
+            outdatedFrom: scope === 'outdated' ? singaporePhoneValidator.version : null,
+            countries,
+            importBatchId
         };
     }
 
     /**
-     * Process a single batch of records
-     * @param {Array} batch - Batch of records to process
-     * @returns {Promise<Object>} - Batch processing statistics
+     * Revalidate records in check_table, a page at a time in ID order, so the table is never loaded whole
+     * @param {Object} filters - As for normalizeFilters; all records when empty
+     * @param {Function} onProgress - Optional async callback given { total, ...statistics so far } after each page
+     * @returns {Promise<Object>} - Statistics (see processBatch) with total and the validatorVersion stored on each record
      */
-    async processBatch(batch) {
-        let processed = 0;
-        let successful = 0;
-        let failed = 0;
-        let validSingaporeNumbers = 0;
-        let invalidNumbers = 0;
-
-        for (const record of batch) {
-            try {
-                processed++;
-
-                // Validate the phone number
-                const isValidSingaporePhone = singaporePhoneValidator.validateSingaporePhone(record.Phone);
-
-                // Update the record's status in check_table
-                await databaseManager.updateCheckRecord(record.Id, {
-                    status: isValidSingaporePhone
-                });
-
-                successful++;
-
-                if (isValidSingaporePhone) {
-                    validSingaporeNumbers++;
-                } else {
-                    invalidNumbers++;
-                }
+    async revalidate(filters = {}, onProgress = null) {
+        const dbFilters = this.normalizeFilters(filters);
+        const total = await databaseManager.countPhoneRecordsForRevalidation(dbFilters);
+        const results = this.createResults();
+        let afterId = '';
 
+        if (onProgress) await onProgress({ total, ...results });
 
+        for (;;) {
+            const batch = await databaseManager.getPhoneRecordsForRevalidation(dbFilters, afterId, this.batchSize);
+            if (batch.length === 0) break;
 
-            } catch (error) {
-                failed++;
-                console.error(`Failed to process record ${record.Id}:`, error.message);
-                // Continue processing other records even if one fails
-                continue;
-            }
+            this.addResults(results, await this.processBatch(batch));
+            afterId = batch[batch.length - 1].id;
+
+            if (onProgress) await onProgress({ total, ...results });
         }
 
-        return {
-            processed,
-            successful,
-            failed,
-            validSingaporeNumbers,
-            invalidNumbers
-        };
+        if (this.enableLogging) {
+            console.log(`Revalidated ${results.processed} phone numbers: ${results.becameValid} became valid, ${results.becameInvalid} became invalid`);
+        }
+
+        return { total, ...results, validatorVersion: singaporePhoneValidator.version };
     }
 
     /**
@@ -159,46 +196,20 @@ class PhoneValidationProcessor {
                 throw new Error('Record IDs must be provided as a non-empty array');
             }
 
+            const results = { ...this.createResults(), notFound: [] };
 
+            for (let i = 0; i < recordIds.length; i += this.batchSize) {
+                const ids = recordIds.slice(i, i + this.batchSize);
+                const batch = await databaseManager.query(
+                    'SELECT id, phone, phone_country, status FROM check_table WHERE id = ANY($1::varchar[])',
+                    [ids]
+                );
 
-            const results = {
-                processed: 0,
-                successful: 0,
-                failed: 0,
-                validSingaporeNumbers: 0,
-                invalidNumbers: 0,
-                notFound: []
-            };
-
-            for (const recordId of recordIds) {
-                try {
-                    const recordResult = await databaseManager.query('SELECT id, phone FROM check_table WHERE id = $1', [recordId]);
-
-                    if (recordResult.length === 0) {
-                        results.notFound.push(recordId);
-                        continue;
-                    }
-
-                    const record = recordResult[0];
-                    results.processed++;
-
-                    const isValidSingaporePhone = singaporePhoneValidator.validateSingaporePhone(record.Phone);
-
-                    await databaseManager.updateCheckRecord(record.Id, {
-                        status: isValidSingaporePhone
-                    });
+                const found = new Set(batch.map(record => record.id));
+                results.notFound.push(...ids.filter(id => !found.has(id)));
 
-                    results.successful++;
-
-                    if (isValidSingaporePhone) {
-                        results.validSingaporeNumbers++;
-                    } else {
-                        results.invalidNumbers++;
-                    }
-
-                } catch (error) {
-                    results.failed++;
-                    console.error(`Failed to process record ${recordId}:`, error.message);
+                if (batch.length > 0) {
+                    this.addResults(results, await this.processBatch(batch));
                 }
             }
 
@@ -217,11 +228,14 @@ class PhoneValidationProcessor {
     async getProcessingStatus() {
         try {
             const stats = await databaseManager.getTableStats();
+            const outdatedRecords = await databaseManager.countPhoneRecordsForRevalidation(this.normalizeFilters({ scope: 'outdated' }));
 
             return {
                 checkTableRecords: stats.checkTable,
                 validatedPhones: stats.validatedPhones,
                 invalidPhones: stats.invalidPhones,
+                validatorVersion: singaporePhoneValidator.version,
+                outdatedRecords
             };
 
         } catch (error) {
@@ -232,12 +246,13 @@ class PhoneValidationProcessor {
 
     /**
      * Reprocess records with updated validation logic
+     * @param {Object} filters - As for revalidate; all records when empty
+     * @param {Function} onProgress - As for revalidate
      * @returns {Promise<Object>} - Reprocessing results
      */
-    async reprocessRecords() {
+    async reprocessRecords(filters = {}, onProgress = null) {
         try {
-
-            return await this.processAllRecords();
+            return await this.revalidate(filters, onProgress);
 
         } catch (error) {
             console.error('Error during reprocessing:', error.message);
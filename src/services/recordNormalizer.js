@@ -0,0 +1,246 @@
+const SingaporeAddressParser = require('./singaporeAddressParser');
+const ContactValidator = require('./contactValidator');
+
+/**
+ * Record Normalizer Component
+ * Cleans company fields before they are stored, so the same company typed five different ways
+ * is stored one way. Each field runs an ordered list of rules; rules can be added or removed
+ * by name, and may record extra values (address parts, further emails) or warnings on the context.
+ */
+class RecordNormalizer {
+    constructor() {
+        // Record fields normalised on import, in the order rules run
+        this.fields = ['companyName', 'physicalAddress', 'email', 'website'];
+
+        // Company suffixes rewritten to one spelling when they end the name, with any comma before them
+        this.companySuffixes = [
+            { suffix: 'pte\\.?\\s*,?\\s*ltd\\.?|private\\s+limited', canonical: 'Pte Ltd' },
+            { suffix: 'sdn\\.?\\s*bhd\\.?', canonical: 'Sdn Bhd' },
+            { suffix: 'ltd\\.?|limited', canonical: 'Ltd' },
+            { suffix: 'l\\.?\\s*l\\.?\\s*p\\.?', canonical: 'LLP' },
+            { suffix: 'inc\\.?', canonical: 'Inc' },
+            { suffix: 'corp\\.?', canonical: 'Corp' }
+        ].map(({ suffix, canonical }) => ({ pattern: new RegExp(`(?:^|[\\s,]+)(?:${suffix})$`, 'i'), canonical }));
+
+        // All-caps words kept in capitals when a name is title-cased: known acronyms with vowels, and words of up
+        // to shortAcronymLength letters (PT, SG) other than the common words listed
+        this.companyAcronyms = new Set(['OCBC', 'UOB', 'HSBC', 'NTUC', 'SGX', 'IBM', 'AIA', 'NUS', 'NTU', 'SIA', 'ASEAN', 'USA', 'UK', 'EU']);
+        this.shortAcronymLength = 2;
+        this.lowercaseWords = new Set(['AN', 'AS', 'AT', 'BY', 'CO', 'IN', 'OF', 'ON', 'OR', 'TO']);
+
+        // Emails and websites get a validation status; emails are checked with the same pattern
+        this.contactValidator = new ContactValidator();
+        this.emailPattern = this.contactValidator.emailPattern;
+
+        // Addresses are split into block, street, unit, building and postal code
+        this.addressParser = new SingaporeAddressParser();
+
+        this.rules = new Map(this.fields.map(field => [field, []]));
+
+        this.addRule('companyName', 'whitespace', value => this.collapseWhitespace(value));
+        this.addRule('companyName', 'suffix', value => this.normalizeCompanySuffix(value));
+        this.addRule('companyName', 'casing', value => this.normalizeCompanyCasing(value));
+        this.addRule('physicalAddress', 'whitespace', value => this.collapseWhitespace(value));
+        this.addRule('physicalAddress', 'parse', (value, context) => {
+            context.extras.address = this.addressParser.parse(value);
+            return value;
+        });
+        this.addRule('email', 'emailList', (value, context) => this.normalizeEmails(value, context));
+        this.addRule('website', 'host', (value, context) => this.normalizeWebsite(value, context));
+    }
+
+    /**
+     * Add a rule to the end of a field's rule list, replacing a rule of the same name
+     * @param {string} field - One of fields
+     * @param {string} name - Rule name, used to remove or replace the rule
+     * @param {Function} apply - (value, context) => value; returning null or '' clears the field
+     */
+    addRule(field, name, apply) {
+        if (!this.rules.has(field)) {
+            throw new Error(`Unknown field for normalisation: ${field}`);
+        }
+
+        this.removeRule(field, name);
+        this.rules.get(field).push({ name, apply });
+    }
+
+    /**
+     * Remove a rule from a field's rule list
+     * @param {string} field - One of fields
+     * @param {string} name - Rule name
+     * @returns {boolean} True if a rule was removed
+     */
+    removeRule(field, name) {
+        const rules = this.rules.get(field) || [];
+        const index = rules.findIndex(rule => rule.name === name);
+        if (index === -1) return false;
+
+        rules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Run every field's rules over a record
+     * @param {Object} record - Record with companyName, physicalAddress, email and website
+     * @returns {Object} { values, raw, address, additionalEmails, statuses, warnings } where values holds the
+     * normalised fields, raw the trimmed values as read from the file, address the parsed address parts and
+     * statuses the email and website validation statuses (of the raw value when it could not be normalised)
+     */
+    normalizeRecord(record) {
+        const context = { record, extras: { address: this.addressParser.parse(null), additionalEmails: [] }, warnings: [] };
+        const values = {};
+        const raw = {};
+
+        for (const field of this.fields) {
+            const original = record[field] === null || record[field] === undefined ? '' : String(record[field]).trim();
+            raw[field] = original || null;
+
+            let value = original;
+            for (const rule of this.rules.get(field)) {
+                if (!value) break;
+                value = rule.apply(value, context);
+            }
+            values[field] = value || null;
+        }
+
+        return {
+            values,
+            raw,
+            address: context.extras.address,
+            additionalEmails: context.extras.additionalEmails,
+            statuses: {
+                email: this.contactValidator.validateEmail(values.email || raw.email),
+                website: this.contactValidator.validateWebsite(values.website || raw.website)
+            },
+            warnings: context.warnings
+        };
+    }
+
+    /**
+     * Collapse runs of whitespace, including non-breaking spaces and line breaks, into single spaces
+     * @param {string} value - Text
+     * @returns {string} Text
+     */
+    collapseWhitespace(value) {
+        return value.replace(/[\s ]+/g, ' ').trim();
+    }
+
+    /**
+     * Rewrite a trailing company suffix such as PTE. LTD. to its canonical spelling
+     * @param {string} name - Company name
+     * @returns {string} Company name
+     */
+    normalizeCompanySuffix(name) {
+        const trimmed = name.replace(/[\s,]+$/, '');
+
+        for (const { pattern, canonical } of this.companySuffixes) {
+            if (pattern.test(trimmed)) {
+                return `${trimmed.replace(pattern, '')} ${canonical}`.trim();
+            }
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Title-case names typed in one case (ACME TRADING, acme trading); mixed-case names are left as typed.
+     * All-caps words without vowels, such as DBS or (S), acronyms (see companyAcronyms) and the canonical
+     * suffixes keep their capitals. A one-letter prefix before an apostrophe starts a new word (O'Brien).
+     * @param {string} name - Company name
+     * @returns {string} Company name
+     */
+    normalizeCompanyCasing(name) {
+        const letters = name.replace(/[^a-z]/gi, '');
+        const suffix = this.companySuffixes.map(({ canonical }) => canonical).find(canonical => name.endsWith(` ${canonical}`));
+        const body = suffix ? name.slice(0, -suffix.length) : name;
+        const bodyLetters = body.replace(/[^a-z]/gi, '');
+
+        if (!letters || (bodyLetters !== bodyLetters.toUpperCase() && bodyLetters !== bodyLetters.toLowerCase())) {
+            return name;
+        }
+
+        const cased = body.replace(/[a-z0-9'&.]+/gi, word => {
+            if (word === word.toUpperCase() && this.isCompanyAcronym(word)) return word;
+
+            const titled = word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+            return titled.replace(/^([a-z]')([a-z])/i, (match, prefix, letter) => `${prefix}${letter.toUpperCase()}`);
+        });
+
+        return suffix ? `${cased}${suffix}` : cased;
+    }
+
+    /**
+     * Whether an all-caps word of a company name is an acronym that keeps its capitals
+     * @param {string} word - Word as typed
+     * @returns {boolean} True to keep the word as typed
+     */
+    isCompanyAcronym(word) {
+        const letters = word.replace(/[^a-z]/gi, '').toUpperCase();
+        if (!letters || !/[AEIOU]/.test(letters) || this.companyAcronyms.has(letters)) return true;
+        return letters.length <= this.shortAcronymLength && !this.lowercaseWords.has(letters);
+    }
+
+    /**
+     * Split a cell holding one or more emails, lowercase them and keep the valid ones.
+     * The first valid email is returned; the others are added to context.extras.additionalEmails.
+     * A cell without a valid email is returned as typed, so it is stored with its invalid or placeholder status.
+     * @param {string} value - Email cell
+     * @param {Object} context - Normalisation context
+     * @returns {string} First valid email, or the cell
+     */
+    normalizeEmails(value, context) {
+        const candidates = value
+            .split(/[\s,;/|]+/)
+            .map(part => part.replace(/^mailto:/i, '').replace(/^[<(["']+|[>)\]"'.]+$/g, '').toLowerCase())
+            .filter(Boolean);
+
+        const valid = [];
+        const invalid = [];
+        for (const email of candidates) {
+            if (!this.emailPattern.test(email)) {
+                invalid.push(email);
+            } else if (!valid.includes(email)) {
+                valid.push(email);
+            }
+        }
+
+        if (valid.length > 0 && invalid.length > 0) {
+            context.warnings.push(`Email ${invalid.join(', ')} is not a valid address; not stored`);
+        }
+        if (valid.length === 0) {
+            context.warnings.push(`Email ${value} has no valid address; stored as typed`);
+            return value;
+        }
+
+        context.extras.additionalEmails = valid.slice(1);
+        return valid[0];
+    }
+
+    /**
+     * Reduce a website to its scheme and host, e.g. WWW.Acme.com.sg/contact -> https://acme.com.sg.
+     * A cell that is not a web address is returned as typed, so it is stored with its invalid or placeholder status.
+     * @param {string} value - Website cell
+     * @param {Object} context - Normalisation context
+     * @returns {string} Normalised website, or the cell
+     */
+    normalizeWebsite(value, context) {
+        const text = value.trim();
+        const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`;
+
+        let url;
+        try {
+            url = new URL(withScheme);
+        } catch (error) {
+            url = null;
+        }
+
+        if (!url || !['http:', 'https:'].includes(url.protocol) || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(url.hostname)) {
+            context.warnings.push(`Website ${text} is not a valid web address; stored as typed`);
+            return text;
+        }
+
+        return `${url.protocol}//${url.hostname.replace(/^www\./, '')}`;
+    }
+}
+
+module.exports = RecordNormalizer;
@@ -0,0 +1,116 @@
+const { POSTAL_DISTRICTS } = require('../utils/postalDistricts');
+
+/**
+ * Singapore Address Parser Component
+ * Splits a free-text Singapore address into block or house number, street, unit, building name
+ * and postal code, e.g. "Blk 123 Ang Mo Kio Ave 3 #05-12 Kebun Baru Building Singapore 560123".
+ */
+class SingaporeAddressParser {
+    constructor() {
+        // Postal code written after "Singapore" or "S" first, then any standalone six digits
+        this.postalCodePatterns = [
+            /\b(?:singapore|spore|s)\s*\(?\s*(\d{6})\s*\)?/i,
+            /\b(\d{6})\b/
+        ];
+
+        // Unit numbers: #05-12, # B1-03, Unit 05-12A
+        this.unitPattern = /(?:#|\bunit\s+#?)\s*([a-z]?\d{1,3})\s*-\s*(\d{1,5}[a-z]?)\b/i;
+
+        // Block or house number at the start of the address: Blk 123A, Block 45, 71
+        this.blockPattern = /^(?:(?:blk|block)\.?\s*)?(\d{1,5}[a-z]?)\b\.?\s+/i;
+
+        // Words that end a street name, optionally followed by a number (Avenue 3, Street 41)
+        this.streetTypes = [
+            'road', 'rd', 'street', 'st', 'avenue', 'ave', 'drive', 'dr', 'crescent', 'cres', 'lane', 'ln',
+            'way', 'walk', 'close', 'place', 'pl', 'link', 'view', 'terrace', 'boulevard', 'blvd', 'central',
+            'park', 'rise', 'heights', 'grove', 'circle', 'square', 'quay', 'loop', 'green', 'vale', 'hill', 'north',
+            'south', 'east', 'west', 'sector', 'industrial estate'
+        ];
+        this.streetEndPattern = new RegExp(`^(.*\\b(?:${this.streetTypes.join('|')})\\b\\.?(?:\\s+\\d{1,3}[a-z]?\\b)?)(.*)$`, 'i');
+
+        // Malay street names put the street type first: Lorong 1 Toa Payoh, Jalan Besar
+        this.streetStartPattern = /^(?:jalan|jln|lorong|lor|lengkok|lengkong|persiaran|lebuh)\b/i;
+
+        // Sector (first two postal digits) to postal district
+        this.sectorDistricts = new Map();
+        for (const { district, sectors } of POSTAL_DISTRICTS) {
+            for (const sector of sectors) this.sectorDistricts.set(sector, district);
+        }
+    }
+
+    /**
+     * Parse an address into structured fields
+     * @param {string} address - Address text
+     * @returns {Object} { block, street, unit, building, postalCode }; fields not found are null
+     */
+    parse(address) {
+        const result = { block: null, street: null, unit: null, building: null, postalCode: null };
+        let text = String(address || '').replace(/\s+/g, ' ').trim();
+        if (!text) return result;
+
+        // Postal code and unit are cut out first; the commas left behind split street from building
+        for (const pattern of this.postalCodePatterns) {
+            const match = text.match(pattern);
+            if (match && this.isPostalCode(match[1])) {
+                result.postalCode = match[1];
+                text = text.replace(match[0], ',');
+                break;
+            }
+        }
+
+        const unit = text.match(this.unitPattern);
+        if (unit) {
+            result.unit = `#${unit[1].toUpperCase()}-${unit[2].toUpperCase()}`;
+            text = text.replace(unit[0], ',');
+        }
+
+        const parts = text
+            .split(',')
+            .map(part => part.trim())
+            .filter(part => part && !/^(?:republic of )?singapore$/i.test(part));
+
+        const blockIndex = parts.findIndex(part => this.blockPattern.test(part));
+        if (blockIndex !== -1) {
+            const segment = parts[blockIndex];
+            result.block = segment.match(this.blockPattern)[1].toUpperCase();
+            parts[blockIndex] = segment.replace(this.blockPattern, '');
+        }
+
+        // The street is the part holding the block number, or else the first part that ends like a street
+        const isStreet = part => this.streetStartPattern.test(part) || this.streetEndPattern.test(part);
+        const streetIndex = blockIndex !== -1 ? blockIndex : parts.findIndex(isStreet);
+        if (streetIndex !== -1) {
+            const street = !this.streetStartPattern.test(parts[streetIndex]) && parts[streetIndex].match(this.streetEndPattern);
+            if (street) {
+                result.street = street[1].trim() || null;
+                parts[streetIndex] = street[2].trim();
+            } else {
+                result.street = parts[streetIndex] || null;
+                parts[streetIndex] = '';
+            }
+        }
+
+        result.building = parts.find(part => part) || null;
+        return result;
+    }
+
+    /**
+     * Check that six digits start with a postal sector in use
+     * @param {string} code - Six digits
+     * @returns {boolean} True for a known sector
+     */
+    isPostalCode(code) {
+        return /^\d{6}$/.test(String(code || '')) && this.sectorDistricts.has(String(code).slice(0, 2));
+    }
+
+    /**
+     * Look up the postal district of a postal code
+     * @param {string} postalCode - Six-digit postal code
+     * @returns {number|null} District 1-28
+     */
+    getDistrict(postalCode) {
+        return this.isPostalCode(postalCode) ? this.sectorDistricts.get(String(postalCode).slice(0, 2)) : null;
+    }
+}
+
+module.exports = SingaporeAddressParser;
@@ -1,15 +1,85 @@
 const config = require('../utils/config');
-const { parsePhoneNumber, isValidPhoneNumber } = require('libphonenumber-js');
+// The max metadata is needed to tell number types apart; the default metadata only validates
+const {
+    parsePhoneNumber,
+    isValidPhoneNumber,
+    isSupportedCountry,
+    findNumbers,
+    getCountries,
+    validatePhoneNumberLength
+} = require('libphonenumber-js/max');
+const { version: libphonenumberVersion } = require('libphonenumber-js/package.json');
 
 /**
  * Singapore Phone Validator Service
- * Validates phone numbers to determine if they are Singapore phone numbers using libphonenumber-js
+ * Validates phone numbers using libphonenumber-js. Numbers are read as numbers of a default country
+ * (Singapore unless configured, or given per import or per row) and are valid when they belong to
+ * one of the accepted countries: the default country, plus any configured in ACCEPTED_PHONE_COUNTRIES.
  */
 class SingaporePhoneValidator {
     constructor() {
         this.singaporeCountryCode = config.phoneValidation.singaporeCountryCode;
+        this.defaultCountry = config.phoneValidation.defaultCountry;
+        this.acceptedCountries = config.phoneValidation.acceptedCountries;
         this.batchSize = config.phoneValidation.batchValidationSize;
         this.enableLogging = config.phoneValidation.enableValidationLogging;
+
+        // libphonenumber-js number types and the phone_type values stored for them.
+        // In Singapore: 8/9 mobile, 6 fixed line, 3 VoIP, 1800 toll-free and 1900 premium rate.
+        this.phoneTypes = {
+            MOBILE: 'mobile',
+            FIXED_LINE: 'fixed_line',
+            FIXED_LINE_OR_MOBILE: 'fixed_line_or_mobile',
+            TOLL_FREE: 'toll_free',
+            PREMIUM_RATE: 'premium_rate',
+            VOIP: 'voip',
+            SHARED_COST: 'shared_cost',
+            PERSONAL_NUMBER: 'personal_number',
+            PAGER: 'pager',
+            UAN: 'uan',
+            VOICEMAIL: 'voicemail'
+        };
+
+        // Stored for numbers that are not valid or whose type cannot be told
+        this.unknownPhoneType = 'unknown';
+
+        // Why a number failed validation, in the order the checks run (phone_invalid_reason)
+        this.invalidReasons = {
+            empty: 'Empty',
+            placeholder: 'Placeholder value',
+            non_numeric: 'Not a number',
+            foreign_country: 'Foreign country code',
+            too_short: 'Too short',
+            too_long: 'Too long',
+            wrong_leading_digit: 'Wrong leading digit',
+            invalid_number: 'Not a valid number'
+        };
+
+        // Values typed to fill the cell rather than to give a number
+        this.placeholderPattern = /^(?:[^a-z0-9]*|n\/?a|nil|none|null|unknown|tbc|tba|x+|0+)$/i;
+
+        // Singapore numbers are 8 digits starting 3, 6, 8 or 9; service numbers (1800, 1900, 800) differ in length
+        this.localNumberLength = 8;
+        this.localLeadingDigitPattern = /^[3689]/;
+        this.serviceNumberPattern = /^(?:1800|1900|800)/;
+
+        // Extension written after a number, e.g. "6123 4567 ext 12"
+        this.extensionPattern = /\s*(?:ext|extn|x)\.?\s*\d+$/i;
+
+        // Characters that take no space, left in cells copied from web pages; a cell of only these is empty
+        this.invisiblePattern = /[\u200b-\u200d\u2060\ufeff]/g;
+
+        // Longest value stored as the phone (check_table.phone is VARCHAR(50)); phone_raw keeps the whole cell
+        this.maxStoredLength = 50;
+
+        // Country names accepted where an ISO code is expected, e.g. "Malaysia" -> MY; built on first use
+        this.countryNames = null;
+
+        // Bump when the checks in this file change. With the libphonenumber-js release (whose metadata knows the
+        // number ranges) and the accepted countries it makes the version stored with each row, so rows checked
+        // by older rules can be found and revalidated (phone_validator_version)
+        this.rulesVersion = 1;
+        this.version = `${this.rulesVersion}/libphonenumber-js@${libphonenumberVersion}/${[...this.acceptedCountries].sort().join(',')}`;
     }
 
     /**
@@ -45,7 +115,287 @@ class SingaporePhoneValidator {
         }
     }
 
+    /**
+     * Validate a phone number against the accepted countries
+     * @param {string} phoneNumber - The phone number to validate
+     * @param {string} defaultCountry - Country the number is read as when it has no country code
+     * @returns {boolean} - True if the number is valid and belongs to an accepted country
+     */
+    validatePhone(phoneNumber, defaultCountry = null) {
+        const parsedNumber = this.parsePhone(phoneNumber, defaultCountry);
+        return !!parsedNumber && this.isAcceptedCountry(parsedNumber.country);
+    }
+
+    /**
+     * Check whether a number would be valid read as a number of any accepted country,
+     * for telling phone columns apart when the country of a file is not known yet
+     * @param {string} phoneNumber - The phone number
+     * @returns {boolean} True when some accepted country reads it as a valid number
+     */
+    isAcceptedPhone(phoneNumber) {
+        return this.acceptedCountries.some(country => this.validatePhone(phoneNumber, country));
+    }
+
+    /**
+     * Check whether a country's numbers count as valid
+     * @param {string} country - ISO country code
+     * @returns {boolean} True for one of acceptedCountries
+     */
+    isAcceptedCountry(country) {
+        return !!country && this.acceptedCountries.includes(country);
+    }
+
+    /**
+     * Read a country given as an ISO code or an English name
+     * @param {string} value - e.g. "MY", "my" or "Malaysia"
+     * @returns {string|null} ISO code known to libphonenumber-js, or null
+     */
+    normalizeCountry(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (!text) return null;
+
+        const code = text.toUpperCase();
+        if (/^[A-Z]{2}$/.test(code) && isSupportedCountry(code)) return code;
+
+        if (!this.countryNames) {
+            this.countryNames = new Map(getCountries().map(country => [this.getCountryName(country).toLowerCase(), country]));
+        }
+        return this.countryNames.get(text.toLowerCase()) || null;
+    }
+
+    /**
+     * English name of a country
+     * @param {string} country - ISO country code
+     * @returns {string} e.g. "Malaysia" for MY; the code itself when it has no name
+     */
+    getCountryName(country) {
+        if (!this.regionNames) {
+            this.regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        }
+        return this.regionNames.of(country) || country;
+    }
+
+    /**
+     * Parse a number as a number of the default country, or, when it is not valid there and has
+     * more digits than a local number, as an international number written without the +
+     * (60123456789 is +60 12-345 6789)
+     * @param {string} phoneNumber - The phone number
+     * @param {string} defaultCountry - Country the number is read as; defaults to the configured country
+     * @returns {Object|null} libphonenumber-js PhoneNumber that is valid in its country, or null
+     */
+    parsePhone(phoneNumber, defaultCountry = null) {
+        if (!phoneNumber || typeof phoneNumber !== 'string') return null;
+
+        const country = defaultCountry || this.defaultCountry;
+        const digits = phoneNumber.replace(/\D/g, '');
+        const candidates = [() => parsePhoneNumber(phoneNumber, country)];
+        if (!phoneNumber.trim().startsWith('+') && digits.length > this.localNumberLength) {
+            candidates.push(() => parsePhoneNumber(`+${digits.replace(/^00/, '')}`));
+        }
+
+        for (const parse of candidates) {
+            try {
+                const parsedNumber = parse();
+                if (parsedNumber && parsedNumber.isValid()) return parsedNumber;
+            } catch (error) {
+                if (this.enableLogging) {
+                    console.warn(`Phone parse error for ${phoneNumber}:`, error.message);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Clean a phone cell before it is classified: spaces, brackets, dashes and any extension are dropped,
+     * but a leading + is kept so the country code after it is read as one ("+65 6123 4567" -> "+6561234567").
+     * Values that are not written as a number ("N/A", "---", "ask reception") are kept as typed, up to
+     * maxStoredLength characters, so they are stored with the reason they are invalid.
+     * @param {*} value - Phone cell
+     * @returns {string|null} Cleaned number, or null for a blank cell
+     */
+    cleanPhone(value) {
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim();
+        if (!text) return null;
+
+        const number = text.replace(this.extensionPattern, '');
+        const digits = number.replace(/\D/g, '');
+        if (!digits || /[a-z]/i.test(number)) return text.slice(0, this.maxStoredLength);
+
+        return number.startsWith('+') ? `+${digits}` : digits;
+    }
+
+    /**
+     * Find the phone numbers written in a piece of text, e.g. both numbers in "6123 4567 +60 12-345 6789".
+     * Numbers are looked for as numbers of the default country and of every accepted country, so an import's
+     * default country (always an accepted one) is covered; where readings overlap, the first country's wins.
+     * @param {string} text - Text to search
+     * @returns {Array} Matches { text, startsAt, endsAt } in text order
+     */
+    findPhoneNumbers(text) {
+        const value = String(text === null || text === undefined ? '' : text);
+        const matches = [];
+
+        for (const country of new Set([this.defaultCountry, ...this.acceptedCountries])) {
+            let found = [];
+            try {
+                found = findNumbers(value, country, { v2: true });
+            } catch (error) {
+                if (this.enableLogging) {
+                    console.warn(`Phone search error for ${country}:`, error.message);
+                }
+            }
+
+            for (const { startsAt, endsAt } of found) {
+                if (matches.some(match => startsAt < match.endsAt && endsAt > match.startsAt)) continue;
+                matches.push({ text: value.slice(startsAt, endsAt), startsAt, endsAt });
+            }
+        }
+
+        return matches.sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    /**
+     * Form a classified number is stored in (check_table.phone): once its country is known, the digits of
+     * its national number, which read back as the same number with phone_country; otherwise the cleaned value
+     * @param {string} phoneNumber - The number as cleaned by cleanPhone
+     * @param {Object} classification - Result of classifyPhone for it
+     * @returns {string} Phone to store
+     */
+    getStoredPhone(phoneNumber, classification) {
+        return classification.nationalNumber || phoneNumber;
+    }
+
+    /**
+     * Work out why a number is not valid
+     * @param {string} phoneNumber - The phone number
+     * @param {string} defaultCountry - Country the number is read as; defaults to the configured country
+     * @returns {Object|null} { code, country } where code is a key of invalidReasons and country is the
+     * ISO country detected for foreign_country; null when the number is valid
+     */
+    getInvalidReason(phoneNumber, defaultCountry = null) {
+        if (this.validatePhone(phoneNumber, defaultCountry)) return null;
+
+        const country = defaultCountry || this.defaultCountry;
+        const text = String(phoneNumber === null || phoneNumber === undefined ? '' : phoneNumber).replace(this.invisiblePattern, '').trim();
+        const digits = text.replace(/\D/g, '');
+        const reason = (code, detected = null) => ({ code, country: detected });
+
+        if (!text) return reason('empty');
+        if (this.placeholderPattern.test(text)) return reason('placeholder');
+        if (!digits || /[a-z]/i.test(text.replace(this.extensionPattern, ''))) return reason('non_numeric');
+
+        // A valid number of a country that is not accepted
+        const parsedNumber = this.parsePhone(text, country);
+        if (parsedNumber) return reason('foreign_country', parsedNumber.country || null);
+
+        // Written with a country code (+ or 00) that is not an accepted country's
+        if (text.startsWith('+') || digits.startsWith('00')) {
+            try {
+                const international = parsePhoneNumber(`+${digits.replace(/^00/, '')}`);
+                if (international && international.country && !this.isAcceptedCountry(international.country)) {
+                    return reason('foreign_country', international.country);
+                }
+            } catch (error) {
+                // Not a number of any country; the length checks below apply
+            }
+        }
 
+        return country === this.singaporeCountryCode
+            ? reason(this.getSingaporeLengthReason(text, digits))
+            : reason(this.getLengthReason(text, country));
+    }
+
+    /**
+     * Length and leading digit checks for a number read as a Singapore number
+     * @param {string} text - The phone number as given
+     * @param {string} digits - Its digits
+     * @returns {string} Reason code
+     */
+    getSingaporeLengthReason(text, digits) {
+        const isSingaporeCode = /^\+?(?:00)?65/.test(text.replace(/[^\d+]/g, '')) && digits.length > this.localNumberLength;
+        const national = isSingaporeCode ? digits.replace(/^(?:00)?65/, '') : digits;
+
+        if (!this.serviceNumberPattern.test(national)) {
+            if (national.length < this.localNumberLength) return 'too_short';
+            if (national.length > this.localNumberLength) return 'too_long';
+            if (!this.localLeadingDigitPattern.test(national)) return 'wrong_leading_digit';
+        }
+
+        return 'invalid_number';
+    }
+
+    /**
+     * Length checks for a number read as a number of another country, from libphonenumber-js metadata
+     * @param {string} text - The phone number as given
+     * @param {string} country - ISO country code
+     * @returns {string} Reason code
+     */
+    getLengthReason(text, country) {
+        try {
+            const lengthCheck = validatePhoneNumberLength(text, country);
+            if (lengthCheck === 'TOO_SHORT') return 'too_short';
+            if (lengthCheck === 'TOO_LONG') return 'too_long';
+        } catch (error) {
+            // Unknown country; no length rules to apply
+        }
+
+        return 'invalid_number';
+    }
+
+    /**
+     * Describe an invalid reason for display, e.g. "Foreign country code (MY)"
+     * @param {string} code - Key of invalidReasons
+     * @param {string} country - Detected country, for foreign_country
+     * @returns {string} Description, or '' without a code
+     */
+    describeInvalidReason(code, country = null) {
+        if (!code) return '';
+        const label = this.invalidReasons[code] || code;
+        return country ? `${label} (${country})` : label;
+    }
+
+    /**
+     * Classify a phone number: validity, country, canonical E.164 form, number type and, when invalid, why.
+     * Valid numbers of countries that are not accepted still get their country, E.164 form and type.
+     * @param {string} phoneNumber - The phone number, as cleaned on import
+     * @param {string} defaultCountry - Country the number is read as when it has no country code;
+     * defaults to the configured country
+     * @returns {Object} { isValid, country, e164, nationalNumber, type, invalidReason, invalidCountry, validatorVersion } where
+     * isValid is as for validatePhone; country is the number's country, or for numbers valid nowhere the country it was read as;
+     * e164 and nationalNumber are null and type is 'unknown' when the number is not valid anywhere; and invalidReason/invalidCountry
+     * are as for getInvalidReason (null for valid numbers); validatorVersion is version
+     */
+    classifyPhone(phoneNumber, defaultCountry = null) {
+        const parsedNumber = this.parsePhone(phoneNumber, defaultCountry);
+        const isValid = !!parsedNumber && this.isAcceptedCountry(parsedNumber.country);
+        const invalid = isValid ? null : this.getInvalidReason(phoneNumber, defaultCountry);
+
+        return {
+            isValid,
+            country: (parsedNumber && parsedNumber.country) || (invalid && invalid.country) || defaultCountry || this.defaultCountry,
+            e164: parsedNumber ? parsedNumber.number : null,
+            nationalNumber: parsedNumber ? parsedNumber.nationalNumber : null,
+            type: parsedNumber ? this.phoneTypes[parsedNumber.getType()] || this.unknownPhoneType : this.unknownPhoneType,
+            invalidReason: invalid ? invalid.code : null,
+            invalidCountry: invalid ? invalid.country : null,
+            validatorVersion: this.version
+        };
+    }
+
+    /**
+     * Key used to match phone numbers: the E.164 form when the number is valid, else the number as given,
+     * so "+65 9123 4567", "6591234567" and "91234567" share the key +6591234567
+     * @param {string} phoneNumber - The phone number
+     * @param {string} defaultCountry - Country the number is read as; defaults to the configured country
+     * @returns {string|null} Matching key
+     */
+    getPhoneKey(phoneNumber, defaultCountry = null) {
+        return this.classifyPhone(phoneNumber, defaultCountry).e164 || phoneNumber || null;
+    }
 
     /**
      * Validate configuration and libphonenumber-js integration
@@ -58,6 +408,12 @@ class SingaporePhoneValidator {
             issues.push('Singapore country code is not configured');
         }
 
+        for (const country of this.acceptedCountries) {
+            if (!isSupportedCountry(country)) {
+                issues.push(`Accepted country ${country} is not a country libphonenumber-js knows`);
+            }
+        }
+
         if (this.batchSize <= 0) {
             issues.push('Batch size must be greater than 0');
         }
@@ -74,6 +430,8 @@ class SingaporePhoneValidator {
             isValid: issues.length === 0,
             issues: issues,
             countryCode: this.singaporeCountryCode,
+            defaultCountry: this.defaultCountry,
+            acceptedCountries: this.acceptedCountries,
             batchSize: this.batchSize,
             loggingEnabled: this.enableLogging,
             libphonenumberIntegrated: true
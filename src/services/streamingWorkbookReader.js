@@ -0,0 +1,150 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const config = require('../utils/config');
+
+/**
+ * Streaming Workbook Reader Component
+ * Reads .xlsx rows one at a time from a file on disk with the exceljs WorkbookReader, so workbooks
+ * too large for XLSX.read are never held in memory as a whole. Styles, hyperlinks and merged cells
+ * are not read.
+ */
+class StreamingWorkbookReader {
+    constructor() {
+        // Files at or above this size are streamed instead of parsed with XLSX.read
+        this.streamingThreshold = config.upload.streamingThreshold;
+
+        // Only the zip-based format can be read as a stream
+        this.supportedExtensions = ['.xlsx'];
+
+        // Attempts at opening a workbook whose xl/workbook.xml went missing while unzipping; see openWorksheets
+        this.maxReadAttempts = 5;
+    }
+
+    /**
+     * Check whether a file should be streamed rather than parsed in memory
+     * @param {string} filename - Original filename
+     * @param {number} fileSize - File size in bytes
+     * @returns {boolean} True for .xlsx files at or above streamingThreshold
+     */
+    canStream(filename, fileSize) {
+        const extension = path.extname(String(filename || '')).toLowerCase();
+        return this.supportedExtensions.includes(extension) && fileSize >= this.streamingThreshold;
+    }
+
+    /**
+     * Iterate over the rows of every worksheet, one worksheet after another.
+     * Rows without cells are not stored in .xlsx files, so row numbers can skip.
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {Function} onSheetNames - Optional; called with every sheet name in workbook order before the first row
+     * @returns {AsyncGenerator<Object>} { sheetName, rowNumber, values } where values are cell texts from column A
+     */
+    async *readRows(filePath, onSheetNames = null) {
+        const { reader, worksheets, first } = await this.openWorksheets(filePath);
+
+        // xl/workbook.xml has been read by the time the first worksheet is reached
+        if (onSheetNames && !first.done) {
+            await onSheetNames(((reader.model && reader.model.sheets) || []).map(sheet => sheet.name));
+        }
+
+        for (let next = first; !next.done; next = await worksheets.next()) {
+            const worksheet = next.value;
+            for await (const row of worksheet) {
+                yield { sheetName: worksheet.name, rowNumber: row.number, values: this.rowValues(row) };
+            }
+        }
+    }
+
+    /**
+     * Open a WorkbookReader and wait for its first worksheet.
+     * exceljs can lose zip entries that follow a large worksheet, xl/workbook.xml among them, and then
+     * fails before any worksheet is emitted; nothing has been read at that point, so a fresh reader is tried.
+     * @param {string} filePath - Path of the .xlsx file
+     * @returns {Promise<Object>} { reader, worksheets, first } where worksheets is the reader's iterator and first its first result
+     */
+    async openWorksheets(filePath) {
+        for (let attempt = 1; ; attempt++) {
+            const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+                worksheets: 'emit',
+                sharedStrings: 'cache',
+                hyperlinks: 'ignore',
+                styles: 'ignore',
+                entries: 'ignore'
+            });
+            const worksheets = reader[Symbol.asyncIterator]();
+
+            try {
+                return { reader, worksheets, first: await worksheets.next() };
+            } catch (error) {
+                if (reader.model) throw error;
+                if (attempt >= this.maxReadAttempts) {
+                    throw new Error('Could not read the workbook structure; re-save the file in Excel and upload it again');
+                }
+            }
+        }
+    }
+
+    /**
+     * Read the first rows of every worksheet into a small workbook, counting all rows on the way
+     * @param {string} filePath - Path of the .xlsx file
+     * @param {number} sampleRows - Rows kept per worksheet
+     * @returns {Promise<Object>} { sheets: [{ name, rows, rowCount }] } where rows is a 2D array starting at row 1
+     */
+    async readSample(filePath, sampleRows) {
+        const sheets = [];
+        let current = null;
+
+        for await (const { sheetName, rowNumber, values } of this.readRows(filePath)) {
+            if (!current || current.name !== sheetName) {
+                current = { name: sheetName, rows: [], rowCount: 0 };
+                sheets.push(current);
+            }
+
+            current.rowCount++;
+            if (rowNumber <= sampleRows) {
+                current.rows[rowNumber - 1] = values;
+            }
+        }
+
+        for (const sheet of sheets) {
+            sheet.rows = Array.from(sheet.rows, row => row || []);
+        }
+
+        return { sheets };
+    }
+
+    /**
+     * Convert an exceljs row into cell texts indexed from column A
+     * @param {Object} row - exceljs Row
+     * @returns {Array} Cell texts, '' for empty cells
+     */
+    rowValues(row) {
+        const values = [];
+        row.eachCell({ includeEmpty: false }, (cell, column) => {
+            values[column - 1] = this.cellText(cell.value);
+        });
+
+        return Array.from(values, value => (value === undefined ? '' : value));
+    }
+
+    /**
+     * Turn an exceljs cell value into the text XLSX.utils.sheet_to_json would give with raw: false
+     * @param {*} value - exceljs cell value
+     * @returns {string} Cell text
+     */
+    cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().slice(0, 10);
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value !== 'object') return String(value);
+
+        // Rich text, hyperlinks and formulas wrap the text or result in an object
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return this.cellText(value.text);
+        if (value.formula !== undefined || value.sharedFormula !== undefined) return this.cellText(value.result);
+
+        // Error values such as #N/A carry no data
+        return '';
+    }
+}
+
+module.exports = StreamingWorkbookReader;
@@ -1,4 +1,5 @@
 const XLSX = require('xlsx');
+const singaporePhoneValidator = require('./singaporePhoneValidator');
 
 /**
  * Worksheet Detector Component
@@ -6,8 +7,8 @@ const XLSX = require('xlsx');
  */
 class WorksheetDetector {
     constructor() {
-        // Phone number patterns for detection
-        this.phonePattern = /^[689]\d{7}$/;
+        // Phone numbers are checked with the shared validator, against every accepted country
+        this.phoneValidator = singaporePhoneValidator;
         
         // Header patterns that suggest phone data
         this.phoneHeaderPatterns = [
@@ -522,6 +523,42 @@ class WorksheetDetector {
         });
     }
 
+    /**
+     * Pick the worksheets to import when the user has not chosen any.
+     * Sheets must pass prioritizeWorksheets and have phone numbers in their sampled rows, which leaves out
+     * pivot summaries and notes tabs that only mention "phone" in a header. When no sheet qualifies,
+     * falls back to the prioritized sheets and then to every sheet with data.
+     * @param {Array} worksheetAnalysis - Array of worksheet analysis results
+     * @returns {Array} Sheet names in workbook order
+     */
+    selectDataWorksheets(worksheetAnalysis) {
+        if (!Array.isArray(worksheetAnalysis)) {
+            return [];
+        }
+
+        const prioritized = this.prioritizeWorksheets(worksheetAnalysis);
+        const withPhoneData = prioritized.filter(ws => this.isDataWorksheet(ws));
+
+        let selected = withPhoneData.length > 0 ? withPhoneData : prioritized;
+        if (selected.length === 0) {
+            selected = worksheetAnalysis.filter(ws => ws.hasData);
+        }
+
+        const names = new Set(selected.map(ws => ws.name));
+        return worksheetAnalysis.filter(ws => names.has(ws.name)).map(ws => ws.name);
+    }
+
+    /**
+     * Check one worksheet against selectDataWorksheets' first rule on its own, for callers that see
+     * worksheets one at a time: it passes prioritizeWorksheets and has phone numbers in its sampled rows
+     * @param {Object} analysis - Worksheet analysis result
+     * @returns {boolean} True if the worksheet looks like data to import
+     */
+    isDataWorksheet(analysis) {
+        return !!analysis && !!analysis.hasData && analysis.score >= this.minConfidenceScore &&
+            !!analysis.details && analysis.details.dataPatternScore > 0;
+    }
+
     /**
      * Determine confidence level based on score
      * @param {number} score - Numerical score (0-1)
@@ -535,35 +572,25 @@ class WorksheetDetector {
     }
 
     /**
-     * Clean phone number for validation
+     * Clean phone number for validation with the shared validator, keeping a + and its country code
      * @param {string} phoneNumber - Raw phone number
      * @returns {string|null} Cleaned phone number or null
      */
     cleanPhoneNumber(phoneNumber) {
-        if (!phoneNumber) return null;
-        
-        const cleaned = String(phoneNumber).replace(/\D/g, '');
-        
-        // Remove Singapore country code if present
-        if (cleaned.startsWith('65') && cleaned.length === 10) {
-            return cleaned.substring(2);
-        }
-        
-        return cleaned || null;
+        return this.phoneValidator.cleanPhone(phoneNumber);
     }
 
     /**
-     * Validate Singapore phone number format
+     * Check whether a value is a phone number of one of the accepted countries
      * @param {string} phoneNumber - Phone number to validate
-     * @returns {boolean} True if valid Singapore phone number
+     * @returns {boolean} True if valid in an accepted country
      */
     validatePhoneNumber(phoneNumber) {
         if (!phoneNumber || typeof phoneNumber !== 'string') {
             return false;
         }
 
-        const cleanNumber = phoneNumber.replace(/\D/g, '');
-        return this.phonePattern.test(cleanNumber);
+        return this.phoneValidator.isAcceptedPhone(phoneNumber);
     }
 
     /**
@@ -46,7 +46,10 @@ class Config {
     get upload() {
         return {
             directory: process.env.UPLOAD_DIR || './uploads',
-            maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
+            // One limit for multer, FileManager validation and the import pipeline
+            maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024, // 50MB
+            // .xlsx uploads at or above this size are streamed from disk instead of parsed in memory
+            streamingThreshold: parseInt(process.env.XLSX_STREAMING_THRESHOLD) || 5 * 1024 * 1024, // 5MB
             allowedMimeTypes: ['application/pdf'],
             tempDirectory: process.env.TEMP_DIR || './uploads/temp'
         };
@@ -64,11 +67,23 @@ class Config {
     }
 
     /**
-     * Singapore phone validation configuration
+     * Phone validation configuration
+     * Numbers are read as numbers of defaultCountry unless they carry a country code, and are valid
+     * when they belong to one of acceptedCountries (ISO 3166 codes, e.g. SG,MY,ID). Only defaultCountry is
+     * accepted unless ACCEPTED_PHONE_COUNTRIES lists more.
      */
     get phoneValidation() {
+        const singaporeCountryCode = process.env.SINGAPORE_COUNTRY_CODE || 'SG';
+        const defaultCountry = (process.env.DEFAULT_PHONE_COUNTRY || singaporeCountryCode).trim().toUpperCase();
+        const acceptedCountries = (process.env.ACCEPTED_PHONE_COUNTRIES || defaultCountry)
+            .split(',')
+            .map(country => country.trim().toUpperCase())
+            .filter(Boolean);
+
         return {
-            singaporeCountryCode: process.env.SINGAPORE_COUNTRY_CODE || 'SG',
+            singaporeCountryCode,
+            defaultCountry,
+            acceptedCountries: acceptedCountries.includes(defaultCountry) ? acceptedCountries : [defaultCountry, ...acceptedCountries],
             batchValidationSize: parseInt(process.env.BATCH_VALIDATION_SIZE) || 1000,
             enableValidationLogging: process.env.ENABLE_VALIDATION_LOGGING === 'true'
         };
@@ -85,6 +100,17 @@ class Config {
         };
     }
 
+    /**
+     * Background job queue configuration
+     */
+    get jobs() {
+        return {
+            pollInterval: parseInt(process.env.JOB_POLL_INTERVAL) || 1000,
+            progressInterval: parseInt(process.env.JOB_PROGRESS_INTERVAL) || 1000,
+            enableWorker: process.env.ENABLE_JOB_WORKER !== 'false'
+        };
+    }
+
     /**
      * Graceful shutdown configuration
      */
@@ -236,6 +262,7 @@ class Config {
             logging: this.logging,
             phoneValidation: this.phoneValidation,
             dualTable: this.dualTable,
+            jobs: this.jobs,
             shutdown: this.shutdown,
             app: this.app
         };
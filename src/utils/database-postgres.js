@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const config = require('./config');
+const { POSTAL_DISTRICTS } = require('./postalDistricts');
 
 class PostgresDatabaseManager {
     constructor() {
@@ -12,17 +13,532 @@ class PostgresDatabaseManager {
 
     /**
      * Ensure new optional columns exist in check_table
-     * Adds carrier and line_type if they are missing
+     * Adds carrier, line_type and import_batch_id if they are missing
      */
     async ensureOptionalColumns() {
         try {
             await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS carrier VARCHAR(100) NULL`);
             await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS line_type VARCHAR(50) NULL`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS import_batch_id INT NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_batch_id ON check_table (import_batch_id)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_group_id VARCHAR(100) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_group_id ON check_table (phone_group_id)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS postal_code VARCHAR(6) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_postal_code ON check_table (postal_code)`);
+            for (const column of ['address_block VARCHAR(20)', 'address_street VARCHAR(255)', 'address_unit VARCHAR(20)', 'address_building VARCHAR(255)']) {
+                await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS ${column} NULL`);
+            }
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS additional_emails TEXT NULL`);
+            for (const column of ['company_name_raw', 'physical_address_raw', 'email_raw', 'website_raw']) {
+                await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS ${column} TEXT NULL`);
+            }
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS email_status VARCHAR(20) NULL`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS website_status VARCHAR(20) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_email_status ON check_table (email_status)`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_website_status ON check_table (website_status)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_e164 VARCHAR(20) NULL`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_type VARCHAR(30) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_key ON check_table ((COALESCE(phone_e164, phone)))`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_type ON check_table (phone_type)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_invalid_reason VARCHAR(30) NULL`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_invalid_country CHAR(2) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_invalid_reason ON check_table (phone_invalid_reason)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_country CHAR(2) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_country ON check_table (phone_country)`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_raw TEXT NULL`);
+            await this.query(`ALTER TABLE check_table ADD COLUMN IF NOT EXISTS phone_validator_version VARCHAR(100) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_validator_version ON check_table (phone_validator_version)`);
         } catch (err) {
             console.warn('ensureOptionalColumns warning:', err.message);
         }
     }
 
+    /**
+     * Ensure tables used by the Excel import workflow exist
+     * Creates import_mapping_profiles, import_batches, import_batch_rows, import_batch_issues, import_conflicts and background_jobs if they are missing
+     */
+    async ensureImportTables() {
+        try {
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS import_mapping_profiles (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(150) NOT NULL UNIQUE,
+                    header_fingerprint VARCHAR(64) NULL,
+                    headers JSONB NOT NULL DEFAULT '[]',
+                    sheet_name VARCHAR(255) NULL,
+                    header_row_offset INT NOT NULL DEFAULT 0,
+                    column_mapping JSONB NOT NULL,
+                    id_strategy VARCHAR(20) NOT NULL DEFAULT 'column',
+                    created_by INT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_mapping_profiles_fingerprint ON import_mapping_profiles (header_fingerprint)`);
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS import_batches (
+                    id SERIAL PRIMARY KEY,
+                    filename VARCHAR(255) NULL,
+                    checksum VARCHAR(64) NULL,
+                    uploaded_by INT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+                    total_rows INT NOT NULL DEFAULT 0,
+                    inserted_rows INT NOT NULL DEFAULT 0,
+                    updated_rows INT NOT NULL DEFAULT 0,
+                    valid_rows INT NOT NULL DEFAULT 0,
+                    invalid_rows INT NOT NULL DEFAULT 0,
+                    error_count INT NOT NULL DEFAULT 0,
+                    errors JSONB NOT NULL DEFAULT '[]',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    completed_at TIMESTAMP NULL,
+                    rolled_back_at TIMESTAMP NULL,
+                    rolled_back_by INT NULL
+                )
+            `);
+            // Original file kept by FileManager so the exact upload can be downloaded again
+            await this.query(`ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS stored_filename VARCHAR(255) NULL`);
+            await this.query(`ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS file_size BIGINT NULL`);
+            await this.query(`ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS job_id INT NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_batches_stored_filename ON import_batches (stored_filename)`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_batches_checksum ON import_batches (checksum)`);
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS import_batch_rows (
+                    id SERIAL PRIMARY KEY,
+                    batch_id INT NOT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+                    record_id VARCHAR(100) NOT NULL,
+                    action VARCHAR(10) NOT NULL,
+                    previous_values JSONB NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_batch_rows_batch ON import_batch_rows (batch_id)`);
+            // Rejected, skipped and warning rows of a batch, used for the annotated result report
+            await this.query(`ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS issue_count INT NOT NULL DEFAULT 0`);
+            await this.query(`ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS header_rows JSONB NOT NULL DEFAULT '{}'`);
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS import_batch_issues (
+                    id SERIAL PRIMARY KEY,
+                    batch_id INT NOT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+                    sheet_name VARCHAR(255) NULL,
+                    row_number INT NULL,
+                    severity VARCHAR(20) NOT NULL,
+                    reason TEXT NOT NULL,
+                    record_id VARCHAR(100) NULL,
+                    original_values JSONB NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_batch_issues_batch ON import_batch_issues (batch_id)`);
+            // File values a 'flag' conflict policy kept out of check_table until someone reviews them
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS import_conflicts (
+                    id SERIAL PRIMARY KEY,
+                    batch_id INT NULL REFERENCES import_batches (id) ON DELETE CASCADE,
+                    record_id VARCHAR(100) NOT NULL,
+                    source_record_id VARCHAR(100) NULL,
+                    field VARCHAR(50) NOT NULL,
+                    existing_value TEXT NULL,
+                    incoming_value TEXT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    resolved_by INT NULL,
+                    resolved_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.query(`ALTER TABLE import_conflicts ADD COLUMN IF NOT EXISTS incoming_raw TEXT NULL`);
+            await this.query(`ALTER TABLE import_conflicts ADD COLUMN IF NOT EXISTS incoming_country CHAR(2) NULL`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_conflicts_status ON import_conflicts (status)`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_import_conflicts_batch ON import_conflicts (batch_id)`);
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS background_jobs (
+                    id SERIAL PRIMARY KEY,
+                    type VARCHAR(50) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+                    payload JSONB NOT NULL DEFAULT '{}',
+                    progress JSONB NOT NULL DEFAULT '{}',
+                    result JSONB NULL,
+                    error TEXT NULL,
+                    created_by INT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    started_at TIMESTAMP NULL,
+                    finished_at TIMESTAMP NULL
+                )
+            `);
+            // Jobs used to carry the uploaded file; they now name the stored copy in their payload
+            await this.query(`ALTER TABLE background_jobs DROP COLUMN IF EXISTS file_data`);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_background_jobs_status ON background_jobs (status)`);
+        } catch (err) {
+            console.warn('ensureImportTables warning:', err.message);
+        }
+    }
+
+    /**
+     * Ensure the phone_repairs audit table and the phone_repair_suggestions cache exist
+     * Records each invalid phone replaced by an accepted repair suggestion, with the original value
+     */
+    async ensurePhoneRepairTable() {
+        try {
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS phone_repairs (
+                    id SERIAL PRIMARY KEY,
+                    record_id VARCHAR(100) NOT NULL,
+                    original_phone VARCHAR(50) NOT NULL,
+                    original_raw TEXT NULL,
+                    repaired_phone VARCHAR(50) NOT NULL,
+                    rule VARCHAR(30) NOT NULL,
+                    confidence NUMERIC(3,2) NOT NULL,
+                    repaired_by INT NULL,
+                    repaired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_phone_repairs_record ON phone_repairs (record_id)`);
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS phone_repair_suggestions (
+                    record_id VARCHAR(100) PRIMARY KEY,
+                    phone VARCHAR(50) NULL,
+                    phone_raw TEXT NULL,
+                    phone_country CHAR(2) NULL,
+                    validator_version VARCHAR(100) NULL,
+                    candidates JSONB NOT NULL DEFAULT '[]',
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        } catch (err) {
+            console.warn('ensurePhoneRepairTable warning:', err.message);
+        }
+    }
+
+    /**
+     * Ensure the postal_sectors lookup exists and is filled from POSTAL_DISTRICTS
+     * Rows imported before addresses were parsed get a postal code taken from physical_address
+     */
+    async ensurePostalSectors() {
+        try {
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS postal_sectors (
+                    sector CHAR(2) PRIMARY KEY,
+                    district SMALLINT NOT NULL,
+                    location VARCHAR(255) NOT NULL,
+                    region VARCHAR(20) NOT NULL
+                )
+            `);
+            await this.query(`CREATE INDEX IF NOT EXISTS idx_postal_sectors_district ON postal_sectors (district)`);
+
+            const rows = [].concat(...POSTAL_DISTRICTS.map(({ district, sectors, location, region }) =>
+                sectors.map(sector => [sector, district, location, region])
+            ));
+            await this.query(`
+                INSERT INTO postal_sectors (sector, district, location, region)
+                SELECT * FROM UNNEST($1::char(2)[], $2::smallint[], $3::varchar[], $4::varchar[])
+                ON CONFLICT (sector) DO UPDATE
+                SET district = EXCLUDED.district, location = EXCLUDED.location, region = EXCLUDED.region
+            `, [0, 1, 2, 3].map(column => rows.map(row => row[column])));
+
+            // Imports since address parsing keep the file's address in physical_address_raw; older rows have none
+            await this.query(`
+                UPDATE check_table c
+                SET postal_code = found.code
+                FROM (
+                    SELECT id, COALESCE(
+                        substring(physical_address FROM '(?:[Ss]ingapore|\\m[Ss])\\s*\\(?\\s*(\\d{6})\\M'),
+                        substring(physical_address FROM '\\m(\\d{6})\\M')
+                    ) AS code
+                    FROM check_table
+                    WHERE postal_code IS NULL AND physical_address_raw IS NULL AND physical_address ~ '\\d{6}'
+                ) found
+                WHERE c.id = found.id
+                  AND EXISTS (SELECT 1 FROM postal_sectors ps WHERE ps.sector = LEFT(found.code, 2))
+            `);
+        } catch (err) {
+            console.warn('ensurePostalSectors warning:', err.message);
+        }
+    }
+
+    /**
+     * Build a WHERE condition limiting check_table rows (alias c) to postal districts or a region
+     * @param {Object} filters - { districts: [1-28], region }
+     * @param {Array} params - Query parameters; filter values are appended
+     * @returns {string} SQL condition, or '' when no filter is set
+     */
+    buildPostalFilter(filters = {}, params = []) {
+        const conditions = [];
+
+        if (Array.isArray(filters.districts) && filters.districts.length > 0) {
+            params.push(filters.districts);
+            conditions.push(`ps.district = ANY($${params.length}::int[])`);
+        }
+        if (filters.region) {
+            params.push(filters.region);
+            conditions.push(`ps.region = $${params.length}`);
+        }
+
+        if (conditions.length === 0) return '';
+        return `EXISTS (SELECT 1 FROM postal_sectors ps WHERE ps.sector = LEFT(c.postal_code, 2) AND ${conditions.join(' AND ')})`;
+    }
+
+    /**
+     * Build a WHERE condition limiting check_table rows (alias c) to email and website validation statuses
+     * @param {Object} filters - { emailStatuses, websiteStatuses } where 'missing' matches rows without a status
+     * @param {Array} params - Query parameters; filter values are appended
+     * @returns {string} SQL condition, or '' when no filter is set
+     */
+    buildContactStatusFilter(filters = {}, params = []) {
+        const conditions = [];
+
+        for (const [key, column] of [['emailStatuses', 'email_status'], ['websiteStatuses', 'website_status']]) {
+            if (Array.isArray(filters[key]) && filters[key].length > 0) {
+                params.push(filters[key]);
+                conditions.push(`COALESCE(c.${column}, 'missing') = ANY($${params.length}::text[])`);
+            }
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * Build a condition that is true when another check_table row has the same phone key as row alias:
+     * its E.164 form, else the stored phone, so 6591234567 and 91234567 count as the same number
+     * @param {string} alias - Alias of the check_table row
+     * @returns {string} SQL condition
+     */
+    buildDuplicatePhoneCondition(alias = 'c') {
+        const key = table => `COALESCE(${table}.phone_e164, ${table}.phone)`;
+        return `(${key(alias)} <> '' AND EXISTS (
+            SELECT 1 FROM check_table d WHERE ${key('d')} = ${key(alias)} AND d.id <> ${alias}.id
+        ))`;
+    }
+
+    /**
+     * Build a WHERE condition limiting check_table rows (alias c) to what an export selects
+     * @param {Object} filters - { usableContact: { emailStatuses, websiteStatuses }, noData: { placeholderPatterns },
+     * invalidPhone: { reasons } } where usableContact keeps rows whose email or website has one of the statuses,
+     * noData keeps rows whose company name, address, email and website are all empty or placeholders
+     * (case-insensitive regular expression sources) and invalidPhone keeps rows with an invalid phone that no
+     * other row shares, limited to the invalid reasons given, if any
+     * @param {Array} params - Query parameters; filter values are appended
+     * @returns {string} SQL condition, or '' when no filter is set
+     */
+    buildRecordContentFilter(filters = {}, params = []) {
+        const conditions = [];
+
+        if (filters.usableContact) {
+            params.push(filters.usableContact.emailStatuses, filters.usableContact.websiteStatuses);
+            conditions.push(`(c.email_status = ANY($${params.length - 1}::text[]) OR c.website_status = ANY($${params.length}::text[]))`);
+        }
+        if (filters.noData) {
+            params.push(filters.noData.placeholderPatterns);
+            const empty = column => `(COALESCE(TRIM(c.${column}), '') = '' OR TRIM(c.${column}) ~* ANY($${params.length}::text[]))`;
+            conditions.push(`(${['company_name', 'physical_address', 'email', 'website'].map(empty).join(' AND ')})`);
+        }
+        if (filters.invalidPhone) {
+            conditions.push(`c.status IS NOT TRUE AND NOT ${this.buildDuplicatePhoneCondition('c')}`);
+            if (Array.isArray(filters.invalidPhone.reasons) && filters.invalidPhone.reasons.length > 0) {
+                // Rows never checked by the validator have no reason until the startup revalidation reaches them
+                params.push(filters.invalidPhone.reasons);
+                conditions.push(`COALESCE(c.phone_invalid_reason, 'invalid_number') = ANY($${params.length}::text[])`);
+            }
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * Build the WHERE condition for the record list filters: postal district or region, contact statuses
+     * and export selections
+     * @param {Object} filters - As for buildPostalFilter, buildContactStatusFilter and buildRecordContentFilter
+     * @param {Array} params - Query parameters; filter values are appended
+     * @returns {string} SQL condition, or '' when no filter is set
+     */
+    buildRecordFilter(filters = {}, params = []) {
+        return [
+            this.buildPostalFilter(filters, params),
+            this.buildContactStatusFilter(filters, params),
+            this.buildRecordContentFilter(filters, params)
+        ]
+            .filter(Boolean)
+            .join(' AND ');
+    }
+
+    /**
+     * Find rows with an email or website but no validation status for it, such as rows stored before
+     * statuses were kept. Rows come in ID order after afterId so callers can page through them.
+     * @param {string} afterId - Last ID of the previous page, or '' to start
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>} Rows { id, email, website, email_status, website_status }
+     */
+    async getRecordsWithoutContactStatus(afterId = '', limit = 1000) {
+        return await this.query(`
+            SELECT id, email, website, email_status, website_status
+            FROM check_table
+            WHERE id > $1
+              AND ((email_status IS NULL AND COALESCE(email, '') <> '')
+                OR (website_status IS NULL AND COALESCE(website, '') <> ''))
+            ORDER BY id
+            LIMIT $2
+        `, [afterId, parseInt(limit)]);
+    }
+
+    /**
+     * Store email and website validation statuses
+     * @param {Array} rows - [{ id, emailStatus, websiteStatus }]
+     * @returns {Promise<number>} Rows updated
+     */
+    async updateContactStatuses(rows) {
+        if (rows.length === 0) return 0;
+
+        const client = await this.getConnection();
+        try {
+            const result = await client.query(`
+                UPDATE check_table c
+                SET email_status = u.email_status, website_status = u.website_status
+                FROM unnest($1::varchar[], $2::varchar[], $3::varchar[]) AS u (id, email_status, website_status)
+                WHERE c.id = u.id
+            `, [rows.map(row => row.id), rows.map(row => row.emailStatus), rows.map(row => row.websiteStatus)]);
+            return result.rowCount;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Build a WHERE condition limiting check_table rows (alias c) for phone revalidation
+     * @param {Object} filters - { status: 'valid'|'invalid', outdatedFrom: current validator version, countries, importBatchId }
+     * where outdatedFrom keeps rows checked by any other validator version, or never checked with one
+     * @param {Array} params - Query parameters; filter values are appended
+     * @returns {string} SQL condition, or '' when no filter is set
+     */
+    buildPhoneValidationFilter(filters = {}, params = []) {
+        const conditions = [];
+
+        if (filters.status === 'valid') conditions.push('c.status IS TRUE');
+        if (filters.status === 'invalid') conditions.push('c.status IS NOT TRUE');
+        if (filters.outdatedFrom) {
+            params.push(filters.outdatedFrom);
+            conditions.push(`c.phone_validator_version IS DISTINCT FROM $${params.length}`);
+        }
+        if (Array.isArray(filters.countries) && filters.countries.length > 0) {
+            params.push(filters.countries);
+            conditions.push(`c.phone_country = ANY($${params.length}::text[])`);
+        }
+        if (filters.importBatchId) {
+            params.push(parseInt(filters.importBatchId));
+            conditions.push(`c.import_batch_id = $${params.length}`);
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * Count rows matching phone revalidation filters
+     * @param {Object} filters - As for buildPhoneValidationFilter
+     * @returns {Promise<number>} Row count
+     */
+    async countPhoneRecordsForRevalidation(filters = {}) {
+        const params = [];
+        const filter = this.buildPhoneValidationFilter(filters, params);
+        const result = await this.query(`SELECT COUNT(*) AS count FROM check_table c${filter ? ` WHERE ${filter}` : ''}`, params);
+        return parseInt(result[0]?.count || 0);
+    }
+
+    /**
+     * Find rows matching phone revalidation filters, in ID order after afterId so callers can page through them
+     * @param {Object} filters - As for buildPhoneValidationFilter
+     * @param {string} afterId - Last ID of the previous page, or '' to start
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>} Rows { id, phone, phone_country, status }
+     */
+    async getPhoneRecordsForRevalidation(filters = {}, afterId = '', limit = 1000) {
+        const params = [afterId, parseInt(limit)];
+        const filter = this.buildPhoneValidationFilter(filters, params);
+
+        return await this.query(`
+            SELECT c.id, c.phone, c.phone_country, c.status
+            FROM check_table c
+            WHERE c.id > $1${filter ? ` AND ${filter}` : ''}
+            ORDER BY c.id
+            LIMIT $2
+        `, params);
+    }
+
+    /**
+     * Store the validation status, country, E.164 form, number type, invalid reason and validator version of phone numbers
+     * @param {Array} rows - [{ id, status, country, phoneE164, phoneType, invalidReason, invalidCountry, validatorVersion }]
+     * @returns {Promise<number>} Rows updated
+     */
+    async updatePhoneClassifications(rows) {
+        if (rows.length === 0) return 0;
+
+        const client = await this.getConnection();
+        try {
+            const result = await client.query(`
+                UPDATE check_table c
+                SET status = u.status, phone_country = u.phone_country, phone_e164 = u.phone_e164, phone_type = u.phone_type,
+                    phone_invalid_reason = u.phone_invalid_reason, phone_invalid_country = u.phone_invalid_country,
+                    phone_validator_version = u.phone_validator_version
+                FROM unnest($1::varchar[], $2::boolean[], $3::varchar[], $4::varchar[], $5::varchar[], $6::varchar[], $7::varchar[], $8::varchar[])
+                    AS u (id, status, phone_country, phone_e164, phone_type, phone_invalid_reason, phone_invalid_country, phone_validator_version)
+                WHERE c.id = u.id
+            `, [
+                rows.map(row => row.id),
+                rows.map(row => row.status),
+                rows.map(row => row.country),
+                rows.map(row => row.phoneE164),
+                rows.map(row => row.phoneType),
+                rows.map(row => row.invalidReason),
+                rows.map(row => row.invalidCountry),
+                rows.map(row => row.validatorVersion)
+            ]);
+            return result.rowCount;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Store the validation result of one record's phone: status, country, E.164 form, number type, invalid reason
+     * and validator version
+     * @param {string} id - Record ID
+     * @param {Object} classification - Result of SingaporePhoneValidator.classifyPhone
+     * @returns {Promise<boolean>} True if the record was updated
+     */
+    async updatePhoneValidation(id, classification) {
+        const client = await this.getConnection();
+        try {
+            const result = await client.query(`
+                UPDATE check_table
+                SET status = $2, phone_e164 = $3, phone_type = $4,
+                    phone_invalid_reason = $5, phone_invalid_country = $6, phone_country = $7, phone_validator_version = $8,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [
+                id,
+                classification.isValid,
+                classification.e164,
+                classification.type,
+                classification.invalidReason,
+                classification.invalidCountry,
+                classification.country,
+                classification.validatorVersion
+            ]);
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * List postal districts with their sectors, for filters
+     * @returns {Promise<Array>} [{ district, location, region, sectors }]
+     */
+    async getPostalDistricts() {
+        return await this.query(`
+            SELECT district, MIN(location) AS location, MIN(region) AS region, array_agg(sector ORDER BY sector) AS sectors
+            FROM postal_sectors
+            GROUP BY district
+            ORDER BY district
+        `);
+    }
+
     /**
      * Create PostgreSQL connection pool
      */
@@ -278,15 +794,15 @@ class PostgresDatabaseManager {
     /**
      * Insert record into check_table with validation status
      */
-    async insertCheckRecord(id, phone, status, companyName = null, physicalAddress = null, email = null, website = null) {
+    async insertCheckRecord(id, phone, status, companyName = null, physicalAddress = null, email = null, website = null, importBatchId = null) {
         const numericId = this.extractNumericId(id);
 
         const sql = `
-            INSERT INTO check_table (id, numeric_id, phone, status, company_name, physical_address, email, website)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            INSERT INTO check_table (id, numeric_id, phone, status, company_name, physical_address, email, website, import_batch_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         `;
         try {
-            const result = await this.query(sql, [id, numericId, phone, status, companyName, physicalAddress, email, website]);
+            const result = await this.query(sql, [id, numericId, phone, status, companyName, physicalAddress, email, website, importBatchId]);
             return result;
         } catch (error) {
             if (error.code === '23505') { // unique_violation
@@ -302,15 +818,36 @@ class PostgresDatabaseManager {
      */
     async updateCheckRecord(id, companyData) {
         const { companyName, physicalAddress, email, website } = companyData;
+        const params = [companyName, physicalAddress, email, website, id];
+        // A manual edit takes the row out of its import, so rolling that import back leaves the edit alone
+        const assignments = ['company_name = $1', 'physical_address = $2', 'email = $3', 'website = $4', 'import_batch_id = NULL'];
+
+        // Parsed address parts, contact statuses and the phone status, when given, are replaced so they follow the edited values
+        const derived = {};
+        if (companyData.address) {
+            const { postalCode, block, street, unit, building } = companyData.address;
+            Object.assign(derived, { postal_code: postalCode, address_block: block, address_street: street, address_unit: unit, address_building: building });
+        }
+        if (companyData.statuses) {
+            Object.assign(derived, { email_status: companyData.statuses.email, website_status: companyData.statuses.website });
+        }
+        if (companyData.status !== undefined) {
+            derived.status = companyData.status;
+        }
+        for (const [column, value] of Object.entries(derived)) {
+            params.push(value);
+            assignments.push(`${column} = $${params.length}`);
+        }
+
         const sql = `
             UPDATE check_table
-            SET company_name = $1, physical_address = $2, email = $3, website = $4
+            SET ${assignments.join(', ')}
             WHERE id = $5
         `;
         try {
             const client = await this.getConnection();
             try {
-                const result = await client.query(sql, [companyName, physicalAddress, email, website, id]);
+                const result = await client.query(sql, params);
                 return result; // Return full result object with rowCount
             } finally {
                 client.release();
@@ -328,11 +865,14 @@ class PostgresDatabaseManager {
         const offset = parseInt(Math.max(0, start - 1));
 
         const sql = `
-            SELECT id, numeric_id, phone, status,
-                   company_name, physical_address,
-                   email, website, carrier, line_type, real_existence, created_at, updated_at
-            FROM check_table
-            ORDER BY numeric_id ASC, id ASC
+            SELECT c.id, c.numeric_id, c.phone, c.status,
+                   c.company_name, c.physical_address,
+                   c.email, c.website, c.carrier, c.line_type, c.real_existence, c.created_at, c.updated_at,
+                   c.postal_code, ps.district AS postal_district, ps.region AS postal_region,
+                   c.phone_e164, c.phone_type, c.phone_invalid_reason, c.phone_invalid_country, c.phone_country
+            FROM check_table c
+            LEFT JOIN postal_sectors ps ON ps.sector = LEFT(c.postal_code, 2)
+            ORDER BY c.numeric_id ASC, c.id ASC
             LIMIT $1 OFFSET $2
         `;
 
@@ -341,29 +881,132 @@ class PostgresDatabaseManager {
 
     /**
      * Get check_table records with pagination
+     * sibling_phones lists the other numbers imported from the same source row; is_duplicate is true when
+     * another row has the same phone (see buildDuplicatePhoneCondition)
+     * @param {Object} filters - Optional postal, contact status and export filters (see buildRecordFilter)
      */
-    async getCheckRecords(limit = 50, offset = 0) {
+    async getCheckRecords(limit = 50, offset = 0, filters = {}) {
+        const params = [parseInt(limit), parseInt(offset)];
+        const recordFilter = this.buildRecordFilter(filters, params);
+
         const sql = `
-            SELECT id, numeric_id, phone, status,
-                   company_name, physical_address,
-                   email, website, carrier, line_type, real_existence, created_at, updated_at
-            FROM check_table
-            ORDER BY numeric_id ASC, id ASC
+            SELECT c.id, c.numeric_id, c.phone, c.status,
+                   c.company_name, c.physical_address,
+                   c.email, c.website, c.carrier, c.line_type, c.real_existence, c.created_at, c.updated_at,
+                   c.phone_group_id,
+                   c.postal_code, c.address_block, c.address_street, c.address_unit, c.address_building,
+                   ps.district AS postal_district, ps.region AS postal_region,
+                   c.email_status, c.website_status, c.phone_e164, c.phone_type,
+                   c.phone_invalid_reason, c.phone_invalid_country, c.phone_country,
+                   CASE WHEN c.phone_group_id IS NULL THEN NULL ELSE (
+                       SELECT array_agg(s.phone ORDER BY s.id)
+                       FROM check_table s
+                       WHERE s.phone_group_id = c.phone_group_id AND s.id <> c.id
+                   ) END AS sibling_phones,
+                   ${this.buildDuplicatePhoneCondition('c')} AS is_duplicate
+            FROM check_table c
+            LEFT JOIN postal_sectors ps ON ps.sector = LEFT(c.postal_code, 2)
+            ${recordFilter ? `WHERE ${recordFilter}` : ''}
+            ORDER BY c.numeric_id ASC, c.id ASC
             LIMIT $1 OFFSET $2
         `;
 
-        return await this.query(sql, [parseInt(limit), parseInt(offset)]);
+        return await this.query(sql, params);
     }
 
     /**
      * Get total count of check_table records
+     * @param {Object} filters - Optional postal, contact status and export filters (see buildRecordFilter)
      */
-    async getCheckRecordsCount() {
-        const sql = 'SELECT COUNT(*) as count FROM check_table';
-        const result = await this.query(sql);
+    async getCheckRecordsCount(filters = {}) {
+        const params = [];
+        const recordFilter = this.buildRecordFilter(filters, params);
+        const sql = `SELECT COUNT(*) as count FROM check_table c${recordFilter ? ` WHERE ${recordFilter}` : ''}`;
+        const result = await this.query(sql, params);
         return parseInt(result[0]?.count || 0);
     }
 
+    /**
+     * Count phone keys (E.164 form, else the stored phone) shared by more than one check_table row
+     * @returns {Promise<number>} Duplicated phone numbers
+     */
+    async countDuplicatePhones() {
+        const result = await this.query(`
+            SELECT COUNT(*) AS count FROM (
+                SELECT 1 FROM check_table
+                WHERE COALESCE(phone_e164, phone) <> ''
+                GROUP BY COALESCE(phone_e164, phone)
+                HAVING COUNT(*) > 1
+            ) duplicated
+        `);
+        return parseInt(result[0]?.count || 0);
+    }
+
+    /**
+     * Work out the validation statistics of check_table in SQL. Rows whose phone another row shares count
+     * as duplicates only; the others count as valid or invalid by status. Email and website statuses not yet
+     * worked out count as missing, as in buildContactStatusFilter.
+     * @param {Object} usableContact - { emailStatuses, websiteStatuses } that make a row finished
+     * @returns {Promise<Object>} { total, duplicate, valid, invalid, finish, realExistence, counts } where counts
+     * holds row counts per value of email_status, website_status, phone_type, phone_country (all rows) and
+     * phone_invalid_reason, phone_invalid_country (invalid rows)
+     */
+    async getRecordStatistics(usableContact) {
+        const recordsCte = `
+            WITH r AS (
+                SELECT c.status, c.real_existence, c.email_status, c.website_status, c.phone_type, c.phone_country,
+                       c.phone_invalid_reason, c.phone_invalid_country,
+                       ${this.buildDuplicatePhoneCondition('c')} AS is_duplicate
+                FROM check_table c
+            )
+        `;
+
+        const [totals] = await this.query(`
+            ${recordsCte}
+            SELECT COUNT(*) AS total,
+                   COUNT(*) FILTER (WHERE is_duplicate) AS duplicate,
+                   COUNT(*) FILTER (WHERE NOT is_duplicate AND status IS TRUE) AS valid,
+                   COUNT(*) FILTER (WHERE NOT is_duplicate AND status IS NOT TRUE) AS invalid,
+                   COUNT(*) FILTER (WHERE email_status = ANY($1::text[]) OR website_status = ANY($2::text[])) AS finish,
+                   COUNT(*) FILTER (WHERE real_existence IS TRUE) AS real_existence
+            FROM r
+        `, [usableContact.emailStatuses, usableContact.websiteStatuses]);
+
+        // Rows never checked by the validator have no reason until the startup revalidation reaches them
+        const grouped = await this.query(`
+            ${recordsCte}
+            SELECT 'email_status' AS grouping, COALESCE(email_status, 'missing') AS value, COUNT(*) AS count FROM r GROUP BY 2
+            UNION ALL
+            SELECT 'website_status', COALESCE(website_status, 'missing'), COUNT(*) FROM r GROUP BY 2
+            UNION ALL
+            SELECT 'phone_type', COALESCE(phone_type, 'unknown'), COUNT(*) FROM r GROUP BY 2
+            UNION ALL
+            SELECT 'phone_country', COALESCE(phone_country, 'unknown'), COUNT(*) FROM r GROUP BY 2
+            UNION ALL
+            SELECT 'phone_invalid_reason', COALESCE(phone_invalid_reason, 'invalid_number'), COUNT(*)
+            FROM r WHERE NOT is_duplicate AND status IS NOT TRUE GROUP BY 2
+            UNION ALL
+            SELECT 'phone_invalid_country', phone_invalid_country, COUNT(*)
+            FROM r WHERE NOT is_duplicate AND status IS NOT TRUE AND phone_invalid_country IS NOT NULL GROUP BY 2
+        `);
+
+        const counts = {};
+        for (const { grouping, value, count } of grouped) {
+            counts[grouping] = counts[grouping] || {};
+            counts[grouping][value] = parseInt(count);
+        }
+
+        return {
+            total: parseInt(totals.total),
+            duplicate: parseInt(totals.duplicate),
+            valid: parseInt(totals.valid),
+            invalid: parseInt(totals.invalid),
+            finish: parseInt(totals.finish),
+            realExistence: parseInt(totals.real_existence),
+            counts
+        };
+    }
+
     /**
      * Check if record exists in check_table
      */
@@ -410,7 +1053,8 @@ class PostgresDatabaseManager {
 
             const placeholders = chunk.map((_, idx) => `$${idx + 1}`).join(',');
             const sql = `
-                SELECT id, phone, company_name, physical_address, email, website, carrier, line_type, real_existence, created_at
+                SELECT id, phone, status, company_name, physical_address, email, website, carrier, line_type,
+                       phone_group_id, real_existence, created_at, phone_e164, phone_type, phone_country
                 FROM check_table
                 WHERE id IN (${placeholders})
             `;
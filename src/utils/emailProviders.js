@@ -0,0 +1,37 @@
+/**
+ * Email Provider Lists
+ * Domains used to classify email addresses: free webmail providers, where anyone can sign up,
+ * and disposable inbox services, whose addresses stop working within hours or days.
+ * Subdomains match too, so mail.yahoo.com counts as yahoo.com.
+ */
+
+const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.com.sg', 'yahoo.co.uk', 'yahoo.co.in', 'ymail.com',
+    'rocketmail.com', 'hotmail.com', 'hotmail.sg', 'hotmail.co.uk', 'outlook.com', 'outlook.sg', 'live.com',
+    'live.com.sg', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'protonmail.com', 'proton.me',
+    'pm.me', 'gmx.com', 'gmx.net', 'gmx.de', 'mail.com', 'email.com', 'zoho.com', 'zohomail.com',
+    'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', 'foxmail.com', '163.com', '126.com', 'sina.com',
+    'sohu.com', 'aliyun.com', 'naver.com', 'daum.net', 'hanmail.net', 'rediffmail.com', 'tutanota.com',
+    'fastmail.com', 'hushmail.com', 'inbox.com', 'web.de', 'singnet.com.sg', 'pacific.net.sg',
+    'starhub.net.sg', 'streamyx.com', 'tm.net.my'
+];
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+    'mailinator.com', 'mailinator.net', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org',
+    'guerrillamailblock.com', 'sharklasers.com', 'grr.la', 'pokemail.net', 'spam4.me', '10minutemail.com',
+    '10minutemail.net', '20minutemail.com', 'temp-mail.org', 'temp-mail.io', 'tempmail.com', 'tempmail.net',
+    'tempmailo.com', 'tempr.email', 'tempinbox.com', 'throwawaymail.com', 'trashmail.com', 'trashmail.net',
+    'trashmail.de', 'yopmail.com', 'yopmail.net', 'yopmail.fr', 'getnada.com', 'nada.email', 'dispostable.com',
+    'maildrop.cc', 'mailnesia.com', 'mintemail.com', 'mohmal.com', 'mytemp.email', 'fakeinbox.com',
+    'fakemail.net', 'emailondeck.com', 'getairmail.com', 'harakirimail.com', 'incognitomail.org',
+    'jetable.org', 'mailcatch.com', 'mailexpire.com', 'mailforspam.com', 'mailnull.com', 'meltmail.com',
+    'mvrht.net', 'spambox.us', 'spamgourmet.com', 'spamex.com', 'tempail.com', 'discard.email',
+    'burnermail.io', 'moakt.com', 'emailfake.com', 'fakemailgenerator.com', 'inboxkitten.com',
+    'mailpoof.com', 'mailsac.com', 'owlymail.com', 'anonbox.net', 'byom.de', 'cock.li', 'dropmail.me',
+    'emltmp.com', 'linshiyouxiang.net', 'tmpmail.org', 'tmpmail.net', 'wegwerfmail.de', 'einrot.com'
+];
+
+module.exports = {
+    FREE_MAIL_DOMAINS,
+    DISPOSABLE_EMAIL_DOMAINS
+};
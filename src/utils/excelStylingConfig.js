@@ -115,6 +115,17 @@ const DUPLICATE_STYLING_CONFIG = {
     }
 };
 
+/**
+ * Import result report styling configuration
+ * Row fills for the "Import Result" report; rejected rows reuse the invalid status red
+ */
+const IMPORT_RESULT_STYLING_CONFIG = {
+    rejected: { fill: COLOR_CONFIG.status.invalid.backgroundRgb },
+    skipped: { fill: 'D9D9D9' },   // Grey: nothing was imported from the row
+    warning: { fill: 'FFEB9C' },   // Light yellow: imported, but check the row
+    imported: { fill: COLOR_CONFIG.status.valid.backgroundRgb }
+};
+
 /**
  * Font fallback logic for compatibility with different Excel versions
  * @param {string} preferredFont - The preferred font name
@@ -253,6 +264,24 @@ function createDuplicateStyle(options = {}) {
     };
 }
 
+/**
+ * Create import result style object for a row of the import result report
+ * @param {string} result - 'rejected', 'skipped', 'warning' or 'imported'
+ * @param {Object} options - Additional style options
+ * @returns {Object} XLSX style object with the result's background
+ */
+function createImportResultStyle(result, options = {}) {
+    const resultConfig = IMPORT_RESULT_STYLING_CONFIG[result] || IMPORT_RESULT_STYLING_CONFIG.imported;
+    const style = createBaseStyle(options);
+
+    style.fill = {
+        patternType: 'solid',
+        fgColor: { rgb: resultConfig.fill }
+    };
+
+    return style;
+}
+
 /**
  * Validate style object structure before application
  * @param {Object} styleObj - XLSX style object to validate
@@ -1186,11 +1215,13 @@ function getDuplicatePhoneStatistics(records) {
 module.exports = {
     EXCEL_STYLING_CONFIG,
     DUPLICATE_STYLING_CONFIG,
+    IMPORT_RESULT_STYLING_CONFIG,
     getFontWithFallback,
     createBaseStyle,
     createStatusStyle,
     createHeaderStyle,
     createDuplicateStyle,
+    createImportResultStyle,
     validateStyleObject,
     isValidColorCode,
     formatColorCode,
@@ -0,0 +1,43 @@
+/**
+ * Singapore Postal Districts
+ * The first two digits of a postal code (the sector) give one of 28 postal districts.
+ * Seeds the postal_sectors table; regions follow the URA planning regions the districts mostly fall in.
+ */
+
+const POSTAL_REGIONS = ['Central', 'East', 'North', 'North-East', 'West'];
+
+const POSTAL_DISTRICTS = [
+    { district: 1, sectors: ['01', '02', '03', '04', '05', '06'], location: 'Raffles Place, Cecil, Marina, People\'s Park', region: 'Central' },
+    { district: 2, sectors: ['07', '08'], location: 'Anson, Tanjong Pagar', region: 'Central' },
+    { district: 3, sectors: ['14', '15', '16'], location: 'Queenstown, Tiong Bahru', region: 'Central' },
+    { district: 4, sectors: ['09', '10'], location: 'Telok Blangah, Harbourfront', region: 'Central' },
+    { district: 5, sectors: ['11', '12', '13'], location: 'Pasir Panjang, Hong Leong Garden, Clementi New Town', region: 'West' },
+    { district: 6, sectors: ['17'], location: 'High Street, Beach Road', region: 'Central' },
+    { district: 7, sectors: ['18', '19'], location: 'Middle Road, Golden Mile', region: 'Central' },
+    { district: 8, sectors: ['20', '21'], location: 'Little India', region: 'Central' },
+    { district: 9, sectors: ['22', '23'], location: 'Orchard, Cairnhill, River Valley', region: 'Central' },
+    { district: 10, sectors: ['24', '25', '26', '27'], location: 'Ardmore, Bukit Timah, Holland Road, Tanglin', region: 'Central' },
+    { district: 11, sectors: ['28', '29', '30'], location: 'Watten Estate, Novena, Thomson', region: 'Central' },
+    { district: 12, sectors: ['31', '32', '33'], location: 'Balestier, Toa Payoh, Serangoon', region: 'Central' },
+    { district: 13, sectors: ['34', '35', '36', '37'], location: 'Macpherson, Braddell', region: 'Central' },
+    { district: 14, sectors: ['38', '39', '40', '41'], location: 'Geylang, Eunos', region: 'Central' },
+    { district: 15, sectors: ['42', '43', '44', '45'], location: 'Katong, Joo Chiat, Amber Road', region: 'Central' },
+    { district: 16, sectors: ['46', '47', '48'], location: 'Bedok, Upper East Coast, Eastwood, Kew Drive', region: 'East' },
+    { district: 17, sectors: ['49', '50', '81'], location: 'Loyang, Changi', region: 'East' },
+    { district: 18, sectors: ['51', '52'], location: 'Tampines, Pasir Ris', region: 'East' },
+    { district: 19, sectors: ['53', '54', '55', '82'], location: 'Serangoon Garden, Hougang, Punggol', region: 'North-East' },
+    { district: 20, sectors: ['56', '57'], location: 'Bishan, Ang Mo Kio', region: 'North-East' },
+    { district: 21, sectors: ['58', '59'], location: 'Upper Bukit Timah, Clementi Park, Ulu Pandan', region: 'West' },
+    { district: 22, sectors: ['60', '61', '62', '63', '64'], location: 'Jurong', region: 'West' },
+    { district: 23, sectors: ['65', '66', '67', '68'], location: 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', region: 'West' },
+    { district: 24, sectors: ['69', '70', '71'], location: 'Lim Chu Kang, Tengah', region: 'West' },
+    { district: 25, sectors: ['72', '73'], location: 'Kranji, Woodgrove', region: 'North' },
+    { district: 26, sectors: ['77', '78'], location: 'Upper Thomson, Springleaf', region: 'North' },
+    { district: 27, sectors: ['75', '76'], location: 'Yishun, Sembawang', region: 'North' },
+    { district: 28, sectors: ['79', '80'], location: 'Seletar', region: 'North-East' }
+];
+
+module.exports = {
+    POSTAL_REGIONS,
+    POSTAL_DISTRICTS
+};